@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+/**
+ * Generate the TypeScript SDK (types.d.ts and client.ts) from the stored schemas
+ *
+ *   npm run generate:sdk -- --out ../frontend/src/api --tenant acme-workshop --schemas order,customer@1.2.0
+ *
+ * --out      Output directory (default ./sdk)
+ * --tenant   Tenant whose schemas are used (default tenant if omitted)
+ * --schemas  Comma-separated schemas, optionally pinned to a version (all active schemas if omitted)
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const SdkService = require('../services/SdkService');
+const tenantContext = require('../utils/tenantContext');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z]+)(?:=(.*))?$/);
+    if (!match) continue;
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const outDir = path.resolve(args.out || 'sdk');
+  const tenantId = args.tenant || tenantContext.defaultTenant;
+
+  if (!tenantContext.isValidTenantId(tenantId)) {
+    throw new Error(`Invalid tenant ID '${tenantId}'`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const sdk = await tenantContext.run(tenantId, () =>
+      SdkService.generate({ schemas: SdkService.parseSelection(args.schemas) })
+    );
+
+    fs.mkdirSync(outDir, { recursive: true });
+    for (const [file, content] of Object.entries(sdk.files)) {
+      fs.writeFileSync(path.join(outDir, file), content);
+    }
+
+    const schemaList = Object.entries(sdk.schemaVersions).map(([name, version]) => `${name}@${version}`).join(', ');
+    console.log(`✅ Generated SDK ${sdk.version} in ${outDir} (${schemaList || 'no schemas'})`);
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ SDK generation failed:', error.message);
+  process.exit(1);
+});
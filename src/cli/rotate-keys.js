@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Re-encrypt stored x-encrypted values with the current key (ENCRYPTION_KEY_ID)
+ *
+ *   npm run rotate:keys -- --tenant acme-workshop --schemas customer,bank_account --dry-run
+ *
+ * --tenant   Tenant whose records are rotated (default tenant if omitted)
+ * --schemas  Comma-separated schemas (all active schemas with encrypted fields if omitted)
+ * --batch    Writes per batch (default 500)
+ * --dry-run  Count the values to re-encrypt without writing them
+ *
+ * Records and audit snapshots holding values under an old key, in the other encryption mode
+ * or in plaintext are rewritten; old keys can be removed once a run rotates nothing
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const EncryptionService = require('../services/EncryptionService');
+const tenantContext = require('../utils/tenantContext');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) continue;
+    if (match[1] === 'dry-run') {
+      args[match[1]] = true;
+      continue;
+    }
+    args[match[1]] = match[2] !== undefined ? match[2] : argv[++i];
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const tenantId = args.tenant || tenantContext.defaultTenant;
+  const schemas = args.schemas ? args.schemas.split(',').map(name => name.trim()).filter(Boolean) : [];
+  const batchSize = parseInt(args.batch) || undefined;
+
+  if (!tenantContext.isValidTenantId(tenantId)) {
+    throw new Error(`Invalid tenant ID '${tenantId}'`);
+  }
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  try {
+    const report = await tenantContext.run(tenantId, () =>
+      EncryptionService.rotate({ schemas, dryRun: !!args['dry-run'], batchSize })
+    );
+
+    const verb = report.dryRun ? 'to re-encrypt' : 're-encrypted';
+    for (const schema of report.schemas) {
+      console.log(`🔐 ${schema.name} (${schema.fields.join(', ')}): ` +
+        `${schema.records.rotated}/${schema.records.checked} records and ` +
+        `${schema.auditLogs.rotated}/${schema.auditLogs.checked} audit logs ${verb}`);
+      for (const failure of [...schema.records.failures, ...schema.auditLogs.failures]) {
+        console.warn(`⚠️  ${schema.name} ${failure.id}: ${failure.message}`);
+      }
+    }
+
+    const failed = report.schemas.reduce((sum, schema) => sum + schema.records.failed + schema.auditLogs.failed, 0);
+    console.log(`✅ Key rotation to '${report.keyId}' ${report.dryRun ? 'checked' : 'finished'} for ${report.schemas.length} schemas` +
+      (failed > 0 ? ` (${failed} documents failed)` : ''));
+    if (failed > 0) process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+};
+
+main().catch(error => {
+  console.error('❌ Key rotation failed:', error.message);
+  process.exit(1);
+});
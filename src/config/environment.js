@@ -49,6 +49,27 @@ const envSchema = Joi.object({
   
   JWT_EXPIRES_IN: Joi.string()
     .default('24h'),
+
+  SCHEMA_TRASH_RETENTION_DAYS: Joi.number()
+    .integer()
+    .min(0)
+    .default(30)
+    .description('Days a deleted schema is kept in the trash before its collection is dropped'),
+
+  SCHEMA_CACHE_TTL_MS: Joi.number()
+    .integer()
+    .min(0)
+    .default(30000)
+    .description('Milliseconds cached schema definitions are trusted when change streams are unavailable'),
+
+  DEFAULT_TENANT: Joi.string()
+    .pattern(/^[a-z][a-z0-9-]{0,39}$/)
+    .default('default')
+    .description('Tenant used for requests without X-Tenant-ID'),
+
+  REQUIRE_TENANT: Joi.boolean()
+    .default(false)
+    .description('Reject requests that do not name a tenant'),
 });
 
 // Validate environment variables
@@ -74,6 +95,10 @@ module.exports = {
   BODY_PARSER_LIMIT: envVars.BODY_PARSER_LIMIT,
   JWT_SECRET: envVars.JWT_SECRET,
   JWT_EXPIRES_IN: envVars.JWT_EXPIRES_IN,
+  SCHEMA_TRASH_RETENTION_DAYS: envVars.SCHEMA_TRASH_RETENTION_DAYS,
+  SCHEMA_CACHE_TTL_MS: envVars.SCHEMA_CACHE_TTL_MS,
+  DEFAULT_TENANT: envVars.DEFAULT_TENANT,
+  REQUIRE_TENANT: envVars.REQUIRE_TENANT,
   
   // Helper methods
   isDevelopment: () => envVars.NODE_ENV === 'development',
@@ -1,5 +1,7 @@
 const AuditService = require('../services/AuditService');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const objectPaths = require('../utils/objectPaths');
+const sensitiveFields = require('../utils/sensitiveFields');
 
 /**
  * Audit Controller
@@ -235,7 +237,7 @@ class AuditController {
       }
 
       // Calculate differences
-      const differences = this.calculateVersionDifferences(fromDoc.state, toDoc.state);
+      const differences = this.calculateVersionDifferences(fromDoc.state, toDoc.state, req.schemaDefinition.jsonSchema);
 
       const comparison = {
         fromVersion: fromVersionNum,
@@ -392,38 +394,34 @@ class AuditController {
 
   /**
    * Calculate differences between two document states
+   * Sensitive fields are reported as changed without their values
    * @private
    * @param {Object} fromState - From document state
    * @param {Object} toState - To document state
+   * @param {Object} jsonSchema - JSON Schema of the document
    * @returns {Array} - Array of differences
    */
-  calculateVersionDifferences(fromState, toState) {
-    const differences = [];
-    const allFields = new Set([
-      ...Object.keys(fromState || {}),
-      ...Object.keys(toState || {})
-    ]);
-
-    for (const field of allFields) {
-      // Skip system fields
-      if (['_id', '__v', 'createdAt', 'updatedAt', '_schemaName'].includes(field)) {
-        continue;
-      }
-
-      const fromValue = fromState[field];
-      const toValue = toState[field];
-
-      if (JSON.stringify(fromValue) !== JSON.stringify(toValue)) {
-        differences.push({
-          field,
-          fromValue,
-          toValue,
-          changeType: this.getChangeType(fromValue, toValue)
-        });
-      }
-    }
+  calculateVersionDifferences(fromState, toState, jsonSchema = null) {
+    const redacted = new Set();
+
+    return objectPaths
+      .diff(fromState, toState, { skip: ['_id', '__v', 'createdAt', 'updatedAt', '_schemaName'] })
+      .flatMap(({ field, oldValue, newValue }) => {
+        if (!sensitiveFields.isSensitivePath(jsonSchema, field)) {
+          return [{
+            field,
+            fromValue: oldValue,
+            toValue: newValue,
+            changeType: this.getChangeType(oldValue, newValue)
+          }];
+        }
 
-    return differences;
+        // One entry per sensitive field, even when older snapshots hold nested values
+        const topLevel = field.split('.')[0];
+        if (redacted.has(topLevel)) return [];
+        redacted.add(topLevel);
+        return [{ field: topLevel, changeType: 'changed', sensitive: true }];
+      });
   }
 
   /**
@@ -0,0 +1,39 @@
+const YAML = require('yaml');
+const OpenApiService = require('../services/OpenApiService');
+const { errorResponse } = require('../utils/responseHelper');
+
+/**
+ * Docs Controller
+ * Serves the OpenAPI document generated from the active schemas
+ */
+class DocsController {
+  /**
+   * Get the OpenAPI document as JSON
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOpenApiJson(req, res) {
+    try {
+      const document = await OpenApiService.getDocument();
+      res.json(document);
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get the OpenAPI document as YAML
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getOpenApiYaml(req, res) {
+    try {
+      const document = await OpenApiService.getDocument();
+      res.type('application/yaml').send(YAML.stringify(document));
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+}
+
+module.exports = new DocsController();
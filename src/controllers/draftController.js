@@ -0,0 +1,167 @@
+const SchemaDraftService = require('../services/SchemaDraftService');
+const SchemaService = require('../services/SchemaService');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+/**
+ * Load a schema and its draft, responding with 404 if either is missing
+ * @param {string} name - Schema name
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object|null>} - { schema, draft } or null after responding
+ */
+const loadDraft = async (name, res) => {
+  const schema = await SchemaService.getSchemaByName(name);
+  if (!schema) {
+    errorResponse(res, `Schema '${name}' not found`, 404);
+    return null;
+  }
+
+  const draft = await SchemaDraftService.getDraft(name);
+  if (!draft) {
+    errorResponse(res, `Schema '${name}' has no draft`, 404);
+    return null;
+  }
+
+  return { schema, draft };
+};
+
+/**
+ * Draft Controller
+ * Handles staged schema changes: drafts, record validation, API previews and publishing
+ */
+class DraftController {
+  /**
+   * Get the draft of a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getDraft(req, res) {
+    try {
+      const { name } = req.params;
+      const draft = await SchemaDraftService.getDraft(name);
+
+      if (!draft) {
+        return errorResponse(res, `Schema '${name}' has no draft`, 404);
+      }
+
+      successResponse(res, draft, 'Schema draft retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Create or replace the draft of a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async saveDraft(req, res) {
+    try {
+      const { name } = req.params;
+      const { displayName, description, jsonSchema, compatibility, renames } = req.body;
+      const auditContext = req.auditContext || {};
+
+      const schema = await SchemaService.getSchemaByName(name);
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const draft = await SchemaDraftService.saveDraft(schema, {
+        displayName,
+        description,
+        jsonSchema,
+        compatibility,
+        renames
+      }, { userId: auditContext.userId });
+
+      successResponse(res, draft, 'Schema draft saved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400);
+    }
+  }
+
+  /**
+   * Discard the draft of a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async discardDraft(req, res) {
+    try {
+      const { name } = req.params;
+      const draft = await SchemaDraftService.discardDraft(name);
+
+      if (!draft) {
+        return errorResponse(res, `Schema '${name}' has no draft`, 404);
+      }
+
+      successResponse(res, draft, 'Schema draft discarded successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Check how many existing records would fail against the draft
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async validateDraft(req, res) {
+    try {
+      const { name } = req.params;
+      const loaded = await loadDraft(name, res);
+      if (!loaded) return;
+
+      const report = await SchemaDraftService.validateDraft(loaded.schema, loaded.draft);
+      successResponse(res, report, report.invalidRecords > 0
+        ? `${report.invalidRecords} of ${report.totalRecords} records would fail validation`
+        : 'All records are valid against the draft');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400);
+    }
+  }
+
+  /**
+   * Preview the record API generated from the draft
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async previewDraft(req, res) {
+    try {
+      const { name } = req.params;
+      const loaded = await loadDraft(name, res);
+      if (!loaded) return;
+
+      const preview = await SchemaDraftService.previewApi(loaded.schema, loaded.draft);
+      successResponse(res, preview, 'Schema draft preview generated successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400);
+    }
+  }
+
+  /**
+   * Publish the draft of a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async publishDraft(req, res) {
+    try {
+      const { name } = req.params;
+      const auditContext = req.auditContext || {};
+
+      const schema = await SchemaService.getSchemaByName(name);
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const published = await SchemaDraftService.publishDraft(name, {
+        userId: auditContext.userId,
+        force: req.query.force === 'true'
+      });
+
+      successResponse(res, published, 'Schema draft published successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
+    }
+  }
+}
+
+module.exports = new DraftController();
@@ -1,5 +1,40 @@
 const DynamicCrudService = require('../services/DynamicCrudService');
+const EnumSourceService = require('../services/EnumSourceService');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
+const localizedFields = require('../utils/localizedFields');
+const sensitiveFields = require('../utils/sensitiveFields');
+
+/**
+ * Convert plain strings written to localized fields into translations of the request locale
+ * @param {Object} req - Express request object
+ * @param {Object} data - Record data
+ * @returns {Object} - Record data
+ */
+const toTranslations = (req, data) => {
+  return localizedFields.toTranslations(req.schemaDefinition.jsonSchema, data, localizedFields.writeLocale(req));
+};
+
+/**
+ * Resolve the localized fields of records for the locales the client asked for
+ * Records keep every translation with ?locale=*
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object|Array} records - Record or records
+ * @returns {Object|Array} - Record or records
+ */
+const localize = (req, res, records) => {
+  const { jsonSchema } = req.schemaDefinition;
+  if (!records || localizedFields.getLocalizedFields(jsonSchema).length === 0) return records;
+
+  const { all, locale, chain } = localizedFields.fromRequest(req);
+  res.vary('Accept-Language');
+  if (all) return records;
+
+  res.set('Content-Language', locale);
+  return Array.isArray(records)
+    ? records.map(record => localizedFields.resolve(jsonSchema, record, chain))
+    : localizedFields.resolve(jsonSchema, records, chain);
+};
 
 /**
  * Dynamic Data Controller with Audit Trail Integration
@@ -14,37 +49,19 @@ class DynamicController {
   async getRecords(req, res) {
     try {
       const { schemaName } = req.params;
-      const { page, limit, sort, includeAudit, populate, ...filter } = req.query;
+      const { page, limit, sort, includeAudit, populate, locale, ...filter } = req.query;
       
-      console.log('Raw filter from query:', filter);
-      
-      // Process filter to handle nested fields and type conversion
-      const processedFilter = {};
-      Object.keys(filter).forEach(key => {
-        let value = filter[key];
-        
-        // Convert string booleans to actual booleans
-        if (value === 'true') value = true;
-        if (value === 'false') value = false;
-        
-        // Convert string numbers to actual numbers
-        if (!isNaN(value) && value !== '' && typeof value === 'string') {
-          const numValue = Number(value);
-          if (Number.isInteger(numValue)) {
-            value = numValue;
-          }
-        }
-        
-        // Handle dot notation for nested fields (like features.invoicing)
-        processedFilter[key] = value;
-      });
-      
-      console.log('Processed filter:', processedFilter);
+      console.log('Filter fields from query:', Object.keys(filter));
       
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
-        filter: processedFilter
+        // Values are cast to field types (including dot paths) by the service
+        filter,
+        // Filters and sorts on localized fields use the requested locale
+        locale: localizedFields.fromRequest(req).locale,
+        // Only privileged callers may filter and sort on the sensitive fields they can see
+        privileged: sensitiveFields.isPrivileged(req)
       };
 
       // Handle population parameter
@@ -61,17 +78,18 @@ class DynamicController {
         }
       }
       
-      console.log('Options being passed to service:', options);
+      console.log('Options being passed to service:', { page: options.page, limit: options.limit, populate: options.populate });
       
       // Choose service method based on includeAudit flag
       const result = includeAudit === 'true' 
         ? await DynamicCrudService.getRecordsWithAudit(schemaName, options)
         : await DynamicCrudService.getRecords(schemaName, options);
+      result.records = localize(req, res, result.records);
       
       successResponse(res, result, 'Records retrieved successfully');
     } catch (error) {
       console.error('Controller error:', error);
-      errorResponse(res, error.message, 400);
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
     }
   }
 
@@ -94,7 +112,7 @@ class DynamicController {
         return errorResponse(res, `Record with ID '${recordId}' not found`, 404);
       }
 
-      successResponse(res, record, 'Record retrieved successfully');
+      successResponse(res, localize(req, res, record), 'Record retrieved successfully');
     } catch (error) {
       errorResponse(res, error.message, 400);
     }
@@ -111,7 +129,7 @@ class DynamicController {
     
     try {
       const { schemaName } = req.params;
-      const recordData = req.body;
+      const recordData = toTranslations(req, req.body);
       
       console.log('Schema name:', schemaName);
       console.log('Request body keys:', Object.keys(recordData));
@@ -160,7 +178,7 @@ class DynamicController {
       res.status(201).json({
         success: true,
         message: 'Record created successfully',
-        data: record,
+        data: localize(req, res, record),
         meta: {
           schemaName,
           recordId: record._id,
@@ -182,6 +200,7 @@ class DynamicController {
         res.status(error.statusCode || 500).json({
           success: false,
           error: error.message,
+          ...(error.details && { errors: error.details }),
           details: {
             schemaName: req.params.schemaName,
             processingTime: `${totalTime}ms`,
@@ -202,7 +221,7 @@ class DynamicController {
     
     try {
       const { schemaName, recordId } = req.params;
-      const updateData = req.body;
+      const updateData = toTranslations(req, req.body);
       
       // Get audit context
       const auditContext = req.auditContext || {};
@@ -214,14 +233,14 @@ class DynamicController {
         auditContext
       );
       
-      successResponse(res, updatedRecord, 'Record updated successfully', 200, {
+      successResponse(res, localize(req, res, updatedRecord), 'Record updated successfully', 200, {
         auditLogged: true,
         recordId,
         schemaName
       });
     } catch (error) {
       console.error('Update record error:', error);
-      errorResponse(res, error.message, 400);
+      errorResponse(res, error.message, 400, error.details || null);
     }
   }
 
@@ -235,35 +254,24 @@ class DynamicController {
     
     try {
       const { schemaName, recordId } = req.params;
-      const updateData = req.body;
-
-      // Get existing record first
-      const existingRecord = await DynamicCrudService.getRecordById(schemaName, recordId);
-      if (!existingRecord) {
-        return errorResponse(res, `Record with ID '${recordId}' not found`, 404);
-      }
-
-      // Merge with existing data for partial update
-      const mergedData = { ...existingRecord, ...updateData };
-      
-      // Remove system fields from merged data
-      delete mergedData._id;
-      delete mergedData.__v;
-      delete mergedData._schemaName;
-      delete mergedData.createdAt;
-      delete mergedData.updatedAt;
+      const updateData = toTranslations(req, req.body);
 
       // Get audit context
       const auditContext = req.auditContext || {};
 
-      const updatedRecord = await DynamicCrudService.updateRecord(
+      // Nested objects are merged into the existing record
+      const updatedRecord = await DynamicCrudService.patchRecord(
         schemaName, 
         recordId, 
-        mergedData, 
+        updateData, 
         auditContext
       );
+
+      if (!updatedRecord) {
+        return errorResponse(res, `Record with ID '${recordId}' not found`, 404);
+      }
       
-      successResponse(res, updatedRecord, 'Record updated successfully', 200, {
+      successResponse(res, localize(req, res, updatedRecord), 'Record updated successfully', 200, {
         auditLogged: true,
         recordId,
         schemaName,
@@ -271,7 +279,7 @@ class DynamicController {
       });
     } catch (error) {
       console.error('Patch record error:', error);
-      errorResponse(res, error.message, 400);
+      errorResponse(res, error.message, 400, error.details || null);
     }
   }
 
@@ -324,11 +332,11 @@ class DynamicController {
 
       const createdRecords = await DynamicCrudService.bulkCreateRecords(
         schemaName, 
-        records, 
+        records.map(record => toTranslations(req, record)), 
         auditContext
       );
       
-      successResponse(res, createdRecords, `${createdRecords.length} records created successfully`, 201, {
+      successResponse(res, localize(req, res, createdRecords), `${createdRecords.length} records created successfully`, 201, {
         auditLogged: true,
         schemaName,
         bulkOperation: true,
@@ -336,7 +344,7 @@ class DynamicController {
       });
     } catch (error) {
       console.error('Bulk create records error:', error);
-      errorResponse(res, error.message, 400);
+      errorResponse(res, error.message, 400, error.details || null);
     }
   }
 
@@ -350,10 +358,12 @@ class DynamicController {
       const { schemaName } = req.params;
       const filter = req.query;
 
-      const count = await DynamicCrudService.getRecordCount(schemaName, filter);
+      const count = await DynamicCrudService.getRecordCount(schemaName, filter, {
+        privileged: sensitiveFields.isPrivileged(req)
+      });
       successResponse(res, { count }, 'Record count retrieved successfully');
     } catch (error) {
-      errorResponse(res, error.message, 400);
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
     }
   }
 
@@ -366,17 +376,22 @@ class DynamicController {
     try {
       const { schemaName } = req.params;
       const { q, fields, page, limit, sort } = req.query;
+      const { jsonSchema } = req.schemaDefinition;
+      const { locale } = localizedFields.fromRequest(req);
 
       if (!q) {
         return errorResponse(res, 'Search query is required', 400);
       }
 
+      // Localized fields are searched in the requested locale, and by default when no fields are given
+      const localized = localizedFields.getLocalizedFields(jsonSchema);
+      const fieldArray = fields ? fields.split(',').map(field => field.trim()) : localized;
+
       // Build search filter
       const searchFilter = {};
-      if (fields) {
-        const fieldArray = fields.split(',');
+      if (fieldArray.length > 0) {
         const searchConditions = fieldArray.map(field => ({
-          [field]: { $regex: q, $options: 'i' }
+          [localizedFields.localizePath(jsonSchema, field, locale)]: { $regex: q, $options: 'i' }
         }));
         searchFilter.$or = searchConditions;
       } else {
@@ -387,7 +402,9 @@ class DynamicController {
       const options = {
         page: parseInt(page) || 1,
         limit: parseInt(limit) || 10,
-        filter: searchFilter
+        filter: searchFilter,
+        locale,
+        privileged: sensitiveFields.isPrivileged(req)
       };
 
       if (sort) {
@@ -399,9 +416,10 @@ class DynamicController {
       }
 
       const result = await DynamicCrudService.getRecords(schemaName, options);
+      result.records = localize(req, res, result.records);
       successResponse(res, result, 'Search completed successfully');
     } catch (error) {
-      errorResponse(res, error.message, 400);
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
     }
   }
 
@@ -451,6 +469,22 @@ class DynamicController {
       errorResponse(res, error.message, 500);
     }
   }
+
+  /**
+   * Get the current options of a field with an x-enum-source
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getFieldOptions(req, res) {
+    try {
+      const { schemaName, field } = req.params;
+
+      const result = await EnumSourceService.getFieldOptions(schemaName, field);
+      successResponse(res, result, 'Field options retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
+    }
+  }
 }
 
 module.exports = new DynamicController();
\ No newline at end of file
@@ -0,0 +1,87 @@
+const { parse, validate, specifiedRules, execute, getOperationAST, GraphQLError } = require('graphql');
+const GraphQLService = require('../services/GraphQLService');
+const localizedFields = require('../utils/localizedFields');
+const sensitiveFields = require('../utils/sensitiveFields');
+
+/**
+ * Send a GraphQL response ({ data, errors } as the GraphQL spec defines, not the API envelope)
+ * @param {Object} res - Express response object
+ * @param {number} statusCode - HTTP status code
+ * @param {Object} body - Response body
+ */
+const sendGraphQL = (res, statusCode, body) => {
+  res.status(statusCode).json({
+    ...body,
+    ...(body.errors ? { errors: body.errors.map(error => (error instanceof GraphQLError ? error.toJSON() : { message: error.message })) } : {})
+  });
+};
+
+/**
+ * GraphQL Controller
+ * Executes GraphQL requests against the API generated from the schemas
+ */
+class GraphQLController {
+  /**
+   * Execute a GraphQL request
+   * POST takes { query, variables, operationName } as JSON; GET takes them as query
+   * parameters (variables JSON-encoded) and only runs queries
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async executeRequest(req, res) {
+    try {
+      const params = req.method === 'GET' ? req.query : (req.body || {});
+      const { query, operationName } = params;
+      let variables = params.variables || null;
+
+      if (!query || typeof query !== 'string') {
+        return sendGraphQL(res, 400, { errors: [new GraphQLError('Must provide a query string')] });
+      }
+      if (typeof variables === 'string') {
+        try {
+          variables = JSON.parse(variables);
+        } catch (error) {
+          return sendGraphQL(res, 400, { errors: [new GraphQLError('Variables are invalid JSON')] });
+        }
+      }
+
+      let document;
+      try {
+        document = parse(query);
+      } catch (syntaxError) {
+        return sendGraphQL(res, 400, { errors: [syntaxError] });
+      }
+
+      const schema = await GraphQLService.getSchema();
+      const validationErrors = validate(schema, document, [...specifiedRules, ...GraphQLService.validationRules(variables)]);
+      if (validationErrors.length > 0) {
+        return sendGraphQL(res, 400, { errors: validationErrors });
+      }
+
+      if (req.method === 'GET') {
+        const operation = getOperationAST(document, operationName);
+        if (operation && operation.operation !== 'query') {
+          res.set('Allow', 'POST');
+          return sendGraphQL(res, 405, { errors: [new GraphQLError(`Can only perform a ${operation.operation} operation from a POST request`)] });
+        }
+      }
+
+      const result = await execute({
+        schema,
+        document,
+        variableValues: variables,
+        operationName,
+        contextValue: GraphQLService.createContext(req.auditContext, {
+          ...localizedFields.fromRequest(req),
+          writeLocale: localizedFields.writeLocale(req)
+        }, { privileged: sensitiveFields.isPrivileged(req) })
+      });
+
+      sendGraphQL(res, 200, result);
+    } catch (error) {
+      sendGraphQL(res, 500, { errors: [error] });
+    }
+  }
+}
+
+module.exports = new GraphQLController();
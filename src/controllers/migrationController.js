@@ -0,0 +1,108 @@
+const MigrationService = require('../services/MigrationService');
+const SchemaService = require('../services/SchemaService');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+/**
+ * Migration Controller
+ * Handles data migration previews, history and rollback for schema changes
+ */
+class MigrationController {
+  /**
+   * Preview the data migration for a proposed jsonSchema (dry run)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async previewMigration(req, res) {
+    try {
+      const { name } = req.params;
+      const { jsonSchema, renames } = req.body;
+
+      if (!jsonSchema) {
+        return errorResponse(res, 'JSON Schema is required', 400);
+      }
+
+      const { effective } = await SchemaService.resolveSchema(jsonSchema, name);
+      const preview = await MigrationService.planMigration(name, effective, { renames });
+      successResponse(res, preview, 'Migration preview generated successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Convert existing records to the storage types of the current definition
+   * (dates, references and decimals); ?dryRun=true only reports
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async migrateStorage(req, res) {
+    try {
+      const { name } = req.params;
+      const dryRun = req.query.dryRun === 'true';
+
+      const result = await MigrationService.migrateStorage(name, { dryRun });
+      successResponse(res, result, dryRun ? 'Storage migration preview generated successfully' : 'Storage migration applied successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 400);
+    }
+  }
+
+  /**
+   * List migrations recorded for a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMigrations(req, res) {
+    try {
+      const { name } = req.params;
+      const { page, limit, status } = req.query;
+
+      const result = await MigrationService.listMigrations(name, {
+        page: parseInt(page) || 1,
+        limit: parseInt(limit) || 20,
+        status
+      });
+
+      successResponse(res, result, 'Migrations retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get a single migration with its report
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMigration(req, res) {
+    try {
+      const { name, migrationId } = req.params;
+      const migration = await MigrationService.getMigration(name, migrationId);
+
+      if (!migration) {
+        return errorResponse(res, `Migration '${migrationId}' not found`, 404);
+      }
+
+      successResponse(res, migration, 'Migration retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Roll back a migration
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async rollbackMigration(req, res) {
+    try {
+      const { name, migrationId } = req.params;
+      const result = await MigrationService.rollbackMigration(name, migrationId);
+      successResponse(res, result, `Migration '${migrationId}' rolled back successfully`);
+    } catch (error) {
+      errorResponse(res, error.message, 400);
+    }
+  }
+}
+
+module.exports = new MigrationController();
@@ -1,4 +1,7 @@
 const SchemaService = require('../services/SchemaService');
+const SchemaVersionService = require('../services/SchemaVersionService');
+const SequenceService = require('../services/SequenceService');
+const compatibilityChecker = require('../utils/compatibilityChecker');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 
 /**
@@ -13,13 +16,17 @@ class SchemaController {
    */
   async getAllSchemas(req, res) {
     try {
-      const { active } = req.query;
+      const { active, deleted } = req.query;
       const filters = {};
       
       if (active !== undefined) {
         filters.active = active === 'true';
       }
 
+      if (deleted === 'true') {
+        filters.deleted = true;
+      }
+
       const schemas = await SchemaService.getAllSchemas(filters);
       successResponse(res, schemas, 'Schemas retrieved successfully');
     } catch (error) {
@@ -41,7 +48,14 @@ class SchemaController {
         return errorResponse(res, `Schema '${name}' not found`, 404);
       }
 
-      successResponse(res, schema, 'Schema retrieved successfully');
+      // jsonSchema is returned as authored; ?effective=true adds the flattened schema
+      const { sourceSchema, ...definition } = schema;
+      definition.jsonSchema = sourceSchema || schema.jsonSchema;
+      if (req.query.effective === 'true') {
+        definition.effectiveSchema = schema.jsonSchema;
+      }
+
+      successResponse(res, definition, 'Schema retrieved successfully');
     } catch (error) {
       errorResponse(res, error.message, 500);
     }
@@ -54,19 +68,23 @@ class SchemaController {
    */
   async createSchema(req, res) {
     try {
-      const { name, displayName, description, collectionName, jsonSchema } = req.body;
+      const { name, displayName, description, collectionName, jsonSchema, compatibility } = req.body;
 
       // Basic validation
       if (!name || !displayName || !jsonSchema) {
         return errorResponse(res, 'Name, displayName, and jsonSchema are required', 400);
       }
 
+      const auditContext = req.auditContext || {};
+
       const schema = await SchemaService.createSchema({
         name,
         displayName,
         description,
         collectionName,
-        jsonSchema
+        jsonSchema,
+        compatibility,
+        createdBy: auditContext.userId
       });
 
       successResponse(res, schema, 'Schema created successfully', 201);
@@ -83,15 +101,51 @@ class SchemaController {
   async updateSchema(req, res) {
     try {
       const { name } = req.params;
-      const { displayName, description, jsonSchema } = req.body;
+      const { displayName, description, jsonSchema, compatibility, renames } = req.body;
+      const auditContext = req.auditContext || {};
 
       const updatedSchema = await SchemaService.updateSchema(name, {
         displayName,
         description,
-        jsonSchema
+        jsonSchema,
+        compatibility
+      }, {
+        renames,
+        userId: auditContext.userId,
+        force: req.query.force === 'true'
       });
 
       successResponse(res, updatedSchema, 'Schema updated successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
+    }
+  }
+
+  /**
+   * Check a proposed jsonSchema for compatibility without applying it
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async checkCompatibility(req, res) {
+    try {
+      const { name } = req.params;
+      const { jsonSchema, renames, mode } = req.body;
+
+      if (!jsonSchema) {
+        return errorResponse(res, 'JSON Schema is required', 400);
+      }
+
+      if (mode && !compatibilityChecker.modes.includes(mode)) {
+        return errorResponse(res, `Compatibility mode must be one of: ${compatibilityChecker.modes.join(', ')}`, 400);
+      }
+
+      const schema = await SchemaService.getSchemaByName(name);
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const report = await SchemaService.checkCompatibility(schema, jsonSchema, { renames, mode });
+      successResponse(res, report, report.compatible ? 'Schema change is compatible' : 'Schema change is not compatible');
     } catch (error) {
       errorResponse(res, error.message, 400);
     }
@@ -105,13 +159,103 @@ class SchemaController {
   async deleteSchema(req, res) {
     try {
       const { name } = req.params;
-      await SchemaService.deleteSchema(name);
-      successResponse(res, null, 'Schema deleted successfully');
+      const auditContext = req.auditContext || {};
+      const schema = await SchemaService.deleteSchema(name, {
+        userId: auditContext.userId,
+        cascade: req.query.cascade === 'true'
+      });
+      successResponse(res, {
+        name: schema.name,
+        deletedAt: schema.deletedAt,
+        cascaded: schema.cascaded,
+        retentionDays: SchemaService.trashRetentionDays
+      }, 'Schema moved to trash successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
+    }
+  }
+
+  /**
+   * Get the reference graph of all schemas
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSchemaGraph(req, res) {
+    try {
+      const graph = await SchemaService.getSchemaGraph();
+      successResponse(res, graph, 'Schema graph retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Restore a schema from the trash
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async restoreSchema(req, res) {
+    try {
+      const { name } = req.params;
+      const schema = await SchemaService.restoreSchema(name);
+      successResponse(res, schema, `Schema '${name}' restored successfully`);
     } catch (error) {
       errorResponse(res, error.message, 400);
     }
   }
 
+  /**
+   * Rename a schema, moving its collection, records, history, audit logs and references
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async renameSchema(req, res) {
+    try {
+      const { name } = req.params;
+      const { newName } = req.body || {};
+      if (!newName) {
+        return errorResponse(res, 'newName is required', 400);
+      }
+
+      const result = await SchemaService.renameSchema(name, newName);
+      successResponse(res, result, `Schema '${name}' renamed to '${newName}' successfully`);
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400, error.details || null);
+    }
+  }
+
+  /**
+   * Permanently delete a trashed schema and drop its collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async purgeSchema(req, res) {
+    try {
+      const { name } = req.params;
+      const result = await SchemaService.purgeSchema(name, { force: req.query.force === 'true' });
+      successResponse(res, result, `Schema '${name}' purged successfully`);
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400);
+    }
+  }
+
+  /**
+   * Purge all trashed schemas past their retention window
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async purgeExpiredSchemas(req, res) {
+    try {
+      const results = await SchemaService.purgeExpiredSchemas();
+      successResponse(res, {
+        retentionDays: SchemaService.trashRetentionDays,
+        purged: results
+      }, 'Expired schemas purged successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
   /**
    * Hot reload schema
    * @param {Object} req - Express request object
@@ -164,7 +308,157 @@ class SchemaController {
   }
 
   /**
-   * Validate schema definition
+   * Get declared vs actual indexes of a schema's collection
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSchemaIndexes(req, res) {
+    try {
+      const { name } = req.params;
+      const schema = await SchemaService.getSchemaByName(name);
+
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const indexes = await SchemaService.getIndexes(name);
+      successResponse(res, indexes, 'Schema indexes retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Reconcile a schema's collection indexes with its declarations
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async syncSchemaIndexes(req, res) {
+    try {
+      const { name } = req.params;
+      const schema = await SchemaService.getSchemaByName(name);
+
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const result = await SchemaService.syncIndexes(name);
+      successResponse(res, result, 'Schema indexes synced successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 400);
+    }
+  }
+
+  /**
+   * Get the sequences of a schema and their counters
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSchemaSequences(req, res) {
+    try {
+      const { name } = req.params;
+      const schema = await SchemaService.getSchemaByName(name);
+
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const sequences = await SequenceService.listSequences(name, schema.jsonSchema);
+      successResponse(res, sequences, 'Schema sequences retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Reset a sequence so the next record receives a given number
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetSchemaSequence(req, res) {
+    try {
+      const { name, field } = req.params;
+      const { next, period } = req.body || {};
+      const schema = await SchemaService.getSchemaByName(name);
+
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const sequence = await SequenceService.resetSequence(name, schema.jsonSchema, field, { next, period });
+      successResponse(res, sequence, 'Sequence reset successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Get the version history of a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSchemaVersions(req, res) {
+    try {
+      const { name } = req.params;
+      const schema = await SchemaService.getSchemaByName(name);
+
+      if (!schema) {
+        return errorResponse(res, `Schema '${name}' not found`, 404);
+      }
+
+      const versions = await SchemaVersionService.listVersions(name);
+      successResponse(res, {
+        currentVersion: schema.version,
+        versions
+      }, 'Schema versions retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get a single revision of a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSchemaVersion(req, res) {
+    try {
+      const { name, version } = req.params;
+      const revision = await SchemaVersionService.getVersion(name, version);
+
+      if (!revision) {
+        return errorResponse(res, `Version ${version} not found for schema '${name}'`, 404);
+      }
+
+      successResponse(res, revision, 'Schema version retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Diff two revisions of a schema
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async diffSchemaVersions(req, res) {
+    try {
+      const { name } = req.params;
+      const { from, to } = req.query;
+
+      if (!from || !to) {
+        return errorResponse(res, 'Both from and to versions are required', 400);
+      }
+
+      const diff = await SchemaVersionService.diffVersions(name, from, to);
+      successResponse(res, diff, 'Schema version diff generated successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 404);
+    }
+  }
+
+  /**
+   * Validate schema definition and report lint warnings
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
@@ -177,13 +471,28 @@ class SchemaController {
       }
 
       const schemaValidator = require('../utils/schemaValidator');
-      const validation = schemaValidator.validateSchema(jsonSchema);
+      let effectiveSchema;
+      try {
+        ({ effective: effectiveSchema } = await SchemaService.resolveSchema(jsonSchema, req.body.name));
+      } catch (error) {
+        return errorResponse(res, 'Schema definition is invalid', 400, schemaValidator.formatErrors([{ message: error.message }]));
+      }
+      const validation = schemaValidator.validateSchema(effectiveSchema);
+      const warnings = await SchemaService.lintSchema(effectiveSchema, req.body.name);
 
       if (validation.valid) {
-        successResponse(res, { valid: true }, 'Schema definition is valid');
+        successResponse(res, { valid: true, warnings }, warnings.length > 0
+          ? `Schema definition is valid with ${warnings.length} warning(s)`
+          : 'Schema definition is valid');
       } else {
-        const errors = schemaValidator.formatErrors(validation.errors);
-        errorResponse(res, 'Schema definition is invalid', 400, errors);
+        // Same shape as errorResponse, with the lint warnings alongside the errors
+        res.status(400).json({
+          success: false,
+          message: 'Schema definition is invalid',
+          errors: schemaValidator.formatErrors(validation.errors),
+          warnings,
+          timestamp: new Date().toISOString()
+        });
       }
     } catch (error) {
       errorResponse(res, error.message, 500);
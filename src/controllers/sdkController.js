@@ -0,0 +1,45 @@
+const SdkService = require('../services/SdkService');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+/**
+ * SDK Controller
+ * Serves the TypeScript declarations and typed client generated from the schemas
+ */
+class SdkController {
+  /**
+   * Get the SDK version, schema versions and generated files
+   * ?schemas=order,customer@1.2.0 limits the SDK to some schemas and pins versions
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSdk(req, res) {
+    try {
+      const sdk = await SdkService.generate({ schemas: SdkService.parseSelection(req.query.schemas) });
+      successResponse(res, sdk, 'SDK generated successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 500);
+    }
+  }
+
+  /**
+   * Download one generated file (types.d.ts or client.ts)
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getSdkFile(req, res) {
+    try {
+      const { file } = req.params;
+      if (!SdkService.files.includes(file)) {
+        return errorResponse(res, `Unknown SDK file '${file}'; expected one of: ${SdkService.files.join(', ')}`, 404);
+      }
+
+      const sdk = await SdkService.generate({ schemas: SdkService.parseSelection(req.query.schemas) });
+      res.set('X-SDK-Version', sdk.version);
+      res.type('application/typescript').send(sdk.files[file]);
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 500);
+    }
+  }
+}
+
+module.exports = new SdkController();
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const SchemaService = require('../services/SchemaService');
 const CollectionGenerator = require('../services/CollectionGenerator');
+const SchemaRegistry = require('../services/SchemaRegistry');
+const schemaValidator = require('../utils/schemaValidator');
+const tenantContext = require('../utils/tenantContext');
 const { successResponse, errorResponse } = require('../utils/responseHelper');
 
 /**
@@ -62,7 +65,8 @@ class SystemController {
         env: {
           NODE_ENV: process.env.NODE_ENV,
           PORT: process.env.PORT
-        }
+        },
+        schemaRegistry: SchemaRegistry.getState()
       };
 
       successResponse(res, systemInfo, 'System information retrieved successfully');
@@ -91,8 +95,8 @@ class SystemController {
       // Get collection list
       const collections = await db.listCollections().toArray();
       
-      // Get active schemas count
-      const activeSchemas = await SchemaService.getAllSchemas({ active: true });
+      // Get active schemas count across all tenants
+      const activeSchemas = await tenantContext.runAsSystem(() => SchemaService.getAllSchemas({ active: true }));
       
       // Get dynamic models info
       const dynamicModels = CollectionGenerator.dynamicModels;
@@ -134,6 +138,19 @@ class SystemController {
     }
   }
 
+  /**
+   * Get validator cache and compile/validate timing metrics
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getValidatorStats(req, res) {
+    try {
+      successResponse(res, schemaValidator.getMetrics(), 'Validator statistics retrieved successfully');
+    } catch (error) {
+      errorResponse(res, 'Failed to get validator statistics', 500);
+    }
+  }
+
   /**
    * Get API statistics
    * @param {Object} req - Express request object
@@ -0,0 +1,84 @@
+const TenantService = require('../services/TenantService');
+const { successResponse, errorResponse } = require('../utils/responseHelper');
+
+/**
+ * Tenant Controller
+ * Handles tenant provisioning and deprovisioning
+ */
+class TenantController {
+  /**
+   * List tenants
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTenants(req, res) {
+    try {
+      const tenants = await TenantService.listTenants();
+      successResponse(res, tenants, 'Tenants retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Get a tenant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getTenant(req, res) {
+    try {
+      const { tenantId } = req.params;
+      const tenant = await TenantService.getTenant(tenantId);
+
+      if (!tenant) {
+        return errorResponse(res, `Tenant '${tenantId}' not found`, 404);
+      }
+
+      successResponse(res, tenant, 'Tenant retrieved successfully');
+    } catch (error) {
+      errorResponse(res, error.message, 500);
+    }
+  }
+
+  /**
+   * Provision a tenant
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async provisionTenant(req, res) {
+    try {
+      const { tenantId, name } = req.body;
+
+      const tenant = await TenantService.provisionTenant({ tenantId, name }, {
+        userId: req.user?.id || req.headers['x-user-id'] || null
+      });
+
+      successResponse(res, tenant, 'Tenant provisioned successfully', 201);
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 400);
+    }
+  }
+
+  /**
+   * Deprovision a tenant and delete all of its data
+   * Requires ?confirm=<tenantId>
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async deprovisionTenant(req, res) {
+    try {
+      const { tenantId } = req.params;
+
+      if (req.query.confirm !== tenantId) {
+        return errorResponse(res, `Deprovisioning deletes all data of tenant '${tenantId}'; repeat the tenant ID in ?confirm= to proceed`, 400);
+      }
+
+      const result = await TenantService.deprovisionTenant(tenantId);
+      successResponse(res, result, 'Tenant deprovisioned successfully');
+    } catch (error) {
+      errorResponse(res, error.message, error.statusCode || 500);
+    }
+  }
+}
+
+module.exports = new TenantController();
@@ -1,5 +1,6 @@
 const AuditService = require('../services/AuditService');
 const CollectionGenerator = require('../services/CollectionGenerator');
+const fieldEncryption = require('../utils/fieldEncryption');
 
 /**
  * Middleware to capture audit information from request
@@ -127,6 +128,11 @@ async function logOperationAudit(req, operation, responseData) {
         break;
     }
 
+    // Response data is decrypted; snapshots store encrypted fields as ciphertexts like the records
+    if (auditData.currentState && req.schemaDefinition) {
+      auditData.currentState = fieldEncryption.encryptRecord(req.schemaDefinition.jsonSchema, auditData.currentState);
+    }
+
     // Only log if we have essential data
     if (auditData.documentId) {
       await AuditService.logChange(auditData);
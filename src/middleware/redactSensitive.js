@@ -0,0 +1,39 @@
+const sensitiveFields = require('../utils/sensitiveFields');
+
+/**
+ * Mask x-sensitive fields in response data unless the caller has a privileged role
+ * Schemas come from the request (schemaExists) or, for populated records, the schema registry
+ * @param {Object} req - Express request object
+ * @param {*} data - Response data
+ * @returns {*} - Data safe to send to the caller
+ */
+const redactSensitive = (req, data) => {
+  if (!req || sensitiveFields.isPrivileged(req)) return data;
+
+  const current = req.schemaDefinition || null;
+  const schemaFor = (name) => {
+    if (current && current.name === name) return current.jsonSchema;
+    // Required lazily so loading the middleware does not load the services
+    const schema = require('../services/SchemaRegistry').peek(name);
+    return schema ? schema.jsonSchema : null;
+  };
+  return sensitiveFields.redact(data, schemaFor, current ? current.jsonSchema : null);
+};
+
+/**
+ * Mask x-sensitive fields in every JSON response
+ * Wraps res.json, so handlers building their responses directly are covered as well
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const redactSensitiveResponses = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => json(redactSensitive(req, body));
+  next();
+};
+
+module.exports = {
+  redactSensitive,
+  redactSensitiveResponses
+};
@@ -0,0 +1,73 @@
+const TenantService = require('../services/TenantService');
+const tenantContext = require('../utils/tenantContext');
+const sensitiveFields = require('../utils/sensitiveFields');
+
+/**
+ * Middleware to resolve the tenant of a request and run the rest of the request in its context
+ * The tenant comes from the authenticated token (req.user.tenantId, set by the authentication
+ * middleware) or the X-Tenant-ID header; without either the default tenant is used unless
+ * REQUIRE_TENANT is set
+ */
+const resolveTenant = async (req, res, next) => {
+  const fromToken = req.user?.tenantId || null;
+  const fromHeader = req.headers['x-tenant-id'] || null;
+
+  if (fromToken && fromHeader && fromToken !== fromHeader) {
+    return res.status(403).json({
+      success: false,
+      error: 'X-Tenant-ID does not match the tenant of the authenticated user'
+    });
+  }
+
+  const tenantId = fromToken || fromHeader;
+  if (!tenantId && process.env.REQUIRE_TENANT === 'true') {
+    return res.status(400).json({
+      success: false,
+      error: 'A tenant is required (X-Tenant-ID header)'
+    });
+  }
+
+  const resolved = tenantId || tenantContext.defaultTenant;
+  if (!tenantContext.isValidTenantId(resolved)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid tenant ID '${resolved}'`
+    });
+  }
+
+  try {
+    if (!(await TenantService.isProvisioned(resolved))) {
+      return res.status(404).json({
+        success: false,
+        error: `Tenant '${resolved}' is not provisioned`
+      });
+    }
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: `Tenant resolution error: ${error.message}`
+    });
+  }
+
+  req.tenantId = resolved;
+  tenantContext.run(resolved, () => next());
+};
+
+/**
+ * Middleware to restrict tenant administration to privileged roles (SENSITIVE_FIELD_ROLES),
+ * since it lists every tenant and can delete a tenant's data
+ */
+const requirePrivilegedRole = (req, res, next) => {
+  if (!sensitiveFields.isPrivileged(req)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Tenant administration requires a privileged role'
+    });
+  }
+  next();
+};
+
+module.exports = {
+  resolveTenant,
+  requirePrivilegedRole
+};
@@ -76,7 +76,11 @@ const validateDynamicData = async (req, res, next) => {
     
     // Load validator and validate
     const schemaValidator = require('../utils/schemaValidator');
-    const validation = schemaValidator.validateData(req.schemaDefinition.jsonSchema, data);
+
+    // Computed and generated fields are filled in by DynamicCrudService, so they are not required here
+    const { jsonSchema } = req.schemaDefinition;
+    const serverFilled = schemaValidator.serverFilledFields(jsonSchema);
+    const validation = schemaValidator.validateRecord(req.schemaDefinition, data, { variant: 'request' });
     
     if (!validation.valid) {
       console.log('Validation failed');
@@ -88,6 +92,18 @@ const validateDynamicData = async (req, res, next) => {
       });
     }
 
+    // Check x-rules; rules that read server-filled fields are left to DynamicCrudService
+    const validationRules = require('../utils/validationRules');
+    const violations = validationRules.evaluate(jsonSchema, data, { skipFields: serverFilled });
+    if (violations.length > 0) {
+      console.log('Rule validation failed');
+      return res.status(400).json({
+        success: false,
+        error: 'Data validation failed',
+        details: violations
+      });
+    }
+
     // Attach validated data
     console.log('Validation passed, attaching data to request');
     req.validatedData = data;
@@ -173,6 +189,23 @@ const validatePagination = (req, res, next) => {
     });
   }
 };
+
+/**
+ * Validate semantic version parameter (major.minor.patch)
+ */
+const validateSemanticVersion = (req, res, next) => {
+  const { version } = req.params;
+
+  if (!/^\d+\.\d+\.\d+$/.test(version || '')) {
+    return res.status(400).json({
+      success: false,
+      error: 'Version must follow semantic versioning (major.minor.patch)'
+    });
+  }
+
+  next();
+};
+
 /**
  * Validate schema definition (for schema creation/updates)
  */
@@ -202,8 +235,12 @@ const validateSchemaDefinition = (req, res, next) => {
     }
 
     // Validate JSON Schema structure
+    // Schemas that build on stored schemas are validated by SchemaService once their parents are resolved
     const schemaValidator = require('../utils/schemaValidator');
-    const validation = schemaValidator.validateSchema(jsonSchema);
+    const schemaInheritance = require('../utils/schemaInheritance');
+    const validation = schemaInheritance.hasParents(jsonSchema)
+      ? { valid: true, errors: [] }
+      : schemaValidator.validateSchema(jsonSchema);
     
     if (!validation.valid) {
       const errors = validation.errors.map(e => e.message);
@@ -229,5 +266,6 @@ module.exports = {
   validateDynamicData,
   validateRecordId,
   validatePagination,
+  validateSemanticVersion,
   validateSchemaDefinition
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
 
 const AuditLogSchema = new mongoose.Schema({
   // Reference to the document that was changed
@@ -105,6 +106,8 @@ const AuditLogSchema = new mongoose.Schema({
 });
 
 // Compound indexes for better query performance
+AuditLogSchema.plugin(tenantScope);
+AuditLogSchema.index({ tenantId: 1, schemaName: 1, timestamp: -1 });
 AuditLogSchema.index({ documentId: 1, timestamp: -1 });
 AuditLogSchema.index({ schemaName: 1, timestamp: -1 });
 AuditLogSchema.index({ operation: 1, timestamp: -1 });
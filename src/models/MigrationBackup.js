@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
+
+const MigrationBackupSchema = new mongoose.Schema({
+  // Migration that touched the record
+  migrationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SchemaMigration',
+    required: true,
+    index: true
+  },
+
+  // Record that was rewritten
+  documentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+
+  // Original values of the fields the migration changed
+  values: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Fields the migration created that did not exist before
+  missing: [{
+    type: String
+  }]
+}, {
+  timestamps: false,
+  collection: 'schema_migration_backups'
+});
+
+MigrationBackupSchema.plugin(tenantScope);
+
+module.exports = mongoose.model('MigrationBackup', MigrationBackupSchema);
@@ -1,10 +1,13 @@
 const mongoose = require('mongoose');
+const tenantContext = require('../utils/tenantContext');
+const tenantScope = require('../utils/tenantScope');
+const schemaRelationships = require('../utils/schemaRelationships');
 
 const SchemaDefinitionSchema = new mongoose.Schema({
+  // Unique per tenant (see the index below)
   name: {
     type: String,
     required: true,
-    unique: true,
     lowercase: true,
     trim: true,
     match: [/^[a-z][a-z0-9_]*$/, 'Schema name must start with letter and contain only lowercase letters, numbers, and underscores']
@@ -51,6 +54,16 @@ const SchemaDefinitionSchema = new mongoose.Schema({
       message: 'jsonSchema must be a valid JSON Schema with type "object", properties, and valid field types or $ref'
     }
   },
+  // jsonSchema as authored when it builds on other schemas (x-extends / allOf);
+  // jsonSchema then holds the flattened effective schema
+  sourceSchema: {
+    type: Object,
+    default: null
+  },
+  // Stored schemas this schema inherits from
+  parents: [{
+    type: String
+  }],
   // Track relationships between schemas for change propagation
   relationships: [{
     field: {
@@ -75,10 +88,30 @@ const SchemaDefinitionSchema = new mongoose.Schema({
     type: String,
     default: '1.0.0'
   },
+  // Compatibility rule enforced when the jsonSchema is updated
+  compatibility: {
+    type: String,
+    enum: ['none', 'backward', 'forward', 'full'],
+    default: 'none'
+  },
   isActive: {
     type: Boolean,
     default: true
   },
+  // Set when the schema is moved to the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: String,
+    default: null
+  },
+  // Set by hot reloads so every instance rebuilds its model
+  reloadedAt: {
+    type: Date,
+    default: null
+  },
   collectionName: {
     type: String,
     required: false // Auto-generated by pre-save middleware
@@ -93,6 +126,9 @@ const SchemaDefinitionSchema = new mongoose.Schema({
   }
 });
 
+SchemaDefinitionSchema.plugin(tenantScope);
+SchemaDefinitionSchema.index({ tenantId: 1, name: 1 }, { unique: true });
+
 // Update the updatedAt field before saving
 SchemaDefinitionSchema.pre('save', function(next) {
   if (this.isModified()) {
@@ -105,7 +141,7 @@ SchemaDefinitionSchema.pre('save', function(next) {
 SchemaDefinitionSchema.pre('save', function(next) {
   // Always ensure collectionName is set
   if (!this.collectionName || this.isNew || this.isModified('name')) {
-    this.collectionName = `dynamic_${this.name}`;
+    this.collectionName = tenantContext.collectionName(this.name, this.tenantId);
   }
   next();
 });
@@ -113,61 +149,14 @@ SchemaDefinitionSchema.pre('save', function(next) {
 // Extract relationships from JSON Schema
 SchemaDefinitionSchema.pre('save', function(next) {
   if (this.jsonSchema && this.jsonSchema.properties) {
-    const relationships = [];
-    
-    for (const [fieldName, fieldDef] of Object.entries(this.jsonSchema.properties)) {
-      // Check for x-ref property (new approach)
-      if (fieldDef['x-ref']) {
-        relationships.push({
-          field: fieldName,
-          referencedSchema: fieldDef['x-ref'],
-          referenceType: fieldDef['x-ref-type'] === 'array' || fieldDef.type === 'array' ? 'array_reference' : 'reference',
-          isRequired: this.jsonSchema.required && this.jsonSchema.required.includes(fieldName)
-        });
-      }
-      
-      // Check array items for x-ref
-      if (fieldDef.type === 'array' && fieldDef.items && fieldDef.items['x-ref']) {
-        relationships.push({
-          field: fieldName,
-          referencedSchema: fieldDef.items['x-ref'],
-          referenceType: 'array_reference',
-          isRequired: this.jsonSchema.required && this.jsonSchema.required.includes(fieldName)
-        });
-      }
-      
-      // Keep backward compatibility with $ref
-      if (fieldDef.$ref) {
-        const refPath = fieldDef.$ref;
-        let referencedSchema = '';
-        
-        if (refPath.startsWith('#/definitions/')) {
-          referencedSchema = refPath.replace('#/definitions/', '');
-        } else if (refPath.startsWith('#/')) {
-          referencedSchema = refPath.replace('#/', '');
-        } else {
-          referencedSchema = refPath;
-        }
-        
-        if (referencedSchema) {
-          relationships.push({
-            field: fieldName,
-            referencedSchema: referencedSchema,
-            referenceType: fieldDef.items ? 'array_reference' : 'reference',
-            isRequired: this.jsonSchema.required && this.jsonSchema.required.includes(fieldName)
-          });
-        }
-      }
-    }
-    
-    this.relationships = relationships;
+    this.relationships = schemaRelationships.extract(this.jsonSchema);
   }
   next();
 });
 
 // Virtual for collection name (read-only)
 SchemaDefinitionSchema.virtual('collectionNameVirtual').get(function() {
-  return this.collectionName || `dynamic_${this.name}`;
+  return this.collectionName || tenantContext.collectionName(this.name, this.tenantId);
 });
 
 // Ensure virtual fields are serialized
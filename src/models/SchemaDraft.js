@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
+
+const SchemaDraftSchema = new mongoose.Schema({
+  // Schema the draft will be published to (one draft per schema)
+  schemaName: {
+    type: String,
+    required: true
+  },
+
+  // Proposed definition, as authored (x-extends / allOf are resolved when used)
+  displayName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  description: {
+    type: String,
+    trim: true
+  },
+
+  jsonSchema: {
+    type: Object,
+    required: true
+  },
+
+  compatibility: {
+    type: String,
+    enum: ['none', 'backward', 'forward', 'full']
+  },
+
+  // Field renames applied by the data migration on publish ({ oldField: newField })
+  renames: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // Version of the schema the draft was started from
+  baseVersion: {
+    type: String,
+    required: true
+  },
+
+  // 'publishing' while a publish holds the draft
+  status: {
+    type: String,
+    enum: ['draft', 'publishing'],
+    default: 'draft'
+  },
+
+  publishingAt: {
+    type: Date,
+    default: null
+  },
+
+  // User who started the draft and the last user who changed it
+  authoredBy: {
+    type: String,
+    default: null
+  },
+
+  updatedBy: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  collection: 'schema_drafts'
+});
+
+SchemaDraftSchema.plugin(tenantScope);
+SchemaDraftSchema.index({ tenantId: 1, schemaName: 1 }, { unique: true });
+
+module.exports = mongoose.model('SchemaDraft', SchemaDraftSchema);
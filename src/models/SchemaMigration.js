@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
+
+const SchemaMigrationSchema = new mongoose.Schema({
+  // Schema whose records were migrated
+  schemaName: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Collection holding the migrated records
+  collectionName: {
+    type: String,
+    required: true
+  },
+
+  // Lifecycle of the migration
+  status: {
+    type: String,
+    enum: ['running', 'applied', 'failed', 'rolled_back'],
+    default: 'running',
+    index: true
+  },
+
+  // Ordered migration steps derived from the schema diff
+  steps: [{
+    type: mongoose.Schema.Types.Mixed
+  }],
+
+  // Changes that could not be turned into a data migration step
+  warnings: [{
+    type: String
+  }],
+
+  // JSON Schema before and after the migration (used for rollback)
+  fromJsonSchema: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  toJsonSchema: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Per-step counts and validation summary
+  report: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  error: {
+    type: String,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  completedAt: {
+    type: Date,
+    default: null
+  },
+
+  rolledBackAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: false,
+  collection: 'schema_migrations'
+});
+
+SchemaMigrationSchema.plugin(tenantScope);
+SchemaMigrationSchema.index({ tenantId: 1, schemaName: 1, startedAt: -1 });
+
+module.exports = mongoose.model('SchemaMigration', SchemaMigrationSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
+
+const SchemaRevisionSchema = new mongoose.Schema({
+  // Schema this revision belongs to
+  schemaName: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Semantic version of the definition
+  version: {
+    type: String,
+    required: true,
+    match: [/^\d+\.\d+\.\d+$/, 'Version must follow semantic versioning (major.minor.patch)']
+  },
+
+  // Snapshot of the definition at this version
+  displayName: {
+    type: String,
+    required: true
+  },
+
+  description: {
+    type: String
+  },
+
+  jsonSchema: {
+    type: Object,
+    required: true
+  },
+
+  // How the version was bumped from the previous revision
+  changeType: {
+    type: String,
+    enum: ['initial', 'major', 'minor', 'patch'],
+    required: true
+  },
+
+  // Summary of what changed compared to the previous revision
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Compatibility check outcome ({ mode, forced, issues }) when the change was checked
+  compatibilityCheck: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+
+  // User who made the change (if available)
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  // User who wrote the definition (the draft author) and the user who made it live
+  authoredBy: {
+    type: String,
+    default: null
+  },
+
+  publishedBy: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  collection: 'schema_revisions'
+});
+
+SchemaRevisionSchema.plugin(tenantScope);
+SchemaRevisionSchema.index({ tenantId: 1, schemaName: 1, version: 1 }, { unique: true });
+SchemaRevisionSchema.index({ schemaName: 1, createdAt: -1 });
+
+// Revisions are immutable once written
+SchemaRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Schema revisions are immutable'));
+  }
+  next();
+});
+
+SchemaRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], function(next) {
+  next(new Error('Schema revisions are immutable'));
+});
+
+module.exports = mongoose.model('SchemaRevision', SchemaRevisionSchema);
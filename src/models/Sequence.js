@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const tenantScope = require('../utils/tenantScope');
+
+const SequenceSchema = new mongoose.Schema({
+  // Schema the sequence belongs to
+  schemaName: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Field the sequence generates values for
+  field: {
+    type: String,
+    required: true
+  },
+
+  // Counter period ('' for sequences that never reset, the year for yearly sequences)
+  period: {
+    type: String,
+    default: ''
+  },
+
+  // Number of values issued in the period (the last issued number is start + value - 1)
+  value: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true,
+  collection: 'schema_sequences'
+});
+
+// One counter per schema, field and period
+SequenceSchema.plugin(tenantScope);
+SequenceSchema.index({ tenantId: 1, schemaName: 1, field: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Sequence', SequenceSchema);
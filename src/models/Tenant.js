@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const TenantSchema = new mongoose.Schema({
+  tenantId: {
+    type: String,
+    required: true,
+    unique: true,
+    match: [/^[a-z][a-z0-9-]{0,39}$/, 'Tenant ID must start with a letter and contain only lowercase letters, numbers and hyphens (max 40)']
+  },
+
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+
+  // 'deprovisioning' while the tenant's data is being removed; requests are refused
+  status: {
+    type: String,
+    enum: ['active', 'deprovisioning'],
+    default: 'active'
+  },
+
+  createdBy: {
+    type: String,
+    default: null
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: false,
+  collection: 'tenants'
+});
+
+module.exports = mongoose.model('Tenant', TenantSchema);
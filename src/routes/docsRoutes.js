@@ -0,0 +1,17 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const docsController = require('../controllers/docsController');
+const { resolveTenant } = require('../middleware/tenant');
+
+const router = express.Router();
+
+// OpenAPI document of the tenant's schemas
+router.get('/openapi.json', resolveTenant, docsController.getOpenApiJson);
+router.get('/openapi.yaml', resolveTenant, docsController.getOpenApiYaml);
+
+// Swagger UI, loading the generated document
+router.use('/', swaggerUi.serve, swaggerUi.setup(null, {
+  swaggerOptions: { url: '/api/docs/openapi.json' }
+}));
+
+module.exports = router;
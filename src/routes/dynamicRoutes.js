@@ -13,6 +13,7 @@ router.get('/:schemaName/count', schemaExists(), dynamicController.getRecordCoun
 router.get('/:schemaName/search', schemaExists(), validatePagination, dynamicController.searchRecords);
 router.get('/:schemaName/stats', schemaExists(), dynamicController.getRecordStats);
 router.post('/:schemaName/bulk', schemaExists(), dynamicController.bulkCreateRecords);
+router.get('/:schemaName/options/:field', schemaExists(), dynamicController.getFieldOptions);
 
 // Parameterized routes LAST
 router.get('/:schemaName', validatePagination, schemaExists(), dynamicController.getRecords);
@@ -0,0 +1,14 @@
+const express = require('express');
+const graphqlController = require('../controllers/graphqlController');
+const { captureAuditContext } = require('../middleware/Audit');
+
+const router = express.Router();
+
+// Capture the user making changes through mutations
+router.use(captureAuditContext);
+
+// Execute GraphQL queries (GET and POST) and mutations (POST)
+router.get('/', graphqlController.executeRequest);
+router.post('/', graphqlController.executeRequest);
+
+module.exports = router;
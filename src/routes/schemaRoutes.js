@@ -1,12 +1,34 @@
 const express = require('express');
 const schemaController = require('../controllers/schemaController');
-const { validateSchemaDefinition } = require('../middleware/validateSchema');
+const migrationController = require('../controllers/migrationController');
+const draftController = require('../controllers/draftController');
+const sdkController = require('../controllers/sdkController');
+const {
+  validateSchemaDefinition,
+  validateRecordId,
+  validatePagination,
+  validateSemanticVersion
+} = require('../middleware/validateSchema');
+const { captureAuditContext } = require('../middleware/Audit');
 
 const router = express.Router();
 
-// Get all schemas
+// Capture the user making schema changes
+router.use(captureAuditContext);
+
+// Get all schemas (?deleted=true lists the trash)
 router.get('/', schemaController.getAllSchemas);
 
+// Purge trashed schemas past their retention window
+router.post('/trash/purge', schemaController.purgeExpiredSchemas);
+
+// Get the reference graph between schemas
+router.get('/graph', schemaController.getSchemaGraph);
+
+// Get the TypeScript SDK generated from the schemas (?schemas=order,customer@1.2.0)
+router.get('/sdk', sdkController.getSdk);
+router.get('/sdk/:file', sdkController.getSdkFile);
+
 // Get schema by name
 router.get('/:name', schemaController.getSchemaByName);
 
@@ -16,15 +38,81 @@ router.post('/', validateSchemaDefinition, schemaController.createSchema);
 // Update schema
 router.put('/:name', validateSchemaDefinition, schemaController.updateSchema);
 
-// Delete schema (soft delete)
+// Delete schema (soft delete; ?cascade=true also trashes the schemas referencing it)
 router.delete('/:name', schemaController.deleteSchema);
 
+// Restore schema from trash
+router.post('/:name/restore', schemaController.restoreSchema);
+
+// Rename schema (moves its collection, records, audit logs and the references to it)
+router.post('/:name/rename', schemaController.renameSchema);
+
+// Permanently delete a trashed schema and drop its collection
+router.delete('/:name/purge', schemaController.purgeSchema);
+
 // Hot reload schema
 router.post('/:name/reload', schemaController.hotReloadSchema);
 
 // Get schema statistics
 router.get('/:name/stats', schemaController.getSchemaStats);
 
+// Get declared vs actual indexes
+router.get('/:name/indexes', schemaController.getSchemaIndexes);
+
+// Reconcile indexes with their declarations
+router.post('/:name/indexes/sync', schemaController.syncSchemaIndexes);
+
+// Get sequence counters
+router.get('/:name/sequences', schemaController.getSchemaSequences);
+
+// Reset a sequence counter
+router.post('/:name/sequences/:field/reset', schemaController.resetSchemaSequence);
+
+// Check a proposed schema change against the compatibility mode
+router.post('/:name/compatibility', schemaController.checkCompatibility);
+
+// Get schema version history
+router.get('/:name/versions', schemaController.getSchemaVersions);
+
+// Diff two schema versions (before the :version route)
+router.get('/:name/versions/diff', schemaController.diffSchemaVersions);
+
+// Get a specific schema version
+router.get('/:name/versions/:version', validateSemanticVersion, schemaController.getSchemaVersion);
+
+// Get the draft of a schema
+router.get('/:name/draft', draftController.getDraft);
+
+// Create or replace the draft of a schema
+router.put('/:name/draft', validateSchemaDefinition, draftController.saveDraft);
+
+// Discard the draft of a schema
+router.delete('/:name/draft', draftController.discardDraft);
+
+// Check existing records against the draft
+router.post('/:name/draft/validate', draftController.validateDraft);
+
+// Preview the record API generated from the draft
+router.get('/:name/draft/preview', draftController.previewDraft);
+
+// Publish the draft as the next schema version
+router.post('/:name/draft/publish', draftController.publishDraft);
+
+// Preview the data migration for a proposed schema change
+router.post('/:name/migrations/preview', migrationController.previewMigration);
+
+// Convert existing records to BSON storage types (dates, references, decimals)
+router.post('/:name/migrations/storage', migrationController.migrateStorage);
+
+// Get migration history
+router.get('/:name/migrations', validatePagination, migrationController.getMigrations);
+
+// Get a single migration
+router.get('/:name/migrations/:migrationId', validateRecordId('migrationId'), migrationController.getMigration);
+
+// Roll back a migration
+router.post('/:name/migrations/:migrationId/rollback', validateRecordId('migrationId'), migrationController.rollbackMigration);
+
 // Validate schema definition
 router.post('/validate', schemaController.validateSchemaDefinition);
 
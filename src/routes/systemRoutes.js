@@ -12,6 +12,9 @@ router.get('/info', systemController.getSystemInfo);
 // Database statistics
 router.get('/stats/database', systemController.getDatabaseStats);
 
+// Validator cache statistics
+router.get('/stats/validators', systemController.getValidatorStats);
+
 // API statistics
 router.get('/stats/api', systemController.getApiStats);
 
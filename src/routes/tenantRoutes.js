@@ -0,0 +1,18 @@
+const express = require('express');
+const tenantController = require('../controllers/tenantController');
+
+const router = express.Router();
+
+// List tenants
+router.get('/', tenantController.getTenants);
+
+// Provision a tenant
+router.post('/', tenantController.provisionTenant);
+
+// Get a tenant
+router.get('/:tenantId', tenantController.getTenant);
+
+// Deprovision a tenant and delete its data (?confirm=<tenantId>)
+router.delete('/:tenantId', tenantController.deprovisionTenant);
+
+module.exports = router;
@@ -9,12 +9,15 @@ const schemaRoutes = require('./routes/schemaRoutes');
 const dynamicRoutes = require('./routes/dynamicRoutes');
 const auditRoutes = require('./routes/auditRoutes'); // Add audit routes
 const systemRoutes = require('./routes/systemRoutes');
+const tenantRoutes = require('./routes/tenantRoutes');
+const docsRoutes = require('./routes/docsRoutes');
+const graphqlRoutes = require('./routes/graphqlRoutes');
+const { resolveTenant, requirePrivilegedRole } = require('./middleware/tenant');
+const { redactSensitiveResponses } = require('./middleware/redactSensitive');
 const SchemaService = require('./services/SchemaService');
 const ChangeStreamService = require('./services/ChangeStreamService'); // Add change stream service
-const swaggerUi = require('swagger-ui-express');
-const fs = require('fs');
-const path = require('path');
-const YAML = require('yaml');
+const SchemaRegistry = require('./services/SchemaRegistry');
+const TenantService = require('./services/TenantService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -28,16 +31,32 @@ const initializeServer = async () => {
     console.log('📡 Connecting to MongoDB...');
     await connectDB();
     console.log('✅ MongoDB connected');
+
+    // Assign data from before tenants existed to the default tenant
+    await TenantService.initialize();
     
     // Initialize dynamic models for existing schemas
     console.log('🔧 Initializing dynamic models...');
     await SchemaService.initializeDynamicModels();
     console.log('✅ Dynamic models initialized');
+
+    // Keep the schema registry and provisioned tenants in sync with other instances
+    SchemaRegistry.watch();
+    TenantService.watch();
     
     // Initialize change streams for audit trail
     console.log('🔍 Initializing change streams for audit trail...');
     await ChangeStreamService.initialize();
     console.log('✅ Change streams initialized');
+
+    // Purge trashed schemas past their retention window, then once a day
+    const purgeExpiredSchemas = () => TenantService.forEachTenant(() => SchemaService.purgeExpiredSchemas());
+    await purgeExpiredSchemas();
+    setInterval(() => {
+      purgeExpiredSchemas().catch(error => {
+        console.error('❌ Scheduled schema purge failed:', error);
+      });
+    }, 24 * 60 * 60 * 1000).unref();
     
     console.log('✅ Server initialization completed successfully');
   } catch (error) {
@@ -54,6 +73,8 @@ const gracefulShutdown = async () => {
     // Shutdown change streams
     console.log('🔍 Shutting down change streams...');
     await ChangeStreamService.shutdown();
+    await SchemaRegistry.close();
+    await TenantService.close();
     console.log('✅ Change streams shut down');
     
     // Close database connection
@@ -90,6 +111,9 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// Mask x-sensitive fields in every JSON response for callers without a privileged role
+app.use(redactSensitiveResponses);
+
 // Request timeout middleware
 app.use((req, res, next) => {
   req.setTimeout(30000, () => {
@@ -102,34 +126,16 @@ app.use((req, res, next) => {
 });
 
 // Routes
-app.use('/api/schemas', schemaRoutes);
-app.use('/api/data', dynamicRoutes);
-app.use('/api/audit', auditRoutes); // Add audit routes
+app.use('/api/schemas', resolveTenant, schemaRoutes);
+app.use('/api/data', resolveTenant, dynamicRoutes);
+app.use('/api/audit', resolveTenant, auditRoutes); // Add audit routes
+app.use('/api/tenants', requirePrivilegedRole, tenantRoutes);
+app.use('/graphql', resolveTenant, graphqlRoutes);
 app.use('/api/system', systemRoutes);
 
-// Swagger UI docs
-try {
-  const openapiPath = path.join(__dirname, '..', 'documentation', 'openapi.yaml');
-  const file = fs.readFileSync(openapiPath, 'utf8');
-  const swaggerDocument = YAML.parse(file);
-  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(swaggerDocument));
-  console.log('📚 Swagger UI available at /api/docs');
-} catch (e) {
-  console.warn('⚠️  Failed to load Swagger docs:', e.message);
-  // Mount fallback minimal docs so the route still works
-  const fallbackDoc = {
-    openapi: '3.0.3',
-    info: {
-      title: 'Craftsman Dynamic Backend API (Fallback Docs)',
-      version: '1.0.0',
-      description: 'OpenAPI file missing or invalid. Ensure documentation/openapi.yaml exists.'
-    },
-    servers: [{ url: `http://localhost:${PORT}` }],
-    paths: {}
-  };
-  app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(fallbackDoc));
-  console.log('📚 Swagger UI (fallback) available at /api/docs');
-}
+// Swagger UI docs, generated from documentation/openapi.yaml and the active schemas
+app.use('/api/docs', docsRoutes);
+console.log('📚 Swagger UI available at /api/docs');
 
 // Root endpoint with updated information
 app.get('/', (req, res) => {
@@ -147,6 +153,8 @@ app.get('/', (req, res) => {
       schemas: '/api/schemas',
       data: '/api/data',
       audit: '/api/audit',
+      tenants: '/api/tenants',
+      graphql: '/graphql',
       system: '/api/system',
       health: '/api/system/health'
     },
@@ -1,6 +1,11 @@
 const AuditLog = require('../models/AuditLog');
 const CollectionGenerator = require('./CollectionGenerator');
 const SchemaService = require('./SchemaService');
+const objectPaths = require('../utils/objectPaths');
+const fieldEncryption = require('../utils/fieldEncryption');
+const sensitiveFields = require('../utils/sensitiveFields');
+
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', '_schemaName'];
 
 class AuditService {
   /**
@@ -17,14 +22,17 @@ class AuditService {
         schemaName,
         collectionName,
         operation,
-        previousState,
-        currentState,
         userId,
         userAgent,
         ipAddress,
         metadata = {}
       } = auditData;
 
+      // Sensitive fields are stored as hashes, which still show whether they changed
+      const schema = await SchemaService.getSchemaByName(schemaName);
+      const previousState = sensitiveFields.hashRecord(schema && schema.jsonSchema, auditData.previousState);
+      const currentState = sensitiveFields.hashRecord(schema && schema.jsonSchema, auditData.currentState);
+
       // Calculate version number
       const latestVersion = await this.getLatestVersion(documentId, schemaName);
       const version = latestVersion + 1;
@@ -103,7 +111,7 @@ class AuditService {
       .lean();
 
     return {
-      auditLogs,
+      auditLogs: await this.decryptStates(auditLogs),
       pagination: {
         currentPage: page,
         totalPages,
@@ -161,7 +169,7 @@ class AuditService {
       .lean();
 
     return {
-      auditLogs,
+      auditLogs: await this.decryptStates(auditLogs),
       pagination: {
         currentPage: page,
         totalPages,
@@ -221,7 +229,11 @@ class AuditService {
       const currentState = currentDocument.toObject();
 
       // Prepare revert data (exclude system fields from target state)
+      // Sensitive fields were audited as hashes and keep their current values
       const revertData = { ...targetState };
+      for (const [field, value] of Object.entries(revertData)) {
+        if (sensitiveFields.isHash(value)) delete revertData[field];
+      }
       delete revertData._id;
       delete revertData.__v;
       delete revertData.createdAt;
@@ -260,8 +272,9 @@ class AuditService {
 
       console.log('✅ Document reverted successfully');
 
+      const schema = await SchemaService.getSchemaByName(schemaName);
       return {
-        document: revertedDocument.toObject(),
+        document: fieldEncryption.decryptRecord(schema && schema.jsonSchema, revertedDocument.toObject()),
         auditLog: revertAuditLog,
         revertedFromVersion: targetVersion
       };
@@ -289,16 +302,46 @@ class AuditService {
       return null;
     }
 
+    const [decrypted] = await this.decryptStates([auditLog.toObject()]);
     return {
       version: auditLog.version,
       timestamp: auditLog.timestamp,
       operation: auditLog.operation,
-      state: auditLog.currentState,
+      state: decrypted.currentState,
       changedFields: auditLog.changedFields,
       metadata: auditLog.metadata
     };
   }
 
+  /**
+   * Decrypt the encrypted fields of audit snapshots for reading
+   * Snapshots are stored as the records were, with encrypted fields as ciphertexts
+   * @param {Array<Object>} auditLogs - Audit log entries (plain objects)
+   * @returns {Promise<Array<Object>>} - Entries with decrypted previousState and currentState
+   */
+  async decryptStates(auditLogs) {
+    const schemas = new Map();
+
+    const decrypted = [];
+    for (const auditLog of auditLogs) {
+      if (!schemas.has(auditLog.schemaName)) {
+        schemas.set(auditLog.schemaName, await SchemaService.getSchemaByName(auditLog.schemaName));
+      }
+      const schema = schemas.get(auditLog.schemaName);
+      if (!schema || fieldEncryption.getEncryptedFields(schema.jsonSchema).length === 0) {
+        decrypted.push(auditLog);
+        continue;
+      }
+
+      decrypted.push({
+        ...auditLog,
+        previousState: fieldEncryption.decryptRecord(schema.jsonSchema, auditLog.previousState),
+        currentState: fieldEncryption.decryptRecord(schema.jsonSchema, auditLog.currentState)
+      });
+    }
+    return decrypted;
+  }
+
   /**
    * Get audit statistics for a schema
    * @param {string} schemaName - Schema name
@@ -365,37 +408,13 @@ class AuditService {
 
   /**
    * Calculate changed fields between two states
+   * Nested objects are diffed down to their leaves using dot paths (e.g. address.city)
    * @param {Object} previousState - Previous document state
    * @param {Object} currentState - Current document state
    * @returns {Array} - Array of changed fields
    */
   calculateChangedFields(previousState, currentState) {
-    const changedFields = [];
-    const allFields = new Set([
-      ...Object.keys(previousState || {}),
-      ...Object.keys(currentState || {})
-    ]);
-
-    for (const field of allFields) {
-      // Skip system fields
-      if (['_id', '__v', 'createdAt', 'updatedAt', '_schemaName'].includes(field)) {
-        continue;
-      }
-
-      const oldValue = previousState[field];
-      const newValue = currentState[field];
-
-      // Deep comparison for objects and arrays
-      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
-        changedFields.push({
-          field,
-          oldValue,
-          newValue
-        });
-      }
-    }
-
-    return changedFields;
+    return objectPaths.diff(previousState, currentState, { skip: SYSTEM_FIELDS });
   }
 
   /**
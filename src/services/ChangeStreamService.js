@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const AuditService = require('./AuditService');
 const SchemaService = require('./SchemaService');
+const SchemaRegistry = require('./SchemaRegistry');
+const tenantContext = require('../utils/tenantContext');
 
 class ChangeStreamService {
   constructor() {
@@ -20,8 +22,8 @@ class ChangeStreamService {
     try {
       console.log('📡 Initializing change streams...');
       
-      // Get all active schemas
-      const schemas = await SchemaService.getAllSchemas({ active: true });
+      // Get all active schemas of every tenant
+      const schemas = await tenantContext.runAsSystem(() => SchemaService.getAllSchemas({ active: true }));
       
       // Initialize change stream for each schema
       for (const schema of schemas) {
@@ -30,6 +32,16 @@ class ChangeStreamService {
       
       // Watch for new collections (when new schemas are created)
       this.initializeGlobalChangeStream();
+
+      // Follow schemas created or deleted on other instances
+      SchemaRegistry.on('schemaChanged', schema => {
+        if (this.changeStreams.has(this.keyOf(schema))) return;
+        this.addSchemaChangeStream(schema).catch(() => {});
+      });
+      SchemaRegistry.on('schemaRemoved', schema => {
+        if (!this.changeStreams.has(this.keyOf(schema))) return;
+        this.removeSchemaChangeStream(schema.name, schema.tenantId).catch(() => {});
+      });
       
       this.isInitialized = true;
       console.log(`✅ Initialized change streams for ${schemas.length} schemas`);
@@ -46,6 +58,7 @@ class ChangeStreamService {
    */
   async initializeSchemaChangeStream(schema) {
     const collectionName = schema.collectionName;
+    const key = this.keyOf(schema);
     
     try {
       console.log(`📡 Setting up change stream for collection: ${collectionName}`);
@@ -66,25 +79,25 @@ class ChangeStreamService {
         fullDocumentBeforeChange: 'whenAvailable'
       });
       
-      // Handle change events
+      // Handle change events in the schema's tenant, so audit logs are written to it
       changeStream.on('change', async (change) => {
-        await this.handleChangeEvent(change, schema);
+        await tenantContext.run(schema.tenantId, () => this.handleChangeEvent(change, schema));
       });
       
       // Handle errors
       changeStream.on('error', (error) => {
         console.error(`❌ Change stream error for ${collectionName}:`, error);
-        this.handleChangeStreamError(schema.name, error);
+        this.handleChangeStreamError(key, error);
       });
       
       // Handle close
       changeStream.on('close', () => {
         console.log(`📡 Change stream closed for ${collectionName}`);
-        this.changeStreams.delete(schema.name);
+        this.changeStreams.delete(key);
       });
       
       // Store the change stream
-      this.changeStreams.set(schema.name, {
+      this.changeStreams.set(key, {
         changeStream,
         schema,
         collectionName,
@@ -204,15 +217,16 @@ class ChangeStreamService {
       const collectionName = change.ns.coll;
       
       // Check if this is a new dynamic collection
-      if (collectionName.startsWith('dynamic_')) {
-        const schemaName = collectionName.replace('dynamic_', '');
+      const parsed = tenantContext.parseCollectionName(collectionName);
+      if (parsed) {
+        const { tenantId, schemaName } = parsed;
         
         // Check if we already have a change stream for this schema
-        if (!this.changeStreams.has(schemaName)) {
+        if (!this.changeStreams.has(tenantContext.scopedName(schemaName, tenantId))) {
           console.log(`🔍 New dynamic collection detected: ${collectionName}`);
           
           // Try to get the schema and initialize change stream
-          const schema = await SchemaService.getSchemaByName(schemaName);
+          const schema = await tenantContext.run(tenantId, () => SchemaService.getSchemaByName(schemaName));
           if (schema) {
             await this.initializeSchemaChangeStream(schema);
             console.log(`✅ Auto-initialized change stream for new schema: ${schemaName}`);
@@ -227,7 +241,7 @@ class ChangeStreamService {
 
   /**
    * Handle change stream errors with retry logic
-   * @param {string} schemaName - Schema name
+   * @param {string} schemaName - Tenant-scoped schema name
    * @param {Error} error - Error object
    */
   async handleChangeStreamError(schemaName, error) {
@@ -255,7 +269,8 @@ class ChangeStreamService {
         this.changeStreams.delete(schemaName);
         
         // Reinitialize
-        const schema = await SchemaService.getSchemaByName(schemaName);
+        const { name, tenantId } = streamInfo.schema;
+        const schema = await tenantContext.run(tenantId, () => SchemaService.getSchemaByName(name));
         if (schema) {
           await this.initializeSchemaChangeStream(schema);
           console.log(`✅ Successfully restarted change stream for ${schemaName}`);
@@ -288,7 +303,7 @@ class ChangeStreamService {
    */
   async addSchemaChangeStream(schema) {
     try {
-      if (this.changeStreams.has(schema.name)) {
+      if (this.changeStreams.has(this.keyOf(schema))) {
         console.log(`⚠️  Change stream already exists for ${schema.name}`);
         return;
       }
@@ -305,12 +320,14 @@ class ChangeStreamService {
   /**
    * Remove change stream for a schema
    * @param {string} schemaName - Schema name
+   * @param {string} tenantId - Tenant ID (defaults to the current tenant)
    */
-  async removeSchemaChangeStream(schemaName) {
+  async removeSchemaChangeStream(schemaName, tenantId = tenantContext.getTenantId()) {
+    const key = tenantContext.scopedName(schemaName, tenantId);
     try {
-      const streamInfo = this.changeStreams.get(schemaName);
+      const streamInfo = this.changeStreams.get(key);
       if (!streamInfo) {
-        console.log(`⚠️  No change stream found for ${schemaName}`);
+        console.log(`⚠️  No change stream found for ${key}`);
         return;
       }
       
@@ -320,16 +337,25 @@ class ChangeStreamService {
       }
       
       // Remove from map
-      this.changeStreams.delete(schemaName);
+      this.changeStreams.delete(key);
       
-      console.log(`✅ Removed change stream for ${schemaName}`);
+      console.log(`✅ Removed change stream for ${key}`);
       
     } catch (error) {
-      console.error(`❌ Error removing change stream for ${schemaName}:`, error);
+      console.error(`❌ Error removing change stream for ${key}:`, error);
       throw error;
     }
   }
 
+  /**
+   * Get the key of a schema's change stream
+   * @param {Object} schema - Schema definition ({ name, tenantId })
+   * @returns {string} - Tenant-scoped schema name
+   */
+  keyOf(schema) {
+    return tenantContext.scopedName(schema.name, schema.tenantId);
+  }
+
   /**
    * Get status of all change streams
    * @returns {Object} - Status information
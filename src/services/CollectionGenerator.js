@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const indexDeclarations = require('../utils/indexDeclarations');
+const storageTypes = require('../utils/storageTypes');
+const localizedFields = require('../utils/localizedFields');
+const fieldEncryption = require('../utils/fieldEncryption');
+const tenantContext = require('../utils/tenantContext');
 
 class CollectionGenerator {
   constructor() {
@@ -11,13 +16,7 @@ class CollectionGenerator {
    * @returns {Object} - Mongoose schema definition
    */
   generateMongooseSchema(jsonSchema) {
-    const mongooseSchema = {};
-
-    if (jsonSchema.properties) {
-      for (const [fieldName, fieldDef] of Object.entries(jsonSchema.properties)) {
-        mongooseSchema[fieldName] = this.convertFieldType(fieldDef);
-      }
-    }
+    const mongooseSchema = this.convertProperties(jsonSchema);
 
     // Add system fields
     mongooseSchema._schemaName = {
@@ -35,16 +34,57 @@ class CollectionGenerator {
       default: Date.now
     };
 
+    return mongooseSchema;
+  }
+
+  /**
+   * Convert the properties and required list of an object JSON Schema
+   * @param {Object} jsonSchema - Object JSON Schema
+   * @returns {Object} - Mongoose schema definition
+   */
+  convertProperties(jsonSchema) {
+    const definition = {};
+
+    if (jsonSchema.properties) {
+      for (const [fieldName, fieldDef] of Object.entries(jsonSchema.properties)) {
+        definition[fieldName] = this.convertFieldType(fieldDef);
+      }
+    }
+
     // Handle required fields from JSON Schema
     if (jsonSchema.required && Array.isArray(jsonSchema.required)) {
       for (const requiredField of jsonSchema.required) {
-        if (mongooseSchema[requiredField]) {
-          mongooseSchema[requiredField].required = true;
+        if (definition[requiredField]) {
+          definition[requiredField].required = true;
         }
       }
     }
 
-    return mongooseSchema;
+    return definition;
+  }
+
+  /**
+   * Build a sub-schema for a nested object with declared properties
+   * Subdocuments keep the shape of the JSON data (no _id) and keep undeclared
+   * keys unless the object sets additionalProperties: false
+   * @param {Object} fieldDef - Object JSON Schema
+   * @returns {mongoose.Schema} - Sub-schema
+   */
+  createSubSchema(fieldDef) {
+    return new mongoose.Schema(this.convertProperties(fieldDef), {
+      _id: false,
+      strict: fieldDef.additionalProperties === false
+    });
+  }
+
+  /**
+   * Check whether an object field declares properties to convert
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {boolean} - True if the field becomes a sub-schema
+   */
+  hasNestedProperties(fieldDef) {
+    return !!fieldDef && fieldDef.type === 'object' &&
+      !!fieldDef.properties && Object.keys(fieldDef.properties).length > 0;
   }
 
   /**
@@ -55,8 +95,33 @@ class CollectionGenerator {
   convertFieldType(fieldDef) {
     const mongooseField = {};
 
-    // Handle different JSON Schema types
-    switch (fieldDef.type) {
+    // Localized strings are stored as { locale: value } objects
+    if (localizedFields.isLocalized(fieldDef)) {
+      mongooseField.type = mongoose.Schema.Types.Mixed;
+      return mongooseField;
+    }
+
+    // Encrypted values are stored as ciphertext strings; constraints apply to the plaintext
+    if (fieldEncryption.isEncrypted(fieldDef)) {
+      mongooseField.type = String;
+      return mongooseField;
+    }
+
+    // Formats with a native BSON type take precedence over the JSON type
+    switch (storageTypes.typeOf(fieldDef) || fieldDef.type) {
+      case 'date':
+        mongooseField.type = Date;
+        break;
+
+      case 'objectId':
+        mongooseField.type = mongoose.Schema.Types.ObjectId;
+        mongooseField.ref = fieldDef['x-ref'];
+        break;
+
+      case 'decimal':
+        mongooseField.type = mongoose.Schema.Types.Decimal128;
+        break;
+
       case 'string':
         mongooseField.type = String;
         if (fieldDef.maxLength) mongooseField.maxlength = fieldDef.maxLength;
@@ -77,11 +142,17 @@ class CollectionGenerator {
         break;
 
       case 'array':
-        mongooseField.type = [this.convertFieldType(fieldDef.items || { type: 'string' })];
+        // Arrays of objects become document arrays
+        mongooseField.type = this.hasNestedProperties(fieldDef.items)
+          ? [this.createSubSchema(fieldDef.items)]
+          : [this.convertFieldType(storageTypes.itemsOf(fieldDef))];
         break;
 
       case 'object':
-        mongooseField.type = mongoose.Schema.Types.Mixed;
+        // Free-form objects stay Mixed
+        mongooseField.type = this.hasNestedProperties(fieldDef)
+          ? this.createSubSchema(fieldDef)
+          : mongoose.Schema.Types.Mixed;
         break;
 
       default:
@@ -101,11 +172,13 @@ class CollectionGenerator {
 
   /**
    * Create or update dynamic model for a schema
+   * Models are registered under the tenant-scoped schema name
    * @param {Object} schemaDefinition - Schema definition from database
    * @returns {Object} - Mongoose model
    */
   createDynamicModel(schemaDefinition) {
-    const { name, collectionName, jsonSchema } = schemaDefinition;
+    const { collectionName, jsonSchema } = schemaDefinition;
+    const name = tenantContext.scopedName(schemaDefinition.name, schemaDefinition.tenantId);
 
     // Remove existing model if it exists
     if (mongoose.models[name]) {
@@ -119,6 +192,11 @@ class CollectionGenerator {
       timestamps: false // We handle timestamps manually
     });
 
+    // Declared indexes (x-index, x-unique, x-sparse, x-indexes)
+    for (const { fields, options } of indexDeclarations.build(jsonSchema)) {
+      mongooseSchema.index(fields, options);
+    }
+
     // Add pre-save middleware to update timestamps
     mongooseSchema.pre('save', function(next) {
       if (this.isModified()) {
@@ -134,24 +212,76 @@ class CollectionGenerator {
     return model;
   }
 
+  /**
+   * Reconcile the indexes of a dynamic collection with its declarations
+   * Creates missing indexes and drops indexes that are no longer declared
+   * @param {string} schemaName - Name of the schema
+   * @returns {Promise<Object>} - Created and dropped indexes
+   */
+  async syncIndexes(schemaName) {
+    const model = this.getDynamicModel(schemaName);
+    if (!model) {
+      throw new Error(`Dynamic model for schema '${schemaName}' not found`);
+    }
+
+    const { toCreate } = await model.diffIndexes();
+    const dropped = await model.syncIndexes();
+
+    if (toCreate.length > 0 || dropped.length > 0) {
+      console.log(`🗂️  Synced indexes for ${schemaName}: ${toCreate.length} created, ${dropped.length} dropped`);
+    }
+
+    return { created: toCreate, dropped };
+  }
+
+  /**
+   * Compare the declared indexes of a dynamic collection with the actual ones
+   * @param {string} schemaName - Name of the schema
+   * @returns {Promise<Object>} - Declared, actual, missing and extra indexes
+   */
+  async getIndexStatus(schemaName) {
+    const model = this.getDynamicModel(schemaName);
+    if (!model) {
+      throw new Error(`Dynamic model for schema '${schemaName}' not found`);
+    }
+
+    const actual = await model.listIndexes().catch(error => {
+      if (error.codeName === 'NamespaceNotFound') return [];
+      throw error;
+    });
+    const { toCreate, toDrop } = await model.diffIndexes();
+
+    return {
+      declared: model.schema.indexes().map(([fields, options]) => ({ fields, options })),
+      actual: actual.map(({ v, ...index }) => index),
+      missing: toCreate,
+      extra: toDrop,
+      inSync: toCreate.length === 0 && toDrop.length === 0
+    };
+  }
+
   /**
    * Get dynamic model by schema name
    * @param {string} schemaName - Name of the schema
+   * @param {string} tenantId - Tenant ID (defaults to the current tenant)
    * @returns {Object|null} - Mongoose model or null if not found
    */
-  getDynamicModel(schemaName) {
-    return this.dynamicModels.get(schemaName) || mongoose.models[schemaName] || null;
+  getDynamicModel(schemaName, tenantId = tenantContext.getTenantId()) {
+    const name = tenantContext.scopedName(schemaName, tenantId);
+    return this.dynamicModels.get(name) || mongoose.models[name] || null;
   }
 
   /**
    * Remove dynamic model
    * @param {string} schemaName - Name of the schema
+   * @param {string} tenantId - Tenant ID (defaults to the current tenant)
    */
-  removeDynamicModel(schemaName) {
-    if (mongoose.models[schemaName]) {
-      delete mongoose.models[schemaName];
+  removeDynamicModel(schemaName, tenantId = tenantContext.getTenantId()) {
+    const name = tenantContext.scopedName(schemaName, tenantId);
+    if (mongoose.models[name]) {
+      delete mongoose.models[name];
     }
-    this.dynamicModels.delete(schemaName);
+    this.dynamicModels.delete(name);
   }
 
   /**
@@ -1,9 +1,22 @@
+const mongoose = require('mongoose');
 const CollectionGenerator = require('./CollectionGenerator');
 const SchemaService = require('./SchemaService');
 const AuditService = require('./AuditService');
 const schemaValidator = require('../utils/schemaValidator');
 const ReferenceResolver = require('./ReferenceResolver');
 const ChangePropagation = require('./ChangePropagation');
+const SequenceService = require('./SequenceService');
+const EnumSourceService = require('./EnumSourceService');
+const objectPaths = require('../utils/objectPaths');
+const storageTypes = require('../utils/storageTypes');
+const computedFields = require('../utils/computedFields');
+const generatedDefaults = require('../utils/generatedDefaults');
+const validationRules = require('../utils/validationRules');
+const localizedFields = require('../utils/localizedFields');
+const fieldEncryption = require('../utils/fieldEncryption');
+const sensitiveFields = require('../utils/sensitiveFields');
+
+const SYSTEM_FIELDS = ['_id', '__v', '_schemaName', 'createdAt', 'updatedAt'];
 
 class DynamicCrudService {
   /**
@@ -16,7 +29,8 @@ class DynamicCrudService {
   async createRecord(schemaName, data, auditContext = {}) {
     console.log('=== DynamicCrudService.createRecord START ===');
     console.log('SchemaName:', schemaName);
-    console.log('Data:', JSON.stringify(data, null, 2));
+    // Field names only: values may be encrypted or sensitive and must not reach the logs
+    console.log('Fields:', Object.keys(data || {}));
     
     try {
       console.log('Step 1: Getting schema...');
@@ -27,21 +41,38 @@ class DynamicCrudService {
         throw new Error(`Schema '${schemaName}' not found`);
       }
   
+      console.log('Step 1.5: Generating defaults and evaluating computed fields...');
+      computedFields.assertNotWritten(schema.jsonSchema, data);
+      data = this.prepareTranslations(schema.jsonSchema, data);
+      // Sequence numbers are allocated in step 2.8, once the record has been accepted
+      [data] = await SequenceService.apply(schemaName, schema.jsonSchema, [data], new Date(), { sequences: false });
+      data = computedFields.apply(schema.jsonSchema, data);
+      const pending = this.pendingFields(schema.jsonSchema, data);
+
       console.log('Step 2: Validating data...');
-      const validation = schemaValidator.validateData(schema.jsonSchema, data);
-      console.log('Validation result:', validation);
+      const validation = schemaValidator.validateRecord(schema, data, pending.length > 0 ? { variant: 'request' } : {});
+      console.log('Validation result:', validation.valid);
       
       if (!validation.valid) {
         const errors = schemaValidator.formatErrors(validation.errors);
         throw new Error(`Validation failed: ${errors.map(e => `${e.field}: ${e.message}`).join(', ')}`);
       }
 
+      console.log('Step 2.2: Checking rules...');
+      const ruleViolations = await this.checkRules(schemaName, schema.jsonSchema, data, { skipFields: pending });
+      if (ruleViolations.length > 0) {
+        throw validationRules.toError(ruleViolations);
+      }
+
       console.log('Step 2.5: Validating references...');
       const referenceValidation = await ReferenceResolver.validateReferences(schemaName, data);
       if (!referenceValidation.valid) {
         const errors = referenceValidation.errors.map(e => `${e.field}: ${e.message}`);
         throw new Error(`Reference validation failed: ${errors.join(', ')}`);
       }
+
+      console.log('Step 2.8: Allocating sequence numbers...');
+      [data] = await this.completeRecords(schemaName, schema, [data]);
   
       console.log('Step 3: Getting dynamic model...');
       const Model = CollectionGenerator.getDynamicModel(schemaName);
@@ -54,10 +85,9 @@ class DynamicCrudService {
   
       console.log('Step 4: Adding schema name to data...');
       data._schemaName = schemaName;
-      console.log('Data with schema name:', JSON.stringify(data, null, 2));
   
       console.log('Step 5: Creating record instance...');
-      const record = new Model(data);
+      const record = new Model(fieldEncryption.encryptRecord(schema.jsonSchema, data));
       console.log('Record instance created');
   
       console.log('Step 6: Saving record...');
@@ -88,8 +118,8 @@ class DynamicCrudService {
       }
   
       console.log('Step 8: Converting to object...');
-      const result = savedRecord.toObject();
-      console.log('Final result:', JSON.stringify(result, null, 2));
+      const result = storageTypes.serialize(schema.jsonSchema, savedRecord.toObject());
+      console.log('Created record:', String(result._id));
 
       console.log('Step 9: Tracking dependencies...');
       try {
@@ -99,6 +129,8 @@ class DynamicCrudService {
         console.warn('Failed to track dependencies:', dependencyError.message);
         // Don't fail the operation if dependency tracking fails
       }
+
+      await this.revalidateEnumSources(schemaName);
   
       return result;
     } catch (error) {
@@ -107,6 +139,142 @@ class DynamicCrudService {
     }
   }
 
+  /**
+   * Check the x-rules and enum sources of a schema against a record about to be written
+   * @param {string} schemaName - Schema name
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Record as it will be stored (JSON values)
+   * @param {Object} options - Options
+   * @param {string} options.recordId - Record being updated (does not conflict with itself)
+   * @param {Object} options.previous - Current state of the record being updated (JSON values)
+   * @param {Array<Object>} options.batch - Earlier records of the same bulk write
+   * @param {Array<string>} options.skipFields - Skip rules that read these fields (filled in by the server later)
+   * @param {Array<string>} options.onlyFields - Only check rules that read these fields (enum sources are not checked)
+   * @returns {Promise<Array>} - Violations as { field, rule, message }
+   */
+  async checkRules(schemaName, jsonSchema, record, options = {}) {
+    const { skipFields = [], onlyFields = null } = options;
+    const violations = [
+      ...validationRules.evaluate(jsonSchema, record, { skipFields, onlyFields }),
+      ...(onlyFields ? [] : await EnumSourceService.check(jsonSchema, record, { previous: options.previous }))
+    ];
+    const uniqueRules = validationRules.getUniqueRules(jsonSchema)
+      .filter(rule => !rule.fields.some(field => skipFields.includes(field)))
+      .filter(rule => !onlyFields || rule.fields.some(field => onlyFields.includes(field)));
+    if (uniqueRules.length === 0) {
+      return violations;
+    }
+
+    const Model = CollectionGenerator.getDynamicModel(schemaName);
+    const properties = jsonSchema.properties || {};
+
+    for (const rule of uniqueRules) {
+      // Records without every unique and scope field are not constrained
+      if (rule.fields.some(field => record[field] === undefined || record[field] === null)) continue;
+
+      const key = JSON.stringify(rule.fields.map(field => record[field]));
+      const inBatch = (options.batch || []).some(other => JSON.stringify(rule.fields.map(field => other[field])) === key);
+
+      const filter = { _schemaName: schemaName };
+      for (const field of rule.fields) {
+        filter[field] = storageTypes.toStorage(properties[field], record[field], field);
+      }
+      if (options.recordId) {
+        filter._id = { $ne: options.recordId };
+      }
+
+      if (inBatch || (Model && await Model.exists(fieldEncryption.encryptFilter(jsonSchema, filter)))) {
+        violations.push(validationRules.violation(rule));
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Get the server-filled fields a new record is still missing: sequence fields, whose numbers
+   * are only allocated once the record has been accepted, and the computed fields reading them
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - New record
+   * @returns {Array<string>} - Field names
+   */
+  pendingFields(jsonSchema, record) {
+    if (generatedDefaults.getSequenceFields(jsonSchema).length === 0) return [];
+    return schemaValidator.serverFilledFields(jsonSchema).filter(field => record[field] === undefined);
+  }
+
+  /**
+   * Allocate the sequence numbers of accepted new records, right before they are inserted,
+   * and check the computed fields and rules that depend on them
+   * @param {string} schemaName - Schema name
+   * @param {Object} schema - Schema definition
+   * @param {Array<Object>} records - Records that passed validation with their sequence fields left out
+   * @returns {Promise<Array<Object>>} - Complete records
+   */
+  async completeRecords(schemaName, schema, records) {
+    const { jsonSchema } = schema;
+    const pending = records.map(record => this.pendingFields(jsonSchema, record));
+    if (pending.every(fields => fields.length === 0)) return records;
+
+    const completed = (await SequenceService.apply(schemaName, jsonSchema, records))
+      .map(record => computedFields.apply(jsonSchema, record));
+    const label = index => (records.length > 1 ? `Record ${index}: ` : '');
+
+    const validationErrors = [];
+    const ruleViolations = [];
+    for (const [index, record] of completed.entries()) {
+      if (pending[index].length === 0) continue;
+
+      const validation = schemaValidator.validateRecord(schema, record);
+      if (!validation.valid) {
+        const errors = schemaValidator.formatErrors(validation.errors);
+        validationErrors.push(`${label(index)}${errors.map(e => `${e.field}: ${e.message}`).join(', ')}`);
+      }
+
+      const violations = await this.checkRules(schemaName, jsonSchema, record, {
+        onlyFields: pending[index],
+        batch: completed.slice(0, index)
+      });
+      ruleViolations.push(...violations.map(violation => (records.length > 1 ? { record: index, ...violation } : violation)));
+    }
+
+    if (validationErrors.length > 0) {
+      throw new Error(`Validation failed: ${validationErrors.join('; ')}`);
+    }
+    if (ruleViolations.length > 0) {
+      throw validationRules.toError(ruleViolations);
+    }
+
+    return completed;
+  }
+
+  /**
+   * Turn the values written to localized fields into stored translations
+   * Plain strings are taken as DEFAULT_LOCALE (controllers convert them to the request locale first)
+   * and translations are merged into the stored ones
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} data - Record data
+   * @param {Object} previous - Stored record (JSON values) for updates
+   * @returns {Object} - Record data
+   */
+  prepareTranslations(jsonSchema, data, previous = null) {
+    return localizedFields.mergeTranslations(jsonSchema, localizedFields.toTranslations(jsonSchema, data), previous);
+  }
+
+  /**
+   * Revalidate the enum source fields that read from a schema after its records changed
+   * Failures are logged; they do not fail the write
+   * @param {string} schemaName - Schema whose records changed
+   * @returns {Promise<void>}
+   */
+  async revalidateEnumSources(schemaName) {
+    try {
+      await EnumSourceService.sourceChanged(schemaName);
+    } catch (error) {
+      console.warn('Failed to revalidate enum sources:', error.message);
+    }
+  }
+
   /**
    * Update a record with audit logging
    * @param {string} schemaName - Schema name
@@ -124,13 +292,50 @@ class DynamicCrudService {
         throw new Error(`Schema '${schemaName}' not found`);
       }
 
+      computedFields.assertNotWritten(schema.jsonSchema, updateData);
+
+      const Model = CollectionGenerator.getDynamicModel(schemaName);
+      if (!Model) {
+        throw new Error(`Dynamic model for schema '${schemaName}' not found`);
+      }
+
+      // Get current record state for audit
+      const currentRecord = await Model.findOne({ _id: recordId, _schemaName: schemaName });
+      if (!currentRecord) {
+        throw new Error(`Record with ID '${recordId}' not found`);
+      }
+
+      const previousState = currentRecord.toObject();
+      const previous = storageTypes.serialize(schema.jsonSchema, previousState);
+      updateData = this.prepareTranslations(schema.jsonSchema, updateData, previous);
+
+      // Evaluate computed fields against the record as it will be after the update
+      const updated = computedFields.apply(schema.jsonSchema, {
+        ...previous,
+        ...updateData
+      });
+      const unsetComputed = {};
+      for (const { field } of computedFields.getComputedFields(schema.jsonSchema)) {
+        if (updated[field] !== undefined) {
+          updateData = { ...updateData, [field]: updated[field] };
+        } else if (previousState[field] !== undefined) {
+          unsetComputed[field] = '';
+        }
+      }
+
       // Validate update data against JSON schema
-      const validation = schemaValidator.validateData(schema.jsonSchema, updateData);
+      const validation = schemaValidator.validateRecord(schema, updateData);
       if (!validation.valid) {
         const errors = schemaValidator.formatErrors(validation.errors);
         throw new Error(`Validation failed: ${errors.map(e => `${e.field}: ${e.message}`).join(', ')}`);
       }
 
+      // Check rules against the record as it will be after the update
+      const ruleViolations = await this.checkRules(schemaName, schema.jsonSchema, updated, { recordId, previous });
+      if (ruleViolations.length > 0) {
+        throw validationRules.toError(ruleViolations);
+      }
+
       // Validate references in update data
       const referenceValidation = await ReferenceResolver.validateReferences(schemaName, updateData);
       if (!referenceValidation.valid) {
@@ -138,23 +343,15 @@ class DynamicCrudService {
         throw new Error(`Reference validation failed: ${errors.join(', ')}`);
       }
 
-      const Model = CollectionGenerator.getDynamicModel(schemaName);
-      if (!Model) {
-        throw new Error(`Dynamic model for schema '${schemaName}' not found`);
+      // Update record; unchanged encrypted values keep their ciphertext
+      const update = { ...fieldEncryption.encryptRecord(schema.jsonSchema, updateData, previousState), updatedAt: new Date() };
+      if (Object.keys(unsetComputed).length > 0) {
+        update.$unset = unsetComputed;
       }
 
-      // Get current record state for audit
-      const currentRecord = await Model.findOne({ _id: recordId, _schemaName: schemaName });
-      if (!currentRecord) {
-        throw new Error(`Record with ID '${recordId}' not found`);
-      }
-
-      const previousState = currentRecord.toObject();
-
-      // Update record
       const updatedRecord = await Model.findOneAndUpdate(
         { _id: recordId, _schemaName: schemaName },
-        { ...updateData, updatedAt: new Date() },
+        update,
         { new: true, runValidators: true }
       );
 
@@ -196,13 +393,46 @@ class DynamicCrudService {
         // Don't fail the operation if change propagation fails
       }
 
-      return updatedRecord.toObject();
+      await this.revalidateEnumSources(schemaName);
+
+      return storageTypes.serialize(schema.jsonSchema, currentState);
     } catch (error) {
       console.error('DynamicCrudService.updateRecord ERROR:', error);
       throw error;
     }
   }
 
+  /**
+   * Partially update a record
+   * Nested objects in the patch are merged into the existing values instead of replacing them
+   * @param {string} schemaName - Schema name
+   * @param {string} recordId - Record ID
+   * @param {Object} patchData - Partial update data
+   * @param {Object} auditContext - Audit context
+   * @returns {Promise<Object|null>} - Updated record or null if not found
+   */
+  async patchRecord(schemaName, recordId, patchData, auditContext = {}) {
+    const existingRecord = await this.getRecordById(schemaName, recordId);
+    if (!existingRecord) {
+      return null;
+    }
+
+    const schema = await SchemaService.getSchemaByName(schemaName);
+    computedFields.assertNotWritten(schema.jsonSchema, patchData);
+
+    const mergedData = objectPaths.deepMerge(existingRecord, patchData);
+
+    // Remove system and computed fields from merged data; computed values are re-evaluated
+    for (const field of SYSTEM_FIELDS) {
+      delete mergedData[field];
+    }
+    for (const { field } of computedFields.getComputedFields(schema.jsonSchema)) {
+      delete mergedData[field];
+    }
+
+    return await this.updateRecord(schemaName, recordId, mergedData, auditContext);
+  }
+
   /**
    * Delete a record with audit logging
    * @param {string} schemaName - Schema name
@@ -261,6 +491,8 @@ class DynamicCrudService {
         console.warn('Failed to log delete audit trail:', auditError.message);
       }
 
+      await this.revalidateEnumSources(schemaName);
+
       return true;
     } catch (error) {
       console.error('DynamicCrudService.deleteRecord ERROR:', error);
@@ -271,7 +503,8 @@ class DynamicCrudService {
   /**
    * Get records with pagination and filtering (unchanged)
    * @param {string} schemaName - Schema name
-   * @param {Object} options - Query options
+   * @param {Object} options - Query options (page, limit, sort, filter, populate, and the locale of localized fields)
+   * @param {boolean} options.privileged - Caller may filter and sort on x-sensitive fields
    * @returns {Promise<Object>} - Records with pagination info
    */
   async getRecords(schemaName, options = {}) {
@@ -288,14 +521,25 @@ class DynamicCrudService {
     const {
       page = 1,
       limit = 10,
-      sort = { createdAt: -1 },
       filter = {},
-      populate = []
+      populate = [],
+      locale = localizedFields.defaultLocale
     } = options;
 
-    // Build query
-    const query = { _schemaName: schemaName, ...filter };
-    console.log('Final MongoDB query:', JSON.stringify(query, null, 2));
+    if (!options.privileged) {
+      sensitiveFields.assertQueryable(schema.jsonSchema, { filter, sort: options.sort });
+    }
+
+    // Filters and sorts on localized fields apply to the requested locale
+    const sort = localizedFields.localizeQuery(schema.jsonSchema, options.sort || { createdAt: -1 }, locale);
+    fieldEncryption.assertSortable(schema.jsonSchema, sort);
+
+    // Build query; filters on deterministic encrypted fields match their ciphertexts
+    const query = {
+      _schemaName: schemaName,
+      ...this.castFilter(Model, fieldEncryption.encryptFilter(schema.jsonSchema, localizedFields.localizeQuery(schema.jsonSchema, filter, locale)))
+    };
+    console.log('Final MongoDB query fields:', Object.keys(query));
     console.log('Total documents in collection:', await Model.countDocuments({ _schemaName: schemaName }));
 
     // Calculate pagination
@@ -304,11 +548,12 @@ class DynamicCrudService {
     const totalPages = Math.ceil(total / limit);
 
     // Fetch records
-    let records = await Model.find(query)
+    let records = (await Model.find(query)
       .sort(sort)
       .skip(skip)
       .limit(limit)
-      .lean();
+      .lean())
+      .map(record => storageTypes.serialize(schema.jsonSchema, record));
 
     // Resolve references if population is requested
     if (populate.length > 0) {
@@ -351,6 +596,7 @@ class DynamicCrudService {
     }
 
     let record = await Model.findOne({ _id: recordId, _schemaName: schemaName }).lean();
+    record = storageTypes.serialize(schema.jsonSchema, record);
     
     if (record && populateFields.length > 0) {
       // Resolve references if population is requested
@@ -360,6 +606,72 @@ class DynamicCrudService {
     return record;
   }
 
+  /**
+   * Get several records by ID in one query (batched reference loading)
+   * @param {string} schemaName - Schema name
+   * @param {Array<string>} recordIds - Record IDs
+   * @returns {Promise<Array>} - Records found, in no particular order
+   */
+  async getRecordsByIds(schemaName, recordIds) {
+    const schema = await SchemaService.getSchemaByName(schemaName);
+    if (!schema) {
+      throw new Error(`Schema '${schemaName}' not found`);
+    }
+
+    const Model = CollectionGenerator.getDynamicModel(schemaName);
+    if (!Model) {
+      throw new Error(`Dynamic model for schema '${schemaName}' not found`);
+    }
+
+    const ids = recordIds.filter(id => mongoose.Types.ObjectId.isValid(id));
+    const records = await Model.find({ _id: { $in: ids }, _schemaName: schemaName }).lean();
+    return records.map(record => storageTypes.serialize(schema.jsonSchema, record));
+  }
+
+  /**
+   * Get the records whose reference field points at any of several records, in one query
+   * Works for single and array reference fields
+   * @param {string} schemaName - Schema holding the reference field
+   * @param {string} field - Reference field
+   * @param {Array<string>} referencedIds - Referenced record IDs
+   * @param {Object} options - Options (limit: records per referenced ID, newest first)
+   * @returns {Promise<Map>} - Referenced ID -> records
+   */
+  async getRecordsReferencing(schemaName, field, referencedIds, options = {}) {
+    const schema = await SchemaService.getSchemaByName(schemaName);
+    if (!schema) {
+      throw new Error(`Schema '${schemaName}' not found`);
+    }
+
+    const Model = CollectionGenerator.getDynamicModel(schemaName);
+    if (!Model) {
+      throw new Error(`Dynamic model for schema '${schemaName}' not found`);
+    }
+
+    const ids = referencedIds
+      .filter(id => mongoose.Types.ObjectId.isValid(id))
+      .map(id => new mongoose.Types.ObjectId(id));
+    const limit = options.limit || 100;
+
+    const groups = await Model.aggregate([
+      { $match: { _schemaName: schemaName, [field]: { $in: ids } } },
+      { $sort: { createdAt: -1 } },
+      { $addFields: { __referenced: `$${field}` } },
+      { $unwind: '$__referenced' },
+      { $match: { __referenced: { $in: ids } } },
+      { $group: { _id: '$__referenced', records: { $push: '$$ROOT' } } },
+      { $project: { records: { $slice: ['$records', limit] } } }
+    ]);
+
+    const result = new Map();
+    for (const group of groups) {
+      result.set(group._id.toString(), group.records.map(({ __referenced, ...record }) =>
+        storageTypes.serialize(schema.jsonSchema, record)
+      ));
+    }
+    return result;
+  }
+
   /**
    * Bulk create records with audit logging
    * @param {string} schemaName - Schema name
@@ -380,10 +692,30 @@ class DynamicCrudService {
         throw new Error('Records data must be a non-empty array');
       }
 
+      recordsData = recordsData.map((data, index) => {
+        try {
+          computedFields.assertNotWritten(schema.jsonSchema, data);
+          return this.prepareTranslations(schema.jsonSchema, data);
+        } catch (error) {
+          throw new Error(`Record ${index}: ${error.message}`);
+        }
+      });
+
+      // Generate defaults and evaluate computed fields; sequence numbers are allocated once the batch is accepted
+      recordsData = await SequenceService.apply(schemaName, schema.jsonSchema, recordsData, new Date(), { sequences: false });
+      recordsData = recordsData.map((data, index) => {
+        try {
+          return computedFields.apply(schema.jsonSchema, data);
+        } catch (error) {
+          throw new Error(`Record ${index}: ${error.message}`);
+        }
+      });
+      const pending = recordsData.map(data => this.pendingFields(schema.jsonSchema, data));
+
       // Validate all records
       const validationErrors = [];
       recordsData.forEach((data, index) => {
-        const validation = schemaValidator.validateData(schema.jsonSchema, data);
+        const validation = schemaValidator.validateRecord(schema, data, pending[index].length > 0 ? { variant: 'request' } : {});
         if (!validation.valid) {
           const errors = schemaValidator.formatErrors(validation.errors);
           validationErrors.push(`Record ${index}: ${errors.map(e => `${e.field}: ${e.message}`).join(', ')}`);
@@ -394,6 +726,23 @@ class DynamicCrudService {
         throw new Error(`Validation failed: ${validationErrors.join('; ')}`);
       }
 
+      // Check rules, including uniqueness between the records of the batch
+      const ruleViolations = [];
+      for (const [index, data] of recordsData.entries()) {
+        const violations = await this.checkRules(schemaName, schema.jsonSchema, data, {
+          batch: recordsData.slice(0, index),
+          skipFields: pending[index]
+        });
+        ruleViolations.push(...violations.map(violation => ({ record: index, ...violation })));
+      }
+
+      if (ruleViolations.length > 0) {
+        throw validationRules.toError(ruleViolations);
+      }
+
+      // One block of sequence numbers for the batch
+      recordsData = await this.completeRecords(schemaName, schema, recordsData);
+
       const Model = CollectionGenerator.getDynamicModel(schemaName);
       if (!Model) {
         throw new Error(`Dynamic model for schema '${schemaName}' not found`);
@@ -401,7 +750,7 @@ class DynamicCrudService {
 
       // Add schema name to all records
       const recordsWithSchema = recordsData.map(data => ({
-        ...data,
+        ...fieldEncryption.encryptRecord(schema.jsonSchema, data),
         _schemaName: schemaName
       }));
 
@@ -436,7 +785,9 @@ class DynamicCrudService {
         console.warn('Failed to log bulk create audit trails:', auditError.message);
       }
 
-      return recordObjects;
+      await this.revalidateEnumSources(schemaName);
+
+      return recordObjects.map(record => storageTypes.serialize(schema.jsonSchema, record));
     } catch (error) {
       console.error('DynamicCrudService.bulkCreateRecords ERROR:', error);
       throw error;
@@ -447,9 +798,10 @@ class DynamicCrudService {
    * Get record count for a schema (unchanged)
    * @param {string} schemaName - Schema name
    * @param {Object} filter - Filter conditions
+   * @param {Object} options - Options (privileged: caller may filter on x-sensitive fields)
    * @returns {Promise<number>} - Record count
    */
-  async getRecordCount(schemaName, filter = {}) {
+  async getRecordCount(schemaName, filter = {}, options = {}) {
     const schema = await SchemaService.getSchemaByName(schemaName);
     if (!schema) {
       throw new Error(`Schema '${schemaName}' not found`);
@@ -460,10 +812,44 @@ class DynamicCrudService {
       throw new Error(`Dynamic model for schema '${schemaName}' not found`);
     }
 
-    const query = { _schemaName: schemaName, ...filter };
+    if (!options.privileged) {
+      sensitiveFields.assertQueryable(schema.jsonSchema, { filter });
+    }
+
+    const query = { _schemaName: schemaName, ...this.castFilter(Model, fieldEncryption.encryptFilter(schema.jsonSchema, filter)) };
     return await Model.countDocuments(query);
   }
 
+  /**
+   * Convert query-string filter values to the types of their fields
+   * Typed paths, including dot paths into subdocuments (address.city, items.sku),
+   * are left to Mongoose casting; free-form (Mixed) and unknown paths fall back
+   * to converting booleans and integers
+   * @param {Object} Model - Dynamic model
+   * @param {Object} filter - Filter conditions
+   * @returns {Object} - Filter with converted values
+   */
+  castFilter(Model, filter = {}) {
+    const castedFilter = {};
+
+    for (const [key, rawValue] of Object.entries(filter)) {
+      let value = rawValue;
+      const schemaType = Model.schema.path(key);
+
+      if (typeof value === 'string' && (!schemaType || schemaType.instance === 'Mixed')) {
+        // Convert string booleans to actual booleans
+        if (value === 'true') value = true;
+        else if (value === 'false') value = false;
+        // Convert string integers to actual numbers
+        else if (value !== '' && Number.isInteger(Number(value))) value = Number(value);
+      }
+
+      castedFilter[key] = value;
+    }
+
+    return castedFilter;
+  }
+
   /**
    * Get records with audit information
    * @param {string} schemaName - Schema name
@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const SchemaDefinition = require('../models/Schema');
+const AuditLog = require('../models/AuditLog');
+const fieldEncryption = require('../utils/fieldEncryption');
+
+const BATCH_SIZE = 500;
+const MAX_FAILURE_SAMPLES = 50;
+const SNAPSHOTS = ['previousState', 'currentState'];
+
+/**
+ * Service re-encrypting stored x-encrypted values of the current tenant
+ * Values under an old key, in the other encryption mode or still in plaintext are rewritten
+ * with the current key (ENCRYPTION_KEY_ID), in records and in audit snapshots. Old keys can be
+ * removed from ENCRYPTION_KEYS once a rotation reports no remaining values
+ */
+class EncryptionService {
+  /**
+   * Re-encrypt the encrypted fields of schemas
+   * @param {Object} options - Options
+   * @param {Array<string>} options.schemas - Schema names (all active schemas with encrypted fields if empty)
+   * @param {boolean} options.dryRun - Count the values to rewrite without writing
+   * @param {number} options.batchSize - Writes per batch
+   * @returns {Promise<Object>} - { keyId, dryRun, schemas: [{ name, fields, records, auditLogs }] }
+   */
+  async rotate(options = {}) {
+    const { schemas: selection = [], dryRun = false, batchSize = BATCH_SIZE } = options;
+    if (!fieldEncryption.isConfigured()) {
+      throw this.error('No encryption key is configured (ENCRYPTION_KEYS)', 400);
+    }
+
+    const query = { isActive: true };
+    if (selection.length > 0) query.name = { $in: selection };
+    const schemas = (await SchemaDefinition.find(query).select('name collectionName jsonSchema').lean())
+      .filter(schema => fieldEncryption.getEncryptedFields(schema.jsonSchema).length > 0);
+
+    const missing = selection.filter(name => !schemas.some(schema => schema.name === name));
+    if (missing.length > 0) {
+      throw this.error(`Schemas not found or without encrypted fields: ${missing.join(', ')}`, 404, { schemas: missing });
+    }
+
+    const report = { keyId: fieldEncryption.currentKeyId, dryRun, schemas: [] };
+    for (const schema of schemas) {
+      report.schemas.push({
+        name: schema.name,
+        fields: fieldEncryption.getEncryptedFields(schema.jsonSchema).map(({ field }) => field),
+        records: await this.rotateRecords(schema, { dryRun, batchSize }),
+        auditLogs: await this.rotateAuditLogs(schema, { dryRun, batchSize })
+      });
+    }
+
+    return report;
+  }
+
+  /**
+   * Re-encrypt the records of a schema
+   * @param {Object} schema - Schema definition ({ name, collectionName, jsonSchema })
+   * @param {Object} options - Options ({ dryRun, batchSize })
+   * @returns {Promise<Object>} - { checked, rotated, failed, failures }
+   */
+  async rotateRecords(schema, options) {
+    const collection = mongoose.connection.db.collection(schema.collectionName);
+    const cursor = collection.find({ _schemaName: schema.name });
+
+    return await this.rotateCursor(cursor, options, document => {
+      const changes = fieldEncryption.rotateRecord(schema.jsonSchema, document);
+      return changes && { updateOne: { filter: { _id: document._id }, update: { $set: changes } } };
+    }, writes => collection.bulkWrite(writes, { ordered: false }));
+  }
+
+  /**
+   * Re-encrypt the audit snapshots of a schema
+   * @param {Object} schema - Schema definition ({ name, jsonSchema })
+   * @param {Object} options - Options ({ dryRun, batchSize })
+   * @returns {Promise<Object>} - { checked, rotated, failed, failures }
+   */
+  async rotateAuditLogs(schema, options) {
+    const cursor = AuditLog.find({ schemaName: schema.name }).select(SNAPSHOTS.join(' ')).lean().cursor();
+
+    return await this.rotateCursor(cursor, options, auditLog => {
+      const changes = {};
+      for (const snapshot of SNAPSHOTS) {
+        const rotated = fieldEncryption.rotateRecord(schema.jsonSchema, auditLog[snapshot]);
+        for (const [field, value] of Object.entries(rotated || {})) {
+          changes[`${snapshot}.${field}`] = value;
+        }
+      }
+      return Object.keys(changes).length > 0 && { updateOne: { filter: { _id: auditLog._id }, update: { $set: changes } } };
+    }, writes => AuditLog.bulkWrite(writes, { ordered: false }));
+  }
+
+  /**
+   * Rewrite the documents of a cursor in batches
+   * @param {AsyncIterable} cursor - Documents
+   * @param {Object} options - Options ({ dryRun, batchSize })
+   * @param {Function} toWrite - Builds the bulk write of a document (falsy when it is up to date)
+   * @param {Function} write - Runs a batch of bulk writes
+   * @returns {Promise<Object>} - { checked, rotated, failed, failures }
+   */
+  async rotateCursor(cursor, options, toWrite, write) {
+    const result = { checked: 0, rotated: 0, failed: 0, failures: [] };
+    let writes = [];
+
+    const flush = async () => {
+      if (!options.dryRun && writes.length > 0) {
+        await write(writes);
+      }
+      writes = [];
+    };
+
+    for await (const document of cursor) {
+      result.checked++;
+      try {
+        const operation = toWrite(document);
+        if (!operation) continue;
+
+        result.rotated++;
+        writes.push(operation);
+        if (writes.length >= options.batchSize) await flush();
+      } catch (error) {
+        result.failed++;
+        if (result.failures.length < MAX_FAILURE_SAMPLES) {
+          result.failures.push({ id: document._id, message: error.message });
+        }
+      }
+    }
+    await flush();
+
+    return result;
+  }
+
+  /**
+   * Build an error with a status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {*} details - Error details
+   * @returns {Error} - Error
+   */
+  error(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+  }
+}
+
+module.exports = new EncryptionService();
@@ -0,0 +1,263 @@
+const SchemaDefinition = require('../models/Schema');
+const SchemaService = require('./SchemaService');
+const SchemaRegistry = require('./SchemaRegistry');
+const CollectionGenerator = require('./CollectionGenerator');
+const enumSources = require('../utils/enumSources');
+const storageTypes = require('../utils/storageTypes');
+const fieldEncryption = require('../utils/fieldEncryption');
+const tenantContext = require('../utils/tenantContext');
+
+// Record IDs kept per revalidation result
+const MAX_REPORTED_RECORDS = 100;
+
+/**
+ * Service for fields whose allowed values come from another schema (x-enum-source)
+ * Options are read from the source collection and cached; a write to a source schema
+ * drops its cached options and revalidates the records of the schemas using it.
+ * Records whose value is no longer an option keep it and are reported until they are fixed;
+ * only writes that set such a value are rejected
+ */
+class EnumSourceService {
+  constructor() {
+    // Options by tenant-scoped source: key -> { options, loadedAt }
+    this.options = new Map();
+    // Enum source fields by tenant: tenantId -> Map(sourceSchema -> [{ schemaName, field, isArray, source }])
+    this.dependents = new Map();
+    // Latest revalidation by tenant-scoped schema name and field
+    this.revalidations = new Map();
+    this.ttlMs = parseInt(process.env.ENUM_SOURCE_CACHE_TTL_MS) || 30000;
+
+    SchemaRegistry.on('schemaChanged', schema => this.invalidateSchema(schema));
+    SchemaRegistry.on('schemaRemoved', schema => this.invalidateSchema(schema));
+  }
+
+  /**
+   * Get the current options of an enum source
+   * @param {Object} source - Enum source ({ schema, field, filter })
+   * @returns {Promise<Array>} - Distinct values of the source field, sorted
+   */
+  async getOptions(source) {
+    const key = this.keyOf(source);
+    const cached = this.options.get(key);
+    if (cached && Date.now() - cached.loadedAt < this.ttlMs) {
+      return cached.options;
+    }
+
+    const schema = await SchemaService.getSchemaByName(source.schema);
+    const fieldDef = schema && schema.jsonSchema.properties && schema.jsonSchema.properties[source.field];
+    if (!fieldDef) {
+      throw this.error(`Enum source '${source.schema}.${source.field}' not found`, 400, { source });
+    }
+    if (fieldEncryption.isEncrypted(fieldDef)) {
+      throw this.error(`Enum source '${source.schema}.${source.field}' is encrypted`, 400, { source });
+    }
+
+    const Model = CollectionGenerator.getDynamicModel(source.schema);
+    if (!Model) {
+      throw new Error(`Dynamic model for schema '${source.schema}' not found`);
+    }
+
+    const values = await Model.distinct(source.field, { ...source.filter, _schemaName: source.schema });
+    const options = values
+      .map(value => storageTypes.toJSONValue(fieldDef, value))
+      .filter(value => value !== null && value !== undefined)
+      .sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+
+    this.options.set(key, { options, loadedAt: Date.now() });
+    return options;
+  }
+
+  /**
+   * Get the options of a field for the options endpoint
+   * @param {string} schemaName - Schema name
+   * @param {string} field - Field name
+   * @returns {Promise<Object>} - { field, source, options, revalidation }
+   */
+  async getFieldOptions(schemaName, field) {
+    const schema = await SchemaService.getSchemaByName(schemaName);
+    if (!schema) {
+      throw this.error(`Schema '${schemaName}' not found`, 404);
+    }
+
+    const enumField = enumSources.getEnumSourceField(schema.jsonSchema, field);
+    if (!enumField) {
+      throw this.error(`Field '${field}' of schema '${schemaName}' has no x-enum-source`, 404);
+    }
+
+    return {
+      field,
+      source: enumField.source,
+      options: await this.getOptions(enumField.source),
+      revalidation: this.revalidations.get(this.revalidationKey(schemaName, field)) || null
+    };
+  }
+
+  /**
+   * Check the enum source fields of a record about to be written
+   * Values the record already had are not checked again, so records holding an option that
+   * was removed can still be updated
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Record as it will be stored (JSON values)
+   * @param {Object} options - Options
+   * @param {Object} options.previous - Current record (JSON values) for updates
+   * @returns {Promise<Array>} - Violations as { field, rule, message }
+   */
+  async check(jsonSchema, record, options = {}) {
+    const violations = [];
+
+    for (const enumField of enumSources.getEnumSourceFields(jsonSchema)) {
+      const previous = enumSources.valuesOf(enumField, options.previous);
+      const values = enumSources.valuesOf(enumField, record)
+        .filter(value => !previous.some(old => old === value));
+      if (values.length === 0) continue;
+
+      const allowed = await this.getOptions(enumField.source);
+      const invalid = values.filter(value => !allowed.includes(value));
+      if (invalid.length > 0) {
+        const { schema, field } = enumField.source;
+        violations.push({
+          field: `/${enumField.field}`,
+          rule: 'x-enum-source',
+          message: `${invalid.map(value => JSON.stringify(value)).join(', ')} ${invalid.length === 1 ? 'is' : 'are'} not ${invalid.length === 1 ? 'an option' : 'options'} of ${schema}.${field}`
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Handle a write to the records of a schema
+   * Drops the cached options read from it and revalidates the schemas using it
+   * @param {string} schemaName - Schema whose records changed
+   * @returns {Promise<Array>} - Revalidation results (empty when no schema uses it)
+   */
+  async sourceChanged(schemaName) {
+    const dependents = (await this.getDependents()).get(schemaName) || [];
+    if (dependents.length === 0) return [];
+
+    const prefix = `${tenantContext.scopedName(schemaName)}|`;
+    for (const key of this.options.keys()) {
+      if (key.startsWith(prefix)) this.options.delete(key);
+    }
+
+    const results = [];
+    for (const dependent of dependents) {
+      results.push(await this.revalidate(dependent));
+    }
+    return results;
+  }
+
+  /**
+   * Find the records of a field whose values are no longer options of its source
+   * @param {Object} dependent - Enum source field ({ schemaName, field, isArray, source })
+   * @returns {Promise<Object>} - { schemaName, field, source, checkedAt, invalidRecords, recordIds }
+   */
+  async revalidate(dependent) {
+    const { schemaName, field, isArray, source } = dependent;
+    const Model = CollectionGenerator.getDynamicModel(schemaName);
+    if (!Model) {
+      throw new Error(`Dynamic model for schema '${schemaName}' not found`);
+    }
+
+    const options = await this.getOptions(source);
+    const query = isArray
+      ? { _schemaName: schemaName, [field]: { $elemMatch: { $nin: [...options, null] } } }
+      : { _schemaName: schemaName, [field]: { $exists: true, $nin: [...options, null] } };
+
+    const invalidRecords = await Model.countDocuments(query);
+    const records = invalidRecords > 0
+      ? await Model.find(query).select('_id').limit(MAX_REPORTED_RECORDS).lean()
+      : [];
+
+    const result = {
+      schemaName,
+      field,
+      source,
+      checkedAt: new Date(),
+      invalidRecords,
+      recordIds: records.map(record => record._id.toString())
+    };
+    this.revalidations.set(this.revalidationKey(schemaName, field), result);
+
+    if (invalidRecords > 0) {
+      console.warn(`⚠️  ${invalidRecords} '${schemaName}' records hold ${field} values that are no longer options of ${source.schema}.${source.field}`);
+    }
+    return result;
+  }
+
+  /**
+   * Get the enum source fields of the current tenant by source schema
+   * @returns {Promise<Map>} - Source schema -> [{ schemaName, field, isArray, source }]
+   */
+  async getDependents() {
+    const tenantId = tenantContext.getTenantId();
+    const cached = this.dependents.get(tenantId);
+    if (cached) return cached;
+
+    const schemas = await SchemaDefinition.find({ isActive: true }).select('name jsonSchema').lean();
+    const dependents = new Map();
+    for (const schema of schemas) {
+      for (const enumField of enumSources.getEnumSourceFields(schema.jsonSchema)) {
+        const list = dependents.get(enumField.source.schema) || [];
+        list.push({ schemaName: schema.name, ...enumField });
+        dependents.set(enumField.source.schema, list);
+      }
+    }
+
+    this.dependents.set(tenantId, dependents);
+    return dependents;
+  }
+
+  /**
+   * Drop what was derived from a schema that changed or was removed
+   * @param {Object} schema - Schema definition ({ name, tenantId })
+   */
+  invalidateSchema(schema) {
+    const tenantId = schema.tenantId || tenantContext.defaultTenant;
+    this.dependents.delete(tenantId);
+
+    const prefix = `${tenantContext.scopedName(schema.name, tenantId)}|`;
+    for (const key of this.options.keys()) {
+      if (key.startsWith(prefix)) this.options.delete(key);
+    }
+    for (const key of this.revalidations.keys()) {
+      if (key.startsWith(prefix)) this.revalidations.delete(key);
+    }
+  }
+
+  /**
+   * Get the cache key of an enum source in the current tenant
+   * @param {Object} source - Enum source ({ schema, field, filter })
+   * @returns {string} - Key
+   */
+  keyOf(source) {
+    return `${tenantContext.scopedName(source.schema)}|${source.field}|${JSON.stringify(source.filter)}`;
+  }
+
+  /**
+   * Get the key of a revalidation result in the current tenant
+   * @param {string} schemaName - Schema name
+   * @param {string} field - Field name
+   * @returns {string} - Key
+   */
+  revalidationKey(schemaName, field) {
+    return `${tenantContext.scopedName(schemaName)}|${field}`;
+  }
+
+  /**
+   * Build an error with a status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {*} details - Error details
+   * @returns {Error} - Error
+   */
+  error(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+  }
+}
+
+module.exports = new EnumSourceService();
@@ -0,0 +1,772 @@
+const {
+  GraphQLSchema,
+  GraphQLObjectType,
+  GraphQLInputObjectType,
+  GraphQLScalarType,
+  GraphQLList,
+  GraphQLNonNull,
+  GraphQLString,
+  GraphQLInt,
+  GraphQLFloat,
+  GraphQLBoolean,
+  GraphQLID,
+  GraphQLError,
+  Kind,
+  getNamedType,
+  getNullableType,
+  isListType
+} = require('graphql');
+const DataLoader = require('dataloader');
+const SchemaDefinition = require('../models/Schema');
+const SchemaRegistry = require('./SchemaRegistry');
+const DynamicCrudService = require('./DynamicCrudService');
+const openApiGenerator = require('../utils/openApiGenerator');
+const schemaRelationships = require('../utils/schemaRelationships');
+const localizedFields = require('../utils/localizedFields');
+const sensitiveFields = require('../utils/sensitiveFields');
+const tenantContext = require('../utils/tenantContext');
+
+const GRAPHQL_NAME = /^[_A-Za-z][_0-9A-Za-z]*$/;
+
+// Type names the generated schema uses itself; schemas with these names get a Record suffix
+const RESERVED_TYPE_NAMES = ['JSON', 'Pagination', 'Query', 'Mutation', 'String', 'Int', 'Float', 'Boolean', 'ID'];
+
+// Related records returned per record by reverse relationship fields; the maximum is divided
+// by 10 for each list the field is nested in below the first
+const DEFAULT_RELATED_LIMIT = 100;
+const MAX_RELATED_LIMIT = 1000;
+const MAX_LIST_LIMIT = 100;
+
+// Limits of a single operation: nesting of fields, and records it may load (limits multiplied along the path)
+const MAX_QUERY_DEPTH = parseInt(process.env.GRAPHQL_MAX_DEPTH) || 10;
+const MAX_QUERY_COST = parseInt(process.env.GRAPHQL_MAX_COST) || 25000;
+
+const parseJsonLiteral = (ast, variables) => {
+  switch (ast.kind) {
+    case Kind.STRING:
+    case Kind.BOOLEAN:
+      return ast.value;
+    case Kind.INT:
+    case Kind.FLOAT:
+      return Number(ast.value);
+    case Kind.OBJECT:
+      return Object.fromEntries(ast.fields.map(field => [field.name.value, parseJsonLiteral(field.value, variables)]));
+    case Kind.LIST:
+      return ast.values.map(value => parseJsonLiteral(value, variables));
+    case Kind.VARIABLE:
+      return variables ? variables[ast.name.value] : undefined;
+    default:
+      return null;
+  }
+};
+
+const GraphQLJSON = new GraphQLScalarType({
+  name: 'JSON',
+  description: 'Any JSON value',
+  serialize: value => value,
+  parseValue: value => value,
+  parseLiteral: parseJsonLiteral
+});
+
+const PaginationType = new GraphQLObjectType({
+  name: 'Pagination',
+  fields: {
+    currentPage: { type: new GraphQLNonNull(GraphQLInt) },
+    totalPages: { type: new GraphQLNonNull(GraphQLInt) },
+    totalRecords: { type: new GraphQLNonNull(GraphQLInt) },
+    hasNextPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+    hasPrevPage: { type: new GraphQLNonNull(GraphQLBoolean) },
+    limit: { type: new GraphQLNonNull(GraphQLInt) }
+  }
+});
+
+/**
+ * Convert a service error into a GraphQL error that keeps its status code and details
+ * @param {Error} error - Error thrown by a service
+ * @returns {GraphQLError} - GraphQL error
+ */
+const toGraphQLError = (error) => new GraphQLError(error.message, {
+  originalError: error,
+  extensions: {
+    statusCode: error.statusCode || 400,
+    ...(error.details ? { details: error.details } : {})
+  }
+});
+
+/**
+ * Wrap a resolver so service errors keep their status code and details
+ * @param {Function} resolve - Resolver
+ * @returns {Function} - Wrapped resolver
+ */
+const guarded = (resolve) => async (...args) => {
+  try {
+    return await resolve(...args);
+  } catch (error) {
+    throw error instanceof GraphQLError ? error : toGraphQLError(error);
+  }
+};
+
+/**
+ * Service generating the GraphQL API over the dynamic schemas
+ *
+ * For a schema `order_item` the API has the type OrderItem, the queries orderItem(id),
+ * orderItemList(page, limit, sort, filter) and orderItemCount(filter), and the mutations
+ * createOrderItem, updateOrderItem, patchOrderItem and deleteOrderItem. Writes go through
+ * DynamicCrudService, so validation, rules and audit logging apply as for REST.
+ *
+ * x-ref fields resolve to the referenced record; each schema referenced by another also gets
+ * a reverse field (e.g. Order.orderItemByOrder). References are loaded in batches per request.
+ * The API is built per tenant on first use and rebuilt after a schema is created, updated,
+ * reloaded or deleted
+ */
+class GraphQLService {
+  constructor() {
+    // Built schemas by tenant
+    this.schemas = new Map();
+
+    SchemaRegistry.on('schemaChanged', schema => this.invalidate(schema.tenantId));
+    SchemaRegistry.on('schemaRemoved', schema => this.invalidate(schema.tenantId));
+  }
+
+  /**
+   * Get the GraphQL schema of the current tenant
+   * @returns {Promise<GraphQLSchema>} - GraphQL schema
+   */
+  async getSchema() {
+    const tenantId = tenantContext.getTenantId();
+    const cached = this.schemas.get(tenantId);
+    if (cached) return cached;
+
+    // Keep the build promise so concurrent requests share one build
+    const build = this.build(tenantId);
+    this.schemas.set(tenantId, build);
+    try {
+      return await build;
+    } catch (error) {
+      if (this.schemas.get(tenantId) === build) this.schemas.delete(tenantId);
+      throw error;
+    }
+  }
+
+  /**
+   * Drop the built schema of a tenant so the next request rebuilds it
+   * @param {string} tenantId - Tenant ID
+   */
+  invalidate(tenantId = tenantContext.defaultTenant) {
+    this.schemas.delete(tenantId || tenantContext.defaultTenant);
+  }
+
+  /**
+   * Cap the limit of a reverse relationship field by the lists it is nested in
+   * @param {number} limit - Requested limit
+   * @param {number} level - Lists above the field (1 for the records of a list query)
+   * @returns {number} - Limit to apply
+   */
+  relatedLimit(limit, level) {
+    const max = Math.max(Math.floor(MAX_RELATED_LIMIT / Math.pow(10, Math.max(level - 1, 0))), 1);
+    return Math.min(Math.max(limit, 1), max);
+  }
+
+  /**
+   * Validation rules limiting the depth and cost of an operation, for graphql's validate()
+   * Introspection fields are not counted
+   * @param {Object} variables - Variables of the request (limits may be passed as variables)
+   * @returns {Array<Function>} - Validation rules
+   */
+  validationRules(variables = {}) {
+    // Records a field loads per parent record; null for fields without a limit argument
+    const limitOf = (node, fieldDef, level, operation) => {
+      const limit = fieldDef.extensions && fieldDef.extensions.limit;
+      if (!limit) return null;
+
+      const argument = (node.arguments || []).find(arg => arg.name.value === 'limit');
+      let value = argument ? argument.value : null;
+      if (value && value.kind === Kind.VARIABLE) {
+        const name = value.name.value;
+        const definition = (operation.variableDefinitions || []).find(variable => variable.variable.name.value === name);
+        value = variables && variables[name] !== undefined
+          ? { kind: Kind.INT, value: String(variables[name]) }
+          : (definition && definition.defaultValue) || null;
+      }
+
+      const requested = value && value.kind === Kind.INT && Number.isInteger(Number(value.value))
+        ? Number(value.value)
+        : fieldDef.args.find(arg => arg.name === 'limit').defaultValue;
+      return limit === 'related' ? this.relatedLimit(requested, level) : Math.min(Math.max(requested, 1), MAX_LIST_LIMIT);
+    };
+
+    return [context => {
+      let operation = null;
+
+      // Walk a selection set: { depth, cost } with cost the records loaded per parent record
+      const measure = (selectionSet, type, level, fragments) => {
+        let depth = 0;
+        let cost = 0;
+
+        for (const selection of selectionSet.selections) {
+          if (selection.kind === Kind.FIELD) {
+            const fieldDef = type && typeof type.getFields === 'function' ? type.getFields()[selection.name.value] : null;
+            if (!fieldDef || selection.name.value.startsWith('__')) continue;
+
+            const limit = limitOf(selection, fieldDef, level, operation);
+            const child = selection.selectionSet
+              ? measure(selection.selectionSet, getNamedType(fieldDef.type), level + (isListType(getNullableType(fieldDef.type)) ? 1 : 0), fragments)
+              : { depth: 0, cost: 0 };
+            depth = Math.max(depth, child.depth + 1);
+            cost += limit === null ? child.cost : limit + limit * child.cost;
+            continue;
+          }
+
+          const fragment = selection.kind === Kind.FRAGMENT_SPREAD ? context.getFragment(selection.name.value) : selection;
+          if (!fragment || (selection.kind === Kind.FRAGMENT_SPREAD && fragments.includes(selection.name.value))) continue;
+          const fragmentType = fragment.typeCondition ? context.getSchema().getType(fragment.typeCondition.name.value) : type;
+          const nested = measure(fragment.selectionSet, fragmentType, level,
+            selection.kind === Kind.FRAGMENT_SPREAD ? [...fragments, selection.name.value] : fragments);
+          depth = Math.max(depth, nested.depth);
+          cost += nested.cost;
+        }
+
+        return { depth, cost };
+      };
+
+      return {
+        OperationDefinition: node => {
+          operation = node;
+          const schema = context.getSchema();
+          const root = node.operation === 'mutation' ? schema.getMutationType() : schema.getQueryType();
+          const { depth, cost } = measure(node.selectionSet, root, 0, []);
+
+          if (depth > MAX_QUERY_DEPTH) {
+            context.reportError(new GraphQLError(`Query is nested ${depth} levels deep; the maximum is ${MAX_QUERY_DEPTH}`, { nodes: [node] }));
+          }
+          if (cost > MAX_QUERY_COST) {
+            context.reportError(new GraphQLError(`Query may load ${cost} records; the maximum is ${MAX_QUERY_COST}. Lower the limit arguments`, { nodes: [node] }));
+          }
+        }
+      };
+    }];
+  }
+
+  /**
+   * Build the GraphQL schema of a tenant from its active schema definitions
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<GraphQLSchema>} - GraphQL schema
+   */
+  async build(tenantId) {
+    const definitions = await SchemaDefinition.find({ isActive: true })
+      .select('name displayName description version jsonSchema')
+      .sort({ name: 1 })
+      .lean();
+
+    const schema = this.buildSchema(definitions);
+    console.log(`🕸️  Generated GraphQL API for ${definitions.length} schemas (tenant '${tenantId}')`);
+    return schema;
+  }
+
+  /**
+   * Build a GraphQL schema from schema definitions
+   * @param {Array} definitions - Active schema definitions
+   * @returns {GraphQLSchema} - GraphQL schema
+   */
+  buildSchema(definitions) {
+    const context = {
+      typeNames: this.typeNames(definitions),
+      objectTypes: new Map(),
+      inputTypes: new Map(),
+      nestedTypes: new Map(),
+      reverse: new Map()
+    };
+
+    // Reverse relationships: referenced schema -> [{ schemaName, field }]
+    for (const definition of definitions) {
+      for (const relationship of schemaRelationships.extract(definition.jsonSchema)) {
+        if (relationship.kind !== 'x-ref' || !context.typeNames.has(relationship.referencedSchema)) continue;
+        if (!context.reverse.has(relationship.referencedSchema)) context.reverse.set(relationship.referencedSchema, []);
+        context.reverse.get(relationship.referencedSchema).push({ schemaName: definition.name, field: relationship.field });
+      }
+    }
+
+    for (const definition of definitions) {
+      context.objectTypes.set(definition.name, this.objectType(definition, context));
+    }
+
+    const queryFields = {
+      schemaVersions: {
+        type: new GraphQLNonNull(GraphQLJSON),
+        description: 'Version of each schema the API was generated from',
+        resolve: () => Object.fromEntries(definitions.map(definition => [definition.name, definition.version]))
+      }
+    };
+    const mutationFields = {};
+
+    for (const definition of definitions) {
+      Object.assign(queryFields, this.queryFields(definition, context));
+      Object.assign(mutationFields, this.mutationFields(definition, context));
+    }
+
+    return new GraphQLSchema({
+      query: new GraphQLObjectType({ name: 'Query', fields: queryFields }),
+      mutation: Object.keys(mutationFields).length > 0
+        ? new GraphQLObjectType({ name: 'Mutation', fields: mutationFields })
+        : undefined
+    });
+  }
+
+  /**
+   * Create the per-request context: audit context, locales, privileges and batching loaders
+   * @param {Object} auditContext - Audit context of the request
+   * @param {Object} locales - Locales of the request ({ locale, chain, writeLocale })
+   * @param {Object} options - Options
+   * @param {boolean} options.privileged - Caller may see x-sensitive values
+   * @returns {Object} - GraphQL context
+   */
+  createContext(auditContext = {}, locales = {}, options = {}) {
+    const records = new Map();
+    const referencing = new Map();
+    const locale = locales.locale || localizedFields.defaultLocale;
+
+    return {
+      auditContext,
+      locale,
+      chain: locales.chain || [locale],
+      writeLocale: locales.writeLocale || locale,
+      privileged: !!options.privileged,
+      // Loader of records of a schema by ID
+      recordLoader(schemaName) {
+        if (!records.has(schemaName)) {
+          records.set(schemaName, new DataLoader(async ids => {
+            const found = await DynamicCrudService.getRecordsByIds(schemaName, ids);
+            const byId = new Map(found.map(record => [String(record._id), record]));
+            return ids.map(id => byId.get(String(id)) || null);
+          }));
+        }
+        return records.get(schemaName);
+      },
+      // Loader of the records of a schema whose reference field points at an ID
+      referencingLoader(schemaName, field, limit) {
+        const key = `${schemaName}.${field}.${limit}`;
+        if (!referencing.has(key)) {
+          referencing.set(key, new DataLoader(async ids => {
+            const byId = await DynamicCrudService.getRecordsReferencing(schemaName, field, ids, { limit });
+            return ids.map(id => byId.get(String(id)) || []);
+          }));
+        }
+        return referencing.get(key);
+      }
+    };
+  }
+
+  /**
+   * GraphQL type names of the schemas
+   * A name taken by the API itself, or by the Input/Patch/Page type of another schema
+   * (`order_input` next to `order`), gets a Record suffix
+   * @param {Array} definitions - Schema definitions
+   * @returns {Map} - Schema name -> type name
+   */
+  typeNames(definitions) {
+    const names = definitions.map(definition => openApiGenerator.componentName(definition.name));
+    const derived = new Set(names.flatMap(name => [`${name}Input`, `${name}Patch`, `${name}Page`]));
+
+    return new Map(definitions.map((definition, index) => {
+      const name = names[index];
+      return [definition.name, RESERVED_TYPE_NAMES.includes(name) || derived.has(name) ? `${name}Record` : name];
+    }));
+  }
+
+  /**
+   * GraphQL field name of a schema (camelCase)
+   * @param {string} schemaName - Schema name
+   * @returns {string} - Field name
+   */
+  fieldName(schemaName) {
+    const name = openApiGenerator.componentName(schemaName);
+    return name.charAt(0).toLowerCase() + name.slice(1);
+  }
+
+  /**
+   * Record type of a schema, with resolved references and reverse relationships
+   * @param {Object} definition - Schema definition
+   * @param {Object} context - Build context
+   * @returns {GraphQLObjectType} - Object type
+   */
+  objectType(definition, context) {
+    const typeName = context.typeNames.get(definition.name);
+
+    return new GraphQLObjectType({
+      name: typeName,
+      description: definition.description || definition.displayName || definition.name,
+      fields: () => {
+        const fields = {
+          _id: { type: new GraphQLNonNull(GraphQLID) },
+          createdAt: { type: GraphQLString },
+          updatedAt: { type: GraphQLString }
+        };
+
+        for (const [field, fieldDef] of this.properties(definition.jsonSchema)) {
+          fields[field] = this.outputField(field, fieldDef, typeName, definition, context);
+          if (sensitiveFields.isSensitive(fieldDef)) {
+            fields[field] = this.sensitiveField(field, fieldDef, fields[field]);
+          }
+        }
+
+        for (const { schemaName, field } of context.reverse.get(definition.name) || []) {
+          const name = `${this.fieldName(schemaName)}By${openApiGenerator.componentName(field.replace(/[^A-Za-z0-9_]/g, '_'))}`;
+          if (fields[name] || !GRAPHQL_NAME.test(name)) continue;
+
+          fields[name] = {
+            type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(context.objectTypes.get(schemaName)))),
+            description: `${schemaName} records whose ${field} references this record (newest first)`,
+            args: { limit: { type: GraphQLInt, defaultValue: DEFAULT_RELATED_LIMIT } },
+            extensions: { limit: 'related' },
+            resolve: guarded((record, args, ctx, info) => {
+              // Each list above the field adds a numeric index to its path
+              let level = 0;
+              for (let path = info.path; path; path = path.prev) {
+                if (typeof path.key === 'number') level++;
+              }
+              const limit = this.relatedLimit(args.limit, level);
+              return ctx.referencingLoader(schemaName, field, limit).load(String(record._id));
+            })
+          };
+        }
+
+        return fields;
+      }
+    });
+  }
+
+  /**
+   * Output field of a property; x-ref fields resolve to the referenced record
+   * @param {string} field - Field name
+   * @param {Object} fieldDef - Field definition
+   * @param {string} typeName - Name of the owning type
+   * @param {Object} definition - Schema definition
+   * @param {Object} context - Build context
+   * @returns {Object} - Field config
+   */
+  outputField(field, fieldDef, typeName, definition, context) {
+    const description = fieldDef.description;
+    const single = fieldDef['x-ref'] && fieldDef.type !== 'array' && fieldDef['x-ref-type'] !== 'array' ? fieldDef['x-ref'] : null;
+    const many = fieldDef.type === 'array' ? (fieldDef.items && fieldDef.items['x-ref']) || fieldDef['x-ref'] || null : null;
+
+    if (localizedFields.isLocalized(fieldDef)) {
+      return {
+        type: GraphQLString,
+        description,
+        args: { locale: { type: GraphQLString, description: 'Locale to resolve (defaults to the Accept-Language of the request)' } },
+        resolve: (record, args, ctx) =>
+          localizedFields.resolveValue(record[field], args.locale ? localizedFields.fallbackChain([args.locale]) : ctx.chain)
+      };
+    }
+    if (single && context.objectTypes.has(single)) {
+      return {
+        type: context.objectTypes.get(single),
+        description,
+        resolve: guarded((record, args, ctx) => (record[field] ? ctx.recordLoader(single).load(String(record[field])) : null))
+      };
+    }
+    if (many && context.objectTypes.has(many)) {
+      return {
+        type: new GraphQLList(context.objectTypes.get(many)),
+        description,
+        resolve: guarded(async (record, args, ctx) => {
+          if (!Array.isArray(record[field])) return null;
+          const records = await ctx.recordLoader(many).loadMany(record[field].map(String));
+          return records.filter(item => item && !(item instanceof Error));
+        })
+      };
+    }
+
+    return {
+      type: this.outputType(fieldDef, `${typeName}_${field}`, definition, context),
+      description
+    };
+  }
+
+  /**
+   * Mask an output field for callers without a privileged role
+   * Strings resolve to the mask and other types to null, so the field keeps its type
+   * @param {string} field - Field name
+   * @param {Object} fieldDef - Field definition
+   * @param {Object} config - Field config of the property
+   * @returns {Object} - Field config
+   */
+  sensitiveField(field, fieldDef, config) {
+    const masked = fieldDef.type === 'string' && !fieldDef['x-ref'] ? sensitiveFields.mask : null;
+
+    return {
+      ...config,
+      resolve: (record, args, ctx, info) => {
+        if (!ctx.privileged) {
+          return record[field] === null || record[field] === undefined ? null : masked;
+        }
+        return config.resolve ? config.resolve(record, args, ctx, info) : record[field];
+      }
+    };
+  }
+
+  /**
+   * GraphQL output type of a JSON Schema
+   * @param {Object} fieldDef - JSON Schema
+   * @param {string} name - Type name to use for a nested object type
+   * @param {Object} definition - Schema definition (for local $refs)
+   * @param {Object} context - Build context
+   * @returns {Object} - GraphQL output type
+   */
+  outputType(fieldDef, name, definition, context) {
+    return this.graphqlType(fieldDef, name, definition, context, false);
+  }
+
+  /**
+   * GraphQL input type of a JSON Schema
+   * @param {Object} fieldDef - JSON Schema
+   * @param {string} name - Type name to use for a nested input type
+   * @param {Object} definition - Schema definition (for local $refs)
+   * @param {Object} context - Build context
+   * @returns {Object} - GraphQL input type
+   */
+  inputType(fieldDef, name, definition, context) {
+    return this.graphqlType(fieldDef, name, definition, context, true);
+  }
+
+  /**
+   * Map a JSON Schema to a GraphQL type
+   * Objects with properties become named (input) object types; anything that does not map
+   * to one GraphQL type (mixed types, free-form objects, stored $refs) becomes JSON
+   * @param {Object} fieldDef - JSON Schema
+   * @param {string} name - Type name to use for a nested object type
+   * @param {Object} definition - Schema definition (for local $refs)
+   * @param {Object} context - Build context
+   * @param {boolean} input - Build an input type
+   * @returns {Object} - GraphQL type
+   */
+  graphqlType(fieldDef, name, definition, context, input) {
+    if (!fieldDef || typeof fieldDef !== 'object') return GraphQLJSON;
+
+    if (typeof fieldDef.$ref === 'string') {
+      const local = fieldDef.$ref.match(/^#\/(?:definitions|\$defs)\/(.+)$/);
+      const definitions = { ...(definition.jsonSchema.definitions || {}), ...(definition.jsonSchema.$defs || {}) };
+      if (!local || !definitions[local[1]]) return GraphQLJSON;
+      const typeName = `${context.typeNames.get(definition.name)}__${local[1].replace(/[^A-Za-z0-9_]/g, '_')}`;
+      return this.graphqlType(definitions[local[1]], typeName, definition, context, input);
+    }
+    if (fieldDef['x-ref']) {
+      return fieldDef.type === 'array' ? new GraphQLList(GraphQLID) : GraphQLID;
+    }
+
+    const types = [].concat(fieldDef.type || (fieldDef.properties ? 'object' : [])).filter(type => type !== 'null');
+    if (types.length !== 1) return GraphQLJSON;
+
+    switch (types[0]) {
+      case 'string': return GraphQLString;
+      case 'integer': return GraphQLInt;
+      case 'number': return GraphQLFloat;
+      case 'boolean': return GraphQLBoolean;
+      case 'array': {
+        if (fieldDef.items && fieldDef.items['x-ref']) return new GraphQLList(GraphQLID);
+        return new GraphQLList(this.graphqlType(fieldDef.items, `${name}_item`, definition, context, input));
+      }
+      case 'object': return this.nestedType(fieldDef, name, definition, context, input);
+      default: return GraphQLJSON;
+    }
+  }
+
+  /**
+   * Named (input) object type of a nested object
+   * @param {Object} fieldDef - Object JSON Schema
+   * @param {string} name - Type name
+   * @param {Object} definition - Schema definition
+   * @param {Object} context - Build context
+   * @param {boolean} input - Build an input type
+   * @returns {Object} - GraphQL type
+   */
+  nestedType(fieldDef, name, definition, context, input) {
+    const properties = this.properties(fieldDef);
+    if (properties.length === 0) return GraphQLJSON;
+
+    const typeName = input ? `${name}Input` : name;
+    if (context.nestedTypes.has(typeName)) return context.nestedTypes.get(typeName);
+
+    const required = Array.isArray(fieldDef.required) ? fieldDef.required : [];
+    const Type = input ? GraphQLInputObjectType : GraphQLObjectType;
+    const type = new Type({
+      name: typeName,
+      fields: () => Object.fromEntries(properties.map(([field, subschema]) => {
+        let fieldType = this.graphqlType(subschema, `${name}_${field}`, definition, context, input);
+        if (input && required.includes(field)) fieldType = new GraphQLNonNull(fieldType);
+        return [field, { type: fieldType, description: subschema.description }];
+      }))
+    });
+
+    context.nestedTypes.set(typeName, type);
+    return type;
+  }
+
+  /**
+   * Properties of an object schema whose names are valid GraphQL names
+   * @param {Object} jsonSchema - Object JSON Schema
+   * @returns {Array} - [field, fieldDef] entries
+   */
+  properties(jsonSchema) {
+    return Object.entries((jsonSchema && jsonSchema.properties) || {})
+      .filter(([field, fieldDef]) => GRAPHQL_NAME.test(field) && !field.startsWith('__') && fieldDef && typeof fieldDef === 'object');
+  }
+
+  /**
+   * Input type for creating or replacing a record (computed fields left out)
+   * @param {Object} definition - Schema definition
+   * @param {Object} context - Build context
+   * @param {boolean} partial - Build the patch variant (no required fields)
+   * @returns {GraphQLInputObjectType} - Input type
+   */
+  recordInputType(definition, context, partial) {
+    const typeName = `${context.typeNames.get(definition.name)}${partial ? 'Patch' : 'Input'}`;
+    if (context.inputTypes.has(typeName)) return context.inputTypes.get(typeName);
+
+    const required = Array.isArray(definition.jsonSchema.required) ? definition.jsonSchema.required : [];
+    const fields = {};
+    for (const [field, fieldDef] of this.properties(definition.jsonSchema)) {
+      if (fieldDef['x-computed']) continue;
+
+      // Localized fields take a string in the request locale or an object of translations
+      let type = localizedFields.isLocalized(fieldDef)
+        ? GraphQLJSON
+        : this.inputType(fieldDef, `${context.typeNames.get(definition.name)}_${field}`, definition, context);
+      if (!partial && required.includes(field) && !fieldDef['x-generated']) type = new GraphQLNonNull(type);
+      fields[field] = { type, description: fieldDef.description };
+    }
+
+    // Input objects need at least one field
+    if (Object.keys(fields).length === 0) {
+      fields._empty = { type: GraphQLBoolean, description: 'Placeholder; the schema has no writable fields' };
+    }
+
+    const type = new GraphQLInputObjectType({ name: typeName, fields });
+    context.inputTypes.set(typeName, type);
+    return type;
+  }
+
+  /**
+   * Query fields of a schema
+   * @param {Object} definition - Schema definition
+   * @param {Object} context - Build context
+   * @returns {Object} - Field configs
+   */
+  queryFields(definition, context) {
+    const { name } = definition;
+    const fieldName = this.fieldName(name);
+    const objectType = context.objectTypes.get(name);
+
+    const pageType = new GraphQLObjectType({
+      name: `${context.typeNames.get(name)}Page`,
+      fields: {
+        records: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(objectType))) },
+        pagination: { type: new GraphQLNonNull(PaginationType) }
+      }
+    });
+
+    return {
+      [fieldName]: {
+        type: objectType,
+        args: { id: { type: new GraphQLNonNull(GraphQLID) } },
+        resolve: guarded((root, { id }, ctx) => ctx.recordLoader(name).load(id))
+      },
+      [`${fieldName}List`]: {
+        type: new GraphQLNonNull(pageType),
+        args: {
+          page: { type: GraphQLInt, defaultValue: 1 },
+          limit: { type: GraphQLInt, defaultValue: 10 },
+          sort: { type: GraphQLJSON, description: 'Sort object, e.g. { "createdAt": -1 }' },
+          filter: { type: GraphQLJSON, description: 'Filter object, e.g. { "status": "open", "total": { "$gte": 100 } }' }
+        },
+        extensions: { limit: 'list' },
+        resolve: guarded(async (root, args, ctx) => {
+          const result = await DynamicCrudService.getRecords(name, {
+            page: Math.max(args.page, 1),
+            limit: Math.min(Math.max(args.limit, 1), MAX_LIST_LIMIT),
+            ...(args.sort ? { sort: args.sort } : {}),
+            filter: args.filter || {},
+            locale: ctx.locale,
+            privileged: ctx.privileged
+          });
+
+          const loader = ctx.recordLoader(name);
+          for (const record of result.records) loader.prime(String(record._id), record);
+          return result;
+        })
+      },
+      [`${fieldName}Count`]: {
+        type: new GraphQLNonNull(GraphQLInt),
+        args: { filter: { type: GraphQLJSON } },
+        resolve: guarded((root, args, ctx) => DynamicCrudService.getRecordCount(name, args.filter || {}, { privileged: ctx.privileged }))
+      }
+    };
+  }
+
+  /**
+   * Mutation fields of a schema
+   * @param {Object} definition - Schema definition
+   * @param {Object} context - Build context
+   * @returns {Object} - Field configs
+   */
+  mutationFields(definition, context) {
+    const { name } = definition;
+    const typeName = context.typeNames.get(name);
+    const objectType = context.objectTypes.get(name);
+    const inputType = this.recordInputType(definition, context, false);
+    const patchType = this.recordInputType(definition, context, true);
+    const id = { type: new GraphQLNonNull(GraphQLID) };
+
+    // Input objects as plain record data, without the placeholder of schemas with no writable fields;
+    // strings written to localized fields are translations of the request locale
+    const toData = ({ _empty, ...data }, ctx) => localizedFields.toTranslations(definition.jsonSchema, data, ctx.writeLocale);
+
+    // Written records replace whatever the request has loaded before
+    const refresh = (ctx, record) => {
+      const loader = ctx.recordLoader(name);
+      if (record) loader.clear(String(record._id)).prime(String(record._id), record);
+      return record;
+    };
+
+    return {
+      [`create${typeName}`]: {
+        type: objectType,
+        args: { input: { type: new GraphQLNonNull(inputType) } },
+        resolve: guarded(async (root, { input }, ctx) =>
+          refresh(ctx, await DynamicCrudService.createRecord(name, toData(input, ctx), ctx.auditContext))
+        )
+      },
+      [`update${typeName}`]: {
+        type: objectType,
+        args: { id, input: { type: new GraphQLNonNull(inputType) } },
+        resolve: guarded(async (root, args, ctx) =>
+          refresh(ctx, await DynamicCrudService.updateRecord(name, args.id, toData(args.input, ctx), ctx.auditContext))
+        )
+      },
+      [`patch${typeName}`]: {
+        type: objectType,
+        args: { id, input: { type: new GraphQLNonNull(patchType) } },
+        resolve: guarded(async (root, args, ctx) => {
+          const record = await DynamicCrudService.patchRecord(name, args.id, toData(args.input, ctx), ctx.auditContext);
+          if (!record) {
+            const error = new Error(`Record with ID '${args.id}' not found`);
+            error.statusCode = 404;
+            throw error;
+          }
+          return refresh(ctx, record);
+        })
+      },
+      [`delete${typeName}`]: {
+        type: new GraphQLNonNull(GraphQLBoolean),
+        args: { id },
+        resolve: guarded(async (root, args, ctx) => {
+          const deleted = await DynamicCrudService.deleteRecord(name, args.id, ctx.auditContext);
+          ctx.recordLoader(name).clear(args.id);
+          return deleted;
+        })
+      }
+    };
+  }
+}
+
+module.exports = new GraphQLService();
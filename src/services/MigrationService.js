@@ -0,0 +1,726 @@
+const mongoose = require('mongoose');
+const SchemaDefinition = require('../models/Schema');
+const SchemaMigration = require('../models/SchemaMigration');
+const MigrationBackup = require('../models/MigrationBackup');
+const CollectionGenerator = require('./CollectionGenerator');
+const SchemaRegistry = require('./SchemaRegistry');
+const SchemaVersionService = require('./SchemaVersionService');
+const schemaValidator = require('../utils/schemaValidator');
+const schemaDiff = require('../utils/schemaDiff');
+const storageTypes = require('../utils/storageTypes');
+const computedFields = require('../utils/computedFields');
+const fieldEncryption = require('../utils/fieldEncryption');
+
+const { EJSON } = mongoose.mongo.BSON;
+
+const BATCH_SIZE = 500;
+const MAX_FAILURE_SAMPLES = 50;
+const SYSTEM_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt', '_schemaName'];
+
+/**
+ * Service to migrate existing records when a schema's jsonSchema changes
+ * Diffs the old and new definitions, rewrites records and records the migration for rollback
+ */
+class MigrationService {
+  /**
+   * Build migration steps from the difference between two JSON Schemas
+   * @param {Object} oldJsonSchema - Current JSON Schema
+   * @param {Object} newJsonSchema - New JSON Schema
+   * @param {Object} options - Options (renames)
+   * @returns {Object} - Steps, warnings and the underlying diff
+   */
+  buildPlan(oldJsonSchema, newJsonSchema, options = {}) {
+    const diff = schemaDiff.diff(oldJsonSchema, newJsonSchema, { renames: options.renames });
+    const steps = [];
+    const warnings = [];
+
+    for (const { from, to } of diff.renamed) {
+      steps.push({ type: 'rename', from, to, description: `Rename '${from}' to '${to}'` });
+    }
+
+    for (const { field } of diff.removed) {
+      steps.push({ type: 'remove', field, description: `Remove '${field}'` });
+    }
+
+    const newProps = (newJsonSchema && newJsonSchema.properties) || {};
+    const oldProps = (oldJsonSchema && oldJsonSchema.properties) || {};
+    const renamedFrom = new Map(diff.renamed.map(({ from, to }) => [to, from]));
+    for (const { field, fromType, toType } of diff.typeChanged) {
+      // Fields stored as BSON types are converted by their storage step
+      if (storageTypes.hasStorageTypes(newProps[field])) continue;
+      if (fieldEncryption.isEncrypted(newProps[field]) || fieldEncryption.isEncrypted(oldProps[renamedFrom.get(field) || field])) {
+        warnings.push(`Field '${field}' is encrypted; its stored values are not converted from '${fromType}' to '${toType}'`);
+        continue;
+      }
+      if (!this.isConvertibleType(fromType) || !this.isConvertibleType(toType)) {
+        warnings.push(`Field '${field}' changes from '${fromType}' to '${toType}', which cannot be converted automatically`);
+        continue;
+      }
+      steps.push({ type: 'convert', field, fromType, toType, description: `Convert '${field}' from ${fromType} to ${toType}` });
+    }
+
+    const defaults = diff.added
+      .filter(added => added.hasDefault)
+      .concat(diff.requiredAdded.filter(required => required.hasDefault));
+    for (const { field, default: value } of defaults) {
+      steps.push({ type: 'setDefault', field, value, description: `Set default for '${field}' where missing` });
+    }
+
+    // Convert stored values of fields whose BSON storage type may change (dates, references, decimals)
+    // or that become encrypted, decrypted or change encryption mode
+    for (const [field, definition] of Object.entries(newProps)) {
+      const previous = oldProps[renamedFrom.get(field) || field];
+      if (previous && fieldEncryption.modeOf(previous) !== fieldEncryption.modeOf(definition)) {
+        steps.push(this.encryptionStep(field, definition));
+        continue;
+      }
+      const storageChanged = JSON.stringify(storageTypes.describe(previous)) !== JSON.stringify(storageTypes.describe(definition));
+      const typeChanged = previous && storageTypes.hasStorageTypes(definition) && schemaDiff.typeOf(previous) !== schemaDiff.typeOf(definition);
+      if (storageChanged || typeChanged) {
+        steps.push(this.storageStep(field, definition));
+      }
+    }
+
+    // Recompute computed fields whose expression changed, and the computed fields that read them
+    const oldComputed = new Map(computedFields.getComputedFields(oldJsonSchema).map(c => [c.field, c.expression]));
+    const recomputed = new Set();
+    for (const { field, expression, references } of computedFields.getComputedFields(newJsonSchema)) {
+      if (oldComputed.get(field) === expression && !references.some(reference => recomputed.has(reference))) continue;
+      recomputed.add(field);
+      steps.push({
+        type: 'compute',
+        field,
+        expression,
+        definition: newProps[field],
+        description: `Recompute '${field}' as ${expression}`
+      });
+    }
+
+    const requiredWithoutDefault = diff.added
+      .filter(added => added.required && !added.hasDefault)
+      .concat(diff.requiredAdded.filter(required => !required.hasDefault));
+    for (const { field } of requiredWithoutDefault) {
+      warnings.push(`Field '${field}' is required but has no default; existing records without it will fail validation`);
+    }
+
+    return { steps, warnings, diff };
+  }
+
+  /**
+   * Build a step converting a field's stored values to its storage type
+   * @param {string} field - Field name
+   * @param {Object} definition - Field definition in the target schema
+   * @returns {Object} - Migration step
+   */
+  storageStep(field, definition) {
+    return {
+      type: 'storage',
+      field,
+      definition,
+      description: `Convert stored values of '${field}' to their storage type`
+    };
+  }
+
+  /**
+   * Build a step re-encrypting (or decrypting) a field's stored values for its encryption mode
+   * @param {string} field - Field name
+   * @param {Object} definition - Field definition in the target schema
+   * @returns {Object} - Migration step
+   */
+  encryptionStep(field, definition) {
+    const mode = fieldEncryption.modeOf(definition);
+    return {
+      type: 'encryption',
+      field,
+      definition,
+      description: mode ? `Encrypt stored values of '${field}' (${mode})` : `Decrypt stored values of '${field}'`
+    };
+  }
+
+  /**
+   * Preview a migration without writing any records
+   * @param {string} schemaName - Schema name
+   * @param {Object} newJsonSchema - Proposed JSON Schema
+   * @param {Object} options - Options (renames)
+   * @returns {Promise<Object>} - Dry-run report
+   */
+  async planMigration(schemaName, newJsonSchema, options = {}) {
+    const schema = await SchemaDefinition.findOne({ name: schemaName, isActive: true }).lean();
+    if (!schema) {
+      throw new Error(`Schema '${schemaName}' not found`);
+    }
+
+    const validation = schemaValidator.validateSchema(newJsonSchema);
+    if (!validation.valid) {
+      throw new Error(`Invalid JSON Schema: ${validation.errors.map(e => e.message).join(', ')}`);
+    }
+
+    const { steps, warnings } = this.buildPlan(schema.jsonSchema, newJsonSchema, options);
+    const report = await this.runSteps(schema, steps, newJsonSchema, { dryRun: true });
+
+    return {
+      schemaName,
+      dryRun: true,
+      steps,
+      warnings,
+      report
+    };
+  }
+
+  /**
+   * Migrate existing records of a schema to a new JSON Schema
+   * @param {Object} schema - Current schema definition
+   * @param {Object} newJsonSchema - New JSON Schema
+   * @param {Object} options - Options (renames)
+   * @returns {Promise<Object|null>} - Recorded migration or null if nothing to migrate
+   */
+  async migrate(schema, newJsonSchema, options = {}) {
+    const { steps, warnings } = this.buildPlan(schema.jsonSchema, newJsonSchema, options);
+
+    if (steps.length === 0) {
+      if (warnings.length > 0) {
+        console.warn(`⚠️  Migration warnings for ${schema.name}:`, warnings);
+      }
+      return null;
+    }
+
+    console.log(`🔀 Migrating records for schema ${schema.name} (${steps.length} steps)`);
+    return await this.applyMigration(schema, newJsonSchema, steps, warnings);
+  }
+
+  /**
+   * Convert existing records of a schema to the storage types of its current definition
+   * Used for records written before dates, references and decimals were stored as BSON types
+   * @param {string} schemaName - Schema name
+   * @param {Object} options - Options (dryRun)
+   * @returns {Promise<Object>} - Recorded migration, or a dry-run report
+   */
+  async migrateStorage(schemaName, options = {}) {
+    const schema = await SchemaDefinition.findOne({ name: schemaName, isActive: true }).lean();
+    if (!schema) {
+      throw new Error(`Schema '${schemaName}' not found`);
+    }
+
+    const steps = Object.entries(schema.jsonSchema.properties || {})
+      .filter(([, definition]) => storageTypes.hasStorageTypes(definition))
+      .map(([field, definition]) => this.storageStep(field, definition));
+
+    if (options.dryRun) {
+      const report = await this.runSteps(schema, steps, schema.jsonSchema, { dryRun: true });
+      return { schemaName, dryRun: true, steps, warnings: [], report };
+    }
+
+    if (steps.length === 0) {
+      throw new Error(`Schema '${schemaName}' has no date, reference or decimal fields to convert`);
+    }
+
+    console.log(`🔀 Converting storage types for schema ${schema.name} (${steps.length} fields)`);
+    return await this.applyMigration(schema, schema.jsonSchema, steps, []);
+  }
+
+  /**
+   * Record and run a migration
+   * @param {Object} schema - Current schema definition
+   * @param {Object} newJsonSchema - JSON Schema the records are migrated to
+   * @param {Array} steps - Migration steps
+   * @param {Array} warnings - Plan warnings
+   * @returns {Promise<Object>} - Recorded migration
+   */
+  async applyMigration(schema, newJsonSchema, steps, warnings) {
+    const migration = await SchemaMigration.create({
+      schemaName: schema.name,
+      collectionName: schema.collectionName,
+      steps,
+      warnings,
+      fromJsonSchema: schema.jsonSchema,
+      toJsonSchema: newJsonSchema
+    });
+
+    try {
+      const report = await this.runSteps(schema, steps, newJsonSchema, {
+        dryRun: false,
+        migrationId: migration._id
+      });
+
+      migration.status = 'applied';
+      migration.report = report;
+      migration.completedAt = new Date();
+      await migration.save();
+
+      console.log(`✅ Migration ${migration._id} applied to ${report.recordsChanged} records`);
+      return migration.toObject();
+    } catch (error) {
+      migration.status = 'failed';
+      migration.error = error.message;
+      migration.completedAt = new Date();
+      await migration.save();
+
+      console.error(`❌ Migration ${migration._id} failed:`, error);
+      const failure = new Error(`Migration failed for schema '${schema.name}': ${error.message}`);
+      failure.migrationId = migration._id;
+      throw failure;
+    }
+  }
+
+  /**
+   * Apply migration steps to every record of a schema
+   * @param {Object} schema - Schema definition
+   * @param {Array} steps - Migration steps
+   * @param {Object} newJsonSchema - JSON Schema the records are validated against
+   * @param {Object} options - Options (dryRun, migrationId)
+   * @returns {Promise<Object>} - Migration report
+   */
+  async runSteps(schema, steps, newJsonSchema, options = {}) {
+    const { dryRun = true, migrationId } = options;
+    const collection = mongoose.connection.db.collection(schema.collectionName);
+
+    const report = {
+      totalRecords: 0,
+      recordsChanged: 0,
+      steps: steps.map(step => ({ ...step, recordsAffected: 0, failures: 0 })),
+      validation: {
+        validRecords: 0,
+        invalidRecords: 0,
+        failures: []
+      }
+    };
+
+    let writes = [];
+    let backups = [];
+
+    const flush = async () => {
+      if (dryRun || writes.length === 0) return;
+      await MigrationBackup.insertMany(backups, { ordered: false });
+      await collection.bulkWrite(writes, { ordered: false });
+      writes = [];
+      backups = [];
+    };
+
+    const cursor = collection.find({ _schemaName: schema.name });
+    const validate = schemaValidator.compile(newJsonSchema);
+
+    for await (const original of cursor) {
+      report.totalRecords++;
+
+      const { document, stepResults } = this.transformDocument(original, steps, newJsonSchema);
+      stepResults.forEach((result, index) => {
+        if (result.applied) report.steps[index].recordsAffected++;
+        if (result.error) report.steps[index].failures++;
+      });
+
+      const valid = validate(storageTypes.serialize(newJsonSchema, this.stripSystemFields(document)));
+      if (valid) {
+        report.validation.validRecords++;
+      } else {
+        report.validation.invalidRecords++;
+        if (report.validation.failures.length < MAX_FAILURE_SAMPLES) {
+          report.validation.failures.push({
+            recordId: original._id,
+            errors: schemaValidator.formatErrors(validate.errors || [])
+              .concat(stepResults.filter(r => r.error).map(r => ({ field: r.field, message: r.error })))
+          });
+        }
+      }
+
+      const update = this.buildUpdate(original, document);
+      if (!update) continue;
+
+      report.recordsChanged++;
+      if (dryRun) continue;
+
+      writes.push({ updateOne: { filter: { _id: original._id }, update: update.update } });
+      backups.push({ migrationId, documentId: original._id, ...update.backup });
+
+      if (writes.length >= BATCH_SIZE) {
+        await flush();
+      }
+    }
+
+    await flush();
+
+    return report;
+  }
+
+  /**
+   * Apply migration steps to a single record in memory
+   * @param {Object} original - Original record
+   * @param {Array} steps - Migration steps
+   * @param {Object} newJsonSchema - JSON Schema the record is migrated to (for computed fields)
+   * @returns {Object} - Transformed document and per-step results
+   */
+  transformDocument(original, steps, newJsonSchema = {}) {
+    const document = { ...original };
+    const stepResults = [];
+
+    for (const step of steps) {
+      const result = { applied: false, error: null, field: step.field || step.to };
+
+      switch (step.type) {
+        case 'rename':
+          if (document[step.from] !== undefined) {
+            document[step.to] = document[step.from];
+            delete document[step.from];
+            result.applied = true;
+          }
+          break;
+
+        case 'remove':
+          if (document[step.field] !== undefined) {
+            delete document[step.field];
+            result.applied = true;
+          }
+          break;
+
+        case 'convert':
+          if (document[step.field] !== undefined && document[step.field] !== null) {
+            try {
+              const converted = this.convertValue(document[step.field], step.toType);
+              if (JSON.stringify(converted) !== JSON.stringify(document[step.field])) {
+                document[step.field] = converted;
+                result.applied = true;
+              }
+            } catch (error) {
+              result.error = error.message;
+            }
+          }
+          break;
+
+        case 'storage':
+          if (document[step.field] !== undefined && document[step.field] !== null) {
+            try {
+              const converted = storageTypes.toStorage(step.definition, document[step.field], step.field);
+              if (!this.isSameValue(converted, document[step.field])) {
+                document[step.field] = converted;
+                result.applied = true;
+              }
+            } catch (error) {
+              result.error = error.message;
+            }
+          }
+          break;
+
+        case 'encryption':
+          if (document[step.field] !== undefined && document[step.field] !== null) {
+            try {
+              const value = fieldEncryption.decryptValue(document[step.field]);
+              const mode = fieldEncryption.modeOf(step.definition);
+              const converted = !mode
+                ? storageTypes.toStorage(step.definition, value, step.field)
+                : fieldEncryption.needsRotation({ deterministic: mode === 'deterministic' }, document[step.field])
+                  ? fieldEncryption.encryptValue(value, { deterministic: mode === 'deterministic' })
+                  : document[step.field];
+              if (!this.isSameValue(converted, document[step.field])) {
+                document[step.field] = converted;
+                result.applied = true;
+              }
+            } catch (error) {
+              result.error = error.message;
+            }
+          }
+          break;
+
+        case 'compute':
+          try {
+            const context = storageTypes.serialize(newJsonSchema, document);
+            const value = computedFields.evaluate(step.field, step.expression, context);
+            const converted = value === null ? undefined : storageTypes.toStorage(step.definition, value, step.field);
+            if (!this.isSameValue(converted, document[step.field])) {
+              if (converted === undefined) {
+                delete document[step.field];
+              } else {
+                document[step.field] = converted;
+              }
+              result.applied = true;
+            }
+          } catch (error) {
+            result.error = error.message;
+          }
+          break;
+
+        case 'setDefault':
+          if (document[step.field] === undefined) {
+            document[step.field] = step.value;
+            result.applied = true;
+          }
+          break;
+
+        default:
+          result.error = `Unknown migration step '${step.type}'`;
+      }
+
+      stepResults.push(result);
+    }
+
+    return { document, stepResults };
+  }
+
+  /**
+   * Convert a stored value to a new JSON Schema type
+   * @param {*} value - Stored value
+   * @param {string} toType - Target JSON Schema type
+   * @returns {*} - Converted value
+   */
+  convertValue(value, toType) {
+    switch (toType) {
+      case 'string':
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+      case 'number':
+      case 'integer': {
+        if (typeof value === 'boolean') return value ? 1 : 0;
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (String(value).trim() === '' || Number.isNaN(number)) {
+          throw new Error(`Cannot convert '${value}' to ${toType}`);
+        }
+        if (toType === 'integer' && !Number.isInteger(number)) {
+          throw new Error(`Cannot convert '${value}' to integer without losing precision`);
+        }
+        return number;
+      }
+
+      case 'boolean':
+        if (typeof value === 'boolean') return value;
+        if (['true', '1', 'yes'].includes(String(value).toLowerCase())) return true;
+        if (['false', '0', 'no'].includes(String(value).toLowerCase())) return false;
+        throw new Error(`Cannot convert '${value}' to boolean`);
+
+      case 'array':
+        return Array.isArray(value) ? value : [value];
+
+      case 'object':
+        if (typeof value === 'object' && !Array.isArray(value)) return value;
+        if (typeof value === 'string') {
+          const parsed = JSON.parse(value);
+          if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) return parsed;
+        }
+        throw new Error(`Cannot convert '${value}' to object`);
+
+      default:
+        throw new Error(`Unsupported target type '${toType}'`);
+    }
+  }
+
+  /**
+   * Check whether a type can be converted by the migration engine
+   * @param {string} type - JSON Schema type
+   * @returns {boolean} - True if convertible
+   */
+  isConvertibleType(type) {
+    return ['string', 'number', 'integer', 'boolean', 'array', 'object'].includes(type);
+  }
+
+  /**
+   * Build the update and backup for a transformed record
+   * @param {Object} original - Original record
+   * @param {Object} document - Transformed record
+   * @returns {Object|null} - Update operation and backup, or null if unchanged
+   */
+  buildUpdate(original, document) {
+    const $set = {};
+    const $unset = {};
+    const values = {};
+    const missing = [];
+
+    const fields = new Set([...Object.keys(original), ...Object.keys(document)]);
+    for (const field of fields) {
+      if (SYSTEM_FIELDS.includes(field)) continue;
+      if (this.isSameValue(original[field], document[field])) continue;
+
+      if (document[field] === undefined) {
+        $unset[field] = '';
+      } else {
+        $set[field] = document[field];
+      }
+
+      if (original[field] === undefined) {
+        missing.push(field);
+      } else {
+        values[field] = original[field];
+      }
+    }
+
+    if (Object.keys($set).length === 0 && Object.keys($unset).length === 0) {
+      return null;
+    }
+
+    const update = { $set: { ...$set, updatedAt: new Date() } };
+    if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+    return { update, backup: { values, missing } };
+  }
+
+  /**
+   * Compare two stored values, including their BSON types (a Date differs from its ISO string)
+   * @param {*} a - Value
+   * @param {*} b - Value
+   * @returns {boolean} - True if equal
+   */
+  isSameValue(a, b) {
+    if (a === undefined || b === undefined) return a === b;
+    return EJSON.stringify({ value: a }, { relaxed: true }) === EJSON.stringify({ value: b }, { relaxed: true });
+  }
+
+  /**
+   * Remove system fields before validating a record
+   * @param {Object} record - Record
+   * @returns {Object} - Record without system fields
+   */
+  stripSystemFields(record) {
+    const data = { ...record };
+    SYSTEM_FIELDS.forEach(field => delete data[field]);
+    return data;
+  }
+
+  /**
+   * List migrations recorded for a schema
+   * @param {string} schemaName - Schema name
+   * @param {Object} options - Query options
+   * @returns {Promise<Object>} - Migrations with pagination
+   */
+  async listMigrations(schemaName, options = {}) {
+    const { page = 1, limit = 20, status } = options;
+
+    const query = { schemaName };
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (page - 1) * limit;
+    const total = await SchemaMigration.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    const migrations = await SchemaMigration.find(query)
+      .select('-fromJsonSchema -toJsonSchema')
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    return {
+      migrations,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRecords: total,
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Get a single migration
+   * @param {string} schemaName - Schema name
+   * @param {string} migrationId - Migration ID
+   * @returns {Promise<Object|null>} - Migration or null
+   */
+  async getMigration(schemaName, migrationId) {
+    return await SchemaMigration.findOne({ _id: migrationId, schemaName }).lean();
+  }
+
+  /**
+   * Roll back the latest migration of a schema
+   * Restores the original field values and the previous jsonSchema
+   * @param {string} schemaName - Schema name
+   * @param {string} migrationId - Migration ID
+   * @returns {Promise<Object>} - Rollback result
+   */
+  async rollbackMigration(schemaName, migrationId) {
+    const migration = await SchemaMigration.findOne({ _id: migrationId, schemaName });
+    if (!migration) {
+      throw new Error(`Migration '${migrationId}' not found for schema '${schemaName}'`);
+    }
+
+    if (!['applied', 'failed'].includes(migration.status)) {
+      throw new Error(`Migration '${migrationId}' is ${migration.status} and cannot be rolled back`);
+    }
+
+    const latest = await SchemaMigration.findOne({
+      schemaName,
+      status: { $in: ['applied', 'failed'] }
+    }).sort({ startedAt: -1 });
+
+    if (!latest || !latest._id.equals(migration._id)) {
+      throw new Error('Only the most recent migration can be rolled back');
+    }
+
+    console.log(`⏪ Rolling back migration ${migrationId} for schema ${schemaName}`);
+
+    // Restore into the schema's current collection, which moves when the schema is renamed
+    const schema = await SchemaDefinition.findOne({ name: schemaName });
+    const collection = mongoose.connection.db.collection(schema ? schema.collectionName : migration.collectionName);
+    let restored = 0;
+    let writes = [];
+
+    const cursor = MigrationBackup.find({ migrationId: migration._id }).lean().cursor();
+    for await (const backup of cursor) {
+      const update = {};
+      if (backup.values && Object.keys(backup.values).length > 0) {
+        update.$set = backup.values;
+      }
+      if (backup.missing && backup.missing.length > 0) {
+        update.$unset = backup.missing.reduce((acc, field) => ({ ...acc, [field]: '' }), {});
+      }
+      if (Object.keys(update).length === 0) continue;
+
+      writes.push({ updateOne: { filter: { _id: backup.documentId }, update } });
+      restored++;
+
+      if (writes.length >= BATCH_SIZE) {
+        await collection.bulkWrite(writes, { ordered: false });
+        writes = [];
+      }
+    }
+
+    if (writes.length > 0) {
+      await collection.bulkWrite(writes, { ordered: false });
+    }
+
+    // Restore the schema definition the records were migrated from
+    if (schema) {
+      const classification = SchemaVersionService.classifyChange(schema, {
+        displayName: schema.displayName,
+        description: schema.description,
+        jsonSchema: migration.fromJsonSchema
+      });
+
+      await SchemaVersionService.ensureRevision(schema);
+
+      schema.jsonSchema = migration.fromJsonSchema;
+      schema.markModified('jsonSchema');
+      if (classification) {
+        schema.version = SchemaVersionService.bumpVersion(schema.version, classification.changeType);
+      }
+      await schema.save();
+
+      if (classification) {
+        await SchemaVersionService.recordRevision(schema, {
+          changeType: classification.changeType,
+          changes: { ...classification.changes, rollbackOf: migration._id }
+        });
+      }
+
+      schemaValidator.invalidate(schemaName);
+      SchemaRegistry.set(schema);
+      CollectionGenerator.removeDynamicModel(schemaName);
+      CollectionGenerator.createDynamicModel(schema);
+    }
+
+    migration.status = 'rolled_back';
+    migration.rolledBackAt = new Date();
+    await migration.save();
+    await MigrationBackup.deleteMany({ migrationId: migration._id });
+
+    console.log(`✅ Rolled back migration ${migrationId} (${restored} records restored)`);
+
+    return {
+      migrationId: migration._id,
+      schemaName,
+      recordsRestored: restored,
+      status: migration.status
+    };
+  }
+}
+
+module.exports = new MigrationService();
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const SchemaDefinition = require('../models/Schema');
+const SchemaRegistry = require('./SchemaRegistry');
+const openApiGenerator = require('../utils/openApiGenerator');
+const tenantContext = require('../utils/tenantContext');
+
+const BASE_DOCUMENT_PATH = path.join(__dirname, '..', '..', 'documentation', 'openapi.yaml');
+
+/**
+ * Service serving the OpenAPI document of the API
+ * The static documentation/openapi.yaml is extended with the operations of every active
+ * schema of the tenant. Documents are built on first request and rebuilt after a schema of
+ * the tenant is created, updated, reloaded or deleted (on any instance, via the schema registry)
+ */
+class OpenApiService {
+  constructor() {
+    this.baseDocument = null;
+    // Built documents by tenant
+    this.documents = new Map();
+
+    SchemaRegistry.on('schemaChanged', schema => this.invalidate(schema.tenantId));
+    SchemaRegistry.on('schemaRemoved', schema => this.invalidate(schema.tenantId));
+  }
+
+  /**
+   * Get the static document the schema operations are added to
+   * Falls back to a minimal document if documentation/openapi.yaml is missing or invalid
+   * @returns {Object} - OpenAPI document
+   */
+  getBaseDocument() {
+    if (this.baseDocument) return this.baseDocument;
+
+    try {
+      this.baseDocument = YAML.parse(fs.readFileSync(BASE_DOCUMENT_PATH, 'utf8'));
+    } catch (error) {
+      console.warn('⚠️  Failed to load documentation/openapi.yaml:', error.message);
+      this.baseDocument = {
+        openapi: '3.0.3',
+        info: {
+          title: 'Craftsman Dynamic Backend API (Fallback Docs)',
+          version: '1.0.0',
+          description: 'OpenAPI file missing or invalid. Ensure documentation/openapi.yaml exists.'
+        },
+        paths: {},
+        components: {
+          parameters: {
+            RecordId: { in: 'path', name: 'recordId', required: true, schema: { type: 'string' } },
+            Page: { in: 'query', name: 'page', schema: { type: 'integer', minimum: 1, default: 1 } },
+            Limit: { in: 'query', name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 100, default: 10 } },
+            Sort: { in: 'query', name: 'sort', schema: { type: 'string' } },
+            IncludeAudit: { in: 'query', name: 'includeAudit', schema: { type: 'boolean', default: false } },
+            Locale: { in: 'query', name: 'locale', schema: { type: 'string' } }
+          }
+        }
+      };
+    }
+    return this.baseDocument;
+  }
+
+  /**
+   * Get the OpenAPI document of the current tenant
+   * @returns {Promise<Object>} - OpenAPI document
+   */
+  async getDocument() {
+    const tenantId = tenantContext.getTenantId();
+    const cached = this.documents.get(tenantId);
+    if (cached) return cached;
+
+    // Keep the build promise so concurrent requests share one build
+    const build = this.build(tenantId);
+    this.documents.set(tenantId, build);
+    try {
+      return await build;
+    } catch (error) {
+      if (this.documents.get(tenantId) === build) this.documents.delete(tenantId);
+      throw error;
+    }
+  }
+
+  /**
+   * Build the OpenAPI document of a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - OpenAPI document
+   */
+  async build(tenantId) {
+    const schemas = await SchemaDefinition.find({ isActive: true })
+      .select('name displayName description version jsonSchema')
+      .lean();
+
+    const document = openApiGenerator.build(this.getBaseDocument(), schemas);
+    document.info = {
+      ...document.info,
+      'x-tenant': tenantId,
+      'x-generated-at': new Date().toISOString()
+    };
+
+    console.log(`📚 Generated OpenAPI document for ${schemas.length} schemas (tenant '${tenantId}')`);
+    return document;
+  }
+
+  /**
+   * Drop the built document of a tenant so the next request rebuilds it
+   * @param {string} tenantId - Tenant ID
+   */
+  invalidate(tenantId = tenantContext.defaultTenant) {
+    this.documents.delete(tenantId || tenantContext.defaultTenant);
+  }
+}
+
+module.exports = new OpenApiService();
@@ -1,5 +1,6 @@
 const SchemaService = require('./SchemaService');
 const CollectionGenerator = require('./CollectionGenerator');
+const storageTypes = require('../utils/storageTypes');
 
 /**
  * Service to resolve references between schemas
@@ -158,7 +159,7 @@ class ReferenceResolver {
       }
       
       const referencedRecord = await Model.findById(recordId).lean();
-      return referencedRecord;
+      return await this.serializeReferenced(referencedSchema, referencedRecord);
     } catch (error) {
       console.error(`Error resolving reference to ${referencedSchema}:${recordId}:`, error);
       return null;
@@ -187,13 +188,30 @@ class ReferenceResolver {
         _id: { $in: recordIds }
       }).lean();
       
-      return referencedRecords;
+      return await this.serializeReferenced(referencedSchema, referencedRecords);
     } catch (error) {
       console.error(`Error resolving array references to ${referencedSchema}:`, error);
       return [];
     }
   }
 
+  /**
+   * Serialize populated records with the storage types of their own schema
+   * @param {string} referencedSchema - Schema name of the records
+   * @param {Object|Array|null} records - Record or records
+   * @returns {Promise<Object|Array|null>} - Serialized record(s)
+   */
+  async serializeReferenced(referencedSchema, records) {
+    if (!records) return records;
+
+    const schema = await SchemaService.getSchemaByName(referencedSchema);
+    if (!schema) return records;
+
+    return Array.isArray(records)
+      ? records.map(record => storageTypes.serialize(schema.jsonSchema, record))
+      : storageTypes.serialize(schema.jsonSchema, records);
+  }
+
   /**
    * Validate that referenced records exist
    * @param {string} schemaName - Source schema name
@@ -0,0 +1,271 @@
+const SchemaDraft = require('../models/SchemaDraft');
+const SchemaService = require('./SchemaService');
+const MigrationService = require('./MigrationService');
+const SchemaVersionService = require('./SchemaVersionService');
+const schemaValidator = require('../utils/schemaValidator');
+const computedFields = require('../utils/computedFields');
+const generatedDefaults = require('../utils/generatedDefaults');
+const indexDeclarations = require('../utils/indexDeclarations');
+
+// A publish that has not finished after this long is assumed to have crashed
+const PUBLISH_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Service for staged schema changes
+ * A draft holds a proposed definition next to the live one; it can be checked against
+ * existing records and previewed, and is applied by publishing it as a regular update
+ */
+class SchemaDraftService {
+  /**
+   * Get the draft of a schema
+   * @param {string} schemaName - Schema name
+   * @returns {Promise<Object|null>} - Draft or null
+   */
+  async getDraft(schemaName) {
+    return await SchemaDraft.findOne({ schemaName }).lean();
+  }
+
+  /**
+   * Create or replace the draft of a schema
+   * @param {Object} schema - Live schema definition
+   * @param {Object} draftData - Proposed definition (displayName, description, jsonSchema, compatibility, renames)
+   * @param {Object} options - Options (userId)
+   * @returns {Promise<Object>} - Saved draft
+   */
+  async saveDraft(schema, draftData, options = {}) {
+    const { displayName, description, jsonSchema, compatibility, renames } = draftData;
+
+    await this.resolve(schema.name, jsonSchema);
+
+    const existing = await SchemaDraft.findOne({ schemaName: schema.name });
+    if (existing && existing.status === 'publishing') {
+      throw this.conflict(`Draft of schema '${schema.name}' is being published`);
+    }
+
+    const draft = existing || new SchemaDraft({
+      schemaName: schema.name,
+      baseVersion: schema.version,
+      authoredBy: options.userId || null
+    });
+
+    draft.displayName = displayName;
+    draft.description = description;
+    draft.jsonSchema = jsonSchema;
+    draft.compatibility = compatibility;
+    draft.renames = renames || null;
+    draft.updatedBy = options.userId || null;
+    draft.updatedAt = new Date();
+    draft.markModified('jsonSchema');
+    draft.markModified('renames');
+
+    await draft.save();
+
+    console.log(`📝 Saved draft for schema: ${schema.name}`);
+    return draft.toObject();
+  }
+
+  /**
+   * Discard the draft of a schema
+   * @param {string} schemaName - Schema name
+   * @returns {Promise<Object|null>} - Discarded draft or null if there was none
+   */
+  async discardDraft(schemaName) {
+    const draft = await SchemaDraft.findOneAndDelete({ schemaName, status: 'draft' }).lean();
+    if (!draft && await SchemaDraft.exists({ schemaName })) {
+      throw this.conflict(`Draft of schema '${schemaName}' is being published`);
+    }
+
+    if (draft) {
+      console.log(`🗑️  Discarded draft for schema: ${schemaName}`);
+    }
+    return draft;
+  }
+
+  /**
+   * Check existing records and the compatibility mode against a draft
+   * @param {Object} schema - Live schema definition
+   * @param {Object} draft - Draft
+   * @returns {Promise<Object>} - Validation report
+   */
+  async validateDraft(schema, draft) {
+    const jsonSchema = await this.resolve(schema.name, draft.jsonSchema);
+    const renames = draft.renames || undefined;
+
+    const [preview, compatibility] = await Promise.all([
+      MigrationService.planMigration(schema.name, jsonSchema, { renames }),
+      SchemaService.checkCompatibility(schema, jsonSchema, { renames })
+    ]);
+
+    return {
+      schemaName: schema.name,
+      baseVersion: draft.baseVersion,
+      currentVersion: schema.version,
+      stale: draft.baseVersion !== schema.version,
+      totalRecords: preview.report.totalRecords,
+      validRecords: preview.report.validation.validRecords,
+      invalidRecords: preview.report.validation.invalidRecords,
+      failures: preview.report.validation.failures,
+      steps: preview.steps,
+      warnings: preview.warnings,
+      compatibility: {
+        mode: compatibility.mode,
+        compatible: compatibility.compatible,
+        violations: compatibility.violations
+      }
+    };
+  }
+
+  /**
+   * Preview the record API a draft would generate
+   * @param {Object} schema - Live schema definition
+   * @param {Object} draft - Draft
+   * @returns {Promise<Object>} - Endpoints, request and response shapes, fields, indexes and the version change
+   */
+  async previewApi(schema, draft) {
+    const jsonSchema = await this.resolve(schema.name, draft.jsonSchema);
+    const classification = SchemaVersionService.classifyChange(schema, {
+      displayName: draft.displayName,
+      description: draft.description,
+      jsonSchema,
+      compatibility: draft.compatibility
+    }, { renames: draft.renames || undefined });
+
+    const computed = computedFields.getComputedFields(jsonSchema).map(c => c.field);
+    const generated = generatedDefaults.getGeneratedFields(jsonSchema).map(g => g.field);
+    const required = jsonSchema.required || [];
+    const properties = jsonSchema.properties || {};
+
+    // Computed fields cannot be written
+    const request = schemaValidator.requestSchema(jsonSchema);
+    const requestProperties = { ...properties };
+    computed.forEach(field => delete requestProperties[field]);
+
+    const basePath = `/api/data/${schema.name}`;
+
+    return {
+      schemaName: schema.name,
+      baseVersion: draft.baseVersion,
+      changeType: classification ? classification.changeType : 'none',
+      nextVersion: classification ? SchemaVersionService.bumpVersion(schema.version, classification.changeType) : schema.version,
+      changes: classification ? classification.changes : null,
+      endpoints: [
+        { method: 'GET', path: basePath, description: 'List records' },
+        { method: 'POST', path: basePath, description: 'Create a record' },
+        { method: 'POST', path: `${basePath}/bulk`, description: 'Create records in bulk' },
+        { method: 'GET', path: `${basePath}/search`, description: 'Search records' },
+        { method: 'GET', path: `${basePath}/count`, description: 'Count records' },
+        { method: 'GET', path: `${basePath}/stats`, description: 'Record statistics' },
+        { method: 'GET', path: `${basePath}/{recordId}`, description: 'Get a record' },
+        { method: 'PUT', path: `${basePath}/{recordId}`, description: 'Update a record' },
+        { method: 'PATCH', path: `${basePath}/{recordId}`, description: 'Partially update a record' },
+        { method: 'DELETE', path: `${basePath}/{recordId}`, description: 'Delete a record' }
+      ],
+      request: { ...request, properties: requestProperties },
+      response: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          ...properties,
+          createdAt: { type: 'string', format: 'date-time' },
+          updatedAt: { type: 'string', format: 'date-time' }
+        },
+        required: ['_id', ...required]
+      },
+      fields: Object.entries(properties).map(([field, definition]) => ({
+        field,
+        type: definition.type || null,
+        required: required.includes(field),
+        computed: computed.includes(field),
+        generated: generated.includes(field)
+      })),
+      indexes: indexDeclarations.build(jsonSchema)
+    };
+  }
+
+  /**
+   * Publish the draft of a schema
+   * The draft is claimed first so it is published once; the update is refused if the
+   * schema moved past the draft's base version, and the draft is kept if publishing fails
+   * @param {string} schemaName - Schema name
+   * @param {Object} options - Options (userId, force)
+   * @returns {Promise<Object>} - Published schema definition
+   */
+  async publishDraft(schemaName, options = {}) {
+    const now = new Date();
+    const draft = await SchemaDraft.findOneAndUpdate(
+      {
+        schemaName,
+        $or: [
+          { status: 'draft' },
+          { status: 'publishing', publishingAt: { $lt: new Date(now.getTime() - PUBLISH_TIMEOUT_MS) } }
+        ]
+      },
+      { status: 'publishing', publishingAt: now },
+      { new: true }
+    ).lean();
+
+    if (!draft) {
+      if (await SchemaDraft.exists({ schemaName })) {
+        throw this.conflict(`Draft of schema '${schemaName}' is already being published`);
+      }
+      const error = new Error(`Schema '${schemaName}' has no draft`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    try {
+      const schema = await SchemaService.updateSchema(schemaName, {
+        displayName: draft.displayName,
+        description: draft.description,
+        jsonSchema: draft.jsonSchema,
+        compatibility: draft.compatibility
+      }, {
+        renames: draft.renames || undefined,
+        userId: options.userId,
+        authoredBy: draft.authoredBy,
+        force: options.force,
+        expectedVersion: draft.baseVersion
+      });
+
+      await SchemaDraft.deleteOne({ _id: draft._id });
+
+      console.log(`🚀 Published draft for schema: ${schemaName} (version ${schema.version})`);
+      return schema;
+    } catch (error) {
+      await SchemaDraft.updateOne({ _id: draft._id }, { status: 'draft', publishingAt: null });
+      throw error;
+    }
+  }
+
+  /**
+   * Resolve and validate the effective jsonSchema of a draft
+   * @param {string} schemaName - Schema name
+   * @param {Object} jsonSchema - Draft jsonSchema as authored
+   * @returns {Promise<Object>} - Effective jsonSchema
+   */
+  async resolve(schemaName, jsonSchema) {
+    const { effective } = await SchemaService.resolveSchema(jsonSchema, schemaName);
+
+    const validation = schemaValidator.validateSchema(effective);
+    if (!validation.valid) {
+      const error = new Error(`Invalid JSON Schema: ${validation.errors.map(e => e.message).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    return effective;
+  }
+
+  /**
+   * Build a 409 error
+   * @param {string} message - Error message
+   * @returns {Error} - Error with statusCode 409
+   */
+  conflict(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+}
+
+module.exports = new SchemaDraftService();
@@ -0,0 +1,285 @@
+const EventEmitter = require('events');
+const SchemaDefinition = require('../models/Schema');
+const CollectionGenerator = require('./CollectionGenerator');
+const schemaValidator = require('../utils/schemaValidator');
+const tenantContext = require('../utils/tenantContext');
+
+/**
+ * In-memory registry of active schema definitions
+ * Warmed at boot and kept in sync across instances by watching the schema definitions
+ * collection; when a definition changes elsewhere, the local Mongoose model and
+ * validators are rebuilt. Without change streams (standalone MongoDB) entries are
+ * re-read after SCHEMA_CACHE_TTL_MS.
+ *
+ * Entries are keyed by tenant-scoped schema name.
+ * Events: 'schemaChanged' (schema, previous) and 'schemaRemoved' (schema)
+ */
+class SchemaRegistry extends EventEmitter {
+  constructor() {
+    super();
+    this.schemas = new Map();
+    this.changeStream = null;
+    this.watching = false;
+    this.warmedAt = null;
+    this.lastEventAt = null;
+    this.lastError = null;
+    this.ttlMs = parseInt(process.env.SCHEMA_CACHE_TTL_MS) || 30000;
+    this.stats = { hits: 0, misses: 0, invalidations: 0, events: 0 };
+  }
+
+  /**
+   * Load every active schema of every tenant into the registry
+   * @returns {Promise<Array>} - Active schema definitions
+   */
+  async warm() {
+    const schemas = await tenantContext.runAsSystem(() => SchemaDefinition.find({ isActive: true }).lean());
+
+    this.schemas.clear();
+    for (const schema of schemas) {
+      this.store(schema);
+    }
+
+    this.warmedAt = new Date();
+    console.log(`🗂️  Schema registry warmed with ${schemas.length} schemas`);
+    return schemas;
+  }
+
+  /**
+   * Get an active schema definition of the current tenant
+   * The returned definition is shared; callers must not modify it
+   * @param {string} name - Schema name
+   * @returns {Promise<Object|null>} - Schema definition or null
+   */
+  async get(name) {
+    const key = tenantContext.scopedName(name);
+    const entry = this.schemas.get(key);
+    if (entry && (this.watching || Date.now() - entry.loadedAt < this.ttlMs)) {
+      this.stats.hits++;
+      return entry.schema;
+    }
+
+    this.stats.misses++;
+    const schema = await SchemaDefinition.findOne({ name, isActive: true }).lean();
+    if (!schema) {
+      this.schemas.delete(key);
+      return null;
+    }
+
+    this.apply(schema);
+    return schema;
+  }
+
+  /**
+   * Get a cached schema definition of the current tenant without loading it
+   * For synchronous callers that can do without schemas that are not cached
+   * @param {string} name - Schema name
+   * @returns {Object|null} - Schema definition or null
+   */
+  peek(name) {
+    const entry = this.schemas.get(tenantContext.scopedName(name));
+    return entry ? entry.schema : null;
+  }
+
+  /**
+   * Put a schema definition written by this instance into the registry
+   * Emits schemaChanged when the revision differs from the cached one, so caches built from
+   * the definitions are dropped here and not only on the instances that follow the change stream
+   * @param {Object} schema - Schema definition (document or plain object)
+   */
+  set(schema) {
+    const plain = typeof schema.toObject === 'function' ? schema.toObject({ virtuals: false }) : schema;
+    if (plain.isActive === false) {
+      this.remove(plain.name, plain.tenantId);
+      return;
+    }
+
+    const previous = this.schemas.get(this.keyOf(plain));
+    this.store(plain);
+
+    if (!previous || this.revisionOf(previous.schema) !== this.revisionOf(plain)) {
+      this.emit('schemaChanged', plain, previous ? previous.schema : null);
+    }
+  }
+
+  /**
+   * Drop a schema from the registry and emit schemaRemoved if it was cached
+   * @param {string} name - Schema name
+   * @param {string} tenantId - Tenant ID (defaults to the current tenant)
+   */
+  remove(name, tenantId = tenantContext.getTenantId()) {
+    const key = tenantContext.scopedName(name, tenantId);
+    const entry = this.schemas.get(key);
+    if (!entry) return;
+
+    this.schemas.delete(key);
+    this.stats.invalidations++;
+    this.emit('schemaRemoved', entry.schema);
+  }
+
+  /**
+   * Start watching the schema definitions collection for changes made by any instance
+   */
+  watch() {
+    if (this.changeStream) return;
+
+    try {
+      this.changeStream = SchemaDefinition.watch([], { fullDocument: 'updateLookup' });
+
+      this.changeStream.on('change', change => {
+        this.handleChange(change).catch(error => {
+          console.error('❌ Error applying schema definition change:', error);
+        });
+      });
+
+      this.changeStream.on('error', error => {
+        // Standalone servers do not support change streams; fall back to TTL expiry
+        console.warn(`⚠️  Schema registry change stream unavailable, entries expire after ${this.ttlMs}ms:`, error.message);
+        this.lastError = error.message;
+        this.watching = false;
+        this.changeStream = null;
+      });
+
+      this.watching = true;
+      console.log('👀 Schema registry watching schema definitions');
+    } catch (error) {
+      console.warn('⚠️  Could not watch schema definitions:', error.message);
+      this.lastError = error.message;
+      this.watching = false;
+      this.changeStream = null;
+    }
+  }
+
+  /**
+   * Apply a change event from the schema definitions collection
+   * @param {Object} change - MongoDB change event
+   */
+  async handleChange(change) {
+    this.stats.events++;
+    this.lastEventAt = new Date();
+
+    if (change.operationType === 'delete') {
+      const cached = this.findById(change.documentKey._id);
+      if (cached) this.evict(cached);
+      return;
+    }
+
+    const schema = change.fullDocument;
+    if (!schema) return;
+
+    // A renamed schema keeps its _id; drop the entry cached under its previous name
+    const cached = this.findById(schema._id);
+    if (cached && this.keyOf(cached) !== this.keyOf(schema)) {
+      this.evict(cached);
+    }
+
+    if (!schema.isActive) {
+      this.evict(schema);
+    } else {
+      this.apply(schema);
+    }
+  }
+
+  /**
+   * Cache a definition and rebuild its model and validators if its revision changed
+   * @param {Object} schema - Active schema definition
+   */
+  apply(schema) {
+    const previous = this.schemas.get(this.keyOf(schema));
+    this.store(schema);
+
+    if (previous && this.revisionOf(previous.schema) === this.revisionOf(schema)) return;
+
+    CollectionGenerator.removeDynamicModel(schema.name, schema.tenantId);
+    CollectionGenerator.createDynamicModel(schema);
+    schemaValidator.invalidate(schema.name, schema.tenantId);
+    if (previous) {
+      console.log(`🔄 Reloaded schema '${schema.name}' (revision ${this.revisionOf(schema)})`);
+    }
+
+    this.emit('schemaChanged', schema, previous ? previous.schema : null);
+  }
+
+  /**
+   * Remove a schema that was deleted or deactivated by any instance
+   * @param {Object} schema - Schema definition ({ name, tenantId })
+   */
+  evict(schema) {
+    if (!this.schemas.has(this.keyOf(schema))) return;
+
+    CollectionGenerator.removeDynamicModel(schema.name, schema.tenantId);
+    schemaValidator.invalidate(schema.name, schema.tenantId);
+    this.remove(schema.name, schema.tenantId);
+  }
+
+  /**
+   * Find a cached definition by its _id
+   * @param {*} id - Schema definition _id
+   * @returns {Object|null} - Schema definition or null
+   */
+  findById(id) {
+    const entry = Array.from(this.schemas.values()).find(e => String(e.schema._id) === String(id));
+    return entry ? entry.schema : null;
+  }
+
+  /**
+   * Store a definition without side effects
+   * @param {Object} schema - Schema definition
+   */
+  store(schema) {
+    this.schemas.set(this.keyOf(schema), { schema, loadedAt: Date.now() });
+  }
+
+  /**
+   * Get the registry key of a definition
+   * @param {Object} schema - Schema definition ({ name, tenantId })
+   * @returns {string} - Tenant-scoped schema name
+   */
+  keyOf(schema) {
+    return tenantContext.scopedName(schema.name, schema.tenantId);
+  }
+
+  /**
+   * Identify the revision of a definition; a hot reload bumps reloadedAt
+   * @param {Object} schema - Schema definition
+   * @returns {string} - Revision key
+   */
+  revisionOf(schema) {
+    const reloadedAt = schema.reloadedAt ? new Date(schema.reloadedAt).getTime() : 0;
+    return `${schema.version || '1.0.0'}@${reloadedAt}`;
+  }
+
+  /**
+   * Get the registry state
+   * @returns {Object} - Cache state and counters
+   */
+  getState() {
+    return {
+      warmedAt: this.warmedAt,
+      mode: this.watching ? 'changeStream' : 'ttl',
+      ttlMs: this.watching ? null : this.ttlMs,
+      lastEventAt: this.lastEventAt,
+      lastError: this.lastError,
+      size: this.schemas.size,
+      ...this.stats,
+      schemas: Array.from(this.schemas.values()).map(({ schema, loadedAt }) => ({
+        tenantId: schema.tenantId,
+        name: schema.name,
+        version: schema.version,
+        loadedAt: new Date(loadedAt)
+      }))
+    };
+  }
+
+  /**
+   * Stop watching schema definitions
+   */
+  async close() {
+    if (this.changeStream) {
+      await this.changeStream.close();
+      this.changeStream = null;
+    }
+    this.watching = false;
+  }
+}
+
+module.exports = new SchemaRegistry();
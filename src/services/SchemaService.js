@@ -1,15 +1,44 @@
+const mongoose = require('mongoose');
 const SchemaDefinition = require('../models/Schema');
+const SchemaRevision = require('../models/SchemaRevision');
+const SchemaMigration = require('../models/SchemaMigration');
+const MigrationBackup = require('../models/MigrationBackup');
+const Sequence = require('../models/Sequence');
+const SchemaDraft = require('../models/SchemaDraft');
+const AuditLog = require('../models/AuditLog');
 const CollectionGenerator = require('./CollectionGenerator');
+const SchemaRegistry = require('./SchemaRegistry');
+const MigrationService = require('./MigrationService');
+const SchemaVersionService = require('./SchemaVersionService');
 const schemaValidator = require('../utils/schemaValidator');
+const compatibilityChecker = require('../utils/compatibilityChecker');
+const schemaInheritance = require('../utils/schemaInheritance');
+const schemaRelationships = require('../utils/schemaRelationships');
+const enumSources = require('../utils/enumSources');
+const schemaLinter = require('../utils/schemaLinter');
+const tenantContext = require('../utils/tenantContext');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SCHEMA_NAME = /^[a-z][a-z0-9_]*$/;
+const SNAPSHOTS = ['previousState', 'currentState'];
 
 class SchemaService {
+  constructor() {
+    // Days a deleted schema stays in the trash before its collection is dropped
+    this.trashRetentionDays = parseInt(process.env.SCHEMA_TRASH_RETENTION_DAYS) || 30;
+  }
+
   /**
    * Create a new schema definition
    * @param {Object} schemaData - Schema data
    * @returns {Promise<Object>} - Created schema
    */
   async createSchema(schemaData) {
-    const { name, displayName, description, jsonSchema } = schemaData;
+    const { name, displayName, description, compatibility } = schemaData;
+
+    // Flatten x-extends / allOf parents into the effective schema
+    const inheritance = await this.resolveSchema(schemaData.jsonSchema, name);
+    const jsonSchema = inheritance.effective;
 
     // Validate JSON Schema
     const validation = schemaValidator.validateSchema(jsonSchema);
@@ -19,6 +48,9 @@ class SchemaService {
 
     // Check if schema name already exists
     const existingSchema = await SchemaDefinition.findOne({ name });
+    if (existingSchema && existingSchema.deletedAt) {
+      throw new Error(`Schema '${name}' is in the trash; restore or purge it first`);
+    }
     if (existingSchema) {
       throw new Error(`Schema with name '${name}' already exists`);
     }
@@ -28,17 +60,88 @@ class SchemaService {
       name,
       displayName,
       description,
-      jsonSchema
+      jsonSchema,
+      sourceSchema: inheritance.source,
+      parents: inheritance.parents,
+      compatibility
     });
 
     await schema.save();
 
+    // Record the initial revision in the version history
+    await SchemaVersionService.recordRevision(schema, {
+      changeType: 'initial',
+      createdBy: schemaData.createdBy
+    });
+
     // Generate dynamic model
     CollectionGenerator.createDynamicModel(schema);
+    SchemaRegistry.set(schema);
 
     return schema;
   }
 
+  /**
+   * Resolve the effective jsonSchema of a schema that builds on other stored schemas
+   * Parents are read from their stored (already flattened) definitions
+   * @param {Object} jsonSchema - JSON Schema definition as authored
+   * @param {string} name - Name of the schema being resolved (for cycle detection)
+   * @param {Object} overrides - Effective jsonSchema to use for specific parents ({ name: jsonSchema })
+   * @returns {Promise<Object>} - { effective, source, parents }; source is null without parents
+   */
+  async resolveSchema(jsonSchema, name, overrides = {}) {
+    const extendsValue = jsonSchema && jsonSchema['x-extends'];
+    if (extendsValue !== undefined && ![].concat(extendsValue).every(parent => typeof parent === 'string')) {
+      throw new Error('x-extends must be a schema name or a list of schema names');
+    }
+
+    if (!schemaInheritance.hasParents(jsonSchema)) {
+      return { effective: jsonSchema, source: null, parents: [] };
+    }
+
+    const parents = schemaInheritance.getParents(jsonSchema);
+    if (parents.includes(name)) {
+      throw new Error(`Schema '${name}' cannot inherit from itself`);
+    }
+
+    const stored = await SchemaDefinition.find({ name: { $in: parents }, isActive: true }).lean();
+    const parentSchemas = {};
+    for (const parent of stored) {
+      parentSchemas[parent.name] = overrides[parent.name] || parent.jsonSchema;
+    }
+
+    // Walk up the stored hierarchy to reject cycles
+    const seen = new Set(parents);
+    let level = stored;
+    while (level.length > 0) {
+      if (level.some(parent => (parent.parents || []).includes(name))) {
+        throw new Error(`Schema '${name}' cannot inherit from its own descendant`);
+      }
+      const ancestors = [...new Set(level.flatMap(parent => parent.parents || []))].filter(ancestor => !seen.has(ancestor));
+      ancestors.forEach(ancestor => seen.add(ancestor));
+      level = ancestors.length > 0
+        ? await SchemaDefinition.find({ name: { $in: ancestors }, isActive: true }).lean()
+        : [];
+    }
+
+    return {
+      effective: schemaInheritance.flatten(jsonSchema, parentSchemas),
+      source: jsonSchema,
+      parents
+    };
+  }
+
+  /**
+   * Lint a schema definition against the schemas stored in the current tenant
+   * @param {Object} jsonSchema - Effective JSON Schema definition
+   * @param {string} name - Schema name (optional)
+   * @returns {Promise<Array>} - Warnings as { rule, path, message }
+   */
+  async lintSchema(jsonSchema, name) {
+    const schemaNames = await SchemaDefinition.find({ isActive: true }).distinct('name');
+    return schemaLinter.lint(jsonSchema, { name, schemaNames });
+  }
+
   /**
    * Get all schema definitions
    * @param {Object} filters - Query filters
@@ -51,94 +154,888 @@ class SchemaService {
       query.isActive = filters.active;
     }
 
-    return await SchemaDefinition.find(query)
+    // Trashed schemas are only listed when explicitly requested
+    if (filters.deleted) {
+      query.deletedAt = { $ne: null };
+    } else {
+      query.deletedAt = null;
+    }
+
+    const schemas = await SchemaDefinition.find(query)
       .sort({ createdAt: -1 })
       .lean();
+
+    if (filters.deleted) {
+      return schemas.map(schema => ({
+        ...schema,
+        purgeAfter: new Date(new Date(schema.deletedAt).getTime() + this.trashRetentionDays * DAY_MS)
+      }));
+    }
+
+    return schemas;
   }
 
   /**
-   * Get schema by name
+   * Get schema by name (served from the schema registry)
    * @param {string} name - Schema name
    * @returns {Promise<Object|null>} - Schema definition or null
    */
   async getSchemaByName(name) {
-    return await SchemaDefinition.findOne({ name, isActive: true }).lean();
+    return await SchemaRegistry.get(name);
   }
 
   /**
    * Update schema definition
    * @param {string} name - Schema name
    * @param {Object} updateData - Update data
-   * @returns {Promise<Object>} - Updated schema
+   * @param {Object} options - Update options
+   * @param {Object} options.renames - Field renames for the data migration ({ oldField: newField })
+   * @param {string} options.userId - User making the change (recorded on the revision)
+   * @param {boolean} options.force - Apply the change even if it violates the compatibility mode
+   * @param {string} options.authoredBy - Author of the definition when it differs from userId (published drafts)
+   * @param {string} options.expectedVersion - Refuse the update if the schema is no longer at this version
+   * @returns {Promise<Object>} - Updated schema; after a jsonSchema change, childFailures lists the
+   *   inheriting schemas that could not be re-resolved
    */
-  async updateSchema(name, updateData) {
-    const { displayName, description, jsonSchema } = updateData;
+  async updateSchema(name, updateData, options = {}) {
+    const { displayName, description, compatibility } = updateData;
 
     // Find existing schema
-    const existingSchema = await SchemaDefinition.findOne({ name });
+    const existingSchema = await SchemaDefinition.findOne({ name, isActive: true });
     if (!existingSchema) {
       throw new Error(`Schema '${name}' not found`);
     }
 
-    // Validate new JSON Schema if provided
+    if (options.expectedVersion && existingSchema.version !== options.expectedVersion) {
+      const error = new Error(`Schema '${name}' changed since version ${options.expectedVersion} (now ${existingSchema.version})`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Validate new JSON Schema if provided, after flattening its parents
+    let jsonSchema = updateData.jsonSchema;
+    let inheritance = null;
     if (jsonSchema) {
+      inheritance = await this.resolveSchema(jsonSchema, name);
+      jsonSchema = inheritance.effective;
+
       const validation = schemaValidator.validateSchema(jsonSchema);
       if (!validation.valid) {
         throw new Error(`Invalid JSON Schema: ${validation.errors.map(e => e.message).join(', ')}`);
       }
     }
 
+    // Classify the change to decide the version bump
+    const classification = SchemaVersionService.classifyChange(existingSchema, {
+      displayName: displayName || existingSchema.displayName,
+      description: description || existingSchema.description,
+      jsonSchema: jsonSchema || existingSchema.jsonSchema,
+      compatibility
+    }, { renames: options.renames });
+
+    if (!classification) {
+      // The effective schema is unchanged, but the authored form may have moved fields into a parent
+      if (inheritance && JSON.stringify(inheritance.source) !== JSON.stringify(existingSchema.sourceSchema)) {
+        const updated = await SchemaDefinition.findOneAndUpdate(
+          { name, version: existingSchema.version },
+          { sourceSchema: inheritance.source, parents: inheritance.parents },
+          { new: true }
+        );
+        if (!updated) {
+          throw this.versionConflict(name, existingSchema.version);
+        }
+        SchemaRegistry.set(updated);
+        return updated;
+      }
+      return existingSchema;
+    }
+
+    // Enforce the compatibility mode currently configured on the schema
+    let compatibilityCheck = null;
+    if (jsonSchema) {
+      compatibilityCheck = await this.checkCompatibility(existingSchema, jsonSchema, { renames: options.renames });
+
+      if (!compatibilityCheck.compatible) {
+        if (!options.force) {
+          const error = new Error(
+            `Schema update is not ${compatibilityCheck.mode} compatible: ${compatibilityCheck.violations.map(v => v.message).join('; ')}`
+          );
+          error.statusCode = 409;
+          error.details = compatibilityCheck;
+          throw error;
+        }
+
+        compatibilityCheck.forced = true;
+        console.warn(`⚠️  Forcing incompatible update of schema ${name}:`, compatibilityCheck.violations.map(v => v.code));
+      }
+    }
+
+    // Make sure the change can be carried down to schemas that inherit from this one
+    if (jsonSchema) {
+      await this.checkChildren(existingSchema, jsonSchema, options);
+    }
+
+    // Keep the previous definition as an immutable revision
+    await SchemaVersionService.ensureRevision(existingSchema);
+
     // Update schema
-    const updateFields = {};
+    const updateFields = {
+      version: SchemaVersionService.bumpVersion(existingSchema.version, classification.changeType)
+    };
     if (displayName) updateFields.displayName = displayName;
     if (description) updateFields.description = description;
-    if (jsonSchema) updateFields.jsonSchema = jsonSchema;
+    if (jsonSchema) {
+      updateFields.jsonSchema = jsonSchema;
+      updateFields.sourceSchema = inheritance.source;
+      updateFields.parents = inheritance.parents;
+      updateFields.relationships = schemaRelationships.extract(jsonSchema);
+    }
+    if (compatibility) updateFields.compatibility = compatibility;
 
+    // Only the update that still finds the version it was checked against is applied,
+    // so concurrent updates and publishes cannot both migrate the records
     const updatedSchema = await SchemaDefinition.findOneAndUpdate(
-      { name },
+      { name, version: existingSchema.version },
       updateFields,
       { new: true, runValidators: true }
     );
+    if (!updatedSchema) {
+      throw this.versionConflict(name, existingSchema.version);
+    }
+
+    // Migrate existing records to the new shape and record the revision; if either fails,
+    // put the records and the definition back instead of leaving them apart
+    let migration = null;
+    try {
+      if (jsonSchema) {
+        migration = await MigrationService.migrate(existingSchema, jsonSchema, { renames: options.renames });
+      }
+
+      await SchemaVersionService.recordRevision(updatedSchema, {
+        changeType: classification.changeType,
+        changes: classification.changes,
+        compatibilityCheck: compatibilityCheck && {
+          mode: compatibilityCheck.mode,
+          compatible: compatibilityCheck.compatible,
+          forced: !!compatibilityCheck.forced,
+          violations: compatibilityCheck.violations
+        },
+        createdBy: options.userId,
+        authoredBy: options.authoredBy
+      });
+    } catch (error) {
+      // A migration that failed part way reports its id on the error so it is rolled back too
+      await this.undoUpdate(existingSchema, updatedSchema, migration ? migration._id : error.migrationId);
+      throw error;
+    }
+
+    // Drop validators compiled for the previous revision
+    schemaValidator.invalidate(name);
+    SchemaRegistry.set(updatedSchema);
 
-    // Regenerate dynamic model if schema changed
+    // Regenerate dynamic model and reconcile its indexes if schema changed
     if (jsonSchema) {
       CollectionGenerator.removeDynamicModel(name);
       CollectionGenerator.createDynamicModel(updatedSchema);
+      await this.syncIndexesQuietly(name);
+      const childFailures = await this.reresolveChildren(name, options);
+      return { ...updatedSchema.toObject(), childFailures };
     }
 
     return updatedSchema;
   }
 
   /**
-   * Delete schema definition
+   * Build the error for an update that lost the race for a schema version
    * @param {string} name - Schema name
-   * @returns {Promise<boolean>} - True if deleted
+   * @param {string} version - Version the update was checked against
+   * @returns {Error} - 409 error
+   */
+  versionConflict(name, version) {
+    const error = new Error(`Schema '${name}' was changed by another update while version ${version} was being updated`);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Undo a schema update whose migration or revision failed
+   * Failures are logged so the error that stopped the update is the one reported
+   * @param {Object} existingSchema - Schema definition before the update
+   * @param {Object} updatedSchema - Schema definition written by the update
+   * @param {string|null} migrationId - Migration run by the update, if any
    */
-  async deleteSchema(name) {
-    const schema = await SchemaDefinition.findOne({ name });
+  async undoUpdate(existingSchema, updatedSchema, migrationId) {
+    const { name } = existingSchema;
+
+    try {
+      await SchemaDefinition.updateOne(
+        { name, version: updatedSchema.version },
+        {
+          version: existingSchema.version,
+          displayName: existingSchema.displayName,
+          description: existingSchema.description,
+          jsonSchema: existingSchema.jsonSchema,
+          sourceSchema: existingSchema.sourceSchema,
+          parents: existingSchema.parents,
+          relationships: existingSchema.relationships,
+          compatibility: existingSchema.compatibility
+        }
+      );
+
+      if (migrationId) {
+        await MigrationService.rollbackMigration(name, migrationId);
+      }
+    } catch (error) {
+      console.error(`❌ Could not undo the failed update of schema ${name}:`, error.message);
+    }
+  }
+
+  /**
+   * Check that a new effective schema does not break the schemas inheriting from it
+   * @param {Object} schema - Current schema definition
+   * @param {Object} jsonSchema - New effective JSON Schema
+   * @param {Object} options - Update options (renames, force)
+   */
+  async checkChildren(schema, jsonSchema, options = {}) {
+    const children = await SchemaDefinition.find({ parents: schema.name, isActive: true }).lean();
+
+    for (const child of children) {
+      const { effective } = await this.resolveSchema(child.sourceSchema, child.name, { [schema.name]: jsonSchema });
+      const check = await this.checkCompatibility(child, effective, { renames: options.renames });
+
+      if (!check.compatible && !options.force) {
+        const error = new Error(
+          `Schema update breaks schema '${child.name}', which inherits from '${schema.name}': ${check.violations.map(v => v.message).join('; ')}`
+        );
+        error.statusCode = 409;
+        error.details = { schemaName: child.name, ...check };
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Re-resolve the schemas that inherit from a schema after it changed
+   * Each child goes through a regular update (migration, revision, model regeneration)
+   * and passes the change on to its own children
+   * @param {string} name - Parent schema name
+   * @param {Object} options - Update options of the parent change (renames, userId, force)
+   * @returns {Promise<Array>} - Children (and their descendants) that failed ({ schema, error, details })
+   */
+  async reresolveChildren(name, options = {}) {
+    const children = await SchemaDefinition.find({ parents: name, isActive: true }).lean();
+    const failures = [];
+
+    for (const child of children) {
+      try {
+        const updated = await this.updateSchema(child.name, { jsonSchema: child.sourceSchema }, {
+          renames: options.renames,
+          userId: options.userId,
+          force: options.force
+        });
+        failures.push(...(updated.childFailures || []));
+        console.log(`🧬 Re-resolved schema '${child.name}' after '${name}' changed`);
+      } catch (error) {
+        console.error(`❌ Could not re-resolve schema '${child.name}' after '${name}' changed:`, error.message);
+        failures.push({ schema: child.name, error: error.message, details: error.details || null });
+      }
+    }
+
+    return failures;
+  }
+
+  /**
+   * Check a proposed jsonSchema against the schema's compatibility mode
+   * Backward compatible changes must also keep every existing record valid
+   * @param {Object} schema - Current schema definition
+   * @param {Object} jsonSchema - Proposed JSON Schema
+   * @param {Object} options - Options (renames, mode)
+   * @returns {Promise<Object>} - Compatibility report
+   */
+  async checkCompatibility(schema, jsonSchema, options = {}) {
+    const mode = options.mode || schema.compatibility || 'none';
+    jsonSchema = (await this.resolveSchema(jsonSchema, schema.name)).effective;
+    const issues = compatibilityChecker.analyze(schema.jsonSchema, jsonSchema, { renames: options.renames });
+    const violations = compatibilityChecker.violations(issues, mode);
+
+    let data = null;
+    if (['backward', 'full'].includes(mode)) {
+      const preview = await MigrationService.planMigration(schema.name, jsonSchema, { renames: options.renames });
+      data = {
+        totalRecords: preview.report.totalRecords,
+        invalidRecords: preview.report.validation.invalidRecords,
+        failures: preview.report.validation.failures
+      };
+
+      if (data.invalidRecords > 0) {
+        violations.push({
+          code: 'existing_data_invalid',
+          field: null,
+          message: `${data.invalidRecords} existing records would fail validation`,
+          breaks: ['backward']
+        });
+      }
+    }
+
+    return {
+      mode,
+      compatible: violations.length === 0,
+      issues,
+      violations,
+      data
+    };
+  }
+
+  /**
+   * Get the reference graph of the active schemas
+   * @returns {Promise<Object>} - { nodes, edges, missingReferences, requiredCycles }
+   */
+  async getSchemaGraph() {
+    const schemas = await SchemaDefinition.find({ isActive: true })
+      .select('name displayName version jsonSchema')
+      .sort({ name: 1 })
+      .lean();
+
+    return schemaRelationships.buildGraph(schemas);
+  }
+
+  /**
+   * Get the active schemas that reference a schema
+   * Covers x-ref / $ref fields, schemas inheriting from it (referenceType 'inheritance', field null)
+   * and fields taking their values from it (referenceType 'enum_source')
+   * @param {string} name - Referenced schema name
+   * @returns {Promise<Array>} - References ({ schema, field, referenceType, isRequired })
+   */
+  async getReferencingSchemas(name) {
+    const schemas = await SchemaDefinition.find({ isActive: true, name: { $ne: name } })
+      .select('name jsonSchema parents')
+      .lean();
+
+    return schemas.flatMap(schema => [
+      ...schemaRelationships.extract(schema.jsonSchema)
+        .filter(relationship => relationship.referencedSchema === name)
+        .map(({ field, referenceType, isRequired }) => ({ schema: schema.name, field, referenceType, isRequired })),
+      ...((schema.parents || []).includes(name)
+        ? [{ schema: schema.name, field: null, referenceType: 'inheritance', isRequired: true }]
+        : []),
+      ...enumSources.getEnumSourceFields(schema.jsonSchema)
+        .filter(enumField => enumField.source.schema === name)
+        .map(({ field }) => ({ schema: schema.name, field, referenceType: 'enum_source', isRequired: false }))
+    ]);
+  }
+
+  /**
+   * Rename a schema
+   * The dynamic collection moves to the new name and everything stored under the old one
+   * follows: the records' _schemaName, the schema's revisions, migrations, sequences and draft,
+   * its audit logs, and the references (x-ref, $ref, x-enum-source, x-extends) other schemas,
+   * their revisions and drafts make to it
+   * @param {string} name - Current schema name
+   * @param {string} newName - New schema name
+   * @returns {Promise<Object>} - Rename result
+   */
+  async renameSchema(name, newName) {
+    const schema = await SchemaDefinition.findOne({ name, isActive: true });
     if (!schema) {
-      throw new Error(`Schema '${name}' not found`);
+      const error = new Error(`Schema '${name}' not found`);
+      error.statusCode = 404;
+      throw error;
     }
 
-    // Hard delete - completely remove the schema
-    await SchemaDefinition.findOneAndDelete({ name });
-    
-    // Also remove the dynamic collection if it exists
+    if (typeof newName !== 'string' || !SCHEMA_NAME.test(newName)) {
+      throw new Error('Schema name must start with letter and contain only lowercase letters, numbers, and underscores');
+    }
+    if (newName === name) {
+      throw new Error(`Schema '${name}' already has that name`);
+    }
+
+    const existingSchema = await SchemaDefinition.findOne({ name: newName });
+    if (existingSchema) {
+      const error = new Error(existingSchema.deletedAt
+        ? `Schema '${newName}' is in the trash; restore or purge it first`
+        : `Schema with name '${newName}' already exists`);
+      error.statusCode = 409;
+      throw error;
+    }
+
+    const previous = schema.toObject({ virtuals: false });
+    const collectionName = tenantContext.collectionName(newName, schema.tenantId);
+
+    // Stop serving the schema on every instance before its collection moves: until it is active
+    // again under the new name, requests get 404 instead of writing to the collection being moved
+    const suspended = await SchemaDefinition.updateOne({ _id: schema._id, isActive: true }, { isActive: false });
+    if (suspended.modifiedCount === 0) {
+      const error = new Error(`Schema '${name}' was deleted or renamed while it was being renamed`);
+      error.statusCode = 409;
+      throw error;
+    }
+    CollectionGenerator.removeDynamicModel(name);
+    schemaValidator.invalidate(name);
+    SchemaRegistry.evict(previous);
+
+    // Stop auditing the collection before it moves; the stream is restarted under the new name
+    await this.stopChangeStream(previous);
+
+    // Steps that were started, so a failure can put them back in reverse order
+    const moved = { collection: false, history: false, references: false };
+    let records;
+    let auditLogs;
+    let referencingSchemas;
+
     try {
-      const Model = CollectionGenerator.getDynamicModel(name);
-      if (Model) {
-        await Model.collection.drop();
-        console.log(`🗑️  Dropped collection for schema: ${name}`);
+      try {
+        await mongoose.connection.db.renameCollection(previous.collectionName, collectionName);
+        moved.collection = true;
+      } catch (error) {
+        if (error.codeName !== 'NamespaceNotFound') {
+          const renameError = new Error(`Could not rename collection '${previous.collectionName}' to '${collectionName}': ${error.message}`);
+          renameError.statusCode = error.codeName === 'NamespaceExists' ? 409 : 500;
+          throw renameError;
+        }
       }
+
+      records = await mongoose.connection.db.collection(collectionName)
+        .updateMany({ _schemaName: name }, { $set: { _schemaName: newName } });
+
+      // The pre-save hooks derive the new collectionName and relationships; isActive was
+      // cleared directly above, so it is marked for save to write it back
+      schema.name = newName;
+      schema.jsonSchema = schemaRelationships.renameReferences(schema.jsonSchema, name, newName);
+      if (schema.sourceSchema) {
+        schema.sourceSchema = schemaRelationships.renameReferences(schema.sourceSchema, name, newName);
+      }
+      schema.isActive = true;
+      schema.markModified('isActive');
+      await schema.save();
+
+      moved.history = true;
+      auditLogs = await this.moveHistory(schema.tenantId, name, newName, collectionName);
+
+      moved.references = true;
+      referencingSchemas = await this.renameReferences(schema, name, newName);
     } catch (error) {
-      console.warn(`⚠️  Could not drop collection for schema ${name}:`, error.message);
+      await this.undoRename(previous, newName, moved);
+      throw error;
     }
 
-    // Remove dynamic model from memory
+    // Serve the schema under its new name; the registry events refresh the caches built on it
+    const renamed = schema.toObject({ virtuals: false });
+    SchemaRegistry.apply(renamed);
+    await this.startChangeStream(renamed);
+
+    // Streams of referencing schemas still hold the definition with the old reference
+    for (const referencing of referencingSchemas.filter(definition => definition.isActive)) {
+      SchemaRegistry.apply(referencing);
+      await this.stopChangeStream(referencing);
+      await this.startChangeStream(referencing);
+    }
+
+    console.log(`✏️  Schema '${name}' renamed to '${newName}'`);
+    return {
+      name: newName,
+      previousName: name,
+      collectionName,
+      previousCollectionName: previous.collectionName,
+      records: records.modifiedCount,
+      auditLogs: auditLogs.modifiedCount,
+      referencingSchemas: referencingSchemas.map(definition => definition.name)
+    };
+  }
+
+  /**
+   * Move the history of a schema (revisions, sequences, drafts, migrations and audit logs) to another name
+   * @param {string} tenantId - Tenant of the schema
+   * @param {string} name - Name the history is stored under
+   * @param {string} newName - Name to move it to
+   * @param {string} collectionName - Collection the schema's records are stored in under newName
+   * @returns {Promise<Object>} - Update result of the audit logs
+   */
+  async moveHistory(tenantId, name, newName, collectionName) {
+    // Revisions are immutable through the model, so they are moved directly
+    await SchemaRevision.collection.updateMany(
+      { tenantId, schemaName: name },
+      { $set: { schemaName: newName } }
+    );
+    for (const Model of [Sequence, SchemaDraft]) {
+      await Model.updateMany({ schemaName: name }, { schemaName: newName });
+    }
+    // Migrations roll their backups back into the collection they name
+    await SchemaMigration.updateMany({ schemaName: name }, { schemaName: newName, collectionName });
+
+    const auditLogs = await AuditLog.updateMany({ schemaName: name }, { schemaName: newName, collectionName });
+    for (const snapshot of SNAPSHOTS) {
+      await AuditLog.updateMany(
+        { schemaName: newName, [`${snapshot}._schemaName`]: name },
+        { [`${snapshot}._schemaName`]: newName }
+      );
+    }
+
+    return auditLogs;
+  }
+
+  /**
+   * Put back the steps of a rename that failed and serve the schema under its previous name again
+   * Failures are logged so the error that stopped the rename is the one reported
+   * @param {Object} previous - Schema definition before the rename
+   * @param {string} newName - Name the schema was being renamed to
+   * @param {Object} moved - Steps that were started ({ collection, history, references })
+   */
+  async undoRename(previous, newName, moved) {
+    const { name } = previous;
+    const collectionName = tenantContext.collectionName(newName, previous.tenantId);
+
+    try {
+      if (moved.references) {
+        await this.renameReferences(previous, newName, name);
+      }
+      if (moved.history) {
+        await this.moveHistory(previous.tenantId, newName, name, previous.collectionName);
+      }
+
+      await SchemaDefinition.updateOne(
+        { _id: previous._id },
+        {
+          name,
+          jsonSchema: previous.jsonSchema,
+          sourceSchema: previous.sourceSchema,
+          relationships: previous.relationships,
+          collectionName: previous.collectionName,
+          isActive: true
+        }
+      );
+
+      if (moved.collection) {
+        await mongoose.connection.db.collection(collectionName)
+          .updateMany({ _schemaName: newName }, { $set: { _schemaName: name } });
+        await mongoose.connection.db.renameCollection(collectionName, previous.collectionName);
+      }
+    } catch (error) {
+      console.error(`❌ Could not undo the failed rename of schema '${name}' to '${newName}':`, error.message);
+    }
+
+    SchemaRegistry.apply(previous);
+    await this.startChangeStream(previous);
+  }
+
+  /**
+   * Point the references other schemas make to a renamed schema at its new name
+   * Trashed schemas, revisions, drafts and the schemas stored on migrations are rewritten too,
+   * so restoring or rolling them back does not bring the old name back
+   * @param {Object} schema - Renamed schema definition document
+   * @param {string} name - Previous schema name
+   * @param {string} newName - New schema name
+   * @returns {Promise<Array>} - Updated schema definitions
+   */
+  async renameReferences(schema, name, newName) {
+    const updated = [];
+
+    for (const definition of await SchemaDefinition.find({ _id: { $ne: schema._id } }).lean()) {
+      const jsonSchema = schemaRelationships.renameReferences(definition.jsonSchema, name, newName);
+      const sourceSchema = schemaRelationships.renameReferences(definition.sourceSchema, name, newName);
+      if (jsonSchema === definition.jsonSchema && sourceSchema === definition.sourceSchema) continue;
+
+      updated.push(await SchemaDefinition.findOneAndUpdate(
+        { _id: definition._id },
+        {
+          jsonSchema,
+          sourceSchema,
+          parents: (definition.parents || []).map(parent => (parent === name ? newName : parent)),
+          relationships: schemaRelationships.extract(jsonSchema),
+          // Every instance rebuilds the model, whose reference fields name the referenced schema
+          reloadedAt: new Date()
+        },
+        { new: true }
+      ).lean());
+    }
+
+    const stored = [
+      [SchemaRevision, ['jsonSchema']],
+      [SchemaDraft, ['jsonSchema']],
+      [SchemaMigration, ['fromJsonSchema', 'toJsonSchema']]
+    ];
+    for (const [Model, fields] of stored) {
+      const writes = [];
+      const projection = Object.fromEntries(fields.map(field => [field, 1]));
+      for await (const document of Model.collection.find({ tenantId: schema.tenantId }, { projection })) {
+        const changes = {};
+        for (const field of fields) {
+          const jsonSchema = schemaRelationships.renameReferences(document[field], name, newName);
+          if (jsonSchema !== document[field]) changes[field] = jsonSchema;
+        }
+        if (Object.keys(changes).length > 0) {
+          writes.push({ updateOne: { filter: { _id: document._id }, update: { $set: changes } } });
+        }
+      }
+      if (writes.length > 0) await Model.collection.bulkWrite(writes, { ordered: false });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Start the change stream of a schema if change streams are running
+   * @param {Object} schema - Schema definition
+   */
+  async startChangeStream(schema) {
+    try {
+      const ChangeStreamService = require('./ChangeStreamService');
+      if (ChangeStreamService.isInitialized && !ChangeStreamService.changeStreams.has(ChangeStreamService.keyOf(schema))) {
+        await ChangeStreamService.addSchemaChangeStream(schema);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not start change stream for schema ${schema.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Stop the change stream of a schema
+   * @param {Object} schema - Schema definition ({ name, tenantId })
+   */
+  async stopChangeStream(schema) {
+    try {
+      const ChangeStreamService = require('./ChangeStreamService');
+      if (ChangeStreamService.changeStreams.has(ChangeStreamService.keyOf(schema))) {
+        await ChangeStreamService.removeSchemaChangeStream(schema.name, schema.tenantId);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not stop change stream for schema ${schema.name}:`, error.message);
+    }
+  }
+
+  /**
+   * Delete schema definition (moves it to the trash)
+   * The dynamic collection is kept until the schema is purged. A schema that other
+   * schemas reference is only deleted with options.cascade, which moves the referencing
+   * schemas (and the schemas referencing those) to the trash as well
+   * @param {string} name - Schema name
+   * @param {Object} options - Delete options (userId, cascade)
+   * @returns {Promise<Object>} - Trashed schema, with cascaded: names of the referencing schemas trashed with it
+   */
+  async deleteSchema(name, options = {}) {
+    const schema = await SchemaDefinition.findOne({ name, isActive: true });
+    if (!schema) {
+      throw new Error(`Schema '${name}' not found`);
+    }
+
+    const referencedBy = await this.getReferencingSchemas(name);
+    if (referencedBy.length > 0 && !options.cascade) {
+      const schemaNames = [...new Set(referencedBy.map(reference => reference.schema))];
+      const error = new Error(
+        `Schema '${name}' is referenced by ${schemaNames.map(n => `'${n}'`).join(', ')}; delete with cascade=true to move them to the trash as well`
+      );
+      error.statusCode = 409;
+      error.details = { referencedBy };
+      throw error;
+    }
+
+    // Trash the referencing schemas first, so none is left pointing at a trashed schema
+    const cascaded = [];
+    const pending = [...new Set(referencedBy.map(reference => reference.schema))];
+    const visited = new Set([name]);
+    while (pending.length > 0) {
+      const dependent = pending.shift();
+      if (visited.has(dependent)) continue;
+      visited.add(dependent);
+
+      for (const reference of await this.getReferencingSchemas(dependent)) {
+        if (!visited.has(reference.schema)) pending.push(reference.schema);
+      }
+      cascaded.push(dependent);
+    }
+
+    for (const dependent of cascaded.reverse()) {
+      const dependentSchema = await SchemaDefinition.findOne({ name: dependent, isActive: true });
+      if (dependentSchema) await this.trashSchema(dependentSchema, options);
+    }
+    await this.trashSchema(schema, options);
+
+    return { ...schema.toObject(), cascaded };
+  }
+
+  /**
+   * Move a schema to the trash and stop serving it
+   * @param {Object} schema - Schema definition document
+   * @param {Object} options - Delete options (userId)
+   */
+  async trashSchema(schema, options = {}) {
+    const { name } = schema;
+
+    schema.isActive = false;
+    schema.deletedAt = new Date();
+    schema.deletedBy = options.userId || null;
+    await schema.save();
+
+    // Stop serving the schema but keep its data
     CollectionGenerator.removeDynamicModel(name);
+    schemaValidator.invalidate(name);
+    SchemaRegistry.remove(name);
+    try {
+      const ChangeStreamService = require('./ChangeStreamService');
+      await ChangeStreamService.removeSchemaChangeStream(name);
+    } catch (error) {
+      console.warn(`⚠️  Could not stop change stream for schema ${name}:`, error.message);
+    }
 
-    console.log(`✅ Schema '${name}' deleted successfully`);
-    return true;
+    console.log(`🗑️  Schema '${name}' moved to trash`);
+  }
+
+  /**
+   * Restore a schema from the trash
+   * @param {string} name - Schema name
+   * @returns {Promise<Object>} - Restored schema
+   */
+  async restoreSchema(name) {
+    const schema = await SchemaDefinition.findOne({ name, deletedAt: { $ne: null } });
+    if (!schema) {
+      throw new Error(`Schema '${name}' not found in trash`);
+    }
+
+    schema.isActive = true;
+    schema.deletedAt = null;
+    schema.deletedBy = null;
+    await schema.save();
+
+    CollectionGenerator.createDynamicModel(schema);
+    SchemaRegistry.set(schema);
+    try {
+      const ChangeStreamService = require('./ChangeStreamService');
+      if (ChangeStreamService.isInitialized) {
+        await ChangeStreamService.addSchemaChangeStream(schema);
+      }
+    } catch (error) {
+      console.warn(`⚠️  Could not start change stream for schema ${name}:`, error.message);
+    }
+
+    console.log(`♻️  Schema '${name}' restored from trash`);
+    return schema.toObject();
+  }
+
+  /**
+   * Permanently delete a trashed schema and drop its collection
+   * @param {string} name - Schema name
+   * @param {Object} options - Purge options
+   * @param {boolean} options.force - Purge even if the retention window has not passed
+   * @returns {Promise<Object>} - Purge result
+   */
+  async purgeSchema(name, options = {}) {
+    const schema = await SchemaDefinition.findOne({ name, deletedAt: { $ne: null } });
+    if (!schema) {
+      throw new Error(`Schema '${name}' not found in trash`);
+    }
+
+    const purgeAfter = new Date(schema.deletedAt.getTime() + this.trashRetentionDays * DAY_MS);
+    if (purgeAfter > new Date() && !options.force) {
+      const error = new Error(
+        `Schema '${name}' is within its ${this.trashRetentionDays}-day retention window until ${purgeAfter.toISOString()}; use force to purge now`
+      );
+      error.statusCode = 409;
+      throw error;
+    }
+
+    // Drop the dynamic collection
+    let collectionDropped = false;
+    try {
+      await mongoose.connection.db.dropCollection(schema.collectionName);
+      collectionDropped = true;
+      console.log(`🗑️  Dropped collection for schema: ${name}`);
+    } catch (error) {
+      if (error.codeName !== 'NamespaceNotFound') {
+        throw new Error(`Could not drop collection for schema '${name}': ${error.message}`);
+      }
+    }
+
+    // Remove the definition and its history (audit logs are kept)
+    const migrationIds = await SchemaMigration.find({ schemaName: name }).distinct('_id');
+    await MigrationBackup.deleteMany({ migrationId: { $in: migrationIds } });
+    await SchemaMigration.deleteMany({ schemaName: name });
+    await SchemaRevision.deleteMany({ schemaName: name });
+    await Sequence.deleteMany({ schemaName: name });
+    await SchemaDraft.deleteMany({ schemaName: name });
+    await SchemaDefinition.deleteOne({ _id: schema._id });
+
+    console.log(`✅ Schema '${name}' purged`);
+    return {
+      name,
+      collectionName: schema.collectionName,
+      collectionDropped,
+      deletedAt: schema.deletedAt,
+      purgedAt: new Date()
+    };
+  }
+
+  /**
+   * Purge every trashed schema whose retention window has passed
+   * @returns {Promise<Array>} - Purge results
+   */
+  async purgeExpiredSchemas() {
+    const cutoff = new Date(Date.now() - this.trashRetentionDays * DAY_MS);
+    const expired = await SchemaDefinition.find({ deletedAt: { $ne: null, $lte: cutoff } }).lean();
+
+    const results = [];
+    for (const schema of expired) {
+      try {
+        results.push(await this.purgeSchema(schema.name));
+      } catch (error) {
+        console.error(`❌ Failed to purge schema ${schema.name}:`, error.message);
+        results.push({ name: schema.name, error: error.message });
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Purged ${results.filter(r => !r.error).length} expired schemas from trash`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Reconcile the indexes of a schema's collection with its declarations
+   * @param {string} name - Schema name
+   * @returns {Promise<Object>} - Created and dropped indexes
+   */
+  async syncIndexes(name) {
+    const schema = await this.getSchemaByName(name);
+    if (!schema) {
+      throw new Error(`Schema '${name}' not found`);
+    }
+
+    try {
+      return await CollectionGenerator.syncIndexes(name);
+    } catch (error) {
+      throw new Error(`Failed to sync indexes for schema '${name}': ${error.message}`);
+    }
+  }
+
+  /**
+   * Reconcile indexes after a definition change without failing the change
+   * Failures (e.g. duplicates blocking a unique index) stay visible through getIndexes
+   * @param {string} name - Schema name
+   */
+  async syncIndexesQuietly(name) {
+    try {
+      await this.syncIndexes(name);
+    } catch (error) {
+      console.error(`❌ ${error.message}`);
+    }
+  }
+
+  /**
+   * Get declared vs actual indexes of a schema's collection
+   * @param {string} name - Schema name
+   * @returns {Promise<Object>} - Index status
+   */
+  async getIndexes(name) {
+    const schema = await this.getSchemaByName(name);
+    if (!schema) {
+      throw new Error(`Schema '${name}' not found`);
+    }
+
+    const status = await CollectionGenerator.getIndexStatus(name);
+    return {
+      schemaName: name,
+      collectionName: schema.collectionName,
+      ...status
+    };
   }
 
   /**
@@ -146,7 +1043,7 @@ class SchemaService {
    */
   async initializeDynamicModels() {
     try {
-      const schemas = await SchemaDefinition.find({ isActive: true });
+      const schemas = await SchemaRegistry.warm();
       
       for (const schema of schemas) {
         CollectionGenerator.createDynamicModel(schema);
@@ -161,17 +1058,25 @@ class SchemaService {
 
   /**
    * Hot reload a specific schema
+   * Other instances reload it when they see the new reloadedAt through the schema registry
    * @param {string} name - Schema name
    * @returns {Promise<boolean>} - True if reloaded
    */
   async hotReloadSchema(name) {
-    const schema = await this.getSchemaByName(name);
+    const schema = await SchemaDefinition.findOneAndUpdate(
+      { name, isActive: true },
+      { reloadedAt: new Date() },
+      { new: true }
+    ).lean();
     if (!schema) {
       return false;
     }
 
+    SchemaRegistry.set(schema);
     CollectionGenerator.removeDynamicModel(name);
     CollectionGenerator.createDynamicModel(schema);
+    schemaValidator.invalidate(name);
+    await this.syncIndexesQuietly(name);
     
     console.log(`🔄 Hot reloaded schema: ${name}`);
     return true;
@@ -0,0 +1,204 @@
+const SchemaRevision = require('../models/SchemaRevision');
+const schemaDiff = require('../utils/schemaDiff');
+const compatibilityChecker = require('../utils/compatibilityChecker');
+
+const INITIAL_VERSION = '1.0.0';
+
+/**
+ * Service to keep an immutable, semantically versioned history of schema definitions
+ */
+class SchemaVersionService {
+  /**
+   * Classify the change between two schema definitions
+   * Major for breaking changes, minor for additive changes, patch for metadata-only changes
+   * @param {Object} previous - Previous definition ({ displayName, description, jsonSchema })
+   * @param {Object} next - New definition ({ displayName, description, jsonSchema })
+   * @param {Object} options - Options (renames)
+   * @returns {Object|null} - { changeType, changes } or null if nothing changed
+   */
+  classifyChange(previous, next, options = {}) {
+    const metadata = ['displayName', 'description', 'compatibility']
+      .filter(key => next[key] !== undefined && (previous[key] || '') !== (next[key] || ''));
+    const schemaChanged = JSON.stringify(previous.jsonSchema) !== JSON.stringify(next.jsonSchema);
+
+    if (!schemaChanged && metadata.length === 0) {
+      return null;
+    }
+
+    const diff = schemaDiff.diff(previous.jsonSchema, next.jsonSchema, { renames: options.renames });
+    const changes = this.summarizeDiff(diff);
+    changes.metadata = metadata;
+
+    // Anything that invalidates existing records or drops fields is breaking
+    const issues = compatibilityChecker.analyze(previous.jsonSchema, next.jsonSchema, { renames: options.renames });
+    const breaking = issues.some(issue =>
+      issue.breaks.includes('backward') || ['property_removed', 'property_renamed'].includes(issue.code)
+    );
+
+    let changeType = 'patch';
+    if (breaking) {
+      changeType = 'major';
+    } else if (schemaChanged) {
+      changeType = 'minor';
+    }
+
+    return { changeType, changes };
+  }
+
+  /**
+   * Reduce a schema diff to field names for storage and display
+   * @param {Object} diff - Result of schemaDiff.diff
+   * @returns {Object} - Summary of changed fields
+   */
+  summarizeDiff(diff) {
+    return {
+      added: diff.added.map(a => a.field),
+      removed: diff.removed.map(r => r.field),
+      renamed: diff.renamed,
+      typeChanged: diff.typeChanged,
+      requiredAdded: diff.requiredAdded.map(r => r.field),
+      requiredRemoved: diff.requiredRemoved.map(r => r.field),
+      modified: diff.modified.map(m => ({ field: m.field, keys: m.keys }))
+    };
+  }
+
+  /**
+   * Bump a semantic version
+   * @param {string} version - Current version
+   * @param {string} changeType - major, minor or patch
+   * @returns {string} - Bumped version
+   */
+  bumpVersion(version, changeType) {
+    const match = /^(\d+)\.(\d+)\.(\d+)$/.exec(version || '');
+    const [major, minor, patch] = match ? match.slice(1).map(Number) : [1, 0, 0];
+
+    switch (changeType) {
+      case 'major':
+        return `${major + 1}.0.0`;
+      case 'minor':
+        return `${major}.${minor + 1}.0`;
+      case 'patch':
+        return `${major}.${minor}.${patch + 1}`;
+      default:
+        return `${major}.${minor}.${patch}`;
+    }
+  }
+
+  /**
+   * Persist a revision for a schema definition
+   * @param {Object} schema - Schema definition at the version being recorded
+   * @param {Object} details - Revision details (changeType, changes, compatibilityCheck, createdBy, authoredBy)
+   * @returns {Promise<Object>} - Created revision
+   */
+  async recordRevision(schema, details = {}) {
+    const revision = await SchemaRevision.create({
+      schemaName: schema.name,
+      version: schema.version || INITIAL_VERSION,
+      displayName: schema.displayName,
+      description: schema.description,
+      jsonSchema: schema.jsonSchema,
+      changeType: details.changeType || 'initial',
+      changes: details.changes || {},
+      compatibilityCheck: details.compatibilityCheck || null,
+      createdBy: details.createdBy || null,
+      // Direct edits are authored and published by the same user
+      authoredBy: details.authoredBy || details.createdBy || null,
+      publishedBy: details.createdBy || null
+    });
+
+    console.log(`🏷️  Recorded revision ${revision.version} for schema: ${schema.name}`);
+    return revision.toObject();
+  }
+
+  /**
+   * Make sure the current definition of a schema has a revision
+   * Backfills schemas created before version history existed
+   * @param {Object} schema - Current schema definition
+   * @returns {Promise<void>}
+   */
+  async ensureRevision(schema) {
+    const exists = await SchemaRevision.exists({
+      schemaName: schema.name,
+      version: schema.version || INITIAL_VERSION
+    });
+
+    if (!exists) {
+      await this.recordRevision(schema, { changeType: 'initial' });
+    }
+  }
+
+  /**
+   * List all revisions of a schema, newest first
+   * @param {string} schemaName - Schema name
+   * @returns {Promise<Array>} - Revisions without the jsonSchema body
+   */
+  async listVersions(schemaName) {
+    const revisions = await SchemaRevision.find({ schemaName })
+      .select('-jsonSchema')
+      .lean();
+
+    return revisions.sort((a, b) => this.compareVersions(b.version, a.version));
+  }
+
+  /**
+   * Get a single revision of a schema
+   * @param {string} schemaName - Schema name
+   * @param {string} version - Semantic version
+   * @returns {Promise<Object|null>} - Revision or null
+   */
+  async getVersion(schemaName, version) {
+    return await SchemaRevision.findOne({ schemaName, version }).lean();
+  }
+
+  /**
+   * Diff two revisions of a schema
+   * @param {string} schemaName - Schema name
+   * @param {string} fromVersion - Base version
+   * @param {string} toVersion - Target version
+   * @returns {Promise<Object>} - Diff between the revisions
+   */
+  async diffVersions(schemaName, fromVersion, toVersion) {
+    const [from, to] = await Promise.all([
+      this.getVersion(schemaName, fromVersion),
+      this.getVersion(schemaName, toVersion)
+    ]);
+
+    if (!from) {
+      throw new Error(`Version ${fromVersion} not found for schema '${schemaName}'`);
+    }
+    if (!to) {
+      throw new Error(`Version ${toVersion} not found for schema '${schemaName}'`);
+    }
+
+    const diff = schemaDiff.diff(from.jsonSchema, to.jsonSchema);
+    const classification = this.classifyChange(from, to);
+
+    return {
+      schemaName,
+      fromVersion,
+      toVersion,
+      changeType: classification ? classification.changeType : 'none',
+      changes: classification ? classification.changes : { ...this.summarizeDiff(diff), metadata: [] },
+      diff
+    };
+  }
+
+  /**
+   * Compare two semantic versions
+   * @param {string} a - Version
+   * @param {string} b - Version
+   * @returns {number} - Negative if a < b, positive if a > b, 0 if equal
+   */
+  compareVersions(a, b) {
+    const pa = (a || '').split('.').map(Number);
+    const pb = (b || '').split('.').map(Number);
+    for (let i = 0; i < 3; i++) {
+      if ((pa[i] || 0) !== (pb[i] || 0)) {
+        return (pa[i] || 0) - (pb[i] || 0);
+      }
+    }
+    return 0;
+  }
+}
+
+module.exports = new SchemaVersionService();
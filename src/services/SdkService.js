@@ -0,0 +1,91 @@
+const SchemaDefinition = require('../models/Schema');
+const SchemaVersionService = require('./SchemaVersionService');
+const typeScriptGenerator = require('../utils/typeScriptGenerator');
+
+const FILES = ['types.d.ts', 'client.ts'];
+
+/**
+ * Service generating the TypeScript SDK (declarations and typed fetch client) of the current tenant
+ * By default the SDK covers every active schema at its current version; a selection such as
+ * ['order', 'customer@1.2.0'] limits it to some schemas and pins schemas to stored revisions
+ */
+class SdkService {
+  constructor() {
+    this.files = FILES;
+  }
+
+  /**
+   * Load the schema definitions to generate the SDK from
+   * @param {Array<string>} selection - Schema names, optionally with @version (all active schemas if empty)
+   * @returns {Promise<Array>} - Schema definitions (name, displayName, description, version, jsonSchema)
+   */
+  async getSchemas(selection = []) {
+    if (selection.length === 0) {
+      return await SchemaDefinition.find({ isActive: true })
+        .select('name displayName description version jsonSchema')
+        .lean();
+    }
+
+    const schemas = [];
+    for (const entry of selection) {
+      const [name, version] = entry.split('@');
+      const schema = await SchemaDefinition.findOne({ name, isActive: true })
+        .select('name displayName description version jsonSchema')
+        .lean();
+      if (!schema) {
+        throw this.error(`Schema '${name}' not found`, 404);
+      }
+
+      if (!version || version === schema.version) {
+        schemas.push(schema);
+        continue;
+      }
+
+      const revision = await SchemaVersionService.getVersion(name, version);
+      if (!revision) {
+        throw this.error(`Version ${version} not found for schema '${name}'`, 404);
+      }
+      schemas.push({
+        name,
+        displayName: revision.displayName || schema.displayName,
+        description: revision.description,
+        version: revision.version,
+        jsonSchema: revision.jsonSchema
+      });
+    }
+    return schemas;
+  }
+
+  /**
+   * Generate the SDK
+   * @param {Object} options - Options (schemas: selection, see getSchemas)
+   * @returns {Promise<Object>} - { version, schemaVersions, files }
+   */
+  async generate(options = {}) {
+    const schemas = await this.getSchemas(options.schemas || []);
+    return typeScriptGenerator.generate(schemas);
+  }
+
+  /**
+   * Parse a comma-separated schema selection
+   * @param {string} value - e.g. "order,customer@1.2.0"
+   * @returns {Array<string>} - Selection entries
+   */
+  parseSelection(value) {
+    return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  }
+
+  /**
+   * Build an error with a status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Error
+   */
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new SdkService();
@@ -0,0 +1,164 @@
+const Sequence = require('../models/Sequence');
+const generatedDefaults = require('../utils/generatedDefaults');
+
+/**
+ * Service to fill x-generated fields on new records
+ * Sequence numbers are allocated with an atomic $inc on a per-schema, per-field,
+ * per-period counter, so concurrent inserts never receive the same number
+ */
+class SequenceService {
+  /**
+   * Fill the generated fields that new records leave out
+   * @param {string} schemaName - Schema name
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Array<Object>} records - New records
+   * @param {Date} date - Creation date
+   * @param {Object} options - Options
+   * @param {boolean} options.sequences - Allocate sequence numbers (false leaves sequence fields out
+   *   until the records are validated, so rejected records do not use numbers up)
+   * @returns {Promise<Array<Object>>} - Records with generated values
+   */
+  async apply(schemaName, jsonSchema, records, date = new Date(), options = {}) {
+    const generatedFields = generatedDefaults.getGeneratedFields(jsonSchema);
+    if (generatedFields.length === 0) {
+      return records;
+    }
+
+    const results = records.map(record => ({ ...record }));
+
+    for (const { field, definition, generator } of generatedFields) {
+      const missing = results.filter(record => record[field] === undefined);
+      if (missing.length === 0) continue;
+
+      if (generator.type !== 'sequence') {
+        missing.forEach(record => {
+          record[field] = generatedDefaults.generate(definition, generator, date);
+        });
+        continue;
+      }
+      if (options.sequences === false) continue;
+
+      // Reserve one block of numbers for all records that need one
+      const period = generatedDefaults.periodOf(generator, date);
+      const first = await this.allocate(schemaName, field, period, missing.length);
+      missing.forEach((record, i) => {
+        const number = generator.start + first - 1 + i;
+        record[field] = generatedDefaults.formatSequence(definition, generator, number, date);
+      });
+    }
+
+    return results;
+  }
+
+  /**
+   * Atomically reserve a block of values from a counter
+   * @param {string} schemaName - Schema name
+   * @param {string} field - Field name
+   * @param {string} period - Counter period
+   * @param {number} count - Number of values to reserve
+   * @returns {Promise<number>} - Position of the first reserved value in the period (1-based)
+   */
+  async allocate(schemaName, field, period, count = 1) {
+    const filter = { schemaName, field, period };
+
+    // Two first-time upserts can race on the unique index; the loser retries as a plain $inc
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const counter = await Sequence.findOneAndUpdate(
+          filter,
+          { $inc: { value: count } },
+          { upsert: true, new: true }
+        );
+        return counter.value - count + 1;
+      } catch (error) {
+        if (error.code !== 11000 || attempt > 0) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Describe the sequences of a schema and their counters
+   * @param {string} schemaName - Schema name
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Promise<Array>} - Sequence state per field
+   */
+  async listSequences(schemaName, jsonSchema) {
+    const counters = await Sequence.find({ schemaName }).sort({ field: 1, period: 1 }).lean();
+    const now = new Date();
+
+    return generatedDefaults.getSequenceFields(jsonSchema).map(({ field, definition, generator }) => {
+      const period = generatedDefaults.periodOf(generator, now);
+      const fieldCounters = counters.filter(counter => counter.field === field);
+      const current = fieldCounters.find(counter => counter.period === period);
+      const nextNumber = generator.start + (current ? current.value : 0);
+
+      return {
+        field,
+        prefix: generator.prefix,
+        padding: generator.padding,
+        reset: generator.reset,
+        start: generator.start,
+        currentPeriod: period || null,
+        nextNumber,
+        nextValue: generatedDefaults.formatSequence(definition, generator, nextNumber, now),
+        periods: fieldCounters.map(counter => ({
+          period: counter.period || null,
+          issued: counter.value,
+          lastNumber: counter.value > 0 ? generator.start + counter.value - 1 : null,
+          updatedAt: counter.updatedAt
+        }))
+      };
+    });
+  }
+
+  /**
+   * Reset a sequence so the next record receives a given number
+   * @param {string} schemaName - Schema name
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {string} field - Sequence field
+   * @param {Object} options - Reset options
+   * @param {number} options.next - Next number to issue (defaults to the sequence start)
+   * @param {string} options.period - Year to reset for yearly sequences (defaults to the current year)
+   * @returns {Promise<Object>} - Sequence state after the reset
+   */
+  async resetSequence(schemaName, jsonSchema, field, options = {}) {
+    const sequenceField = generatedDefaults.getSequenceFields(jsonSchema).find(s => s.field === field);
+    if (!sequenceField) {
+      const error = new Error(`Field '${field}' of schema '${schemaName}' is not a sequence`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const { generator } = sequenceField;
+    const next = options.next !== undefined ? Number(options.next) : generator.start;
+    if (!Number.isInteger(next)) {
+      const error = new Error('next must be an integer');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    let period = generatedDefaults.periodOf(generator);
+    if (options.period !== undefined && options.period !== null) {
+      if (generator.reset !== 'yearly' || !/^\d{4}$/.test(String(options.period))) {
+        const error = new Error('period must be a year and only applies to sequences that reset yearly');
+        error.statusCode = 400;
+        throw error;
+      }
+      period = String(options.period);
+    }
+
+    await Sequence.findOneAndUpdate(
+      { schemaName, field, period },
+      { $set: { value: next - generator.start } },
+      { upsert: true }
+    );
+
+    console.log(`🔢 Sequence '${schemaName}.${field}'${period ? ` (${period})` : ''} reset to ${next}`);
+    const sequences = await this.listSequences(schemaName, jsonSchema);
+    return sequences.find(s => s.field === field);
+  }
+}
+
+module.exports = new SequenceService();
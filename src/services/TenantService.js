@@ -0,0 +1,273 @@
+const mongoose = require('mongoose');
+const Tenant = require('../models/Tenant');
+const SchemaDefinition = require('../models/Schema');
+const SchemaRevision = require('../models/SchemaRevision');
+const SchemaMigration = require('../models/SchemaMigration');
+const MigrationBackup = require('../models/MigrationBackup');
+const SchemaDraft = require('../models/SchemaDraft');
+const Sequence = require('../models/Sequence');
+const AuditLog = require('../models/AuditLog');
+const CollectionGenerator = require('./CollectionGenerator');
+const SchemaRegistry = require('./SchemaRegistry');
+const ChangeStreamService = require('./ChangeStreamService');
+const schemaValidator = require('../utils/schemaValidator');
+const tenantContext = require('../utils/tenantContext');
+
+// Models whose documents belong to a tenant
+const TENANT_MODELS = [SchemaDefinition, SchemaRevision, SchemaMigration, MigrationBackup, SchemaDraft, Sequence, AuditLog];
+
+// Unique indexes from before tenants existed; they would stop two tenants using the same schema name
+const LEGACY_INDEXES = [
+  [SchemaDefinition, 'name_1'],
+  [SchemaRevision, 'schemaName_1_version_1'],
+  [Sequence, 'schemaName_1_field_1_period_1'],
+  [SchemaDraft, 'schemaName_1']
+];
+
+/**
+ * Service to provision and deprovision tenants
+ * The default tenant always exists and owns the data written before tenants were introduced
+ */
+class TenantService {
+  constructor() {
+    // Recently confirmed tenants (tenantId -> checked at), so requests do not hit the database each time
+    this.confirmed = new Map();
+    this.cacheTtlMs = parseInt(process.env.TENANT_CACHE_TTL_MS) || 30000;
+    this.changeStream = null;
+  }
+
+  /**
+   * Start watching the tenants collection, so a tenant deprovisioned by any instance stops
+   * being confirmed here at once. Without change streams (standalone MongoDB) confirmations
+   * expire after TENANT_CACHE_TTL_MS
+   */
+  watch() {
+    if (this.changeStream) return;
+
+    try {
+      this.changeStream = Tenant.watch([], { fullDocument: 'updateLookup' });
+
+      this.changeStream.on('change', change => this.handleChange(change));
+
+      this.changeStream.on('error', error => {
+        console.warn(`⚠️  Tenant change stream unavailable, tenants are re-checked after ${this.cacheTtlMs}ms:`, error.message);
+        this.changeStream = null;
+      });
+
+      console.log('👀 Watching tenants');
+    } catch (error) {
+      console.warn('⚠️  Could not watch tenants:', error.message);
+      this.changeStream = null;
+    }
+  }
+
+  /**
+   * Apply a change event from the tenants collection
+   * @param {Object} change - MongoDB change event
+   */
+  handleChange(change) {
+    const tenant = change.fullDocument;
+    if (tenant && tenant.status === 'active') return;
+
+    // Deleted tenants only carry their _id; re-check every tenant on its next request
+    if (tenant) {
+      this.confirmed.delete(tenant.tenantId);
+    } else {
+      this.confirmed.clear();
+    }
+  }
+
+  /**
+   * Stop watching tenants
+   */
+  async close() {
+    if (this.changeStream) {
+      await this.changeStream.close();
+      this.changeStream = null;
+    }
+  }
+
+  /**
+   * Assign existing documents to the default tenant and drop single-tenant unique indexes
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    for (const Model of TENANT_MODELS) {
+      const result = await Model.collection.updateMany(
+        { tenantId: { $exists: false } },
+        { $set: { tenantId: tenantContext.defaultTenant } }
+      );
+      if (result.modifiedCount > 0) {
+        console.log(`🏢 Assigned ${result.modifiedCount} ${Model.collection.name} documents to tenant '${tenantContext.defaultTenant}'`);
+      }
+    }
+
+    for (const [Model, indexName] of LEGACY_INDEXES) {
+      try {
+        await Model.collection.dropIndex(indexName);
+        console.log(`🗂️  Dropped single-tenant index ${indexName} on ${Model.collection.name}`);
+      } catch (error) {
+        if (!['IndexNotFound', 'NamespaceNotFound'].includes(error.codeName)) throw error;
+      }
+    }
+  }
+
+  /**
+   * List provisioned tenants
+   * @returns {Promise<Array>} - Tenants, the default tenant first
+   */
+  async listTenants() {
+    const tenants = await Tenant.find().sort({ createdAt: 1 }).lean();
+    return [this.defaultTenant(), ...tenants];
+  }
+
+  /**
+   * Get a tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object|null>} - Tenant or null
+   */
+  async getTenant(tenantId) {
+    if (tenantContext.isDefault(tenantId)) return this.defaultTenant();
+    return await Tenant.findOne({ tenantId }).lean();
+  }
+
+  /**
+   * Check whether a tenant can serve requests
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<boolean>} - True for the default tenant and active provisioned tenants
+   */
+  async isProvisioned(tenantId) {
+    if (tenantContext.isDefault(tenantId)) return true;
+
+    const checkedAt = this.confirmed.get(tenantId);
+    if (checkedAt && Date.now() - checkedAt < this.cacheTtlMs) return true;
+
+    const active = await Tenant.exists({ tenantId, status: 'active' });
+    if (active) {
+      this.confirmed.set(tenantId, Date.now());
+    } else {
+      this.confirmed.delete(tenantId);
+    }
+    return !!active;
+  }
+
+  /**
+   * Provision a tenant
+   * @param {Object} tenantData - Tenant data (tenantId, name)
+   * @param {Object} options - Options (userId)
+   * @returns {Promise<Object>} - Created tenant
+   */
+  async provisionTenant(tenantData, options = {}) {
+    const { tenantId, name } = tenantData;
+
+    if (!tenantContext.isValidTenantId(tenantId)) {
+      throw this.error('Tenant ID must start with a letter and contain only lowercase letters, numbers and hyphens (max 40)', 400);
+    }
+    if (tenantContext.isDefault(tenantId)) {
+      throw this.error(`Tenant '${tenantId}' is the default tenant and always exists`, 409);
+    }
+    if (await Tenant.exists({ tenantId })) {
+      throw this.error(`Tenant '${tenantId}' already exists`, 409);
+    }
+
+    const tenant = await Tenant.create({
+      tenantId,
+      name: name || tenantId,
+      createdBy: options.userId || null
+    });
+
+    console.log(`🏢 Provisioned tenant: ${tenantId}`);
+    return tenant.toObject();
+  }
+
+  /**
+   * Deprovision a tenant: drop its collections and delete its schemas, history and audit logs
+   * The tenant stops serving requests first; running it again finishes an interrupted deprovision
+   * @param {string} tenantId - Tenant ID
+   * @returns {Promise<Object>} - Removed schemas and document counts
+   */
+  async deprovisionTenant(tenantId) {
+    if (tenantContext.isDefault(tenantId)) {
+      throw this.error('The default tenant cannot be deprovisioned', 400);
+    }
+
+    const tenant = await Tenant.findOneAndUpdate({ tenantId }, { status: 'deprovisioning' }, { new: true }).lean();
+    if (!tenant) {
+      throw this.error(`Tenant '${tenantId}' not found`, 404);
+    }
+    this.confirmed.delete(tenantId);
+
+    const result = await tenantContext.run(tenantId, async () => {
+      const schemas = await SchemaDefinition.find({ tenantId }).lean();
+      const droppedCollections = [];
+
+      for (const schema of schemas) {
+        await ChangeStreamService.removeSchemaChangeStream(schema.name, tenantId).catch(() => {});
+        CollectionGenerator.removeDynamicModel(schema.name, tenantId);
+        schemaValidator.invalidate(schema.name, tenantId);
+        SchemaRegistry.remove(schema.name, tenantId);
+
+        try {
+          await mongoose.connection.db.dropCollection(schema.collectionName);
+          droppedCollections.push(schema.collectionName);
+        } catch (error) {
+          if (error.codeName !== 'NamespaceNotFound') throw error;
+        }
+      }
+
+      const deleted = {};
+      for (const Model of TENANT_MODELS) {
+        const { deletedCount } = await Model.deleteMany({ tenantId });
+        deleted[Model.collection.name] = deletedCount;
+      }
+
+      return { schemas: schemas.map(schema => schema.name), droppedCollections, deleted };
+    });
+
+    await Tenant.deleteOne({ tenantId });
+
+    console.log(`🏢 Deprovisioned tenant: ${tenantId} (${result.schemas.length} schemas)`);
+    return { tenantId, ...result, deprovisionedAt: new Date() };
+  }
+
+  /**
+   * Run a task once in the context of every tenant
+   * @param {Function} fn - Task, called with the tenant ID
+   * @returns {Promise<void>}
+   */
+  async forEachTenant(fn) {
+    const tenants = await Tenant.find({ status: 'active' }).select('tenantId').lean();
+    const tenantIds = [tenantContext.defaultTenant, ...tenants.map(tenant => tenant.tenantId)];
+
+    for (const tenantId of tenantIds) {
+      await tenantContext.run(tenantId, () => fn(tenantId));
+    }
+  }
+
+  /**
+   * Describe the default tenant
+   * @returns {Object} - Default tenant
+   */
+  defaultTenant() {
+    return {
+      tenantId: tenantContext.defaultTenant,
+      name: tenantContext.defaultTenant,
+      status: 'active',
+      isDefault: true
+    };
+  }
+
+  /**
+   * Build an error with a status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} - Error
+   */
+  error(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+module.exports = new TenantService();
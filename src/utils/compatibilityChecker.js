@@ -0,0 +1,277 @@
+const schemaDiff = require('./schemaDiff');
+
+const COMPATIBILITY_MODES = ['none', 'backward', 'forward', 'full'];
+
+// Constraints where a larger value is stricter, and where a smaller value is stricter
+const LOWER_BOUNDS = ['minLength', 'minimum', 'exclusiveMinimum', 'minItems'];
+const UPPER_BOUNDS = ['maxLength', 'maximum', 'exclusiveMaximum', 'maxItems'];
+
+/**
+ * Compatibility Checker
+ * Classifies schema changes as breaking for existing data (backward) or existing clients (forward)
+ *
+ * - backward: records written with the old schema are still valid under the new schema
+ * - forward: records written with the new schema are still valid for clients on the old schema
+ * - full: both
+ */
+class CompatibilityChecker {
+  constructor() {
+    this.modes = COMPATIBILITY_MODES;
+  }
+
+  /**
+   * Analyze the change between two JSON Schemas
+   * Nested object properties and array items are analyzed as well ('address.zip', 'tags[]')
+   * @param {Object} oldSchema - Current JSON Schema
+   * @param {Object} newSchema - Proposed JSON Schema
+   * @param {Object} options - Options (renames)
+   * @returns {Array} - Issues as { code, field, message, breaks: ['backward'|'forward'] }
+   */
+  analyze(oldSchema, newSchema, options = {}) {
+    const issues = this.analyzeLevel(oldSchema, newSchema, { renames: options.renames });
+
+    // Explicit renames name top-level fields; nested renames use x-renamed-from
+    const nested = schemaDiff.children(oldSchema, newSchema, { renames: options.renames });
+    while (nested.length > 0) {
+      const { path, from, to } = nested.shift();
+      issues.push(...this.analyzeLevel(from, to, { path }));
+      nested.push(...schemaDiff.children(from, to, { path }));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Analyze the change of the properties of one level
+   * @param {Object} oldSchema - Current JSON Schema (or nested object schema)
+   * @param {Object} newSchema - Proposed JSON Schema (or nested object schema)
+   * @param {Object} options - Diff options (renames, path)
+   * @returns {Array} - Issues
+   */
+  analyzeLevel(oldSchema, newSchema, options = {}) {
+    const diff = schemaDiff.diff(oldSchema, newSchema, options);
+    const issues = [];
+    const closedOld = oldSchema && oldSchema.additionalProperties === false;
+    const closedNew = newSchema && newSchema.additionalProperties === false;
+
+    for (const { field, required } of diff.removed) {
+      issues.push({
+        code: 'property_removed',
+        field,
+        message: `Property '${field}' was removed`,
+        breaks: closedNew || required ? ['backward', 'forward'] : ['forward']
+      });
+    }
+
+    for (const { from, to } of diff.renamed) {
+      issues.push({
+        code: 'property_renamed',
+        field: to,
+        message: `Property '${from}' was renamed to '${to}'`,
+        breaks: ['backward', 'forward']
+      });
+    }
+
+    for (const { field, required, hasDefault } of diff.added) {
+      if (required && !hasDefault) {
+        issues.push({
+          code: 'required_added_without_default',
+          field,
+          message: `Required property '${field}' was added without a default`,
+          breaks: ['backward']
+        });
+      }
+      if (closedOld) {
+        issues.push({
+          code: 'property_added',
+          field,
+          message: `Property '${field}' was added but the previous schema does not allow additional properties`,
+          breaks: ['forward']
+        });
+      }
+    }
+
+    for (const { field, hasDefault } of diff.requiredAdded) {
+      if (!hasDefault) {
+        issues.push({
+          code: 'required_added_without_default',
+          field,
+          message: `Property '${field}' became required without a default`,
+          breaks: ['backward']
+        });
+      }
+    }
+
+    for (const { field } of diff.requiredRemoved) {
+      issues.push({
+        code: 'required_removed',
+        field,
+        message: `Property '${field}' is no longer required`,
+        breaks: ['forward']
+      });
+    }
+
+    for (const { field, fromType, toType } of diff.typeChanged) {
+      issues.push(this.classifyTypeChange(field, fromType, toType));
+    }
+
+    for (const { field, from, to } of diff.modified) {
+      issues.push(...this.analyzeConstraints(field, from, to));
+    }
+
+    return issues;
+  }
+
+  /**
+   * Classify a type change as narrowing, widening or incompatible
+   * @param {string} field - Field name
+   * @param {string} fromType - Previous type ('a|b' for unions)
+   * @param {string} toType - New type
+   * @returns {Object} - Issue
+   */
+  classifyTypeChange(field, fromType, toType) {
+    const from = this.expandTypes(fromType);
+    const to = this.expandTypes(toType);
+
+    const widened = from.every(type => to.includes(type));
+    const narrowed = to.every(type => from.includes(type));
+
+    if (widened && !narrowed) {
+      return {
+        code: 'type_widened',
+        field,
+        message: `Type of '${field}' widened from ${fromType} to ${toType}`,
+        breaks: ['forward']
+      };
+    }
+
+    if (narrowed && !widened) {
+      return {
+        code: 'type_narrowed',
+        field,
+        message: `Type of '${field}' narrowed from ${fromType} to ${toType}`,
+        breaks: ['backward']
+      };
+    }
+
+    return {
+      code: 'type_changed',
+      field,
+      message: `Type of '${field}' changed from ${fromType} to ${toType}`,
+      breaks: ['backward', 'forward']
+    };
+  }
+
+  /**
+   * Expand a type string into the set of accepted types (integer is a subset of number)
+   * @param {string} type - Type string
+   * @returns {Array<string>} - Accepted types
+   */
+  expandTypes(type) {
+    const types = String(type || '').split('|').filter(Boolean);
+    if (types.includes('number') && !types.includes('integer')) {
+      types.push('integer');
+    }
+    return types;
+  }
+
+  /**
+   * Analyze constraint changes on a field
+   * @param {string} field - Field name
+   * @param {Object} from - Previous field definition
+   * @param {Object} to - New field definition
+   * @returns {Array} - Issues
+   */
+  analyzeConstraints(field, from = {}, to = {}) {
+    const issues = [];
+    const tightened = (keyword, detail) => issues.push({
+      code: `${keyword}_tightened`,
+      field,
+      message: `Constraint '${keyword}' on '${field}' was tightened${detail ? ` (${detail})` : ''}`,
+      breaks: ['backward']
+    });
+    const loosened = (keyword, detail) => issues.push({
+      code: `${keyword}_loosened`,
+      field,
+      message: `Constraint '${keyword}' on '${field}' was loosened${detail ? ` (${detail})` : ''}`,
+      breaks: ['forward']
+    });
+
+    // enum: removing values narrows, adding values widens
+    if (JSON.stringify(from.enum) !== JSON.stringify(to.enum)) {
+      if (!from.enum) {
+        tightened('enum', 'enum added');
+      } else if (!to.enum) {
+        loosened('enum', 'enum removed');
+      } else {
+        const removed = from.enum.filter(value => !to.enum.includes(value));
+        const added = to.enum.filter(value => !from.enum.includes(value));
+        if (removed.length > 0) tightened('enum', `removed ${JSON.stringify(removed)}`);
+        if (added.length > 0) loosened('enum', `added ${JSON.stringify(added)}`);
+      }
+    }
+
+    for (const keyword of LOWER_BOUNDS) {
+      if (from[keyword] === to[keyword]) continue;
+      if (to[keyword] !== undefined && (from[keyword] === undefined || to[keyword] > from[keyword])) {
+        tightened(keyword, `${from[keyword]} → ${to[keyword]}`);
+      } else {
+        loosened(keyword, `${from[keyword]} → ${to[keyword]}`);
+      }
+    }
+
+    for (const keyword of UPPER_BOUNDS) {
+      if (from[keyword] === to[keyword]) continue;
+      if (to[keyword] !== undefined && (from[keyword] === undefined || to[keyword] < from[keyword])) {
+        tightened(keyword, `${from[keyword]} → ${to[keyword]}`);
+      } else {
+        loosened(keyword, `${from[keyword]} → ${to[keyword]}`);
+      }
+    }
+
+    if (from.pattern !== to.pattern) {
+      if (to.pattern) {
+        tightened('pattern', to.pattern);
+      } else {
+        loosened('pattern', 'pattern removed');
+      }
+    }
+
+    if (from.format !== to.format && to.format) {
+      tightened('format', to.format);
+    }
+
+    // References: dropping or retargeting x-ref breaks population and clients
+    // x-ref on array items is checked on the items ('field[]') while both sides declare items
+    const itemsPaired = [from.items, to.items].every(items => !!items && typeof items === 'object' && !Array.isArray(items));
+    const itemsRef = def => (def.items && !itemsPaired ? def.items['x-ref'] : undefined);
+    const fromRef = from['x-ref'] || itemsRef(from);
+    const toRef = to['x-ref'] || itemsRef(to);
+    if (fromRef && fromRef !== toRef) {
+      issues.push({
+        code: toRef ? 'ref_changed' : 'ref_dropped',
+        field,
+        message: toRef
+          ? `Reference on '${field}' changed from '${fromRef}' to '${toRef}'`
+          : `Reference to '${fromRef}' was dropped from '${field}'`,
+        breaks: ['backward', 'forward']
+      });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check a list of issues against a compatibility mode
+   * @param {Array} issues - Issues from analyze()
+   * @param {string} mode - none, backward, forward or full
+   * @returns {Array} - Issues that violate the mode
+   */
+  violations(issues, mode = 'none') {
+    if (mode === 'none') return [];
+    const directions = mode === 'full' ? ['backward', 'forward'] : [mode];
+    return issues.filter(issue => issue.breaks.some(direction => directions.includes(direction)));
+  }
+}
+
+module.exports = new CompatibilityChecker();
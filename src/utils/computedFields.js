@@ -0,0 +1,141 @@
+const expressionEvaluator = require('./expressionEvaluator');
+
+/**
+ * Computed Fields
+ * Fields declared with `x-computed: "<expression>"` are derived from the other fields of a record
+ * on every write and cannot be written by clients
+ *
+ *   "total": { "type": "number", "x-computed": "quantity * unitPrice" }
+ *   "fullName": { "type": "string", "x-computed": "firstName + ' ' + lastName" }
+ */
+class ComputedFields {
+  /**
+   * Get the computed fields of a schema in evaluation order
+   * Fields that read other computed fields come after them
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Computed fields as { field, expression, references }
+   */
+  getComputedFields(jsonSchema = {}) {
+    const declared = Object.entries(jsonSchema.properties || {})
+      .filter(([, definition]) => definition && definition['x-computed'] !== undefined)
+      .map(([field, definition]) => ({
+        field,
+        expression: definition['x-computed'],
+        references: expressionEvaluator.references(definition['x-computed']).map(path => path.split('.')[0])
+      }));
+
+    const byField = new Map(declared.map(computed => [computed.field, computed]));
+    const ordered = [];
+    const visiting = new Set();
+    const visited = new Set();
+
+    const visit = (computed, chain) => {
+      if (visited.has(computed.field)) return;
+      if (visiting.has(computed.field)) {
+        throw new Error(`Computed fields have a circular dependency: ${[...chain, computed.field].join(' -> ')}`);
+      }
+      visiting.add(computed.field);
+      for (const reference of computed.references) {
+        if (byField.has(reference)) visit(byField.get(reference), [...chain, computed.field]);
+      }
+      visiting.delete(computed.field);
+      visited.add(computed.field);
+      ordered.push(computed);
+    };
+
+    declared.forEach(computed => visit(computed, []));
+    return ordered;
+  }
+
+  /**
+   * Validate the computed field declarations of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const errors = [];
+    const properties = jsonSchema.properties || {};
+
+    for (const [field, definition] of Object.entries(properties)) {
+      if (!definition || definition['x-computed'] === undefined) continue;
+
+      const result = expressionEvaluator.validate(definition['x-computed']);
+      if (!result.valid) {
+        errors.push({ message: `Property '${field}' has an invalid x-computed expression: ${result.error}` });
+        continue;
+      }
+
+      for (const reference of result.references) {
+        const root = reference.split('.')[0];
+        if (root === field) {
+          errors.push({ message: `Property '${field}' has an x-computed expression that reads itself` });
+        } else if (!properties[root]) {
+          errors.push({ message: `Property '${field}' has an x-computed expression that reads unknown field '${reference}'` });
+        }
+      }
+    }
+
+    if (errors.length === 0) {
+      try {
+        this.getComputedFields(jsonSchema);
+      } catch (error) {
+        errors.push({ message: error.message });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Reject data that writes computed fields
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} data - Client data
+   */
+  assertNotWritten(jsonSchema, data = {}) {
+    const written = this.getComputedFields(jsonSchema)
+      .map(computed => computed.field)
+      .filter(field => data[field] !== undefined);
+
+    if (written.length > 0) {
+      throw new Error(`Computed fields cannot be written: ${written.join(', ')}`);
+    }
+  }
+
+  /**
+   * Evaluate every computed field of a record
+   * Fields that evaluate to null (e.g. a missing operand) are left out of the record
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Record values (JSON)
+   * @returns {Object} - Record with computed values
+   */
+  apply(jsonSchema, record) {
+    const result = { ...record };
+    for (const { field, expression } of this.getComputedFields(jsonSchema)) {
+      const value = this.evaluate(field, expression, result);
+      if (value === null) {
+        delete result[field];
+      } else {
+        result[field] = value;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Evaluate a single computed field
+   * @param {string} field - Field name
+   * @param {string} expression - Expression
+   * @param {Object} record - Record values (JSON)
+   * @returns {*} - Computed value (null when it cannot be determined)
+   */
+  evaluate(field, expression, record) {
+    try {
+      const value = expressionEvaluator.evaluate(expression, record);
+      return typeof value === 'number' && !Number.isFinite(value) ? null : value;
+    } catch (error) {
+      throw new Error(`Computed field '${field}' could not be evaluated: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new ComputedFields();
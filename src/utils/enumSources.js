@@ -0,0 +1,121 @@
+const SCALAR_TYPES = ['string', 'number', 'integer'];
+
+/**
+ * Enum Sources
+ * Fields declared with `x-enum-source` take their allowed values from the records of another schema
+ *
+ *   "category": { "type": "string", "x-enum-source": { "schema": "job_category", "field": "code", "filter": { "active": true } } }
+ *   "units": { "type": "array", "items": { "type": "string" }, "x-enum-source": { "schema": "unit", "field": "symbol" } }
+ *
+ * Options are loaded and checked by EnumSourceService; this module only parses declarations
+ */
+class EnumSources {
+  /**
+   * Parse an x-enum-source declaration
+   * @param {*} declaration - x-enum-source value
+   * @returns {Object|null} - { schema, field, filter }; null if invalid
+   */
+  parse(declaration) {
+    if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) return null;
+    if (typeof declaration.schema !== 'string' || !declaration.schema) return null;
+    if (typeof declaration.field !== 'string' || !declaration.field) return null;
+
+    const filter = declaration.filter === undefined ? {} : declaration.filter;
+    if (!filter || typeof filter !== 'object' || Array.isArray(filter)) return null;
+
+    return {
+      schema: declaration.schema,
+      field: declaration.field,
+      filter
+    };
+  }
+
+  /**
+   * Get the enum source fields of a schema
+   * Array fields may declare x-enum-source on the field or on its items
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Enum source fields as { field, isArray, source }
+   */
+  getEnumSourceFields(jsonSchema = {}) {
+    const fields = [];
+
+    for (const [field, definition] of Object.entries(jsonSchema.properties || {})) {
+      if (!definition || typeof definition !== 'object') continue;
+
+      const isArray = definition.type === 'array';
+      const declaration = definition['x-enum-source'] !== undefined
+        ? definition['x-enum-source']
+        : isArray && definition.items ? definition.items['x-enum-source'] : undefined;
+
+      const source = this.parse(declaration);
+      if (source) {
+        fields.push({ field, isArray, source });
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Get the enum source of a field
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {string} field - Field name
+   * @returns {Object|null} - { field, isArray, source } or null
+   */
+  getEnumSourceField(jsonSchema, field) {
+    return this.getEnumSourceFields(jsonSchema).find(enumField => enumField.field === field) || null;
+  }
+
+  /**
+   * Validate the x-enum-source declarations of a schema
+   * The source schema and field are resolved when records are written, since the source
+   * schema may be created after the schema using it
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const errors = [];
+
+    for (const [field, definition] of Object.entries(jsonSchema.properties || {})) {
+      if (!definition || typeof definition !== 'object') continue;
+
+      const isArray = definition.type === 'array';
+      const items = isArray && definition.items && typeof definition.items === 'object' ? definition.items : null;
+      const declaration = definition['x-enum-source'] !== undefined
+        ? definition['x-enum-source']
+        : items ? items['x-enum-source'] : undefined;
+      if (declaration === undefined) continue;
+
+      if (!this.parse(declaration)) {
+        errors.push({ message: `Property '${field}' has an invalid x-enum-source; use { "schema": "...", "field": "...", "filter": { ... } }` });
+        continue;
+      }
+
+      const valueDefinition = isArray ? items || {} : definition;
+      if (!SCALAR_TYPES.includes(valueDefinition.type)) {
+        errors.push({ message: `Property '${field}' uses x-enum-source but ${isArray ? 'its items are' : 'it is'} not of type string, number or integer` });
+      }
+      for (const keyword of ['x-ref', 'x-decimal', 'x-computed']) {
+        if (definition[keyword] !== undefined || (items && items[keyword] !== undefined)) {
+          errors.push({ message: `Property '${field}' cannot combine x-enum-source with ${keyword}` });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the values of a field of a record as a list
+   * @param {Object} enumField - Enum source field ({ field, isArray })
+   * @param {Object} record - Record values (JSON)
+   * @returns {Array} - Values (empty when missing or null)
+   */
+  valuesOf(enumField, record) {
+    const value = record ? record[enumField.field] : undefined;
+    if (value === undefined || value === null) return [];
+    return enumField.isArray && Array.isArray(value) ? value.filter(item => item !== null) : [value];
+  }
+}
+
+module.exports = new EnumSources();
@@ -0,0 +1,439 @@
+const MAX_EXPRESSION_LENGTH = 1000;
+const MAX_DEPTH = 50;
+// Parsed expressions kept; the least recently used are dropped first
+const MAX_CACHED_EXPRESSIONS = 500;
+
+const round = (value, digits = 0) => {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+// Whitelisted functions; arguments are already evaluated
+const FUNCTIONS = {
+  round: (value, digits) => value === null ? null : round(toNumber(value), digits === undefined ? 0 : toNumber(digits)),
+  floor: value => value === null ? null : Math.floor(toNumber(value)),
+  ceil: value => value === null ? null : Math.ceil(toNumber(value)),
+  abs: value => value === null ? null : Math.abs(toNumber(value)),
+  min: (...values) => values.some(v => v === null) ? null : Math.min(...values.map(toNumber)),
+  max: (...values) => values.some(v => v === null) ? null : Math.max(...values.map(toNumber)),
+  sum: values => Array.isArray(values) ? values.reduce((total, v) => total + (toNumber(v) || 0), 0) : null,
+  number: value => value === null || value === '' ? null : toNumber(value),
+  string: value => value === null ? null : String(value),
+  concat: (...values) => values.map(v => (v === null ? '' : String(v))).join(''),
+  upper: value => value === null ? null : String(value).toUpperCase(),
+  lower: value => value === null ? null : String(value).toLowerCase(),
+  trim: value => value === null ? null : String(value).trim(),
+  length: value => (typeof value === 'string' || Array.isArray(value)) ? value.length : null,
+  coalesce: (...values) => values.find(v => v !== null && v !== '') ?? null
+};
+
+/**
+ * Convert an operand to a number (numeric strings are accepted, e.g. decimals)
+ * @param {*} value - Operand
+ * @returns {number} - Number
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+  throw new Error(`Expected a number but got ${JSON.stringify(value)}`);
+}
+
+/**
+ * Expression Evaluator
+ * A small, side-effect free expression language for schema annotations (x-computed, x-rules)
+ *
+ * - literals: 12, 1.5, 'text', "text", true, false, null
+ * - fields: quantity, address.city
+ * - operators: + - * / % == != < <= > >= && || ! and a ? b : c
+ * - functions: round, floor, ceil, abs, min, max, sum, number, string, concat,
+ *   upper, lower, trim, length, coalesce
+ *
+ * `+` concatenates when either side is a string. Arithmetic with a missing (null) operand
+ * yields null. Expressions cannot call anything outside the function list or read
+ * properties that are not the record's own.
+ */
+class ExpressionEvaluator {
+  constructor() {
+    this.cache = new Map();
+    this.functions = Object.keys(FUNCTIONS);
+  }
+
+  /**
+   * Parse an expression into an AST (cached, least recently used first out)
+   * @param {string} expression - Expression source
+   * @returns {Object} - AST
+   */
+  compile(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+      throw new Error('Expression must be a non-empty string');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+      throw new Error(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    // Maps iterate in insertion order, so re-inserting a hit keeps the oldest entry first
+    let ast = this.cache.get(expression);
+    if (ast) {
+      this.cache.delete(expression);
+    } else {
+      ast = new Parser(this.tokenize(expression)).parse();
+      if (this.cache.size >= MAX_CACHED_EXPRESSIONS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+    }
+    this.cache.set(expression, ast);
+    return ast;
+  }
+
+  /**
+   * Evaluate an expression against a record
+   * @param {string} expression - Expression source
+   * @param {Object} context - Record values
+   * @returns {*} - Result
+   */
+  evaluate(expression, context = {}) {
+    return this.evaluateNode(this.compile(expression), context);
+  }
+
+  /**
+   * Validate an expression
+   * @param {string} expression - Expression source
+   * @returns {Object} - { valid, error, references }
+   */
+  validate(expression) {
+    try {
+      return { valid: true, error: null, references: this.references(expression) };
+    } catch (error) {
+      return { valid: false, error: error.message, references: [] };
+    }
+  }
+
+  /**
+   * List the field paths an expression reads
+   * @param {string} expression - Expression source
+   * @returns {Array<string>} - Field paths
+   */
+  references(expression) {
+    const paths = new Set();
+    const visit = node => {
+      if (node.type === 'field') paths.add(node.path.join('.'));
+      for (const child of node.children || []) visit(child);
+    };
+    visit(this.compile(expression));
+    return Array.from(paths);
+  }
+
+  /**
+   * Split an expression into tokens
+   * @param {string} source - Expression source
+   * @returns {Array} - Tokens
+   */
+  tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+      const char = source[i];
+
+      if (/\s/.test(char)) {
+        i++;
+        continue;
+      }
+
+      if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+        const match = /^[0-9]*\.?[0-9]+(?:[eE][+-]?[0-9]+)?/.exec(source.slice(i));
+        tokens.push({ type: 'number', value: Number(match[0]) });
+        i += match[0].length;
+        continue;
+      }
+
+      if (char === '"' || char === "'") {
+        let value = '';
+        let j = i + 1;
+        while (j < source.length && source[j] !== char) {
+          if (source[j] === '\\' && j + 1 < source.length) j++;
+          value += source[j];
+          j++;
+        }
+        if (j >= source.length) {
+          throw new Error(`Unterminated string at position ${i}`);
+        }
+        tokens.push({ type: 'string', value });
+        i = j + 1;
+        continue;
+      }
+
+      if (/[A-Za-z_$]/.test(char)) {
+        const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+        tokens.push({ type: 'identifier', value: match[0] });
+        i += match[0].length;
+        continue;
+      }
+
+      const operator = ['==', '!=', '<=', '>=', '&&', '||']
+        .find(op => source.startsWith(op, i)) || ('+-*/%<>!?:(),.'.includes(char) ? char : null);
+      if (!operator) {
+        throw new Error(`Unexpected character '${char}' at position ${i}`);
+      }
+      tokens.push({ type: 'operator', value: operator });
+      i += operator.length;
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Evaluate an AST node
+   * @param {Object} node - AST node
+   * @param {Object} context - Record values
+   * @returns {*} - Result
+   */
+  evaluateNode(node, context) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'field':
+        return this.resolvePath(context, node.path);
+
+      case 'unary': {
+        const operand = this.evaluateNode(node.children[0], context);
+        if (node.operator === '!') return !operand;
+        return operand === null ? null : -toNumber(operand);
+      }
+
+      case 'logical': {
+        const left = this.evaluateNode(node.children[0], context);
+        if (node.operator === '&&') return left ? this.evaluateNode(node.children[1], context) : left;
+        return left ? left : this.evaluateNode(node.children[1], context);
+      }
+
+      case 'conditional':
+        return this.evaluateNode(node.children[0], context)
+          ? this.evaluateNode(node.children[1], context)
+          : this.evaluateNode(node.children[2], context);
+
+      case 'binary':
+        return this.applyOperator(
+          node.operator,
+          this.evaluateNode(node.children[0], context),
+          this.evaluateNode(node.children[1], context)
+        );
+
+      case 'call':
+        return FUNCTIONS[node.name](...node.children.map(child => this.evaluateNode(child, context)));
+
+      default:
+        throw new Error(`Unknown expression node '${node.type}'`);
+    }
+  }
+
+  /**
+   * Apply a binary operator
+   * @param {string} operator - Operator
+   * @param {*} left - Left operand
+   * @param {*} right - Right operand
+   * @returns {*} - Result
+   */
+  applyOperator(operator, left, right) {
+    switch (operator) {
+      case '==':
+        return left === right;
+      case '!=':
+        return left !== right;
+      case '<':
+      case '<=':
+      case '>':
+      case '>=': {
+        if (left === null || right === null) return false;
+        const [a, b] = typeof left === 'string' && typeof right === 'string'
+          ? [left, right]
+          : [toNumber(left), toNumber(right)];
+        if (operator === '<') return a < b;
+        if (operator === '<=') return a <= b;
+        if (operator === '>') return a > b;
+        return a >= b;
+      }
+      default:
+        break;
+    }
+
+    if (operator === '+' && (typeof left === 'string' || typeof right === 'string')) {
+      return `${left === null ? '' : left}${right === null ? '' : right}`;
+    }
+
+    if (left === null || right === null) return null;
+    const a = toNumber(left);
+    const b = toNumber(right);
+
+    switch (operator) {
+      case '+': return a + b;
+      case '-': return a - b;
+      case '*': return a * b;
+      case '/': return b === 0 ? null : a / b;
+      case '%': return b === 0 ? null : a % b;
+      default:
+        throw new Error(`Unknown operator '${operator}'`);
+    }
+  }
+
+  /**
+   * Read a field path from the record (own properties only)
+   * @param {Object} context - Record values
+   * @param {Array<string>} path - Path segments
+   * @returns {*} - Value or null
+   */
+  resolvePath(context, path) {
+    let value = context;
+    for (const segment of path) {
+      if (value === null || typeof value !== 'object' || !Object.prototype.hasOwnProperty.call(value, segment)) {
+        return null;
+      }
+      value = value[segment];
+    }
+    return value === undefined ? null : value;
+  }
+}
+
+/**
+ * Recursive descent parser producing AST nodes as { type, ..., children }
+ */
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.position = 0;
+    this.depth = 0;
+  }
+
+  parse() {
+    const node = this.parseExpression();
+    if (this.position < this.tokens.length) {
+      throw new Error(`Unexpected '${this.peek().value}'`);
+    }
+    return node;
+  }
+
+  peek() {
+    return this.tokens[this.position];
+  }
+
+  match(value) {
+    const token = this.peek();
+    if (token && token.type === 'operator' && token.value === value) {
+      this.position++;
+      return true;
+    }
+    return false;
+  }
+
+  expect(value) {
+    if (!this.match(value)) {
+      const token = this.peek();
+      throw new Error(`Expected '${value}' but found ${token ? `'${token.value}'` : 'end of expression'}`);
+    }
+  }
+
+  parseExpression() {
+    if (++this.depth > MAX_DEPTH) {
+      throw new Error('Expression is nested too deeply');
+    }
+    const node = this.parseConditional();
+    this.depth--;
+    return node;
+  }
+
+  parseConditional() {
+    const test = this.parseBinary(0);
+    if (!this.match('?')) return test;
+    const consequent = this.parseExpression();
+    this.expect(':');
+    const alternate = this.parseExpression();
+    return { type: 'conditional', children: [test, consequent, alternate] };
+  }
+
+  parseBinary(level) {
+    const levels = [['||'], ['&&'], ['==', '!='], ['<', '<=', '>', '>='], ['+', '-'], ['*', '/', '%']];
+    if (level >= levels.length) return this.parseUnary();
+
+    let left = this.parseBinary(level + 1);
+    for (;;) {
+      const operator = levels[level].find(op => this.match(op));
+      if (!operator) return left;
+      const right = this.parseBinary(level + 1);
+      left = {
+        type: level < 2 ? 'logical' : 'binary',
+        operator,
+        children: [left, right]
+      };
+    }
+  }
+
+  parseUnary() {
+    for (const operator of ['!', '-']) {
+      if (this.match(operator)) {
+        if (++this.depth > MAX_DEPTH) {
+          throw new Error('Expression is nested too deeply');
+        }
+        const operand = this.parseUnary();
+        this.depth--;
+        return { type: 'unary', operator, children: [operand] };
+      }
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.peek();
+    if (!token) {
+      throw new Error('Unexpected end of expression');
+    }
+
+    if (token.type === 'number' || token.type === 'string') {
+      this.position++;
+      return { type: 'literal', value: token.value };
+    }
+
+    if (token.type === 'identifier') {
+      this.position++;
+      if (['true', 'false', 'null'].includes(token.value)) {
+        return { type: 'literal', value: token.value === 'null' ? null : token.value === 'true' };
+      }
+
+      if (this.match('(')) {
+        if (!Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value)) {
+          throw new Error(`Unknown function '${token.value}'`);
+        }
+        const args = [];
+        if (!this.match(')')) {
+          do {
+            args.push(this.parseExpression());
+          } while (this.match(','));
+          this.expect(')');
+        }
+        return { type: 'call', name: token.value, children: args };
+      }
+
+      const path = [token.value];
+      while (this.match('.')) {
+        const next = this.peek();
+        if (!next || next.type !== 'identifier') {
+          throw new Error('Expected a field name after \'.\'');
+        }
+        path.push(next.value);
+        this.position++;
+      }
+      return { type: 'field', path };
+    }
+
+    if (this.match('(')) {
+      const node = this.parseExpression();
+      this.expect(')');
+      return node;
+    }
+
+    throw new Error(`Unexpected '${token.value}'`);
+  }
+}
+
+module.exports = new ExpressionEvaluator();
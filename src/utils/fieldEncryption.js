@@ -0,0 +1,495 @@
+const crypto = require('crypto');
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const KEY_ID = /^[A-Za-z0-9_-]+$/;
+const CIPHERTEXT = /^enc:v1:([A-Za-z0-9_-]+):([rd]):([A-Za-z0-9+/=]+)$/;
+
+// Operators that can be answered by comparing deterministic ciphertexts
+const EQUALITY_OPERATORS = ['$eq', '$in', '$ne', '$nin', '$exists'];
+const LOGICAL_OPERATORS = ['$or', '$and', '$nor'];
+
+/**
+ * Field Encryption
+ * Fields declared with `x-encrypted` are encrypted (AES-256-GCM) before they are written and
+ * decrypted when records are read
+ *
+ *   "phone": { "type": "string", "x-encrypted": true }
+ *   "iban": { "type": "string", "x-encrypted": { "deterministic": true } }
+ *   stored as "enc:v1:<keyId>:<r|d>:<base64 iv|tag|ciphertext>"
+ *
+ * Randomized encryption (the default) gives a different ciphertext on every write. Deterministic
+ * encryption derives the IV from the value, so equal values have equal ciphertexts and the field can
+ * be filtered on equality and declared unique or indexed.
+ *
+ * Keys come from ENCRYPTION_KEYS ("keyId:base64 32-byte key,...") and new values are encrypted with
+ * ENCRYPTION_KEY_ID (the first key if unset). Values stay readable with any configured key;
+ * `npm run rotate:keys` re-encrypts them with the current one
+ */
+class FieldEncryption {
+  constructor() {
+    this.keys = this.parseKeys(process.env.ENCRYPTION_KEYS);
+    this.currentKeyId = process.env.ENCRYPTION_KEY_ID || this.keys.keys().next().value || null;
+
+    if (this.currentKeyId && !this.keys.has(this.currentKeyId)) {
+      console.error(`❌ ENCRYPTION_KEY_ID '${this.currentKeyId}' is not one of ENCRYPTION_KEYS`);
+      this.currentKeyId = null;
+    }
+  }
+
+  /**
+   * Parse the configured keys
+   * Each key is expanded into an encryption key and a key for deterministic IVs
+   * @param {string} value - ENCRYPTION_KEYS value
+   * @returns {Map} - keyId -> { encryptionKey, macKey }
+   */
+  parseKeys(value) {
+    const keys = new Map();
+
+    for (const entry of (value || '').split(',').map(part => part.trim()).filter(Boolean)) {
+      const separator = entry.indexOf(':');
+      const keyId = entry.slice(0, separator);
+      const secret = separator > 0 ? Buffer.from(entry.slice(separator + 1), 'base64') : Buffer.alloc(0);
+
+      if (!KEY_ID.test(keyId) || secret.length !== 32) {
+        console.error(`❌ Ignoring invalid ENCRYPTION_KEYS entry '${keyId || entry.slice(0, 8)}' (expected keyId:base64 of 32 bytes)`);
+        continue;
+      }
+
+      keys.set(keyId, {
+        encryptionKey: Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'field-encryption', 32)),
+        macKey: Buffer.from(crypto.hkdfSync('sha256', secret, Buffer.alloc(0), 'field-encryption-iv', 32))
+      });
+    }
+
+    return keys;
+  }
+
+  /**
+   * Check whether encryption keys are configured
+   * @returns {boolean} - True if values can be encrypted
+   */
+  isConfigured() {
+    return !!this.currentKeyId;
+  }
+
+  /**
+   * Check whether a field is encrypted
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {boolean} - True for x-encrypted fields
+   */
+  isEncrypted(fieldDef) {
+    return !!this.modeOf(fieldDef);
+  }
+
+  /**
+   * Get the encryption mode of a field
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {string|null} - 'randomized', 'deterministic' or null
+   */
+  modeOf(fieldDef) {
+    const declaration = fieldDef ? fieldDef['x-encrypted'] : undefined;
+    if (declaration === true) return 'randomized';
+    if (declaration && typeof declaration === 'object' && !Array.isArray(declaration)) {
+      return declaration.deterministic === true ? 'deterministic' : 'randomized';
+    }
+    return null;
+  }
+
+  /**
+   * Get the encrypted fields of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Encrypted fields as { field, deterministic }
+   */
+  getEncryptedFields(jsonSchema = {}) {
+    return Object.entries((jsonSchema && jsonSchema.properties) || {})
+      .filter(([, fieldDef]) => this.isEncrypted(fieldDef))
+      .map(([field, fieldDef]) => ({ field, deterministic: this.modeOf(fieldDef) === 'deterministic' }));
+  }
+
+  /**
+   * Validate the x-encrypted declarations of a schema
+   * Fields that are unique or indexed must be deterministic, since randomized ciphertexts never repeat
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const errors = this.findNested(jsonSchema, 'x-encrypted')
+      .map(path => ({ message: `x-encrypted at '${path}' is not supported; only top-level properties can be encrypted` }));
+    const properties = jsonSchema.properties || {};
+
+    for (const [field, fieldDef] of Object.entries(properties)) {
+      const declaration = fieldDef ? fieldDef['x-encrypted'] : undefined;
+      if (declaration === undefined || declaration === false) continue;
+
+      const validDeclaration = declaration === true || (
+        !!declaration && typeof declaration === 'object' && !Array.isArray(declaration) &&
+        Object.keys(declaration).every(key => key === 'deterministic') &&
+        ['boolean', 'undefined'].includes(typeof declaration.deterministic)
+      );
+      if (!validDeclaration) {
+        errors.push({ message: `Property '${field}' has an invalid x-encrypted value; use true or { "deterministic": true }` });
+        continue;
+      }
+
+      if (!this.isConfigured()) {
+        errors.push({ message: `Property '${field}' uses x-encrypted but no encryption key is configured (ENCRYPTION_KEYS)` });
+      }
+      for (const keyword of ['x-ref', 'x-decimal', 'x-localized', 'x-enum-source', 'x-computed']) {
+        if (fieldDef[keyword] !== undefined) {
+          errors.push({ message: `Property '${field}' cannot combine x-encrypted with ${keyword}` });
+        }
+      }
+
+      const deterministic = this.modeOf(fieldDef) === 'deterministic';
+      const lookups = [];
+      if (fieldDef['x-unique']) lookups.push('x-unique');
+      if (fieldDef['x-index'] !== undefined) lookups.push('x-index');
+
+      for (const declarationIndex of Array.isArray(jsonSchema['x-indexes']) ? jsonSchema['x-indexes'] : []) {
+        const paths = Object.keys((declarationIndex && declarationIndex.fields) || {});
+        if (paths.some(path => path.startsWith(`${field}.`))) {
+          errors.push({ message: `x-indexes cannot index into encrypted property '${field}'` });
+        }
+        if (paths.includes(field)) lookups.push('x-indexes');
+      }
+
+      for (const rule of Array.isArray(jsonSchema['x-rules']) ? jsonSchema['x-rules'] : []) {
+        const ruleFields = rule && rule.unique ? [...[].concat(rule.unique), ...(rule.scope ? [rule.scope] : [])] : [];
+        if (ruleFields.includes(field)) lookups.push(`the unique rule '${rule.name}'`);
+      }
+
+      if (!deterministic && lookups.length > 0) {
+        errors.push({ message: `Property '${field}' is used in ${[...new Set(lookups)].join(', ')}, which needs x-encrypted: { "deterministic": true }` });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Find a keyword declared below the top-level properties of a schema
+   * For keywords that only apply to top-level fields (x-encrypted, x-sensitive): a nested
+   * declaration would be ignored and its values stored and returned as they are
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {string} keyword - Keyword, e.g. 'x-encrypted'
+   * @returns {Array<string>} - Paths of the nested declarations ('bank.iban', 'tags[]', 'definitions.address.zip')
+   */
+  findNested(jsonSchema = {}, keyword) {
+    const paths = [];
+    const visit = (node, path) => {
+      if (!node || typeof node !== 'object' || Array.isArray(node)) return;
+      if (node[keyword] !== undefined) paths.push(path);
+      visitChildren(node, path);
+    };
+    const visitChildren = (node, path) => {
+      for (const [field, fieldDef] of Object.entries(node.properties || {})) visit(fieldDef, `${path}.${field}`);
+      for (const [index, item] of [].concat(node.items || []).entries()) {
+        visit(item, Array.isArray(node.items) ? `${path}[${index}]` : `${path}[]`);
+      }
+      visit(node.additionalProperties, `${path}.*`);
+      for (const combinator of ['allOf', 'anyOf', 'oneOf']) {
+        (Array.isArray(node[combinator]) ? node[combinator] : []).forEach((subschema, index) => visit(subschema, `${path}.${combinator}[${index}]`));
+      }
+    };
+
+    for (const [field, fieldDef] of Object.entries((jsonSchema && jsonSchema.properties) || {})) {
+      if (fieldDef && typeof fieldDef === 'object') visitChildren(fieldDef, field);
+    }
+    for (const keywordName of ['definitions', '$defs']) {
+      for (const [name, definition] of Object.entries((jsonSchema && jsonSchema[keywordName]) || {})) {
+        visit(definition, `${keywordName}.${name}`);
+      }
+    }
+    return paths;
+  }
+
+  /**
+   * Encrypt a value
+   * @param {*} value - JSON value
+   * @param {Object} options - Options
+   * @param {boolean} options.deterministic - Derive the IV from the value
+   * @param {string} options.keyId - Key to use (current key by default)
+   * @returns {string} - Ciphertext
+   */
+  encryptValue(value, options = {}) {
+    const keyId = options.keyId || this.currentKeyId;
+    const key = keyId && this.keys.get(keyId);
+    if (!key) {
+      throw this.error('Cannot encrypt: no encryption key is configured (ENCRYPTION_KEYS)', 500);
+    }
+
+    const plaintext = Buffer.from(JSON.stringify(value), 'utf8');
+    const iv = options.deterministic
+      ? crypto.createHmac('sha256', key.macKey).update(plaintext).digest().subarray(0, IV_LENGTH)
+      : crypto.randomBytes(IV_LENGTH);
+
+    const cipher = crypto.createCipheriv(ALGORITHM, key.encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+    const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+
+    return `${PREFIX}${keyId}:${options.deterministic ? 'd' : 'r'}:${payload}`;
+  }
+
+  /**
+   * Decrypt a value
+   * Values that are not ciphertexts (written before the field was encrypted) are returned as they are
+   * @param {*} value - Stored value
+   * @returns {*} - JSON value
+   */
+  decryptValue(value) {
+    const parsed = this.parse(value);
+    if (!parsed) return value;
+
+    const key = this.keys.get(parsed.keyId);
+    if (!key) {
+      throw this.error(`Cannot decrypt a value encrypted with key '${parsed.keyId}'; add it to ENCRYPTION_KEYS`, 500);
+    }
+
+    try {
+      const payload = Buffer.from(parsed.payload, 'base64');
+      const decipher = crypto.createDecipheriv(ALGORITHM, key.encryptionKey, payload.subarray(0, IV_LENGTH));
+      decipher.setAuthTag(payload.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH));
+      const plaintext = Buffer.concat([decipher.update(payload.subarray(IV_LENGTH + TAG_LENGTH)), decipher.final()]);
+      return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+      throw this.error(`Cannot decrypt a value encrypted with key '${parsed.keyId}': the value or key is corrupt`, 500);
+    }
+  }
+
+  /**
+   * Parse a stored ciphertext
+   * @param {*} value - Stored value
+   * @returns {Object|null} - { keyId, deterministic, payload }; null if not a ciphertext
+   */
+  parse(value) {
+    const match = typeof value === 'string' ? value.match(CIPHERTEXT) : null;
+    return match ? { keyId: match[1], deterministic: match[2] === 'd', payload: match[3] } : null;
+  }
+
+  /**
+   * Encrypt the encrypted fields of a record about to be written
+   * Unchanged values keep their stored ciphertext, so rewriting a record does not show them as changed.
+   * Values are always plaintext; one shaped like a ciphertext is rejected rather than stored as it is
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} data - Record data (JSON values)
+   * @param {Object} stored - Stored record for updates
+   * @returns {Object} - Record data with ciphertexts
+   */
+  encryptRecord(jsonSchema, data, stored = null) {
+    const fields = this.getEncryptedFields(jsonSchema)
+      .filter(({ field }) => data && data[field] !== undefined && data[field] !== null);
+    if (fields.length === 0) return data;
+
+    const result = { ...data };
+    for (const { field, deterministic } of fields) {
+      if (this.parse(data[field])) {
+        throw this.error(`Property '${field}' is encrypted by the server; send its plaintext value, not a ciphertext`, 400, { field });
+      }
+
+      const previous = stored ? stored[field] : undefined;
+      if (!this.needsRotation({ deterministic }, previous) &&
+          JSON.stringify(this.decryptValue(previous)) === JSON.stringify(data[field])) {
+        result[field] = previous;
+        continue;
+      }
+      result[field] = this.encryptValue(data[field], { deterministic });
+    }
+    return result;
+  }
+
+  /**
+   * Decrypt the encrypted fields of a stored record or audit snapshot
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Stored record
+   * @returns {Object} - Record with JSON values
+   */
+  decryptRecord(jsonSchema, record) {
+    const fields = this.getEncryptedFields(jsonSchema)
+      .filter(({ field }) => record && this.parse(record[field]));
+    if (fields.length === 0) return record;
+
+    const result = { ...record };
+    for (const { field } of fields) {
+      result[field] = this.decryptValue(record[field]);
+    }
+    return result;
+  }
+
+  /**
+   * Rewrite a filter on encrypted fields to match their ciphertexts
+   * Deterministic fields support equality, $in, $ne, $nin and $exists; values are matched under
+   * every configured key and as plaintext, so records not yet rotated or encrypted still match
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} filter - Filter on JSON values
+   * @returns {Object} - Filter on stored values
+   */
+  encryptFilter(jsonSchema, filter = {}) {
+    const properties = (jsonSchema && jsonSchema.properties) || {};
+    if (this.getEncryptedFields(jsonSchema).length === 0) return filter;
+
+    const result = {};
+    for (const [path, value] of Object.entries(filter)) {
+      if (LOGICAL_OPERATORS.includes(path) && Array.isArray(value)) {
+        result[path] = value.map(condition => this.encryptFilter(jsonSchema, condition));
+        continue;
+      }
+
+      const field = path.split('.')[0];
+      const fieldDef = properties[field];
+      if (!this.isEncrypted(fieldDef)) {
+        result[path] = value;
+        continue;
+      }
+
+      if (path !== field) {
+        throw this.error(`Cannot filter on '${path}': '${field}' is encrypted`, 400, { field });
+      }
+      if (this.modeOf(fieldDef) !== 'deterministic') {
+        throw this.error(`Cannot filter on '${field}': it is encrypted without { "deterministic": true }`, 400, { field });
+      }
+
+      result[path] = this.encryptCondition(fieldDef, field, value);
+    }
+    return result;
+  }
+
+  /**
+   * Rewrite the condition on a deterministic field
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @param {string} field - Field name
+   * @param {*} condition - Value or operator object
+   * @returns {Object} - Condition on ciphertexts
+   */
+  encryptCondition(fieldDef, field, condition) {
+    const isOperators = !!condition && typeof condition === 'object' && !Array.isArray(condition) &&
+      Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+    if (!isOperators) {
+      if (condition instanceof RegExp) {
+        throw this.error(`Cannot match a pattern on '${field}': it is encrypted`, 400, { field });
+      }
+      return { $in: this.candidates(fieldDef, condition) };
+    }
+
+    const result = {};
+    const values = operand => (Array.isArray(operand) ? operand : [operand])
+      .flatMap(value => this.candidates(fieldDef, value));
+
+    for (const [operator, operand] of Object.entries(condition)) {
+      if (!EQUALITY_OPERATORS.includes(operator)) {
+        throw this.error(`Cannot use ${operator} on '${field}': encrypted fields support ${EQUALITY_OPERATORS.join(', ')}`, 400, { field, operator });
+      }
+
+      if (operator === '$exists') {
+        result.$exists = operand;
+      } else if (operator === '$eq' || operator === '$in') {
+        const matches = values(operand);
+        result.$in = result.$in ? result.$in.filter(value => matches.includes(value)) : matches;
+      } else {
+        result.$nin = [...(result.$nin || []), ...values(operand)];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Get the stored values a deterministic field may hold for a value
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @param {*} value - JSON value (query-string values are converted to the field type)
+   * @returns {Array} - Ciphertext under each key, and the plaintext
+   */
+  candidates(fieldDef, value) {
+    if (value === null || value === undefined) return [value];
+
+    const plaintext = this.coerce(fieldDef, value);
+    return [
+      ...[...this.keys.keys()].map(keyId => this.encryptValue(plaintext, { deterministic: true, keyId })),
+      plaintext
+    ];
+  }
+
+  /**
+   * Convert a query-string value to the JSON type of a field
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @param {*} value - Value
+   * @returns {*} - Converted value
+   */
+  coerce(fieldDef, value) {
+    const types = [].concat(fieldDef.type || []);
+    if (typeof value !== 'string' || types.includes('string')) return value;
+
+    if ((types.includes('number') || types.includes('integer')) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+      return Number(value);
+    }
+    if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+      return value === 'true';
+    }
+    return value;
+  }
+
+  /**
+   * Reject sorting on encrypted fields, whose ciphertexts have no meaningful order
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} sort - Sort object
+   */
+  assertSortable(jsonSchema, sort = {}) {
+    const properties = (jsonSchema && jsonSchema.properties) || {};
+    const field = Object.keys(sort || {}).map(path => path.split('.')[0]).find(name => this.isEncrypted(properties[name]));
+    if (field) {
+      throw this.error(`Cannot sort on '${field}': it is encrypted`, 400, { field });
+    }
+  }
+
+  /**
+   * Check whether a stored value of an encrypted field must be re-encrypted
+   * True for plaintext values, values under another key than the current one and values in the other mode
+   * @param {Object} encryptedField - Encrypted field ({ deterministic })
+   * @param {*} value - Stored value
+   * @returns {boolean} - True if the value should be rewritten
+   */
+  needsRotation(encryptedField, value) {
+    if (value === undefined || value === null) return false;
+
+    const parsed = this.parse(value);
+    return !parsed || parsed.keyId !== this.currentKeyId || parsed.deterministic !== encryptedField.deterministic;
+  }
+
+  /**
+   * Re-encrypt the encrypted fields of a stored record or snapshot that need rotation
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Stored record
+   * @returns {Object|null} - Rewritten field values, or null if nothing changes
+   */
+  rotateRecord(jsonSchema, record) {
+    if (!record) return null;
+
+    const changes = {};
+    for (const encryptedField of this.getEncryptedFields(jsonSchema)) {
+      const value = record[encryptedField.field];
+      if (!this.needsRotation(encryptedField, value)) continue;
+
+      changes[encryptedField.field] = this.encryptValue(this.decryptValue(value), {
+        deterministic: encryptedField.deterministic
+      });
+    }
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  /**
+   * Build an error with a status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {*} details - Error details
+   * @returns {Error} - Error
+   */
+  error(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+  }
+}
+
+module.exports = new FieldEncryption();
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+const RESET_MODES = ['never', 'yearly'];
+
+/**
+ * Generated Defaults
+ * Fields declared with `x-generated` get a server-generated value when a record is created without one
+ *
+ *   "createdOn": { "type": "string", "format": "date-time", "x-generated": "now()" }
+ *   "reference": { "type": "string", "x-generated": "uuid()" }
+ *   "number": { "type": "string", "x-generated": { "sequence": { "prefix": "INV-{YYYY}-", "padding": 5, "reset": "yearly" } } }
+ *
+ * Sequence values are allocated by SequenceService; this module only parses and formats them
+ */
+class GeneratedDefaults {
+  /**
+   * Parse an x-generated declaration
+   * @param {*} declaration - x-generated value
+   * @returns {Object|null} - { type: 'now' | 'uuid' } or { type: 'sequence', prefix, padding, reset, start }; null if invalid
+   */
+  parse(declaration) {
+    if (declaration === 'now()') return { type: 'now' };
+    if (declaration === 'uuid()') return { type: 'uuid' };
+    if (declaration === 'sequence()') declaration = { sequence: {} };
+
+    if (!declaration || typeof declaration !== 'object' || Array.isArray(declaration)) return null;
+    const sequence = declaration.sequence === true ? {} : declaration.sequence;
+    if (!sequence || typeof sequence !== 'object' || Array.isArray(sequence)) return null;
+
+    return {
+      type: 'sequence',
+      prefix: sequence.prefix !== undefined ? sequence.prefix : '',
+      padding: sequence.padding !== undefined ? sequence.padding : 0,
+      reset: sequence.reset || 'never',
+      start: sequence.start !== undefined ? sequence.start : 1
+    };
+  }
+
+  /**
+   * Get the generated fields of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Generated fields as { field, definition, generator }
+   */
+  getGeneratedFields(jsonSchema = {}) {
+    return Object.entries(jsonSchema.properties || {})
+      .filter(([, definition]) => definition && definition['x-generated'] !== undefined)
+      .map(([field, definition]) => ({
+        field,
+        definition,
+        generator: this.parse(definition['x-generated'])
+      }))
+      .filter(({ generator }) => generator);
+  }
+
+  /**
+   * Get the sequence fields of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Sequence fields as { field, definition, generator }
+   */
+  getSequenceFields(jsonSchema = {}) {
+    return this.getGeneratedFields(jsonSchema).filter(({ generator }) => generator.type === 'sequence');
+  }
+
+  /**
+   * Validate the x-generated declarations of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const errors = [];
+
+    for (const [field, definition] of Object.entries(jsonSchema.properties || {})) {
+      if (!definition || definition['x-generated'] === undefined) continue;
+
+      const generator = this.parse(definition['x-generated']);
+      const types = [].concat(definition.type || []);
+
+      if (!generator) {
+        errors.push({ message: `Property '${field}' has an invalid x-generated value; use "now()", "uuid()" or { "sequence": { ... } }` });
+        continue;
+      }
+
+      if (definition['x-computed'] !== undefined) {
+        errors.push({ message: `Property '${field}' cannot be both x-generated and x-computed` });
+      }
+
+      if (generator.type === 'now' && !types.some(type => ['string', 'number', 'integer'].includes(type))) {
+        errors.push({ message: `Property '${field}' uses now() and must be a string, number or integer` });
+      }
+
+      if (generator.type === 'uuid' && !types.includes('string')) {
+        errors.push({ message: `Property '${field}' uses uuid() and must be a string` });
+      }
+
+      if (generator.type === 'sequence') {
+        const { prefix, padding, reset, start } = generator;
+
+        if (!types.some(type => ['string', 'integer', 'number'].includes(type))) {
+          errors.push({ message: `Property '${field}' is a sequence and must be a string or integer` });
+        }
+        if (typeof prefix !== 'string') {
+          errors.push({ message: `Property '${field}' has a sequence prefix that is not a string` });
+        } else if (prefix && !types.includes('string')) {
+          errors.push({ message: `Property '${field}' has a sequence prefix and must be a string` });
+        }
+        if (!Number.isInteger(padding) || padding < 0 || padding > 20) {
+          errors.push({ message: `Property '${field}' has a sequence padding that is not an integer between 0 and 20` });
+        }
+        if (!RESET_MODES.includes(reset)) {
+          errors.push({ message: `Property '${field}' has a sequence reset that is not one of: ${RESET_MODES.join(', ')}` });
+        }
+        if (!Number.isInteger(start)) {
+          errors.push({ message: `Property '${field}' has a sequence start that is not an integer` });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the counter period a sequence value belongs to
+   * @param {Object} generator - Parsed sequence generator
+   * @param {Date} date - Creation date
+   * @returns {string} - Period key ('' for sequences that never reset)
+   */
+  periodOf(generator, date = new Date()) {
+    return generator.reset === 'yearly' ? String(date.getUTCFullYear()) : '';
+  }
+
+  /**
+   * Format a sequence number for a field
+   * Prefixes may contain {YYYY} and {YY} for the creation year
+   * @param {Object} definition - JSON Schema field definition
+   * @param {Object} generator - Parsed sequence generator
+   * @param {number} number - Sequence number
+   * @param {Date} date - Creation date
+   * @returns {string|number} - Formatted value (a number for integer fields)
+   */
+  formatSequence(definition, generator, number, date = new Date()) {
+    if (![].concat(definition.type || []).includes('string')) return number;
+
+    const year = String(date.getUTCFullYear());
+    const prefix = generator.prefix
+      .replace(/\{YYYY\}/g, year)
+      .replace(/\{YY\}/g, year.slice(2));
+
+    return `${prefix}${String(number).padStart(generator.padding, '0')}`;
+  }
+
+  /**
+   * Generate a now() or uuid() value for a field
+   * @param {Object} definition - JSON Schema field definition
+   * @param {Object} generator - Parsed generator
+   * @param {Date} date - Creation date
+   * @returns {string|number} - Generated value
+   */
+  generate(definition, generator, date = new Date()) {
+    if (generator.type === 'uuid') return crypto.randomUUID();
+
+    if (![].concat(definition.type || []).includes('string')) return date.getTime();
+    return definition.format === 'date' ? date.toISOString().slice(0, 10) : date.toISOString();
+  }
+}
+
+module.exports = new GeneratedDefaults();
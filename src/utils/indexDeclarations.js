@@ -0,0 +1,120 @@
+const SYSTEM_FIELDS = ['_id', '_schemaName', 'createdAt', 'updatedAt'];
+const INDEX_TYPES = [1, -1, 'text', 'hashed', '2dsphere'];
+const INDEX_OPTIONS = ['name', 'unique', 'sparse', 'expireAfterSeconds', 'partialFilterExpression'];
+
+/**
+ * Index Declarations
+ * Reads index declarations from a JSON Schema
+ *
+ * Field level:
+ *   "email": { "type": "string", "x-unique": true }
+ *   "status": { "type": "string", "x-index": true, "x-sparse": true }
+ *   "score": { "type": "number", "x-index": -1 }
+ *
+ * Schema level (compound and TTL indexes):
+ *   "x-indexes": [
+ *     { "fields": { "lastName": 1, "firstName": 1 }, "unique": true },
+ *     { "fields": { "expiresAt": 1 }, "expireAfterSeconds": 0 }
+ *   ]
+ */
+class IndexDeclarations {
+  /**
+   * Build the declared indexes of a JSON Schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Indexes as { fields, options }
+   */
+  build(jsonSchema = {}) {
+    const indexes = [];
+
+    for (const [fieldName, fieldDef] of Object.entries(jsonSchema.properties || {})) {
+      if (!fieldDef || (fieldDef['x-index'] === undefined && !fieldDef['x-unique'])) continue;
+      if (fieldDef['x-index'] === false) continue;
+
+      const type = fieldDef['x-index'] === true || fieldDef['x-index'] === undefined ? 1 : fieldDef['x-index'];
+      const options = {};
+      if (fieldDef['x-unique']) options.unique = true;
+      if (fieldDef['x-sparse']) options.sparse = true;
+
+      indexes.push({ fields: { [fieldName]: type }, options });
+    }
+
+    for (const declaration of jsonSchema['x-indexes'] || []) {
+      const options = {};
+      for (const option of INDEX_OPTIONS) {
+        if (declaration[option] !== undefined) options[option] = declaration[option];
+      }
+      indexes.push({ fields: { ...declaration.fields }, options });
+    }
+
+    return indexes;
+  }
+
+  /**
+   * Validate the index declarations of a JSON Schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const errors = [];
+    const properties = jsonSchema.properties || {};
+    const knownField = path => SYSTEM_FIELDS.includes(path) || !!properties[path.split('.')[0]];
+
+    for (const [fieldName, fieldDef] of Object.entries(properties)) {
+      if (!fieldDef) continue;
+      const type = fieldDef['x-index'];
+      if (type !== undefined && typeof type !== 'boolean' && !INDEX_TYPES.includes(type)) {
+        errors.push({ message: `Property '${fieldName}' has invalid x-index '${type}' (expected true, 1, -1, text, hashed or 2dsphere)` });
+      }
+      if (fieldDef['x-sparse'] && type === undefined && !fieldDef['x-unique']) {
+        errors.push({ message: `Property '${fieldName}' has x-sparse without x-index or x-unique` });
+      }
+    }
+
+    const declarations = jsonSchema['x-indexes'];
+    if (declarations === undefined) {
+      return errors;
+    }
+    if (!Array.isArray(declarations)) {
+      errors.push({ message: 'x-indexes must be an array' });
+      return errors;
+    }
+
+    declarations.forEach((declaration, i) => {
+      const fields = declaration && declaration.fields;
+      if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+        errors.push({ message: `x-indexes[${i}] must have a non-empty 'fields' object` });
+        return;
+      }
+
+      for (const [path, type] of Object.entries(fields)) {
+        if (!knownField(path)) {
+          errors.push({ message: `x-indexes[${i}] references unknown field '${path}'` });
+        }
+        if (!INDEX_TYPES.includes(type)) {
+          errors.push({ message: `x-indexes[${i}] has invalid type '${type}' for field '${path}'` });
+        }
+      }
+
+      if (declaration.expireAfterSeconds !== undefined) {
+        if (!Number.isInteger(declaration.expireAfterSeconds) || declaration.expireAfterSeconds < 0) {
+          errors.push({ message: `x-indexes[${i}] expireAfterSeconds must be a non-negative integer` });
+        }
+        if (Object.keys(fields).length > 1) {
+          errors.push({ message: `x-indexes[${i}] TTL indexes must be on a single date field` });
+        } else {
+          const [path] = Object.keys(fields);
+          const fieldDef = properties[path];
+          const isDate = ['createdAt', 'updatedAt'].includes(path) ||
+            (fieldDef && fieldDef.type === 'string' && ['date-time', 'date'].includes(fieldDef.format));
+          if (!isDate) {
+            errors.push({ message: `x-indexes[${i}] TTL index field '${path}' must be a date-time field` });
+          }
+        }
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = new IndexDeclarations();
@@ -0,0 +1,319 @@
+const LOCALE_PATTERN = '^[A-Za-z]{2,3}(-[A-Za-z0-9]{2,8})*$';
+const LOCALE = new RegExp(LOCALE_PATTERN);
+
+/**
+ * Localized Fields
+ * String fields declared with `x-localized: true` store one value per locale
+ *
+ *   "name": { "type": "string", "maxLength": 80, "x-localized": true }
+ *   stored as { "name": { "en": "Drill", "de": "Bohrmaschine", "ur": "ڈرل" } }
+ *
+ * Reads resolve each localized field to a single string along a fallback chain built from
+ * the requested locales (de-AT -> de) and DEFAULT_LOCALE. SUPPORTED_LOCALES (comma-separated)
+ * limits the locales that are stored and served; without it any locale tag is accepted
+ */
+class LocalizedFields {
+  constructor() {
+    this.defaultLocale = process.env.DEFAULT_LOCALE || 'en';
+    this.supportedLocales = (process.env.SUPPORTED_LOCALES || '')
+      .split(',')
+      .map(locale => locale.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Check whether a field is localized
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {boolean} - True for x-localized fields
+   */
+  isLocalized(fieldDef) {
+    return !!fieldDef && fieldDef['x-localized'] === true;
+  }
+
+  /**
+   * Get the localized fields of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array<string>} - Field names
+   */
+  getLocalizedFields(jsonSchema = {}) {
+    return Object.entries(jsonSchema.properties || {})
+      .filter(([, fieldDef]) => this.isLocalized(fieldDef))
+      .map(([field]) => field);
+  }
+
+  /**
+   * Validate the x-localized declarations of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const errors = [];
+
+    for (const [field, fieldDef] of Object.entries(jsonSchema.properties || {})) {
+      if (!fieldDef || fieldDef['x-localized'] === undefined) continue;
+
+      if (typeof fieldDef['x-localized'] !== 'boolean') {
+        errors.push({ message: `Property '${field}' has an invalid x-localized value; use true or false` });
+        continue;
+      }
+      if (!fieldDef['x-localized']) continue;
+
+      if (fieldDef.type !== 'string') {
+        errors.push({ message: `Property '${field}' uses x-localized but is not of type string` });
+      }
+      for (const keyword of ['x-ref', 'x-decimal', 'x-computed', 'x-generated', 'x-enum-source']) {
+        if (fieldDef[keyword] !== undefined) {
+          errors.push({ message: `Property '${field}' cannot combine x-localized with ${keyword}` });
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Get the schema records are stored and validated with
+   * Localized fields hold an object of translations, each valid against the field definition
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} options - Options
+   * @param {boolean} options.request - Also accept a plain string and null translations (request bodies)
+   * @returns {Object} - JSON Schema
+   */
+  storageSchema(jsonSchema, options = {}) {
+    const fields = this.getLocalizedFields(jsonSchema);
+    if (fields.length === 0) return jsonSchema;
+
+    const properties = { ...jsonSchema.properties };
+    for (const field of fields) {
+      const translation = { ...properties[field] };
+      delete translation['x-localized'];
+      const translations = {
+        type: 'object',
+        propertyNames: this.supportedLocales.length > 0 ? { enum: this.supportedLocales } : { pattern: LOCALE_PATTERN },
+        additionalProperties: options.request ? { anyOf: [translation, { type: 'null' }] } : translation,
+        ...(options.request ? {} : { minProperties: 1 })
+      };
+      properties[field] = options.request ? { anyOf: [translation, translations] } : translations;
+    }
+
+    return { ...jsonSchema, properties };
+  }
+
+  /**
+   * Store plain string values of localized fields as the translation of a locale
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} data - Record data
+   * @param {string} locale - Locale of plain string values
+   * @returns {Object} - Record data with translation objects
+   */
+  toTranslations(jsonSchema, data, locale = this.defaultLocale) {
+    const fields = this.getLocalizedFields(jsonSchema).filter(field => typeof (data || {})[field] === 'string');
+    if (fields.length === 0) return data;
+
+    const result = { ...data };
+    for (const field of fields) {
+      result[field] = { [locale]: data[field] };
+    }
+    return result;
+  }
+
+  /**
+   * Merge the translations written to localized fields into the stored ones
+   * A null translation removes that locale; a field left without translations is removed
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} data - Record data with translation objects
+   * @param {Object} previous - Stored record (null for new records)
+   * @returns {Object} - Record data with merged translations
+   */
+  mergeTranslations(jsonSchema, data, previous = null) {
+    const fields = this.getLocalizedFields(jsonSchema).filter(field => this.isTranslations((data || {})[field]));
+    if (fields.length === 0) return data;
+
+    const result = { ...data };
+    for (const field of fields) {
+      const stored = previous && this.isTranslations(previous[field]) ? previous[field] : {};
+      const merged = Object.entries({ ...stored, ...data[field] }).filter(([, value]) => value !== null && value !== undefined);
+
+      if (merged.length > 0) {
+        result[field] = Object.fromEntries(merged);
+      } else {
+        delete result[field];
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Resolve the localized fields of a record to one value each
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Record with translation objects
+   * @param {Array<string>} chain - Fallback chain
+   * @returns {Object} - Record with strings (null when no locale of the chain has a value)
+   */
+  resolve(jsonSchema, record, chain) {
+    const fields = this.getLocalizedFields(jsonSchema).filter(field => this.isTranslations((record || {})[field]));
+    if (fields.length === 0) return record;
+
+    const result = { ...record };
+    for (const field of fields) {
+      result[field] = this.resolveValue(record[field], chain);
+    }
+    return result;
+  }
+
+  /**
+   * Resolve a translation object along a fallback chain
+   * @param {Object} translations - Translations by locale
+   * @param {Array<string>} chain - Fallback chain
+   * @returns {string|null} - Translation or null
+   */
+  resolveValue(translations, chain) {
+    if (!this.isTranslations(translations)) return translations === undefined ? null : translations;
+
+    const locale = chain.find(candidate => typeof translations[candidate] === 'string');
+    return locale ? translations[locale] : null;
+  }
+
+  /**
+   * Get the locales requested by a client
+   * `?locale=` takes precedence over the Accept-Language header, which takes precedence over
+   * Content-Language (the locale a write was made in); `?locale=*` asks for every translation
+   * @param {Object} req - Express request object
+   * @returns {Object} - { all, locale, chain } where locale is the first locale of the chain
+   */
+  fromRequest(req) {
+    const requested = req.query && typeof req.query.locale === 'string' ? req.query.locale.trim() : '';
+    if (requested === '*') {
+      return { all: true, locale: this.defaultLocale, chain: [this.defaultLocale] };
+    }
+
+    const headers = req.headers || {};
+    let tags = requested
+      ? requested.split(',').map(tag => tag.trim())
+      : this.parseAcceptLanguage(headers['accept-language']);
+    if (tags.length === 0 && headers['content-language']) {
+      tags = headers['content-language'].split(',').map(tag => tag.trim());
+    }
+    const chain = this.fallbackChain(tags);
+
+    return { all: false, locale: chain[0], chain };
+  }
+
+  /**
+   * Get the locale of plain string values written by a client
+   * @param {Object} req - Express request object
+   * @returns {string} - Content-Language locale, or the first requested locale
+   */
+  writeLocale(req) {
+    const header = req.headers && req.headers['content-language'];
+    const locale = header ? this.canonical(header.split(',')[0].trim()) : '';
+    return locale && this.isSupported(locale) ? locale : this.fromRequest(req).locale;
+  }
+
+  /**
+   * Parse an Accept-Language header
+   * @param {string} header - Header value (e.g. "de-AT,de;q=0.9,en;q=0.5")
+   * @returns {Array<string>} - Locale tags by preference
+   */
+  parseAcceptLanguage(header) {
+    if (!header || typeof header !== 'string') return [];
+
+    return header
+      .split(',')
+      .map((part, index) => {
+        const [tag, ...params] = part.trim().split(';');
+        const q = params.map(param => param.trim()).find(param => param.startsWith('q='));
+        return { tag: tag.trim(), q: q ? parseFloat(q.slice(2)) : 1, index };
+      })
+      .filter(({ tag, q }) => tag && tag !== '*' && q > 0)
+      .sort((a, b) => b.q - a.q || a.index - b.index)
+      .map(({ tag }) => tag);
+  }
+
+  /**
+   * Build the fallback chain of requested locales
+   * Each locale is followed by its parents (de-AT -> de); DEFAULT_LOCALE comes last
+   * @param {Array<string>} tags - Requested locale tags by preference
+   * @returns {Array<string>} - Supported locales, most preferred first
+   */
+  fallbackChain(tags = []) {
+    const chain = [];
+
+    for (const tag of tags) {
+      if (!LOCALE.test(tag)) continue;
+
+      const parts = tag.split('-');
+      for (let length = parts.length; length > 0; length--) {
+        const candidate = this.canonical(parts.slice(0, length).join('-'));
+        if (this.isSupported(candidate) && !chain.includes(candidate)) {
+          chain.push(candidate);
+        }
+      }
+    }
+
+    if (!chain.includes(this.defaultLocale)) {
+      chain.push(this.defaultLocale);
+    }
+    return chain;
+  }
+
+  /**
+   * Rewrite a query path on a localized field to the translation of a locale
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {string} path - Field path (e.g. "name")
+   * @param {string} locale - Locale
+   * @returns {string} - Path (e.g. "name.de")
+   */
+  localizePath(jsonSchema, path, locale) {
+    const properties = jsonSchema.properties || {};
+    return path && !path.includes('.') && this.isLocalized(properties[path]) ? `${path}.${locale}` : path;
+  }
+
+  /**
+   * Rewrite the keys of a filter or sort on localized fields to a locale
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} query - Filter or sort object
+   * @param {string} locale - Locale
+   * @returns {Object} - Query with localized keys
+   */
+  localizeQuery(jsonSchema, query = {}, locale) {
+    if (this.getLocalizedFields(jsonSchema).length === 0) return query;
+
+    return Object.fromEntries(
+      Object.entries(query).map(([path, value]) => [this.localizePath(jsonSchema, path, locale), value])
+    );
+  }
+
+  /**
+   * Check whether a locale is stored and served
+   * @param {string} locale - Locale tag
+   * @returns {boolean} - True if supported
+   */
+  isSupported(locale) {
+    if (!LOCALE.test(locale)) return false;
+    return this.supportedLocales.length === 0 || this.supportedLocales.includes(locale);
+  }
+
+  /**
+   * Normalize the case of a locale tag (de-at -> de-AT)
+   * @param {string} tag - Locale tag
+   * @returns {string} - Tag with a lower-case language and upper-case region
+   */
+  canonical(tag) {
+    return tag
+      .split('-')
+      .map((part, i) => (i === 0 ? part.toLowerCase() : part.length === 2 ? part.toUpperCase() : part))
+      .join('-');
+  }
+
+  /**
+   * Check whether a value is a translation object
+   * @param {*} value - Value
+   * @returns {boolean} - True for plain objects
+   */
+  isTranslations(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+  }
+}
+
+module.exports = new LocalizedFields();
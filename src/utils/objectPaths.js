@@ -0,0 +1,72 @@
+/**
+ * Object Path Utilities
+ * Deep merge and dot-path diffing for nested record data
+ */
+class ObjectPaths {
+  /**
+   * Check whether a value is a plain object (not an array, Date, ObjectId, ...)
+   * @param {*} value - Value to check
+   * @returns {boolean} - True for plain objects
+   */
+  isPlainObject(value) {
+    if (value === null || typeof value !== 'object') return false;
+    const prototype = Object.getPrototypeOf(value);
+    return prototype === Object.prototype || prototype === null;
+  }
+
+  /**
+   * Deep merge a partial update into existing data
+   * Nested objects are merged key by key; arrays and other values are replaced
+   * @param {Object} target - Existing data
+   * @param {Object} source - Partial update
+   * @returns {Object} - Merged copy
+   */
+  deepMerge(target = {}, source = {}) {
+    const merged = { ...target };
+
+    for (const [key, value] of Object.entries(source)) {
+      merged[key] = this.isPlainObject(value) && this.isPlainObject(merged[key])
+        ? this.deepMerge(merged[key], value)
+        : value;
+    }
+
+    return merged;
+  }
+
+  /**
+   * Diff two objects down to the leaves of nested objects
+   * Arrays are compared as a whole
+   * @param {Object} previous - Previous state
+   * @param {Object} current - Current state
+   * @param {Object} options - Diff options
+   * @param {Array<string>} options.skip - Top-level fields to ignore
+   * @param {string} options.prefix - Path prefix for nested calls
+   * @returns {Array} - Changes as { field, oldValue, newValue } with dot-path fields
+   */
+  diff(previous, current, options = {}) {
+    const { skip = [], prefix = '' } = options;
+    const changes = [];
+    const fields = new Set([
+      ...Object.keys(previous || {}),
+      ...Object.keys(current || {})
+    ]);
+
+    for (const field of fields) {
+      if (!prefix && skip.includes(field)) continue;
+
+      const path = prefix ? `${prefix}.${field}` : field;
+      const oldValue = (previous || {})[field];
+      const newValue = (current || {})[field];
+
+      if (this.isPlainObject(oldValue) && this.isPlainObject(newValue)) {
+        changes.push(...this.diff(oldValue, newValue, { prefix: path }));
+      } else if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes.push({ field: path, oldValue, newValue });
+      }
+    }
+
+    return changes;
+  }
+}
+
+module.exports = new ObjectPaths();
@@ -0,0 +1,514 @@
+const storageTypes = require('./storageTypes');
+const enumSources = require('./enumSources');
+const localizedFields = require('./localizedFields');
+const sensitiveFields = require('./sensitiveFields');
+
+// JSON Schema keywords that OpenAPI 3.0 schema objects do not support
+const UNSUPPORTED_KEYWORDS = [
+  '$schema', '$id', '$comment', 'definitions', '$defs', 'examples', 'patternProperties',
+  'propertyNames', 'if', 'then', 'else', 'dependencies', 'dependentRequired', 'dependentSchemas',
+  'contains', 'unevaluatedProperties', 'additionalItems'
+];
+
+// Extensions that stay on the generated component schemas; the others describe storage and rules
+const KEPT_EXTENSIONS = ['x-ref', 'x-decimal', 'x-computed', 'x-generated', 'x-enum-source', 'x-localized', 'x-encrypted', 'x-sensitive'];
+
+const SYSTEM_FIELDS = {
+  _id: { type: 'string', readOnly: true, description: 'Record ID' },
+  _schemaName: { type: 'string', readOnly: true },
+  createdAt: { type: 'string', format: 'date-time', readOnly: true },
+  updatedAt: { type: 'string', format: 'date-time', readOnly: true }
+};
+
+/**
+ * OpenAPI Generator
+ * Describes the /api/data operations of each dynamic schema with concrete component schemas
+ *
+ * For a schema `order_item` the document gains the components
+ *   OrderItem       - record as returned (system fields and computed fields read-only)
+ *   OrderItemInput  - body of POST and PUT (generated fields optional)
+ *   OrderItemPatch  - body of PATCH (no required fields)
+ *   OrderItemList   - page of records with pagination
+ * and the paths /api/data/order_item, /count, /search, /stats, /bulk and /{recordId}
+ * (plus /options/{field} when fields take their values from another schema)
+ */
+class OpenApiGenerator {
+  /**
+   * Component name of a schema
+   * @param {string} schemaName - Schema name
+   * @returns {string} - PascalCase name
+   */
+  componentName(schemaName) {
+    return schemaName
+      .split('_')
+      .filter(Boolean)
+      .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+      .join('');
+  }
+
+  /**
+   * Build the OpenAPI document for a set of schemas
+   * @param {Object} baseDocument - Static document the schema operations are added to
+   * @param {Array} schemas - Active schema definitions
+   * @returns {Object} - OpenAPI document
+   */
+  build(baseDocument, schemas) {
+    const document = JSON.parse(JSON.stringify(baseDocument));
+    document.paths = document.paths || {};
+    document.components = document.components || {};
+    document.components.schemas = document.components.schemas || {};
+    document.tags = document.tags || [];
+
+    const names = new Set(schemas.map(schema => schema.name));
+
+    for (const schema of [...schemas].sort((a, b) => a.name.localeCompare(b.name))) {
+      const componentName = this.componentName(schema.name);
+      const context = { names, componentName };
+
+      Object.assign(document.components.schemas, this.buildComponents(schema, context));
+      Object.assign(document.paths, this.buildPaths(schema, componentName));
+      document.tags.push({
+        name: schema.displayName || schema.name,
+        description: `${schema.description || `Records of schema '${schema.name}'`} (schema version ${schema.version})`
+      });
+    }
+
+    return document;
+  }
+
+  /**
+   * Build the component schemas of a dynamic schema
+   * @param {Object} schema - Schema definition
+   * @param {Object} context - Conversion context
+   * @returns {Object} - Component schemas by name
+   */
+  buildComponents(schema, context) {
+    const { componentName } = context;
+    const definitions = { ...(schema.jsonSchema.definitions || {}), ...(schema.jsonSchema.$defs || {}) };
+    const components = {};
+
+    for (const [definitionName, definition] of Object.entries(definitions)) {
+      components[`${componentName}_${definitionName}`] = this.convert(definition, context);
+    }
+
+    const input = this.convert(schema.jsonSchema, context);
+    input.type = 'object';
+    input.properties = input.properties || {};
+
+    const record = {
+      ...input,
+      description: schema.description || schema.displayName || schema.name,
+      properties: { ...SYSTEM_FIELDS, ...this.resolvedProperties(input.properties) },
+      required: ['_id', ...(input.required || [])]
+    };
+
+    const writable = Object.fromEntries(
+      Object.entries(input.properties)
+        .filter(([, property]) => !property.readOnly)
+        .map(([field, property]) => [field, property['x-localized'] ? this.translationsInput(property) : property])
+    );
+    const writableRequired = (input.required || []).filter(field => writable[field] && !writable[field]['x-generated']);
+
+    const { required, ...patch } = { ...input, properties: writable };
+
+    components[componentName] = record;
+    components[`${componentName}Input`] = writableRequired.length > 0 ? { ...patch, required: writableRequired } : patch;
+    components[`${componentName}Patch`] = patch;
+
+    components[`${componentName}List`] = {
+      type: 'object',
+      properties: {
+        records: { type: 'array', items: { $ref: `#/components/schemas/${componentName}` } },
+        pagination: {
+          type: 'object',
+          properties: {
+            currentPage: { type: 'integer' },
+            totalPages: { type: 'integer' },
+            totalRecords: { type: 'integer' },
+            hasNextPage: { type: 'boolean' },
+            hasPrevPage: { type: 'boolean' },
+            limit: { type: 'integer' }
+          }
+        }
+      }
+    };
+
+    return components;
+  }
+
+  /**
+   * Record properties with localized fields described as resolved strings and sensitive fields as maskable
+   * @param {Object} properties - Converted properties
+   * @returns {Object} - Properties
+   */
+  resolvedProperties(properties) {
+    return Object.fromEntries(Object.entries(properties).map(([field, property]) => {
+      const resolved = property['x-localized']
+        ? { ...property, nullable: true, description: property.description || 'Resolved for the requested locale; every translation with ?locale=*' }
+        : property;
+      return [field, resolved['x-sensitive'] === true ? this.maskedOutput(resolved) : resolved];
+    }));
+  }
+
+  /**
+   * Output schema of a sensitive field: its value, or the mask returned to unprivileged callers
+   * @param {Object} property - Converted field schema
+   * @returns {Object} - OpenAPI schema object
+   */
+  maskedOutput(property) {
+    const { 'x-sensitive': sensitive, description, readOnly, ...value } = property;
+    return {
+      description: description || `Returned as "${sensitiveFields.mask}" to callers without a privileged role`,
+      oneOf: [
+        value,
+        { type: 'string', enum: [sensitiveFields.mask] }
+      ],
+      ...(readOnly ? { readOnly } : {}),
+      'x-sensitive': sensitive
+    };
+  }
+
+  /**
+   * Input schema of a localized field: a string in the request locale or translations by locale
+   * @param {Object} property - Converted field schema
+   * @returns {Object} - OpenAPI schema object
+   */
+  translationsInput(property) {
+    const { 'x-localized': localized, description, ...translation } = property;
+    return {
+      description: description || 'String in the request locale (Content-Language) or translations by locale',
+      oneOf: [
+        translation,
+        { type: 'object', additionalProperties: { ...translation, nullable: true } }
+      ],
+      'x-localized': localized
+    };
+  }
+
+  /**
+   * Convert a JSON Schema (draft 7) to an OpenAPI 3.0 schema object
+   * @param {Object} jsonSchema - JSON Schema
+   * @param {Object} context - Conversion context (names, componentName)
+   * @returns {Object} - OpenAPI schema object
+   */
+  convert(jsonSchema, context) {
+    if (!jsonSchema || typeof jsonSchema !== 'object' || Array.isArray(jsonSchema)) return {};
+
+    if (typeof jsonSchema.$ref === 'string') {
+      return this.convertRef(jsonSchema.$ref, context);
+    }
+
+    const result = {};
+    for (const [key, value] of Object.entries(jsonSchema)) {
+      if (UNSUPPORTED_KEYWORDS.includes(key)) continue;
+      if (key.startsWith('x-') && !KEPT_EXTENSIONS.includes(key)) continue;
+
+      switch (key) {
+        case 'properties':
+          result.properties = Object.fromEntries(
+            Object.entries(value).map(([field, fieldDef]) => [field, this.convert(fieldDef, context)])
+          );
+          break;
+        case 'items':
+        case 'not':
+          result[key] = Array.isArray(value) ? this.convert(value[0], context) : this.convert(value, context);
+          break;
+        case 'additionalProperties':
+          result[key] = typeof value === 'object' ? this.convert(value, context) : value;
+          break;
+        case 'allOf':
+        case 'anyOf':
+        case 'oneOf':
+          result[key] = value.map(entry => this.convert(entry, context));
+          break;
+        case 'const':
+          result.enum = [value];
+          break;
+        case 'type':
+          Object.assign(result, this.convertType(value));
+          break;
+        default:
+          result[key] = value;
+      }
+    }
+
+    if (Array.isArray(jsonSchema.examples) && jsonSchema.examples.length > 0 && result.example === undefined) {
+      result.example = jsonSchema.examples[0];
+    }
+    if (jsonSchema['x-computed']) {
+      result.readOnly = true;
+    }
+    if (storageTypes.typeOf(jsonSchema) === 'objectId') {
+      result.description = result.description || `ID of the referenced '${jsonSchema['x-ref']}' record`;
+    }
+
+    return result;
+  }
+
+  /**
+   * Convert a JSON Schema type (a name or a list of names) to OpenAPI 3.0
+   * @param {string|Array} type - JSON Schema type
+   * @returns {Object} - { type, nullable } or { anyOf }
+   */
+  convertType(type) {
+    if (!Array.isArray(type)) return { type };
+
+    const nullable = type.includes('null');
+    const types = type.filter(t => t !== 'null');
+    if (types.length === 1) return nullable ? { type: types[0], nullable } : { type: types[0] };
+    return { anyOf: types.map(t => ({ type: t })), ...(nullable ? { nullable } : {}) };
+  }
+
+  /**
+   * Convert a $ref to a component reference
+   * Local definitions become `<Component>_<definition>`; stored schemas their record component
+   * @param {string} ref - $ref value
+   * @param {Object} context - Conversion context
+   * @returns {Object} - OpenAPI schema object
+   */
+  convertRef(ref, context) {
+    const local = ref.match(/^#\/(?:definitions|\$defs)\/(.+)$/);
+    if (local) {
+      return { $ref: `#/components/schemas/${context.componentName}_${local[1]}` };
+    }
+
+    const schemaName = ref.replace(/^#\//, '');
+    if (context.names.has(schemaName)) {
+      return { $ref: `#/components/schemas/${this.componentName(schemaName)}` };
+    }
+    return {};
+  }
+
+  /**
+   * Build the /api/data paths of a dynamic schema
+   * @param {Object} schema - Schema definition
+   * @param {string} componentName - Component name of the schema
+   * @returns {Object} - Paths
+   */
+  buildPaths(schema, componentName) {
+    const base = `/api/data/${schema.name}`;
+    const tags = [schema.displayName || schema.name];
+    const ref = name => ({ $ref: `#/components/schemas/${name}` });
+    const body = name => ({ required: true, content: { 'application/json': { schema: ref(name) } } });
+    const filters = this.filterParameters(schema.jsonSchema);
+    const notFound = { description: 'Record not found' };
+    const locale = localizedFields.getLocalizedFields(schema.jsonSchema).length > 0
+      ? { $ref: '#/components/parameters/Locale' }
+      : null;
+
+    return {
+      [base]: {
+        get: {
+          tags,
+          summary: `List ${schema.name} records`,
+          description: 'Query parameters named after fields filter the records; operators use brackets, e.g. `field[$gte]=value`.',
+          parameters: [
+            { $ref: '#/components/parameters/Page' },
+            { $ref: '#/components/parameters/Limit' },
+            { $ref: '#/components/parameters/Sort' },
+            { $ref: '#/components/parameters/IncludeAudit' },
+            this.populateParameter(schema.jsonSchema),
+            locale,
+            ...filters
+          ].filter(Boolean),
+          responses: { '200': this.response('Records', ref(`${componentName}List`)) }
+        },
+        post: {
+          tags,
+          summary: `Create a ${schema.name} record`,
+          requestBody: body(`${componentName}Input`),
+          responses: {
+            '201': this.response('Created record', ref(componentName)),
+            '400': { description: 'Validation failed' }
+          }
+        }
+      },
+      [`${base}/count`]: {
+        get: {
+          tags,
+          summary: `Count ${schema.name} records`,
+          parameters: filters,
+          responses: {
+            '200': this.response('Record count', { type: 'object', properties: { count: { type: 'integer' } } })
+          }
+        }
+      },
+      [`${base}/search`]: {
+        get: {
+          tags,
+          summary: `Search ${schema.name} records`,
+          parameters: [
+            { in: 'query', name: 'q', required: true, schema: { type: 'string' }, description: 'Search text (case-insensitive)' },
+            {
+              in: 'query',
+              name: 'fields',
+              schema: { type: 'string' },
+              description: `Comma-separated fields to search (${this.stringFields(schema.jsonSchema).join(', ') || 'none'})`
+            },
+            { $ref: '#/components/parameters/Page' },
+            { $ref: '#/components/parameters/Limit' },
+            { $ref: '#/components/parameters/Sort' },
+            locale
+          ].filter(Boolean),
+          responses: { '200': this.response('Matching records', ref(`${componentName}List`)) }
+        }
+      },
+      [`${base}/stats`]: {
+        get: {
+          tags,
+          summary: `Get ${schema.name} record statistics`,
+          parameters: [{ in: 'query', name: 'timeframe', schema: { type: 'string', default: '30d' } }],
+          responses: { '200': { description: 'Record statistics' } }
+        }
+      },
+      [`${base}/bulk`]: {
+        post: {
+          tags,
+          summary: `Create several ${schema.name} records`,
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['records'],
+                  properties: { records: { type: 'array', items: ref(`${componentName}Input`) } }
+                }
+              }
+            }
+          },
+          responses: { '201': this.response('Created records', { type: 'array', items: ref(componentName) }) }
+        }
+      },
+      [`${base}/{recordId}`]: {
+        parameters: [{ $ref: '#/components/parameters/RecordId' }],
+        get: {
+          tags,
+          summary: `Get a ${schema.name} record`,
+          parameters: [this.populateParameter(schema.jsonSchema), locale].filter(Boolean),
+          responses: { '200': this.response('Record', ref(componentName)), '404': notFound }
+        },
+        put: {
+          tags,
+          summary: `Replace a ${schema.name} record`,
+          requestBody: body(`${componentName}Input`),
+          responses: { '200': this.response('Updated record', ref(componentName)), '404': notFound }
+        },
+        patch: {
+          tags,
+          summary: `Update fields of a ${schema.name} record`,
+          requestBody: body(`${componentName}Patch`),
+          responses: { '200': this.response('Updated record', ref(componentName)), '404': notFound }
+        },
+        delete: {
+          tags,
+          summary: `Delete a ${schema.name} record`,
+          responses: { '200': { description: 'Record deleted' }, '404': notFound }
+        }
+      },
+      ...this.optionsPaths(schema, base, tags)
+    };
+  }
+
+  /**
+   * The options path of a schema with x-enum-source fields
+   * @param {Object} schema - Schema definition
+   * @param {string} base - Base path of the schema
+   * @param {Array} tags - Operation tags
+   * @returns {Object} - Paths (empty if no field has an enum source)
+   */
+  optionsPaths(schema, base, tags) {
+    const fields = enumSources.getEnumSourceFields(schema.jsonSchema).map(({ field }) => field);
+    if (fields.length === 0) return {};
+
+    return {
+      [`${base}/options/{field}`]: {
+        get: {
+          tags,
+          summary: `Get the allowed values of a ${schema.name} field`,
+          parameters: [{ in: 'path', name: 'field', required: true, schema: { type: 'string', enum: fields } }],
+          responses: {
+            '200': this.response('Current options of the field', { $ref: '#/components/schemas/FieldOptions' }),
+            '404': { description: 'Field has no x-enum-source' }
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Query parameters filtering on the top-level scalar fields of a schema
+   * @param {Object} jsonSchema - Effective JSON Schema
+   * @returns {Array} - Parameters
+   */
+  filterParameters(jsonSchema) {
+    return Object.entries(jsonSchema.properties || {})
+      .filter(([, fieldDef]) => fieldDef && !fieldDef.$ref && !['object', 'array'].includes(fieldDef.type))
+      .map(([field, fieldDef]) => ({
+        in: 'query',
+        name: field,
+        required: false,
+        schema: { type: this.convertType(fieldDef.type).type || 'string' },
+        description: sensitiveFields.isSensitive(fieldDef)
+          ? `Filter on ${field} (privileged roles only; 403 otherwise)`
+          : `Filter on ${field}`
+      }));
+  }
+
+  /**
+   * The populate parameter, listing the reference fields of a schema
+   * @param {Object} jsonSchema - Effective JSON Schema
+   * @returns {Object|null} - Parameter, or null if the schema has no references
+   */
+  populateParameter(jsonSchema) {
+    const fields = Object.entries(jsonSchema.properties || {})
+      .filter(([, fieldDef]) => fieldDef && (fieldDef['x-ref'] || (fieldDef.items && fieldDef.items['x-ref'])))
+      .map(([field]) => field);
+
+    if (fields.length === 0) return null;
+    return {
+      in: 'query',
+      name: 'populate',
+      schema: { type: 'string' },
+      description: `Comma-separated reference fields to populate: ${fields.join(', ')}`
+    };
+  }
+
+  /**
+   * Top-level string fields of a schema (searchable fields)
+   * @param {Object} jsonSchema - Effective JSON Schema
+   * @returns {Array<string>} - Field names
+   */
+  stringFields(jsonSchema) {
+    return Object.entries(jsonSchema.properties || {})
+      .filter(([, fieldDef]) => fieldDef && [].concat(fieldDef.type || []).includes('string') && !fieldDef['x-ref'])
+      .map(([field]) => field);
+  }
+
+  /**
+   * Success response wrapping data in the standard envelope
+   * @param {string} description - Response description
+   * @param {Object} dataSchema - Schema of the data property
+   * @returns {Object} - Response object
+   */
+  response(description, dataSchema) {
+    return {
+      description,
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              success: { type: 'boolean' },
+              message: { type: 'string' },
+              data: dataSchema,
+              timestamp: { type: 'string', format: 'date-time' }
+            }
+          }
+        }
+      }
+    };
+  }
+}
+
+module.exports = new OpenApiGenerator();
@@ -0,0 +1,195 @@
+/**
+ * Schema Diff Utility
+ * Compares two JSON Schema definitions field by field
+ */
+class SchemaDiff {
+  /**
+   * Diff the properties of two JSON Schemas (one level; see children() for nested levels)
+   * @param {Object} oldSchema - Previous JSON Schema
+   * @param {Object} newSchema - New JSON Schema
+   * @param {Object} options - Diff options
+   * @param {Object} options.renames - Explicit renames as { oldField: newField }
+   * @param {string} options.path - Prefix of the reported field names, for nested levels
+   * @returns {Object} - Added, removed, renamed, retyped and modified fields
+   */
+  diff(oldSchema = {}, newSchema = {}, options = {}) {
+    const oldProps = (oldSchema && oldSchema.properties) || {};
+    const newProps = (newSchema && newSchema.properties) || {};
+    const oldRequired = new Set((oldSchema && oldSchema.required) || []);
+    const newRequired = new Set((newSchema && newSchema.required) || []);
+    const prefix = options.path || '';
+
+    const renames = this.detectRenames(oldProps, newProps, options.renames);
+    const renamedFrom = new Set(renames.map(r => r.from));
+    const renamedTo = new Set(renames.map(r => r.to));
+
+    const result = {
+      added: [],
+      removed: [],
+      renamed: renames.map(({ from, to }) => ({ from: `${prefix}${from}`, to: `${prefix}${to}` })),
+      typeChanged: [],
+      requiredAdded: [],
+      requiredRemoved: [],
+      modified: []
+    };
+
+    for (const [field, definition] of Object.entries(newProps)) {
+      if (oldProps[field] || renamedTo.has(field)) continue;
+      result.added.push({
+        field: `${prefix}${field}`,
+        definition,
+        required: newRequired.has(field),
+        hasDefault: definition.default !== undefined,
+        default: definition.default
+      });
+    }
+
+    for (const [field, definition] of Object.entries(oldProps)) {
+      if (newProps[field] || renamedFrom.has(field)) continue;
+      result.removed.push({ field: `${prefix}${field}`, definition, required: oldRequired.has(field) });
+    }
+
+    // Compare fields that exist on both sides (following renames)
+    for (const { oldField, newField } of this.pairs(oldProps, newProps, renames)) {
+      const oldDef = oldProps[oldField];
+      const newDef = newProps[newField];
+      const field = `${prefix}${newField}`;
+
+      if (this.typeOf(oldDef) !== this.typeOf(newDef)) {
+        result.typeChanged.push({
+          field,
+          fromType: this.typeOf(oldDef),
+          toType: this.typeOf(newDef)
+        });
+      }
+
+      const changedKeys = this.changedKeys(oldDef, newDef).filter(key => key !== 'type' && key !== 'x-renamed-from');
+      if (changedKeys.length > 0) {
+        result.modified.push({ field, keys: changedKeys, from: oldDef, to: newDef });
+      }
+
+      if (newRequired.has(newField) && !oldRequired.has(oldField)) {
+        result.requiredAdded.push({
+          field,
+          hasDefault: newDef.default !== undefined,
+          default: newDef.default
+        });
+      }
+      if (!newRequired.has(newField) && oldRequired.has(oldField)) {
+        result.requiredRemoved.push({ field });
+      }
+    }
+
+    result.hasChanges = Object.values(result).some(list => Array.isArray(list) && list.length > 0);
+
+    return result;
+  }
+
+  /**
+   * Pair the fields present in both property sets, following renames
+   * @param {Object} oldProps - Previous properties
+   * @param {Object} newProps - New properties
+   * @param {Array} renames - Renames as { from, to }
+   * @returns {Array} - Array of { oldField, newField }
+   */
+  pairs(oldProps, newProps, renames) {
+    const renamedTo = new Set(renames.map(r => r.to));
+    return Object.keys(newProps)
+      .filter(field => oldProps[field] && !renamedTo.has(field))
+      .map(field => ({ oldField: field, newField: field }))
+      .concat(renames.map(r => ({ oldField: r.from, newField: r.to })));
+  }
+
+  /**
+   * Get the nested levels of the fields present in both schemas, to diff them in turn
+   * Object fields give their properties ('address.'). Array fields give their items as a
+   * single required field ('tags[]'), so a change of the item type or constraints is
+   * reported like a field change
+   * @param {Object} oldSchema - Previous JSON Schema
+   * @param {Object} newSchema - New JSON Schema
+   * @param {Object} options - Diff options (renames, path)
+   * @returns {Array} - Array of { path, from, to } to pass to diff() as { path }
+   */
+  children(oldSchema = {}, newSchema = {}, options = {}) {
+    const oldProps = (oldSchema && oldSchema.properties) || {};
+    const newProps = (newSchema && newSchema.properties) || {};
+    const prefix = options.path || '';
+    const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+    const levels = [];
+
+    for (const { oldField, newField } of this.pairs(oldProps, newProps, this.detectRenames(oldProps, newProps, options.renames))) {
+      const oldDef = oldProps[oldField];
+      const newDef = newProps[newField];
+      if (!isObject(oldDef) || !isObject(newDef)) continue;
+
+      if (isObject(oldDef.properties) && isObject(newDef.properties)) {
+        levels.push({ path: `${prefix}${newField}.`, from: oldDef, to: newDef });
+      }
+      if (isObject(oldDef.items) && isObject(newDef.items)) {
+        levels.push({
+          path: `${prefix}${newField}`,
+          from: { properties: { '[]': oldDef.items }, required: ['[]'] },
+          to: { properties: { '[]': newDef.items }, required: ['[]'] }
+        });
+      }
+    }
+
+    return levels;
+  }
+
+  /**
+   * Detect renamed fields from explicit renames and x-renamed-from annotations
+   * @param {Object} oldProps - Previous properties
+   * @param {Object} newProps - New properties
+   * @param {Object} explicitRenames - Renames as { oldField: newField }
+   * @returns {Array} - Array of { from, to }
+   */
+  detectRenames(oldProps, newProps, explicitRenames = {}) {
+    const renames = [];
+    const seen = new Set();
+
+    const addRename = (from, to) => {
+      if (seen.has(from) || from === to) return;
+      // A rename only makes sense when the old field is gone and the new one is new
+      if (!oldProps[from] || newProps[from] || !newProps[to] || oldProps[to]) return;
+      seen.add(from);
+      renames.push({ from, to });
+    };
+
+    for (const [from, to] of Object.entries(explicitRenames || {})) {
+      addRename(from, to);
+    }
+
+    for (const [field, definition] of Object.entries(newProps)) {
+      if (definition && definition['x-renamed-from']) {
+        addRename(definition['x-renamed-from'], field);
+      }
+    }
+
+    return renames;
+  }
+
+  /**
+   * Get a comparable type string for a field definition
+   * @param {Object} fieldDef - Field definition
+   * @returns {string|undefined} - Type string
+   */
+  typeOf(fieldDef) {
+    if (!fieldDef) return undefined;
+    if (fieldDef.$ref) return `$ref:${fieldDef.$ref}`;
+    return Array.isArray(fieldDef.type) ? fieldDef.type.join('|') : fieldDef.type;
+  }
+
+  /**
+   * Get keys whose values differ between two field definitions
+   * @param {Object} oldDef - Previous field definition
+   * @param {Object} newDef - New field definition
+   * @returns {Array<string>} - Changed keys
+   */
+  changedKeys(oldDef = {}, newDef = {}) {
+    const keys = new Set([...Object.keys(oldDef), ...Object.keys(newDef)]);
+    return Array.from(keys).filter(key => JSON.stringify(oldDef[key]) !== JSON.stringify(newDef[key]));
+  }
+}
+
+module.exports = new SchemaDiff();
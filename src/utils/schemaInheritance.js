@@ -0,0 +1,143 @@
+const SCHEMA_NAME = /^[a-z][a-z0-9_]*$/;
+
+// Schema-level keywords whose values are combined instead of overridden
+const MERGED_KEYWORDS = ['properties', 'required', 'x-indexes', 'x-rules'];
+
+/**
+ * Schema Inheritance
+ * Flattens schemas that build on other stored schemas into one effective jsonSchema
+ *
+ *   { "x-extends": "party", "properties": { ... } }
+ *   { "allOf": [{ "$ref": "address" }, { "$ref": "contact" }], "properties": { ... } }
+ *
+ * Parents contribute their properties, required fields, indexes and rules; the child's own
+ * declarations win when a field is declared on both
+ */
+class SchemaInheritance {
+  /**
+   * Check whether an allOf entry references a stored schema
+   * @param {Object} entry - allOf entry
+   * @returns {boolean} - True for { "$ref": "<schemaName>" }
+   */
+  isSchemaRef(entry) {
+    return !!entry && typeof entry.$ref === 'string' && SCHEMA_NAME.test(entry.$ref);
+  }
+
+  /**
+   * Get the stored schemas a jsonSchema builds on, in resolution order
+   * @param {Object} jsonSchema - JSON Schema definition as authored
+   * @returns {Array<string>} - Parent schema names
+   */
+  getParents(jsonSchema = {}) {
+    const parents = [].concat(jsonSchema['x-extends'] || []);
+    for (const entry of Array.isArray(jsonSchema.allOf) ? jsonSchema.allOf : []) {
+      if (this.isSchemaRef(entry)) parents.push(entry.$ref);
+    }
+    return [...new Set(parents)];
+  }
+
+  /**
+   * Check whether a jsonSchema builds on other stored schemas
+   * @param {Object} jsonSchema - JSON Schema definition as authored
+   * @returns {boolean} - True if it has parents
+   */
+  hasParents(jsonSchema) {
+    return !!jsonSchema && this.getParents(jsonSchema).length > 0;
+  }
+
+  /**
+   * Flatten a jsonSchema and its parents into the effective jsonSchema
+   * Inline allOf entries are merged like parents; allOf entries that are neither
+   * stored schemas nor inline objects (e.g. "#/definitions/..." refs) are kept in allOf
+   * @param {Object} jsonSchema - JSON Schema definition as authored
+   * @param {Object} parentSchemas - Effective jsonSchema of each parent by name
+   * @returns {Object} - Effective jsonSchema
+   */
+  flatten(jsonSchema, parentSchemas = {}) {
+    const { 'x-extends': extendsValue, allOf, ...own } = jsonSchema;
+    const sources = [];
+    const keptAllOf = [];
+
+    for (const name of [].concat(extendsValue || [])) {
+      sources.push({ label: `'${name}'`, schema: this.getParent(parentSchemas, name) });
+    }
+
+    (Array.isArray(allOf) ? allOf : []).forEach((entry, i) => {
+      if (this.isSchemaRef(entry)) {
+        sources.push({ label: `'${entry.$ref}'`, schema: this.getParent(parentSchemas, entry.$ref) });
+      } else if (entry && !entry.$ref && (entry.properties || entry.required)) {
+        sources.push({ label: `allOf[${i}]`, schema: entry });
+      } else {
+        keptAllOf.push(entry);
+      }
+    });
+
+    const effective = { type: 'object', properties: {}, required: [] };
+    const declaredBy = {};
+
+    for (const { label, schema } of sources) {
+      this.mergeKeywords(effective, schema);
+
+      for (const [field, definition] of Object.entries(schema.properties || {})) {
+        const existing = effective.properties[field];
+        if (existing && JSON.stringify(existing) !== JSON.stringify(definition) && !(own.properties || {})[field]) {
+          throw new Error(`Property '${field}' is declared differently by ${declaredBy[field]} and ${label}; declare it on the schema itself to choose one`);
+        }
+        effective.properties[field] = definition;
+        declaredBy[field] = label;
+      }
+    }
+
+    this.mergeKeywords(effective, own);
+    Object.assign(effective.properties, own.properties || {});
+
+    if (keptAllOf.length > 0) effective.allOf = keptAllOf;
+    if (effective.required.length === 0) delete effective.required;
+    return effective;
+  }
+
+  /**
+   * Merge schema-level keywords of a source into the effective schema
+   * Later sources override scalar keywords; required fields, indexes and rules accumulate
+   * @param {Object} effective - Effective schema being built
+   * @param {Object} source - Parent, inline allOf entry or the schema itself
+   */
+  mergeKeywords(effective, source) {
+    for (const [keyword, value] of Object.entries(source)) {
+      if (!MERGED_KEYWORDS.includes(keyword)) effective[keyword] = value;
+    }
+
+    for (const field of source.required || []) {
+      if (!effective.required.includes(field)) effective.required.push(field);
+    }
+
+    if (Array.isArray(source['x-indexes'])) {
+      const indexes = effective['x-indexes'] || [];
+      for (const index of source['x-indexes']) {
+        if (!indexes.some(existing => JSON.stringify(existing) === JSON.stringify(index))) indexes.push(index);
+      }
+      effective['x-indexes'] = indexes;
+    }
+
+    // Rules are combined by name; a later declaration replaces an inherited rule of the same name
+    if (Array.isArray(source['x-rules'])) {
+      const rules = (effective['x-rules'] || []).filter(rule => !source['x-rules'].some(r => r && rule && r.name === rule.name));
+      effective['x-rules'] = [...rules, ...source['x-rules']];
+    }
+  }
+
+  /**
+   * Get a parent's effective schema
+   * @param {Object} parentSchemas - Effective jsonSchema of each parent by name
+   * @param {string} name - Parent schema name
+   * @returns {Object} - Parent jsonSchema
+   */
+  getParent(parentSchemas, name) {
+    if (!parentSchemas[name]) {
+      throw new Error(`Parent schema '${name}' not found`);
+    }
+    return parentSchemas[name];
+  }
+}
+
+module.exports = new SchemaInheritance();
@@ -0,0 +1,243 @@
+const indexDeclarations = require('./indexDeclarations');
+const schemaRelationships = require('./schemaRelationships');
+
+const PROPERTY_NAME = /^[a-z][a-zA-Z0-9]*$/;
+const RESERVED_PROPERTIES = ['_id', '_schemaName', 'createdAt', 'updatedAt', '__v'];
+// Formats whose values have a bounded length on their own
+const BOUNDED_FORMATS = ['date', 'date-time', 'time', 'uuid', 'ipv4', 'ipv6'];
+// A quantified group around a single quantified atom, e.g. (a+)+, (\d*)* or ([a-z]+)*
+const NESTED_QUANTIFIER = /\((?:\?:)?(?:\\.|\[(?:[^\]\\]|\\.)*\]|[^()\\|[\]])[+*]\)[+*{]/;
+
+const RULES = {
+  'unindexed-reference': 'x-ref fields should be indexed; reverse lookups and cascade checks query them',
+  'string-max-length': 'Strings should declare maxLength, so a single record cannot grow without bound',
+  'required-unknown-property': 'Entries of required should name declared properties',
+  'unused-definition': 'Entries of definitions / $defs should be referenced',
+  'unknown-reference': 'x-ref, $ref and x-enum-source should point at existing schemas',
+  'property-naming': 'Property names should be camelCase',
+  'reserved-property': 'Properties should not redeclare the system fields (_id, _schemaName, createdAt, updatedAt)',
+  'unbounded-array': 'Arrays should declare maxItems; records are limited to 16MB',
+  'open-object': 'Objects should declare properties; open objects are stored without validation',
+  'unique-optional-field': 'x-unique fields should be required or x-sparse; records without the value collide on null',
+  'regex-backtracking': 'Patterns with nested quantifiers can take exponential time to match',
+  'unknown-lint-rule': 'x-lint.disable should list known rule ids'
+};
+
+/**
+ * Schema Linter
+ * Reports warnings about schema definitions that are valid but likely to cause problems:
+ * missing indexes and limits, dangling references and names, and risky patterns
+ *
+ * Each warning carries a rule id; rules are disabled per schema with x-lint:
+ *   "x-lint": { "disable": ["string-max-length", "property-naming"] }
+ */
+class SchemaLinter {
+  constructor() {
+    this.rules = RULES;
+  }
+
+  /**
+   * Validate the x-lint declaration of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const declaration = jsonSchema['x-lint'];
+    if (declaration === undefined) return [];
+
+    const isObject = !!declaration && typeof declaration === 'object' && !Array.isArray(declaration);
+    const disable = isObject ? declaration.disable : undefined;
+    if (!isObject || (disable !== undefined && !(Array.isArray(disable) && disable.every(rule => typeof rule === 'string')))) {
+      return [{ message: 'x-lint must be an object like { "disable": ["rule-id", ...] }' }];
+    }
+    return [];
+  }
+
+  /**
+   * Lint a schema definition
+   * @param {Object} jsonSchema - Effective JSON Schema definition
+   * @param {Object} options - Options
+   * @param {string} options.name - Name of the schema (references to itself are known)
+   * @param {Array<string>} options.schemaNames - Names of the stored schemas (unknown-reference is skipped without them)
+   * @returns {Array} - Warnings as { rule, path, message }
+   */
+  lint(jsonSchema, options = {}) {
+    if (!jsonSchema || typeof jsonSchema !== 'object' || !jsonSchema.properties || typeof jsonSchema.properties !== 'object') {
+      return [];
+    }
+
+    const warnings = [];
+    const warn = (rule, path, message) => warnings.push({ rule, path, message });
+
+    this.checkProperties(jsonSchema, warn);
+    this.checkFields(jsonSchema, warn);
+    this.checkRequired(jsonSchema, warn);
+    this.checkDefinitions(jsonSchema, warn);
+    if (options.schemaNames) {
+      this.checkReferences(jsonSchema, [...options.schemaNames, options.name].filter(Boolean), warn);
+    }
+
+    const disabled = this.getDisabledRules(jsonSchema);
+    for (const rule of disabled.filter(rule => !RULES[rule])) {
+      warn('unknown-lint-rule', 'x-lint.disable', `x-lint disables unknown rule '${rule}'`);
+    }
+
+    return warnings.filter(warning => !disabled.includes(warning.rule));
+  }
+
+  /**
+   * Get the rules a schema disables
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array<string>} - Rule ids
+   */
+  getDisabledRules(jsonSchema) {
+    const declaration = jsonSchema['x-lint'];
+    return declaration && Array.isArray(declaration.disable) ? declaration.disable : [];
+  }
+
+  /**
+   * Check the top-level properties: naming, system fields, reference indexes and unique fields
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Function} warn - Adds a warning
+   */
+  checkProperties(jsonSchema, warn) {
+    const required = Array.isArray(jsonSchema.required) ? jsonSchema.required : [];
+    const indexed = new Set(indexDeclarations.build(jsonSchema).map(({ fields }) => Object.keys(fields)[0]));
+
+    for (const [field, fieldDef] of Object.entries(jsonSchema.properties)) {
+      const path = `properties.${field}`;
+
+      if (RESERVED_PROPERTIES.includes(field)) {
+        warn('reserved-property', path, `Property '${field}' redeclares a system field that is set by the server`);
+      }
+      if (!fieldDef || typeof fieldDef !== 'object') continue;
+
+      const isReference = fieldDef['x-ref'] || (fieldDef.type === 'array' && fieldDef.items && fieldDef.items['x-ref']);
+      if (isReference && !indexed.has(field)) {
+        warn('unindexed-reference', path, `Reference '${field}' is not indexed; add "x-index": true`);
+      }
+
+      const alwaysSet = fieldDef['x-generated'] !== undefined || fieldDef.default !== undefined;
+      if (fieldDef['x-unique'] && !required.includes(field) && !fieldDef['x-sparse'] && !alwaysSet) {
+        warn('unique-optional-field', path, `Unique field '${field}' is optional; records without it collide, make it required or add "x-sparse": true`);
+      }
+    }
+  }
+
+  /**
+   * Check every field, including nested object properties and array items
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Function} warn - Adds a warning
+   */
+  checkFields(jsonSchema, warn) {
+    const visit = (fieldDef, path, name, parentDef = null) => {
+      if (!fieldDef || typeof fieldDef !== 'object') return;
+
+      if (name !== null && !RESERVED_PROPERTIES.includes(name) && !PROPERTY_NAME.test(name)) {
+        warn('property-naming', path, `Property '${name}' is not camelCase`);
+      }
+
+      const types = [].concat(fieldDef.type || []);
+      // Array items may take their values from an x-ref or x-enum-source on the array
+      const bounded = !this.isUnboundedString(fieldDef) || (parentDef !== null && !this.isUnboundedString(parentDef));
+      if (types.includes('string') && !bounded) {
+        warn('string-max-length', path, `String '${path}' has no maxLength`);
+      }
+      if (types.includes('array') && fieldDef.maxItems === undefined) {
+        warn('unbounded-array', path, `Array '${path}' has no maxItems`);
+      }
+      if (types.includes('object') && !fieldDef.properties && [undefined, true].includes(fieldDef.additionalProperties)) {
+        warn('open-object', path, `Object '${path}' declares no properties`);
+      }
+      if (typeof fieldDef.pattern === 'string' && NESTED_QUANTIFIER.test(fieldDef.pattern)) {
+        warn('regex-backtracking', path, `Pattern of '${path}' nests quantifiers and may backtrack catastrophically`);
+      }
+
+      for (const [child, childDef] of Object.entries(fieldDef.properties || {})) {
+        visit(childDef, `${path}.properties.${child}`, child);
+      }
+      if (fieldDef.items && !Array.isArray(fieldDef.items)) {
+        visit(fieldDef.items, `${path}.items`, null, fieldDef);
+      }
+    };
+
+    for (const [field, fieldDef] of Object.entries(jsonSchema.properties)) {
+      visit(fieldDef, `properties.${field}`, field);
+    }
+  }
+
+  /**
+   * Check whether a string field lacks a length bound
+   * References, enums, bounded formats and server-set values are bounded on their own
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {boolean} - True if maxLength should be declared
+   */
+  isUnboundedString(fieldDef) {
+    if (fieldDef.maxLength !== undefined) return false;
+    if (fieldDef.enum || fieldDef.const !== undefined) return false;
+    if (BOUNDED_FORMATS.includes(fieldDef.format)) return false;
+    return !['x-ref', 'x-enum-source', 'x-computed', 'x-generated'].some(keyword => fieldDef[keyword] !== undefined);
+  }
+
+  /**
+   * Check that required names declared properties
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Function} warn - Adds a warning
+   */
+  checkRequired(jsonSchema, warn) {
+    (Array.isArray(jsonSchema.required) ? jsonSchema.required : []).forEach((field, i) => {
+      if (!Object.prototype.hasOwnProperty.call(jsonSchema.properties, field)) {
+        warn('required-unknown-property', `required[${i}]`, `Required field '${field}' is not declared in properties`);
+      }
+    });
+  }
+
+  /**
+   * Check that every local definition is referenced
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Function} warn - Adds a warning
+   */
+  checkDefinitions(jsonSchema, warn) {
+    const refs = new Set();
+    const collect = node => {
+      if (Array.isArray(node)) return node.forEach(collect);
+      if (!node || typeof node !== 'object') return;
+      for (const [key, value] of Object.entries(node)) {
+        if (key === '$ref' && typeof value === 'string') refs.add(value);
+        else collect(value);
+      }
+    };
+    collect(jsonSchema);
+
+    for (const keyword of ['definitions', '$defs']) {
+      for (const definition of Object.keys(jsonSchema[keyword] || {})) {
+        if (!refs.has(`#/${keyword}/${definition}`) && !refs.has(`#/${definition}`)) {
+          warn('unused-definition', `${keyword}.${definition}`, `Definition '${definition}' is never referenced`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check that references point at stored schemas
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Array<string>} schemaNames - Known schema names
+   * @param {Function} warn - Adds a warning
+   */
+  checkReferences(jsonSchema, schemaNames, warn) {
+    for (const { field, referencedSchema, kind } of schemaRelationships.extract(jsonSchema)) {
+      if (!schemaNames.includes(referencedSchema)) {
+        warn('unknown-reference', `properties.${field}`, `${kind} of '${field}' points at unknown schema '${referencedSchema}'`);
+      }
+    }
+
+    for (const [field, fieldDef] of Object.entries(jsonSchema.properties)) {
+      const declaration = fieldDef && (fieldDef['x-enum-source'] || (fieldDef.items && fieldDef.items['x-enum-source']));
+      if (declaration && typeof declaration.schema === 'string' && !schemaNames.includes(declaration.schema)) {
+        warn('unknown-reference', `properties.${field}`, `x-enum-source of '${field}' points at unknown schema '${declaration.schema}'`);
+      }
+    }
+  }
+}
+
+module.exports = new SchemaLinter();
@@ -0,0 +1,226 @@
+/**
+ * Schema Relationships
+ * Finds the references a jsonSchema makes to other stored schemas and analyses the
+ * graph they form
+ *
+ *   { "customer": { "type": "string", "x-ref": "customer" } }
+ *   { "tags": { "type": "array", "items": { "x-ref": "tag" } } }
+ *   { "owner": { "$ref": "user" } }
+ *
+ * $ref values pointing at the schema's own definitions ("#/definitions/address" with
+ * an "address" definition) are local subschemas, not references
+ */
+class SchemaRelationships {
+  /**
+   * Extract the references of a jsonSchema
+   * @param {Object} jsonSchema - Effective JSON Schema
+   * @returns {Array} - Relationships (field, referencedSchema, referenceType, isRequired, kind)
+   */
+  extract(jsonSchema) {
+    const relationships = [];
+    if (!jsonSchema || !jsonSchema.properties) return relationships;
+
+    const required = Array.isArray(jsonSchema.required) ? jsonSchema.required : [];
+    const definitions = { ...(jsonSchema.definitions || {}), ...(jsonSchema.$defs || {}) };
+
+    for (const [fieldName, fieldDef] of Object.entries(jsonSchema.properties)) {
+      if (!fieldDef || typeof fieldDef !== 'object') continue;
+      const isRequired = required.includes(fieldName);
+
+      if (fieldDef['x-ref']) {
+        relationships.push({
+          field: fieldName,
+          referencedSchema: fieldDef['x-ref'],
+          referenceType: fieldDef['x-ref-type'] === 'array' || fieldDef.type === 'array' ? 'array_reference' : 'reference',
+          isRequired,
+          kind: 'x-ref'
+        });
+      }
+
+      if (fieldDef.type === 'array' && fieldDef.items && fieldDef.items['x-ref']) {
+        relationships.push({
+          field: fieldName,
+          referencedSchema: fieldDef.items['x-ref'],
+          referenceType: 'array_reference',
+          isRequired,
+          kind: 'x-ref'
+        });
+      }
+
+      // Keep backward compatibility with $ref
+      if (typeof fieldDef.$ref === 'string') {
+        const isLocal = fieldDef.$ref.startsWith('#/');
+        const referencedSchema = fieldDef.$ref.replace(/^#\/(definitions\/|\$defs\/)?/, '');
+
+        if (referencedSchema && !(isLocal && definitions[referencedSchema])) {
+          relationships.push({
+            field: fieldName,
+            referencedSchema,
+            referenceType: fieldDef.items ? 'array_reference' : 'reference',
+            isRequired,
+            kind: '$ref'
+          });
+        }
+      }
+    }
+
+    return relationships;
+  }
+
+  /**
+   * Point the references a jsonSchema makes to a stored schema at a new name
+   * Covers x-ref, $ref, x-enum-source and x-extends at any depth; local $ref definitions
+   * of the same name are left alone
+   * @param {Object} jsonSchema - JSON Schema definition (effective or as authored)
+   * @param {string} from - Current schema name
+   * @param {string} to - New schema name
+   * @returns {Object} - JSON Schema with renamed references (the same object if none changed)
+   */
+  renameReferences(jsonSchema, from, to) {
+    if (!jsonSchema || typeof jsonSchema !== 'object') return jsonSchema;
+
+    const definitions = { ...(jsonSchema.definitions || {}), ...(jsonSchema.$defs || {}) };
+    const renameRef = ref => {
+      const isLocal = ref.startsWith('#/');
+      const referencedSchema = ref.replace(/^#\/(definitions\/|\$defs\/)?/, '');
+      return referencedSchema === from && !(isLocal && definitions[from])
+        ? `${ref.slice(0, ref.length - from.length)}${to}`
+        : ref;
+    };
+
+    let changed = false;
+    const rename = node => {
+      if (Array.isArray(node)) return node.map(rename);
+      if (!node || typeof node !== 'object') return node;
+
+      const result = {};
+      for (const [key, value] of Object.entries(node)) {
+        let renamed;
+        if (key === 'x-ref' && value === from) {
+          renamed = to;
+        } else if (key === '$ref' && typeof value === 'string') {
+          renamed = renameRef(value);
+        } else if (key === 'x-enum-source' && value && value.schema === from) {
+          renamed = { ...value, schema: to };
+        } else if (key === 'x-extends' && [].concat(value).includes(from)) {
+          renamed = Array.isArray(value) ? value.map(parent => (parent === from ? to : parent)) : to;
+        } else {
+          result[key] = rename(value);
+          continue;
+        }
+        if (renamed !== value) changed = true;
+        result[key] = renamed;
+      }
+      return result;
+    };
+
+    const result = rename(jsonSchema);
+    return changed ? result : jsonSchema;
+  }
+
+  /**
+   * Build the reference graph of a set of schemas
+   * @param {Array} schemas - Schema definitions (name, displayName, version, jsonSchema)
+   * @returns {Object} - { nodes, edges, missingReferences, requiredCycles }
+   */
+  buildGraph(schemas) {
+    const names = new Set(schemas.map(schema => schema.name));
+    const edges = [];
+
+    for (const schema of schemas) {
+      for (const relationship of this.extract(schema.jsonSchema)) {
+        edges.push({
+          from: schema.name,
+          to: relationship.referencedSchema,
+          field: relationship.field,
+          referenceType: relationship.referenceType,
+          isRequired: relationship.isRequired,
+          kind: relationship.kind,
+          missing: !names.has(relationship.referencedSchema)
+        });
+      }
+    }
+
+    const nodes = schemas.map(schema => ({
+      name: schema.name,
+      displayName: schema.displayName,
+      version: schema.version,
+      references: edges.filter(edge => edge.from === schema.name).length,
+      referencedBy: edges.filter(edge => edge.to === schema.name && edge.from !== schema.name).length
+    }));
+
+    return {
+      nodes,
+      edges,
+      missingReferences: edges.filter(edge => edge.missing),
+      requiredCycles: this.findRequiredCycles(edges)
+    };
+  }
+
+  /**
+   * Find groups of schemas that require references to each other in a loop
+   * No record of such a group can be created first, because each one needs an
+   * existing record of the next. Array references can start empty and do not count
+   * @param {Array} edges - Graph edges
+   * @returns {Array} - Cycles ({ schemas, edges })
+   */
+  findRequiredCycles(edges) {
+    const blocking = edges.filter(edge => edge.isRequired && edge.referenceType === 'reference' && !edge.missing);
+    const adjacency = new Map();
+    for (const edge of blocking) {
+      if (!adjacency.has(edge.from)) adjacency.set(edge.from, []);
+      adjacency.get(edge.from).push(edge.to);
+    }
+
+    // Tarjan's strongly connected components
+    const index = new Map();
+    const lowLink = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let counter = 0;
+
+    const visit = (node) => {
+      index.set(node, counter);
+      lowLink.set(node, counter);
+      counter++;
+      stack.push(node);
+      onStack.add(node);
+
+      for (const next of adjacency.get(node) || []) {
+        if (!index.has(next)) {
+          visit(next);
+          lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+        } else if (onStack.has(next)) {
+          lowLink.set(node, Math.min(lowLink.get(node), index.get(next)));
+        }
+      }
+
+      if (lowLink.get(node) === index.get(node)) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          component.push(member);
+        } while (member !== node);
+        components.push(component);
+      }
+    };
+
+    for (const node of adjacency.keys()) {
+      if (!index.has(node)) visit(node);
+    }
+
+    return components
+      .filter(component => component.length > 1 || blocking.some(edge => edge.from === component[0] && edge.to === component[0]))
+      .map(component => ({
+        schemas: component.sort(),
+        edges: blocking
+          .filter(edge => component.includes(edge.from) && component.includes(edge.to))
+          .map(({ from, to, field }) => ({ from, to, field }))
+      }));
+  }
+}
+
+module.exports = new SchemaRelationships();
@@ -1,5 +1,15 @@
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const indexDeclarations = require('./indexDeclarations');
+const computedFields = require('./computedFields');
+const generatedDefaults = require('./generatedDefaults');
+const validationRules = require('./validationRules');
+const enumSources = require('./enumSources');
+const localizedFields = require('./localizedFields');
+const fieldEncryption = require('./fieldEncryption');
+const sensitiveFields = require('./sensitiveFields');
+const schemaLinter = require('./schemaLinter');
+const tenantContext = require('./tenantContext');
 
 class SchemaValidator {
   constructor() {
@@ -9,6 +19,18 @@ class SchemaValidator {
       strict: false 
     });
     addFormats(this.ajv);
+
+    // Compiled validators of stored schemas: name -> { revision, variants, ... }
+    this.validators = new Map();
+    this.metrics = {
+      compiles: 0,
+      compileMs: 0,
+      cacheHits: 0,
+      cacheMisses: 0,
+      validations: 0,
+      validateMs: 0,
+      invalidations: 0
+    };
   }
 
   /**
@@ -65,10 +87,99 @@ class SchemaValidator {
             errors: [{ message: `Property '${propName}' must have either 'type' or '$ref'` }]
           };
         }
+
+        // Decimals are stored as Decimal128 and serialized as numbers or numeric strings
+        if (propDef['x-decimal'] && !['number', 'string'].includes(propDef.type)) {
+          return {
+            valid: false,
+            errors: [{ message: `Property '${propName}' uses x-decimal but is not of type number or string` }]
+          };
+        }
+      }
+
+      // Validate index declarations
+      const indexErrors = indexDeclarations.validate(jsonSchema);
+      if (indexErrors.length > 0) {
+        return {
+          valid: false,
+          errors: indexErrors
+        };
+      }
+
+      // Validate computed field expressions
+      const computedErrors = computedFields.validate(jsonSchema);
+      if (computedErrors.length > 0) {
+        return {
+          valid: false,
+          errors: computedErrors
+        };
+      }
+
+      // Validate generated defaults
+      const generatedErrors = generatedDefaults.validate(jsonSchema);
+      if (generatedErrors.length > 0) {
+        return {
+          valid: false,
+          errors: generatedErrors
+        };
+      }
+
+      // Validate cross-field rules
+      const ruleErrors = validationRules.validate(jsonSchema);
+      if (ruleErrors.length > 0) {
+        return {
+          valid: false,
+          errors: ruleErrors
+        };
+      }
+
+      // Validate enum sources
+      const enumSourceErrors = enumSources.validate(jsonSchema);
+      if (enumSourceErrors.length > 0) {
+        return {
+          valid: false,
+          errors: enumSourceErrors
+        };
+      }
+
+      // Validate localized fields
+      const localizedErrors = localizedFields.validate(jsonSchema);
+      if (localizedErrors.length > 0) {
+        return {
+          valid: false,
+          errors: localizedErrors
+        };
+      }
+
+      // Validate encrypted fields
+      const encryptionErrors = fieldEncryption.validate(jsonSchema);
+      if (encryptionErrors.length > 0) {
+        return {
+          valid: false,
+          errors: encryptionErrors
+        };
+      }
+
+      // Validate sensitive fields
+      const sensitiveErrors = sensitiveFields.validate(jsonSchema);
+      if (sensitiveErrors.length > 0) {
+        return {
+          valid: false,
+          errors: sensitiveErrors
+        };
+      }
+
+      // Validate lint settings
+      const lintErrors = schemaLinter.validate(jsonSchema);
+      if (lintErrors.length > 0) {
+        return {
+          valid: false,
+          errors: lintErrors
+        };
       }
 
       // Try to compile the schema with AJV
-      const validate = this.ajv.compile(jsonSchema);
+      this.compile(jsonSchema);
       
       return { valid: true, errors: [] };
     } catch (error) {
@@ -79,12 +190,182 @@ class SchemaValidator {
     }
   }
 
+  /**
+   * Compile a JSON Schema without keeping it in AJV's cache
+   * AJV caches by schema object, so every fetched definition would otherwise stay in memory
+   * @param {Object} jsonSchema - JSON Schema
+   * @returns {Function} - AJV validate function
+   */
+  compile(jsonSchema) {
+    try {
+      return this.ajv.compile(jsonSchema);
+    } finally {
+      this.ajv.removeSchema(jsonSchema);
+    }
+  }
+
+  /**
+   * Validate a record against a stored schema with a cached validator
+   * Validators are compiled once per schema (per tenant) and revision (version)
+   * @param {Object} schema - Schema definition ({ name, version, jsonSchema })
+   * @param {Object} data - Record data
+   * @param {Object} options - Options
+   * @param {string} options.variant - 'record' (default) or 'request' (computed and generated fields not required)
+   * @returns {Object} - { valid, errors }
+   */
+  validateRecord(schema, data, options = {}) {
+    const variant = options.variant || 'record';
+
+    let validate;
+    try {
+      validate = this.getValidator(schema, variant);
+    } catch (error) {
+      return {
+        valid: false,
+        errors: [{ message: error.message }]
+      };
+    }
+
+    const started = process.hrtime.bigint();
+    const valid = validate(data);
+    const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+    const entry = this.validators.get(tenantContext.scopedName(schema.name, schema.tenantId));
+    entry.validations++;
+    entry.validateMs += elapsed;
+    if (!valid) entry.failures++;
+    this.metrics.validations++;
+    this.metrics.validateMs += elapsed;
+
+    return {
+      valid,
+      errors: validate.errors || []
+    };
+  }
+
+  /**
+   * Get the cached validator of a schema revision, compiling it on first use
+   * A newer revision replaces the cached validators of the schema
+   * @param {Object} schema - Schema definition ({ name, version, jsonSchema })
+   * @param {string} variant - Validator variant
+   * @returns {Function} - AJV validate function
+   */
+  getValidator(schema, variant = 'record') {
+    const revision = schema.version || '1.0.0';
+    const key = tenantContext.scopedName(schema.name, schema.tenantId);
+    let entry = this.validators.get(key);
+
+    if (!entry || entry.revision !== revision) {
+      entry = {
+        revision,
+        variants: new Map(),
+        compiledAt: null,
+        compileMs: 0,
+        validations: 0,
+        validateMs: 0,
+        failures: 0
+      };
+      this.validators.set(key, entry);
+    }
+
+    if (entry.variants.has(variant)) {
+      this.metrics.cacheHits++;
+      return entry.variants.get(variant);
+    }
+
+    this.metrics.cacheMisses++;
+    // Localized fields are validated as translation objects (request bodies may also send a string)
+    const jsonSchema = variant === 'request'
+      ? localizedFields.storageSchema(this.requestSchema(schema.jsonSchema), { request: true })
+      : localizedFields.storageSchema(schema.jsonSchema);
+
+    const started = process.hrtime.bigint();
+    const validate = this.compile(jsonSchema);
+    const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+
+    entry.variants.set(variant, validate);
+    entry.compiledAt = new Date();
+    entry.compileMs += elapsed;
+    this.metrics.compiles++;
+    this.metrics.compileMs += elapsed;
+
+    return validate;
+  }
+
+  /**
+   * Get the schema that request bodies are validated against
+   * Computed and generated fields are filled in by DynamicCrudService, so they are not required
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Object} - JSON Schema for request bodies
+   */
+  requestSchema(jsonSchema) {
+    const serverFilled = this.serverFilledFields(jsonSchema);
+    return serverFilled.length > 0 && Array.isArray(jsonSchema.required)
+      ? { ...jsonSchema, required: jsonSchema.required.filter(field => !serverFilled.includes(field)) }
+      : jsonSchema;
+  }
+
+  /**
+   * Get the fields whose values are set by the server (computed and generated fields)
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array<string>} - Field names
+   */
+  serverFilledFields(jsonSchema) {
+    return [
+      ...computedFields.getComputedFields(jsonSchema).map(computed => computed.field),
+      ...generatedDefaults.getGeneratedFields(jsonSchema).map(generated => generated.field)
+    ];
+  }
+
+  /**
+   * Drop the cached validators of a schema
+   * @param {string} name - Schema name
+   * @param {string} tenantId - Tenant ID (defaults to the current tenant)
+   */
+  invalidate(name, tenantId = tenantContext.getTenantId()) {
+    if (this.validators.delete(tenantContext.scopedName(name, tenantId))) {
+      this.metrics.invalidations++;
+    }
+  }
+
+  /**
+   * Get validator cache and timing metrics
+   * @returns {Object} - Totals and per-schema metrics (times in milliseconds)
+   */
+  getMetrics() {
+    const average = (total, count) => (count > 0 ? Number((total / count).toFixed(3)) : 0);
+
+    return {
+      cachedSchemas: this.validators.size,
+      compiles: this.metrics.compiles,
+      compileMs: Number(this.metrics.compileMs.toFixed(3)),
+      avgCompileMs: average(this.metrics.compileMs, this.metrics.compiles),
+      cacheHits: this.metrics.cacheHits,
+      cacheMisses: this.metrics.cacheMisses,
+      validations: this.metrics.validations,
+      validateMs: Number(this.metrics.validateMs.toFixed(3)),
+      avgValidateMs: average(this.metrics.validateMs, this.metrics.validations),
+      invalidations: this.metrics.invalidations,
+      schemas: Array.from(this.validators.entries()).map(([name, entry]) => ({
+        name,
+        revision: entry.revision,
+        variants: Array.from(entry.variants.keys()),
+        compiledAt: entry.compiledAt,
+        compileMs: Number(entry.compileMs.toFixed(3)),
+        validations: entry.validations,
+        failures: entry.failures,
+        avgValidateMs: average(entry.validateMs, entry.validations)
+      }))
+    };
+  }
+
   /**
    * Validate data against JSON Schema
+   * For schemas that are not stored yet (e.g. migration previews); stored schemas use validateRecord
    */
   validateData(jsonSchema, data) {
     try {
-      const validate = this.ajv.compile(jsonSchema);
+      const validate = this.compile(jsonSchema);
       const valid = validate(data);
       
       return {
@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const objectPaths = require('./objectPaths');
+const fieldEncryption = require('./fieldEncryption');
+
+const MASK = '***';
+const HASH = /^(hmac-sha256|sha256):[0-9a-f]{64}$/;
+const LOGICAL_OPERATORS = ['$or', '$and', '$nor'];
+// Operators that can read any field of the record
+const EXPRESSION_OPERATORS = ['$expr', '$where'];
+
+/**
+ * Sensitive Fields
+ * Fields declared with `x-sensitive: true` are masked in API responses for callers without a
+ * privileged role, and stored as a hash in audit snapshots
+ *
+ *   "salary": { "type": "number", "x-sensitive": true }
+ *   response: { "salary": "***" }   audit: { "salary": "hmac-sha256:3f1a..." }
+ *
+ * Privileged roles come from SENSITIVE_FIELD_ROLES (comma-separated, default admin,super_admin) and
+ * are matched against req.user.role or the X-User-Role header. Hashes are keyed with
+ * AUDIT_HASH_SECRET when it is set, so low-entropy values cannot be guessed from them
+ */
+class SensitiveFields {
+  constructor() {
+    this.mask = MASK;
+    this.privilegedRoles = (process.env.SENSITIVE_FIELD_ROLES || 'admin,super_admin')
+      .split(',')
+      .map(role => role.trim())
+      .filter(Boolean);
+    this.hashSecret = process.env.AUDIT_HASH_SECRET || null;
+  }
+
+  /**
+   * Check whether a field is sensitive
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {boolean} - True for x-sensitive fields
+   */
+  isSensitive(fieldDef) {
+    return !!fieldDef && fieldDef['x-sensitive'] === true;
+  }
+
+  /**
+   * Get the sensitive fields of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array<string>} - Field names
+   */
+  getSensitiveFields(jsonSchema) {
+    return Object.entries((jsonSchema && jsonSchema.properties) || {})
+      .filter(([, fieldDef]) => this.isSensitive(fieldDef))
+      .map(([field]) => field);
+  }
+
+  /**
+   * Check whether a field path lies in a sensitive field
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {string} path - Field path (e.g. "salary" or "bank.iban")
+   * @returns {boolean} - True if the top-level field is sensitive
+   */
+  isSensitivePath(jsonSchema, path) {
+    const properties = (jsonSchema && jsonSchema.properties) || {};
+    return typeof path === 'string' && this.isSensitive(properties[path.split('.')[0]]);
+  }
+
+  /**
+   * Validate the x-sensitive declarations of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    return Object.entries(jsonSchema.properties || {})
+      .filter(([, fieldDef]) => fieldDef && fieldDef['x-sensitive'] !== undefined && typeof fieldDef['x-sensitive'] !== 'boolean')
+      .map(([field]) => ({ message: `Property '${field}' has an invalid x-sensitive value; use true or false` }))
+      .concat(fieldEncryption.findNested(jsonSchema, 'x-sensitive')
+        .map(path => ({ message: `x-sensitive at '${path}' is not supported; only top-level properties can be sensitive (a sensitive object is masked as a whole)` })));
+  }
+
+  /**
+   * Check whether the caller of a request may see sensitive values
+   * @param {Object} req - Express request object
+   * @returns {boolean} - True for privileged roles
+   */
+  isPrivileged(req) {
+    const role = (req && req.user && req.user.role) || (req && req.headers && req.headers['x-user-role']);
+    return !!role && this.privilegedRoles.includes(role);
+  }
+
+  /**
+   * Reject filters, searches and sorts on sensitive fields for callers without a privileged role,
+   * whose results would reveal the masked values
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} query - Query ({ filter, sort })
+   */
+  assertQueryable(jsonSchema, { filter = {}, sort = {} } = {}) {
+    if (this.getSensitiveFields(jsonSchema).length === 0) return;
+
+    const sortField = Object.keys(sort || {}).find(path => this.isSensitivePath(jsonSchema, path));
+    if (sortField) {
+      throw this.error(`Cannot sort on '${sortField}': it is sensitive`, 403, { field: sortField.split('.')[0] });
+    }
+
+    const check = conditions => {
+      for (const [path, value] of Object.entries(conditions || {})) {
+        if (LOGICAL_OPERATORS.includes(path) && Array.isArray(value)) {
+          value.forEach(check);
+        } else if (EXPRESSION_OPERATORS.includes(path)) {
+          throw this.error(`Cannot filter with '${path}' on a schema with sensitive fields`, 403, { operator: path });
+        } else if (this.isSensitivePath(jsonSchema, path)) {
+          throw this.error(`Cannot filter on '${path}': it is sensitive`, 403, { field: path.split('.')[0] });
+        }
+      }
+    };
+    check(filter);
+  }
+
+  /**
+   * Hash a value for an audit snapshot
+   * @param {*} value - Value
+   * @returns {string} - "hmac-sha256:<hex>" (or "sha256:<hex>" without AUDIT_HASH_SECRET)
+   */
+  hashValue(value) {
+    const json = JSON.stringify(value);
+    return this.hashSecret
+      ? `hmac-sha256:${crypto.createHmac('sha256', this.hashSecret).update(json).digest('hex')}`
+      : `sha256:${crypto.createHash('sha256').update(json).digest('hex')}`;
+  }
+
+  /**
+   * Check whether a stored value is a hash written by hashValue
+   * @param {*} value - Value
+   * @returns {boolean} - True for hashes
+   */
+  isHash(value) {
+    return typeof value === 'string' && HASH.test(value);
+  }
+
+  /**
+   * Replace the sensitive fields of a record with hashes of their values
+   * Encrypted values are hashed as plaintext, so unchanged values keep the same hash
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Record or audit snapshot
+   * @returns {Object} - Record with hashed sensitive fields
+   */
+  hashRecord(jsonSchema, record) {
+    const fields = this.getSensitiveFields(jsonSchema)
+      .filter(field => record && record[field] !== undefined && record[field] !== null && !this.isHash(record[field]));
+    if (fields.length === 0) return record;
+
+    const result = { ...record };
+    for (const field of fields) {
+      result[field] = this.hashValue(fieldEncryption.decryptValue(record[field]));
+    }
+    return result;
+  }
+
+  /**
+   * Mask the sensitive fields of records anywhere in a response payload
+   * Records are recognized by their _schemaName; audit entries (by schemaName) also get the
+   * old and new values of their changedFields masked
+   * @param {*} data - Response data
+   * @param {Function} schemaFor - Returns the JSON Schema of a schema name (or null)
+   * @param {Object} jsonSchema - JSON Schema of the enclosing record or audit entry
+   * @returns {*} - Data with masked values
+   */
+  redact(data, schemaFor, jsonSchema = null) {
+    if (Array.isArray(data)) {
+      return data.map(item => this.redact(item, schemaFor, jsonSchema));
+    }
+    if (!objectPaths.isPlainObject(data)) return data;
+
+    const isRecord = typeof data._schemaName === 'string';
+    const name = isRecord ? data._schemaName : typeof data.schemaName === 'string' ? data.schemaName : null;
+    const schema = name ? schemaFor(name) : jsonSchema;
+
+    const result = {};
+    for (const [key, value] of Object.entries(data)) {
+      if (isRecord && this.isSensitivePath(schema, key)) {
+        result[key] = value === null || value === undefined ? value : MASK;
+      } else if (key === 'changedFields' && Array.isArray(value)) {
+        result[key] = value.map(change => (change && this.isSensitivePath(schema, change.field)
+          ? { ...change, oldValue: change.oldValue === undefined ? undefined : MASK, newValue: change.newValue === undefined ? undefined : MASK }
+          : change));
+      } else {
+        result[key] = this.redact(value, schemaFor, schema);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Create an error with a status code
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @param {Object} details - Error details
+   * @returns {Error} - Error
+   */
+  error(message, statusCode, details) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    if (details) error.details = details;
+    return error;
+  }
+}
+
+module.exports = new SensitiveFields();
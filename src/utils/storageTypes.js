@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const objectPaths = require('./objectPaths');
+const fieldEncryption = require('./fieldEncryption');
+
+const { ObjectId, Decimal128 } = mongoose.Types;
+
+/**
+ * Storage Types
+ * Maps JSON Schema fields to the BSON types they are stored as, and back to JSON
+ *
+ * - format: 'date-time' / 'date' -> Date
+ * - x-ref                         -> ObjectId
+ * - x-decimal                     -> Decimal128
+ *
+ * x-localized strings are stored as an object of translations and keep their JSON values;
+ * x-encrypted values are stored as ciphertext strings and decrypted when serialized
+ */
+class StorageTypes {
+  /**
+   * Get the BSON storage type of a field
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {string|null} - 'date', 'objectId', 'decimal' or null for the plain JSON type
+   */
+  typeOf(fieldDef) {
+    if (!fieldDef || fieldDef.type === 'array' || fieldDef.type === 'object' || fieldDef['x-localized'] === true) return null;
+    if (fieldEncryption.isEncrypted(fieldDef)) return null;
+    if (fieldDef['x-decimal']) return 'decimal';
+    if (fieldDef['x-ref']) return 'objectId';
+
+    const types = [].concat(fieldDef.type || []);
+    if (types.includes('string') && ['date-time', 'date'].includes(fieldDef.format)) return 'date';
+
+    return null;
+  }
+
+  /**
+   * Get the item definition of an array field
+   * A field-level x-ref on an array applies to its items
+   * @param {Object} fieldDef - Array field definition
+   * @returns {Object} - Item definition
+   */
+  itemsOf(fieldDef) {
+    const items = fieldDef.items || { type: 'string' };
+    if (fieldDef['x-ref'] && !items['x-ref']) {
+      return { ...items, 'x-ref': fieldDef['x-ref'] };
+    }
+    return items;
+  }
+
+  /**
+   * Check whether a field or any nested field has a BSON storage type
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {boolean} - True if values need converting
+   */
+  hasStorageTypes(fieldDef) {
+    if (!fieldDef || fieldEncryption.isEncrypted(fieldDef)) return false;
+    if (this.typeOf(fieldDef)) return true;
+    if (fieldDef.type === 'array') return this.hasStorageTypes(this.itemsOf(fieldDef));
+    if (fieldDef.type === 'object' && fieldDef.properties) {
+      return Object.values(fieldDef.properties).some(def => this.hasStorageTypes(def));
+    }
+    return false;
+  }
+
+  /**
+   * Describe where a field stores BSON types, for detecting storage changes
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @returns {*} - Storage type, [items] for arrays, { property: type } for objects, or null
+   */
+  describe(fieldDef) {
+    if (!this.hasStorageTypes(fieldDef)) return null;
+    if (this.typeOf(fieldDef)) return this.typeOf(fieldDef);
+    if (fieldDef.type === 'array') return [this.describe(this.itemsOf(fieldDef))];
+
+    const description = {};
+    for (const [key, def] of Object.entries(fieldDef.properties)) {
+      description[key] = this.describe(def);
+    }
+    return description;
+  }
+
+  /**
+   * Convert a value to the type it is stored as
+   * Recurses into nested objects and arrays; values of fields that no longer
+   * have a storage type are converted back to JSON
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @param {*} value - Value
+   * @param {string} path - Field path for error messages
+   * @returns {*} - Stored value
+   */
+  toStorage(fieldDef, value, path = 'value') {
+    if (value === undefined || value === null || !fieldDef || fieldEncryption.isEncrypted(fieldDef)) return value;
+
+    switch (this.typeOf(fieldDef)) {
+      case 'date': {
+        if (value instanceof Date) return value;
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+          throw new Error(`Cannot convert '${value}' at '${path}' to a date`);
+        }
+        return date;
+      }
+
+      case 'objectId':
+        if (value instanceof ObjectId) return value;
+        if (typeof value !== 'string' || !ObjectId.isValid(value) || value.length !== 24) {
+          throw new Error(`Cannot convert '${value}' at '${path}' to an ObjectId`);
+        }
+        return new ObjectId(value);
+
+      case 'decimal':
+        if (value instanceof Decimal128) return value;
+        try {
+          return Decimal128.fromString(String(value).trim());
+        } catch (error) {
+          throw new Error(`Cannot convert '${value}' at '${path}' to a decimal`);
+        }
+
+      default:
+        break;
+    }
+
+    if (Array.isArray(value) && fieldDef.type === 'array') {
+      const items = this.itemsOf(fieldDef);
+      return value.map((item, i) => this.toStorage(items, item, `${path}.${i}`));
+    }
+
+    if (objectPaths.isPlainObject(value) && fieldDef.properties) {
+      const converted = { ...value };
+      for (const [key, def] of Object.entries(fieldDef.properties)) {
+        if (converted[key] !== undefined) {
+          converted[key] = this.toStorage(def, converted[key], `${path}.${key}`);
+        }
+      }
+      return converted;
+    }
+
+    return this.toJSONValue(fieldDef, value);
+  }
+
+  /**
+   * Convert a stored value back to its JSON representation
+   * @param {Object} fieldDef - JSON Schema field definition
+   * @param {*} value - Stored value
+   * @returns {*} - JSON value
+   */
+  toJSONValue(fieldDef = {}, value) {
+    if (value instanceof Date) {
+      return fieldDef.format === 'date' ? value.toISOString().slice(0, 10) : value.toISOString();
+    }
+
+    if (value instanceof ObjectId) {
+      return value.toString();
+    }
+
+    if (value instanceof Decimal128) {
+      const types = [].concat(fieldDef.type || []);
+      return types.includes('string') || types.length === 0 ? value.toString() : Number(value.toString());
+    }
+
+    if (Array.isArray(value)) {
+      const items = fieldDef.type === 'array' ? this.itemsOf(fieldDef) : {};
+      return value.map(item => this.toJSONValue(items, item));
+    }
+
+    if (objectPaths.isPlainObject(value)) {
+      const properties = fieldDef.properties || {};
+      const serialized = {};
+      for (const [key, nested] of Object.entries(value)) {
+        serialized[key] = this.toJSONValue(properties[key], nested);
+      }
+      return serialized;
+    }
+
+    return value;
+  }
+
+  /**
+   * Serialize a stored record to JSON following its schema
+   * System fields (_id, createdAt, ...) are left for the JSON response to format;
+   * encrypted fields are decrypted
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Stored record (lean or toObject())
+   * @returns {Object} - Record with declared fields as JSON values
+   */
+  serialize(jsonSchema, record) {
+    if (!record || !jsonSchema || !jsonSchema.properties) return record;
+
+    const serialized = fieldEncryption.decryptRecord(jsonSchema, { ...record });
+    for (const [field, fieldDef] of Object.entries(jsonSchema.properties)) {
+      if (serialized[field] !== undefined) {
+        serialized[field] = this.toJSONValue(fieldDef, serialized[field]);
+      }
+    }
+    return serialized;
+  }
+}
+
+module.exports = new StorageTypes();
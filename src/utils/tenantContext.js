@@ -0,0 +1,113 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const TENANT_ID = /^[a-z][a-z0-9-]{0,39}$/;
+
+/**
+ * Tenant Context
+ * Carries the tenant of the current request (or background task) through async calls
+ *
+ * Code outside any tenant context (boot, timers) works on the default tenant; code that
+ * must see every tenant runs with runAsSystem. The default tenant keeps the plain names
+ * used before tenants existed: collection `dynamic_<schema>`, key `<schema>`. Other
+ * tenants use collection `dynamic_<tenant>.<schema>` and key `<tenant>:<schema>`
+ * (schema names cannot contain '.' or ':', so the names never collide)
+ */
+class TenantContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.defaultTenant = process.env.DEFAULT_TENANT || 'default';
+  }
+
+  /**
+   * Run a function in the context of a tenant
+   * The result is awaited inside the context, so a returned Mongoose query executes in it
+   * @param {string} tenantId - Tenant ID
+   * @param {Function} fn - Function to run
+   * @returns {Promise<*>} - Result of fn
+   */
+  run(tenantId, fn) {
+    return this.storage.run({ tenantId: tenantId || this.defaultTenant }, async () => await fn());
+  }
+
+  /**
+   * Run a function without tenant scoping (queries see every tenant)
+   * @param {Function} fn - Function to run
+   * @returns {Promise<*>} - Result of fn
+   */
+  runAsSystem(fn) {
+    return this.storage.run({ system: true }, async () => await fn());
+  }
+
+  /**
+   * Get the tenant of the current context
+   * @returns {string} - Tenant ID (the default tenant outside any context)
+   */
+  getTenantId() {
+    const store = this.storage.getStore();
+    return (store && store.tenantId) || this.defaultTenant;
+  }
+
+  /**
+   * Check whether the current context spans all tenants
+   * @returns {boolean} - True inside runAsSystem
+   */
+  isSystem() {
+    const store = this.storage.getStore();
+    return !!(store && store.system);
+  }
+
+  /**
+   * Check the format of a tenant ID
+   * @param {string} tenantId - Tenant ID
+   * @returns {boolean} - True if valid
+   */
+  isValidTenantId(tenantId) {
+    return typeof tenantId === 'string' && TENANT_ID.test(tenantId);
+  }
+
+  /**
+   * Check whether a tenant is the default tenant
+   * @param {string} tenantId - Tenant ID
+   * @returns {boolean} - True for the default tenant (or no tenant)
+   */
+  isDefault(tenantId) {
+    return !tenantId || tenantId === this.defaultTenant;
+  }
+
+  /**
+   * Key of a schema that is unique across tenants (models, caches, change streams)
+   * @param {string} schemaName - Schema name
+   * @param {string} tenantId - Tenant ID (defaults to the current tenant)
+   * @returns {string} - Scoped key
+   */
+  scopedName(schemaName, tenantId = this.getTenantId()) {
+    return this.isDefault(tenantId) ? schemaName : `${tenantId}:${schemaName}`;
+  }
+
+  /**
+   * Collection that stores the records of a schema
+   * @param {string} schemaName - Schema name
+   * @param {string} tenantId - Tenant ID (defaults to the current tenant)
+   * @returns {string} - Collection name
+   */
+  collectionName(schemaName, tenantId = this.getTenantId()) {
+    return this.isDefault(tenantId) ? `dynamic_${schemaName}` : `dynamic_${tenantId}.${schemaName}`;
+  }
+
+  /**
+   * Split a dynamic collection name into its tenant and schema
+   * @param {string} collectionName - Collection name
+   * @returns {Object|null} - { tenantId, schemaName } or null for other collections
+   */
+  parseCollectionName(collectionName) {
+    if (!collectionName || !collectionName.startsWith('dynamic_')) return null;
+
+    const rest = collectionName.slice('dynamic_'.length);
+    const dot = rest.indexOf('.');
+    return dot === -1
+      ? { tenantId: this.defaultTenant, schemaName: rest }
+      : { tenantId: rest.slice(0, dot), schemaName: rest.slice(dot + 1) };
+  }
+}
+
+module.exports = new TenantContext();
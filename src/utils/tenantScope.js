@@ -0,0 +1,53 @@
+const tenantContext = require('./tenantContext');
+
+// Query operations that are restricted to the current tenant
+const SCOPED_QUERIES = [
+  'count',
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndRemove',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Mongoose plugin scoping a model to the current tenant
+ * Adds a tenantId path (set from the tenant context on insert) and restricts every
+ * query and aggregation to the current tenant, unless running as system
+ * @param {Object} schema - Mongoose schema
+ */
+const tenantScope = (schema) => {
+  schema.add({
+    tenantId: {
+      type: String,
+      required: true,
+      immutable: true,
+      default: () => tenantContext.getTenantId()
+    }
+  });
+
+  schema.pre(SCOPED_QUERIES, function() {
+    if (tenantContext.isSystem()) return;
+    this.where({ tenantId: tenantContext.getTenantId() });
+  });
+
+  schema.pre('aggregate', function() {
+    if (tenantContext.isSystem()) return;
+    this.pipeline().unshift({ $match: { tenantId: tenantContext.getTenantId() } });
+  });
+
+  schema.pre('estimatedDocumentCount', function() {
+    if (tenantContext.isSystem()) return;
+    throw new Error('estimatedDocumentCount is not tenant scoped; use countDocuments');
+  });
+};
+
+module.exports = tenantScope;
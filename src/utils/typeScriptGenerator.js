@@ -0,0 +1,624 @@
+const crypto = require('crypto');
+const openApiGenerator = require('./openApiGenerator');
+const sensitiveFields = require('./sensitiveFields');
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+// Typed fetch client for /api/data, /api/audit and /api/schemas; the generated header and
+// version constants are prepended by generateClient
+const CLIENT_BODY = `
+export interface ApiResponse<T> {
+  success: boolean;
+  message: string;
+  data: T;
+  timestamp: string;
+}
+
+export interface Pagination {
+  currentPage: number;
+  totalPages: number;
+  totalRecords: number;
+  hasNextPage: boolean;
+  hasPrevPage: boolean;
+  limit: number;
+}
+
+export interface Page<T> {
+  records: T[];
+  pagination: Pagination;
+}
+
+/** Filter value: a plain value, or operators such as { $gte: '2024-01-01' } */
+export type FilterValue = string | number | boolean | { [operator: string]: string | number | boolean };
+
+export type Filter<K extends SchemaName> = Partial<Record<Extract<keyof SchemaMap[K]['record'], string>, FilterValue>>;
+
+export type Sort<K extends SchemaName> = Partial<Record<Extract<keyof SchemaMap[K]['record'], string>, 1 | -1>>;
+
+export interface ListOptions<K extends SchemaName> {
+  page?: number;
+  limit?: number;
+  sort?: Sort<K>;
+  filter?: Filter<K>;
+}
+
+export interface SearchOptions<K extends SchemaName> {
+  fields?: Array<Extract<keyof SchemaMap[K]['record'], string>>;
+  page?: number;
+  limit?: number;
+  sort?: Sort<K>;
+}
+
+export interface AuditQuery {
+  page?: number;
+  limit?: number;
+  operation?: 'create' | 'update' | 'delete';
+  userId?: string;
+  startDate?: string;
+  endDate?: string;
+}
+
+export interface DocumentVersion<T> {
+  version: number;
+  operation: string;
+  timestamp: string;
+  userId: string | null;
+  changedFields?: string[];
+  canRevert?: boolean;
+  state?: T;
+  [key: string]: unknown;
+}
+
+export interface VersionComparison {
+  fromVersion: number;
+  toVersion: number;
+  fromTimestamp: string;
+  toTimestamp: string;
+  differences: Array<{ field: string; [key: string]: unknown }>;
+  totalChanges: number;
+}
+
+export interface SchemaDefinition {
+  name: string;
+  displayName: string;
+  description?: string;
+  version: string;
+  jsonSchema: Record<string, unknown>;
+  [key: string]: unknown;
+}
+
+export interface ClientOptions {
+  /** Server URL, e.g. http://localhost:3000 */
+  baseUrl: string;
+  /** Sent as X-Tenant-ID */
+  tenantId?: string;
+  /** Sent as Accept-Language and Content-Language (locale of localized fields); '*' reads every translation */
+  locale?: string;
+  headers?: Record<string, string>;
+  fetch?: typeof fetch;
+}
+
+export class ApiError extends Error {
+  readonly status: number;
+  readonly errors: unknown;
+
+  constructor(message: string, status: number, errors: unknown) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.errors = errors;
+  }
+}
+
+function toQuery(...sources: Array<object | undefined>): string {
+  const params = new URLSearchParams();
+  for (const source of sources) {
+    for (const [key, value] of Object.entries(source || {})) {
+      if (value === undefined || value === null) continue;
+      if (typeof value === 'object') {
+        for (const [operator, operand] of Object.entries(value)) {
+          params.append(key + '[' + operator + ']', String(operand));
+        }
+      } else {
+        params.append(key, String(value));
+      }
+    }
+  }
+  const query = params.toString();
+  return query ? '?' + query : '';
+}
+
+export function createClient(options: ClientOptions) {
+  const fetchFn = options.fetch || fetch;
+  const baseUrl = options.baseUrl.replace(/\\/$/, '');
+
+  async function request<T>(method: string, path: string, query = '', body?: unknown): Promise<T> {
+    const headers: Record<string, string> = { Accept: 'application/json', ...options.headers };
+    if (options.tenantId) headers['X-Tenant-ID'] = options.tenantId;
+    if (options.locale === '*') query += (query ? '&' : '?') + 'locale=*';
+    else if (options.locale) headers['Accept-Language'] = headers['Content-Language'] = options.locale;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    const response = await fetchFn(baseUrl + path + query, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const payload = await response.json().catch(() => null);
+
+    if (!response.ok || !payload || payload.success === false) {
+      throw new ApiError(
+        (payload && (payload.message || payload.error)) || response.statusText,
+        response.status,
+        payload ? payload.errors : null
+      );
+    }
+    return (payload as ApiResponse<T>).data;
+  }
+
+  const sortParam = (sort?: object) => (sort ? JSON.stringify(sort) : undefined);
+  const dataPath = (schema: string, suffix = '') => '/api/data/' + encodeURIComponent(schema) + suffix;
+  const auditPath = (schema: string, suffix = '') => '/api/audit/' + encodeURIComponent(schema) + suffix;
+  const schemaPath = (name: string, suffix = '') => '/api/schemas/' + encodeURIComponent(name) + suffix;
+
+  const data = {
+    list<K extends SchemaName>(schema: K, opts: ListOptions<K> = {}) {
+      const query = toQuery({ page: opts.page, limit: opts.limit, sort: sortParam(opts.sort) }, opts.filter);
+      return request<Page<SchemaMap[K]['record']>>('GET', dataPath(schema), query);
+    },
+    listPopulated<K extends SchemaName>(schema: K, populate: Array<SchemaMap[K]['references']>, opts: ListOptions<K> = {}) {
+      const query = toQuery({ page: opts.page, limit: opts.limit, sort: sortParam(opts.sort), populate: populate.join(',') }, opts.filter);
+      return request<Page<SchemaMap[K]['populated']>>('GET', dataPath(schema), query);
+    },
+    search<K extends SchemaName>(schema: K, q: string, opts: SearchOptions<K> = {}) {
+      const query = toQuery({ q, fields: opts.fields && opts.fields.join(','), page: opts.page, limit: opts.limit, sort: sortParam(opts.sort) });
+      return request<Page<SchemaMap[K]['record']>>('GET', dataPath(schema, '/search'), query);
+    },
+    count<K extends SchemaName>(schema: K, filter?: Filter<K>) {
+      return request<{ count: number }>('GET', dataPath(schema, '/count'), toQuery(filter)).then(result => result.count);
+    },
+    stats<K extends SchemaName>(schema: K, timeframe?: string) {
+      return request<Record<string, unknown>>('GET', dataPath(schema, '/stats'), toQuery({ timeframe }));
+    },
+    get<K extends SchemaName>(schema: K, id: string) {
+      return request<SchemaMap[K]['record']>('GET', dataPath(schema, '/' + id));
+    },
+    getPopulated<K extends SchemaName>(schema: K, id: string, populate: Array<SchemaMap[K]['references']>) {
+      return request<SchemaMap[K]['populated']>('GET', dataPath(schema, '/' + id), toQuery({ populate: populate.join(',') }));
+    },
+    create<K extends SchemaName>(schema: K, record: SchemaMap[K]['input']) {
+      return request<SchemaMap[K]['record']>('POST', dataPath(schema), '', record);
+    },
+    bulkCreate<K extends SchemaName>(schema: K, records: Array<SchemaMap[K]['input']>) {
+      return request<Array<SchemaMap[K]['record']>>('POST', dataPath(schema, '/bulk'), '', { records });
+    },
+    update<K extends SchemaName>(schema: K, id: string, record: SchemaMap[K]['input']) {
+      return request<SchemaMap[K]['record']>('PUT', dataPath(schema, '/' + id), '', record);
+    },
+    patch<K extends SchemaName>(schema: K, id: string, changes: SchemaMap[K]['patch']) {
+      return request<SchemaMap[K]['record']>('PATCH', dataPath(schema, '/' + id), '', changes);
+    },
+    delete<K extends SchemaName>(schema: K, id: string) {
+      return request<unknown>('DELETE', dataPath(schema, '/' + id));
+    }
+  };
+
+  const audit = {
+    history<K extends SchemaName>(schema: K, query: AuditQuery = {}) {
+      return request<Record<string, unknown>>('GET', auditPath(schema, '/history'), toQuery(query));
+    },
+    recordHistory<K extends SchemaName>(schema: K, id: string, query: AuditQuery = {}) {
+      return request<Record<string, unknown>>('GET', auditPath(schema, '/' + id + '/history'), toQuery(query));
+    },
+    versions<K extends SchemaName>(schema: K, id: string, query: { page?: number; limit?: number } = {}) {
+      return request<{ versions: Array<DocumentVersion<SchemaMap[K]['record']>>; pagination: Pagination }>(
+        'GET', auditPath(schema, '/' + id + '/versions'), toQuery(query)
+      );
+    },
+    version<K extends SchemaName>(schema: K, id: string, version: number) {
+      return request<DocumentVersion<SchemaMap[K]['record']>>('GET', auditPath(schema, '/' + id + '/version/' + version));
+    },
+    compare<K extends SchemaName>(schema: K, id: string, fromVersion: number, toVersion: number) {
+      return request<VersionComparison>('GET', auditPath(schema, '/' + id + '/compare'), toQuery({ fromVersion, toVersion }));
+    },
+    revert<K extends SchemaName>(schema: K, id: string, version: number, reason?: string) {
+      return request<SchemaMap[K]['record']>('POST', auditPath(schema, '/' + id + '/revert/' + version), '', { reason });
+    },
+    stats<K extends SchemaName>(schema: K, timeframe?: string) {
+      return request<Record<string, unknown>>('GET', auditPath(schema, '/stats'), toQuery({ timeframe }));
+    },
+    summary<K extends SchemaName>(schema: K, timeframe?: string) {
+      return request<Record<string, unknown>>('GET', auditPath(schema, '/summary'), toQuery({ timeframe }));
+    }
+  };
+
+  const schemas = {
+    list(query: { deleted?: boolean } = {}) {
+      return request<SchemaDefinition[]>('GET', '/api/schemas', toQuery(query));
+    },
+    get(name: SchemaName) {
+      return request<SchemaDefinition>('GET', schemaPath(name));
+    },
+    graph() {
+      return request<Record<string, unknown>>('GET', '/api/schemas/graph');
+    },
+    versions(name: SchemaName) {
+      return request<{ currentVersion: string; versions: Array<Record<string, unknown>> }>('GET', schemaPath(name, '/versions'));
+    },
+    version(name: SchemaName, version: string) {
+      return request<Record<string, unknown>>('GET', schemaPath(name, '/versions/' + version));
+    },
+    /** Check whether the server still serves the schema versions this client was generated for */
+    async isCurrent() {
+      const sdk = await request<{ version: string }>('GET', '/api/schemas/sdk');
+      return sdk.version === SDK_VERSION;
+    }
+  };
+
+  return { data, audit, schemas };
+}
+`;
+
+/**
+ * TypeScript Generator
+ * Emits TypeScript declarations and a typed fetch client for a set of schemas
+ *
+ *   types.d.ts - per schema `OrderItem` (record), `OrderItemInput`, `OrderItemPatch`,
+ *                `OrderItemPopulated` (x-ref fields replaced by the referenced records)
+ *                and the SchemaMap tying schema names to them
+ *   client.ts  - createClient({ baseUrl, tenantId }) with data, audit and schemas methods
+ *
+ * Both files carry the schema versions they were generated from and an SDK version derived
+ * from them, so a client can tell when the schemas it was built for have changed
+ */
+class TypeScriptGenerator {
+  /**
+   * Version of the SDK for a set of schemas (changes whenever a schema version changes)
+   * @param {Array} schemas - Schema definitions (name, version)
+   * @returns {string} - SDK version
+   */
+  versionOf(schemas) {
+    const versions = schemas.map(schema => `${schema.name}@${schema.version}`).sort().join(',');
+    return crypto.createHash('sha256').update(versions).digest('hex').slice(0, 12);
+  }
+
+  /**
+   * Generate the declarations and client for a set of schemas
+   * @param {Array} schemas - Schema definitions (name, displayName, description, version, jsonSchema)
+   * @returns {Object} - { version, schemaVersions, files: { 'types.d.ts', 'client.ts' } }
+   */
+  generate(schemas) {
+    const sorted = [...schemas].sort((a, b) => a.name.localeCompare(b.name));
+    const version = this.versionOf(sorted);
+    const schemaVersions = Object.fromEntries(sorted.map(schema => [schema.name, schema.version]));
+
+    return {
+      version,
+      schemaVersions,
+      files: {
+        'types.d.ts': this.generateTypes(sorted, version),
+        'client.ts': this.generateClient(sorted, version)
+      }
+    };
+  }
+
+  /**
+   * Generate the declarations file
+   * @param {Array} schemas - Schema definitions, sorted by name
+   * @param {string} version - SDK version
+   * @returns {string} - types.d.ts content
+   */
+  generateTypes(schemas, version) {
+    const names = new Set(schemas.map(schema => schema.name));
+    const lines = [
+      this.header(schemas, version),
+      '',
+      '/** Fields the server adds to every record */',
+      'export interface RecordMeta {',
+      '  _id: string;',
+      '  _schemaName: string;',
+      '  createdAt: string;',
+      '  updatedAt: string;',
+      '}',
+      ''
+    ];
+
+    for (const schema of schemas) {
+      lines.push(...this.schemaDeclarations(schema, names), '');
+    }
+
+    lines.push('export interface SchemaMap {');
+    for (const schema of schemas) {
+      const name = openApiGenerator.componentName(schema.name);
+      const references = this.referenceFields(schema.jsonSchema);
+      lines.push(
+        `  ${this.propertyKey(schema.name)}: {`,
+        `    record: ${name};`,
+        `    input: ${name}Input;`,
+        `    patch: ${name}Patch;`,
+        `    populated: ${name}Populated;`,
+        `    references: ${references.length > 0 ? references.map(field => JSON.stringify(field)).join(' | ') : 'never'};`,
+        '  };'
+      );
+    }
+    lines.push('}', '', 'export type SchemaName = keyof SchemaMap;', '');
+
+    lines.push('export interface SchemaVersions {');
+    for (const schema of schemas) {
+      lines.push(`  ${this.propertyKey(schema.name)}: ${JSON.stringify(schema.version)};`);
+    }
+    lines.push('}', '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Generate the client file
+   * @param {Array} schemas - Schema definitions, sorted by name
+   * @param {string} version - SDK version
+   * @returns {string} - client.ts content
+   */
+  generateClient(schemas, version) {
+    const schemaVersions = schemas.map(schema => `  ${this.propertyKey(schema.name)}: ${JSON.stringify(schema.version)}`);
+
+    return [
+      this.header(schemas, version),
+      '',
+      "import type { SchemaMap, SchemaName, SchemaVersions } from './types';",
+      '',
+      "export type { SchemaMap, SchemaName, SchemaVersions } from './types';",
+      '',
+      `export const SDK_VERSION = ${JSON.stringify(version)};`,
+      '',
+      `export const SCHEMA_VERSIONS: SchemaVersions = {\n${schemaVersions.join(',\n')}\n};`,
+      CLIENT_BODY
+    ].join('\n');
+  }
+
+  /**
+   * Declarations of one schema
+   * @param {Object} schema - Schema definition
+   * @param {Set<string>} names - Names of the schemas being generated
+   * @returns {Array<string>} - Lines
+   */
+  schemaDeclarations(schema, names) {
+    const name = openApiGenerator.componentName(schema.name);
+    const jsonSchema = schema.jsonSchema || {};
+    const context = { names, componentName: name };
+    const properties = jsonSchema.properties || {};
+    const required = Array.isArray(jsonSchema.required) ? jsonSchema.required : [];
+    const lines = [];
+
+    const definitions = { ...(jsonSchema.definitions || {}), ...(jsonSchema.$defs || {}) };
+    for (const [definitionName, definition] of Object.entries(definitions)) {
+      lines.push(`export type ${this.definitionName(name, definitionName)} = ${this.toType(definition, context, '')};`, '');
+    }
+
+    const summary = `${schema.displayName || schema.name} (schema ${schema.name} v${schema.version})`;
+    lines.push(`/** ${this.comment(schema.description ? `${summary}: ${schema.description}` : summary)} */`);
+    lines.push(`export interface ${name} extends RecordMeta {`);
+    for (const [field, fieldDef] of Object.entries(properties)) {
+      const readonly = fieldDef && fieldDef['x-computed'] ? 'readonly ' : '';
+      lines.push(...this.property(field, fieldDef, required.includes(field), context, readonly));
+    }
+    lines.push('}', '');
+
+    lines.push(`/** Request body creating or replacing a record of schema ${schema.name} */`);
+    lines.push(`export interface ${name}Input {`);
+    for (const [field, fieldDef] of Object.entries(properties)) {
+      if (fieldDef && fieldDef['x-computed']) continue;
+      const isRequired = required.includes(field) && !(fieldDef && fieldDef['x-generated']);
+      lines.push(...this.property(field, fieldDef, isRequired, context, '', true));
+    }
+    lines.push('}', '');
+
+    lines.push(`export type ${name}Patch = Partial<${name}Input>;`, '');
+
+    const references = this.referenceFields(jsonSchema);
+    if (references.length === 0) {
+      lines.push(`export type ${name}Populated = ${name};`);
+    } else {
+      lines.push(`/** ${name} with reference fields replaced by the referenced records */`);
+      lines.push(`export type ${name}Populated = Omit<${name}, ${references.map(field => JSON.stringify(field)).join(' | ')}> & {`);
+      for (const field of references) {
+        const fieldDef = properties[field];
+        const isArray = fieldDef.type === 'array' || fieldDef['x-ref-type'] === 'array';
+        const target = this.referenceType(fieldDef['x-ref'] || fieldDef.items['x-ref'], names);
+        const type = isArray ? this.arrayOf(target) : `${target} | null`;
+        lines.push(`  ${this.propertyKey(field)}${required.includes(field) ? '' : '?'}: ${type};`);
+      }
+      lines.push('};');
+    }
+
+    return lines;
+  }
+
+  /**
+   * Declaration lines of one property
+   * @param {string} field - Field name
+   * @param {Object} fieldDef - Field definition
+   * @param {boolean} isRequired - Whether the field is required
+   * @param {Object} context - Conversion context
+   * @param {string} modifier - Modifier prefix ('readonly ')
+   * @param {boolean} input - Declare the request body type (localized fields also take translations)
+   * @returns {Array<string>} - Lines
+   */
+  property(field, fieldDef, isRequired, context, modifier = '', input = false) {
+    const lines = [];
+    if (fieldDef && fieldDef.description) {
+      lines.push(`  /** ${this.comment(fieldDef.description)} */`);
+    }
+
+    let type = this.toType(fieldDef, context, '  ');
+    if (fieldDef && fieldDef['x-localized'] === true) {
+      // Read in the client locale (null without a translation); written as a string or by locale
+      type = input ? `${type} | Record<string, ${type} | null>` : `${type} | null`;
+    }
+    if (fieldDef && fieldDef['x-sensitive'] === true && !input) {
+      // Masked for callers without a privileged role
+      type = `${type} | '${sensitiveFields.mask}'`;
+    }
+    lines.push(`  ${modifier}${this.propertyKey(field)}${isRequired ? '' : '?'}: ${type};`);
+    return lines;
+  }
+
+  /**
+   * Convert a JSON Schema to a TypeScript type expression
+   * @param {Object} jsonSchema - JSON Schema
+   * @param {Object} context - Conversion context (names, componentName)
+   * @param {string} indent - Indentation of the enclosing declaration
+   * @returns {string} - Type expression
+   */
+  toType(jsonSchema, context, indent) {
+    if (jsonSchema === true || !jsonSchema || typeof jsonSchema !== 'object') return 'unknown';
+
+    if (typeof jsonSchema.$ref === 'string') {
+      const local = jsonSchema.$ref.match(/^#\/(?:definitions|\$defs)\/(.+)$/);
+      if (local) return this.definitionName(context.componentName, local[1]);
+      const schemaName = jsonSchema.$ref.replace(/^#\//, '');
+      return context.names.has(schemaName) ? openApiGenerator.componentName(schemaName) : 'unknown';
+    }
+    if (jsonSchema['x-ref'] && !jsonSchema.type) return 'string';
+    if ('const' in jsonSchema) return JSON.stringify(jsonSchema.const);
+    if (Array.isArray(jsonSchema.enum)) return jsonSchema.enum.map(value => JSON.stringify(value)).join(' | ');
+    if (Array.isArray(jsonSchema.anyOf) || Array.isArray(jsonSchema.oneOf)) {
+      return this.combine(jsonSchema.anyOf || jsonSchema.oneOf, ' | ', context, indent);
+    }
+    if (Array.isArray(jsonSchema.allOf)) return this.combine(jsonSchema.allOf, ' & ', context, indent);
+
+    const types = [].concat(jsonSchema.type || (jsonSchema.properties ? 'object' : []));
+    if (types.length === 0) return 'unknown';
+
+    return types.map(type => {
+      switch (type) {
+        case 'string': return 'string';
+        case 'number':
+        case 'integer': return 'number';
+        case 'boolean': return 'boolean';
+        case 'null': return 'null';
+        case 'array': {
+          return this.arrayOf(Array.isArray(jsonSchema.items) ? 'unknown' : this.toType(jsonSchema.items, context, indent));
+        }
+        case 'object': return this.objectType(jsonSchema, context, indent);
+        default: return 'unknown';
+      }
+    }).join(' | ');
+  }
+
+  /**
+   * Convert an object JSON Schema to a type literal
+   * @param {Object} jsonSchema - Object JSON Schema
+   * @param {Object} context - Conversion context
+   * @param {string} indent - Indentation of the enclosing declaration
+   * @returns {string} - Type literal
+   */
+  objectType(jsonSchema, context, indent) {
+    const properties = jsonSchema.properties || {};
+    const required = Array.isArray(jsonSchema.required) ? jsonSchema.required : [];
+    const open = jsonSchema.additionalProperties !== false;
+
+    if (Object.keys(properties).length === 0) {
+      return open ? `Record<string, ${this.toType(jsonSchema.additionalProperties, context, indent)}>` : 'Record<string, never>';
+    }
+
+    const inner = `${indent}  `;
+    const lines = Object.entries(properties).map(([field, fieldDef]) =>
+      `${inner}${this.propertyKey(field)}${required.includes(field) ? '' : '?'}: ${this.toType(fieldDef, context, inner)};`
+    );
+    if (open && typeof jsonSchema.additionalProperties === 'object') {
+      lines.push(`${inner}[key: string]: unknown;`);
+    }
+    return `{\n${lines.join('\n')}\n${indent}}`;
+  }
+
+  /**
+   * Combine subschemas into a union or intersection
+   * @param {Array} subschemas - Subschemas
+   * @param {string} operator - ' | ' or ' & '
+   * @param {Object} context - Conversion context
+   * @param {string} indent - Indentation
+   * @returns {string} - Type expression
+   */
+  combine(subschemas, operator, context, indent) {
+    const types = subschemas.map(subschema => this.toType(subschema, context, indent));
+    return types.length === 1 ? types[0] : types.map(type => `(${type})`).join(operator);
+  }
+
+  /**
+   * Array type of an element type
+   * @param {string} type - Element type expression
+   * @returns {string} - `T[]` for simple names, `Array<T>` otherwise
+   */
+  arrayOf(type) {
+    return IDENTIFIER.test(type) ? `${type}[]` : `Array<${type}>`;
+  }
+
+  /**
+   * Reference fields of a schema (x-ref on the field or on its array items)
+   * @param {Object} jsonSchema - Effective JSON Schema
+   * @returns {Array<string>} - Field names
+   */
+  referenceFields(jsonSchema = {}) {
+    return Object.entries(jsonSchema.properties || {})
+      .filter(([, fieldDef]) => fieldDef && (fieldDef['x-ref'] || (fieldDef.items && fieldDef.items['x-ref'])))
+      .map(([field]) => field);
+  }
+
+  /**
+   * Type of a populated reference
+   * @param {string} schemaName - Referenced schema
+   * @param {Set<string>} names - Names of the schemas being generated
+   * @returns {string} - Record interface, or a generic record for schemas not generated
+   */
+  referenceType(schemaName, names) {
+    return names.has(schemaName) ? openApiGenerator.componentName(schemaName) : 'RecordMeta & Record<string, unknown>';
+  }
+
+  /**
+   * Type name of a local definition
+   * @param {string} componentName - Interface name of the schema
+   * @param {string} definitionName - Definition name
+   * @returns {string} - Type name
+   */
+  definitionName(componentName, definitionName) {
+    return `${componentName}_${definitionName.replace(/[^A-Za-z0-9_$]/g, '_')}`;
+  }
+
+  /**
+   * Property key, quoted when it is not an identifier
+   * @param {string} key - Property name
+   * @returns {string} - Key as written in a type
+   */
+  propertyKey(key) {
+    return IDENTIFIER.test(key) ? key : JSON.stringify(key);
+  }
+
+  /**
+   * Make text safe inside a block comment
+   * @param {string} text - Text
+   * @returns {string} - Single-line comment text
+   */
+  comment(text) {
+    return String(text).replace(/\*\//g, '*\\/').replace(/\s*\n\s*/g, ' ');
+  }
+
+  /**
+   * File header
+   * @param {Array} schemas - Schema definitions
+   * @param {string} version - SDK version
+   * @returns {string} - Header comment
+   */
+  header(schemas, version) {
+    const schemaList = schemas.map(schema => `${schema.name}@${schema.version}`).join(', ') || 'none';
+    return [
+      '/**',
+      ' * Generated from the schema definitions. Do not edit; regenerate with',
+      ' * `npm run generate:sdk` or GET /api/schemas/sdk.',
+      ` * SDK version: ${version}`,
+      ` * Schemas: ${this.comment(schemaList)}`,
+      ' */'
+    ].join('\n');
+  }
+}
+
+module.exports = new TypeScriptGenerator();
@@ -0,0 +1,180 @@
+const expressionEvaluator = require('./expressionEvaluator');
+
+const RULE_NAME = /^[A-Za-z][A-Za-z0-9_-]*$/;
+
+/**
+ * Validation Rules
+ * Schema-level business rules (`x-rules`) that JSON Schema cannot express
+ *
+ *   "x-rules": [
+ *     { "name": "endAfterStart", "expression": "endDate > startDate", "message": "endDate must be after startDate", "field": "endDate" },
+ *     { "name": "discountApproved", "when": "discount > 0", "expression": "approvedBy != null", "message": "A discount needs approvedBy" },
+ *     { "name": "uniqueLinePerOrder", "unique": ["lineNumber"], "scope": "order", "message": "lineNumber is already used on this order" }
+ *   ]
+ *
+ * Expression rules pass when the expression is truthy; `when` limits a rule to matching records.
+ * Unique rules need the database and are checked by DynamicCrudService
+ */
+class ValidationRules {
+  /**
+   * Get the rules declared on a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Rules with their message and referenced fields
+   */
+  getRules(jsonSchema = {}) {
+    const rules = Array.isArray(jsonSchema['x-rules']) ? jsonSchema['x-rules'] : [];
+
+    return rules.map(rule => {
+      const fields = rule.unique
+        ? [...[].concat(rule.unique), ...(rule.scope ? [rule.scope] : [])]
+        : [rule.when, rule.expression]
+          .filter(Boolean)
+          .flatMap(expression => expressionEvaluator.references(expression))
+          .map(path => path.split('.')[0]);
+
+      return {
+        ...rule,
+        fields: [...new Set(fields)],
+        message: rule.message || `Rule '${rule.name}' failed`
+      };
+    });
+  }
+
+  /**
+   * Get the unique rules of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Unique rules
+   */
+  getUniqueRules(jsonSchema = {}) {
+    return this.getRules(jsonSchema).filter(rule => rule.unique);
+  }
+
+  /**
+   * Validate the x-rules declarations of a schema
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @returns {Array} - Errors as { message }
+   */
+  validate(jsonSchema = {}) {
+    const rules = jsonSchema['x-rules'];
+    if (rules === undefined) return [];
+    if (!Array.isArray(rules)) {
+      return [{ message: 'x-rules must be an array' }];
+    }
+
+    const errors = [];
+    const properties = jsonSchema.properties || {};
+    const names = new Set();
+
+    rules.forEach((rule, i) => {
+      const label = rule && rule.name ? `Rule '${rule.name}'` : `x-rules[${i}]`;
+
+      if (!rule || typeof rule !== 'object' || typeof rule.name !== 'string' || !RULE_NAME.test(rule.name)) {
+        errors.push({ message: `${label} must have a name of letters, digits, '_' or '-'` });
+        return;
+      }
+      if (names.has(rule.name)) {
+        errors.push({ message: `${label} is declared more than once` });
+      }
+      names.add(rule.name);
+
+      if (rule.message !== undefined && typeof rule.message !== 'string') {
+        errors.push({ message: `${label} has a message that is not a string` });
+      }
+      if (rule.field !== undefined && !properties[rule.field]) {
+        errors.push({ message: `${label} reports on unknown field '${rule.field}'` });
+      }
+      if (!!rule.expression === !!rule.unique) {
+        errors.push({ message: `${label} must have either an expression or unique fields` });
+        return;
+      }
+
+      if (rule.unique) {
+        const unique = [].concat(rule.unique);
+        const unknown = [...unique, ...(rule.scope ? [rule.scope] : [])].filter(field => typeof field !== 'string' || !properties[field]);
+        if (unique.length === 0 || unknown.length > 0) {
+          errors.push({ message: `${label} must list existing fields in unique and scope${unknown.length > 0 ? ` (unknown: ${unknown.join(', ')})` : ''}` });
+        }
+        return;
+      }
+
+      for (const key of ['when', 'expression']) {
+        if (rule[key] === undefined) continue;
+
+        const result = expressionEvaluator.validate(rule[key]);
+        if (!result.valid) {
+          errors.push({ message: `${label} has an invalid ${key}: ${result.error}` });
+          continue;
+        }
+
+        const unknown = result.references.filter(reference => !properties[reference.split('.')[0]]);
+        if (unknown.length > 0) {
+          errors.push({ message: `${label} reads unknown fields: ${unknown.join(', ')}` });
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Evaluate the expression rules of a schema against a record
+   * @param {Object} jsonSchema - JSON Schema definition
+   * @param {Object} record - Record values (JSON)
+   * @param {Object} options - Options
+   * @param {Array<string>} options.skipFields - Skip rules that read these fields (not known yet)
+   * @param {Array<string>} options.onlyFields - Only evaluate rules that read these fields
+   * @returns {Array} - Violations as { field, rule, message }
+   */
+  evaluate(jsonSchema, record, options = {}) {
+    const { skipFields = [], onlyFields = null } = options;
+    const violations = [];
+
+    for (const rule of this.getRules(jsonSchema)) {
+      if (rule.unique || rule.fields.some(field => skipFields.includes(field))) continue;
+      if (onlyFields && !rule.fields.some(field => onlyFields.includes(field))) continue;
+
+      try {
+        if (rule.when && !expressionEvaluator.evaluate(rule.when, record)) continue;
+        if (expressionEvaluator.evaluate(rule.expression, record)) continue;
+        violations.push(this.violation(rule));
+      } catch (error) {
+        violations.push(this.violation(rule, `${rule.message} (${error.message})`));
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Build a violation in the shape of formatted validation errors
+   * @param {Object} rule - Rule
+   * @param {string} message - Message (defaults to the rule message)
+   * @returns {Object} - Violation as { field, rule, message }
+   */
+  violation(rule, message = rule.message) {
+    const field = rule.field || (rule.unique ? [].concat(rule.unique)[0] : null);
+    return {
+      field: field ? `/${field}` : 'root',
+      rule: rule.name,
+      message
+    };
+  }
+
+  /**
+   * Build the validation error thrown for rule violations
+   * @param {Array} violations - Violations (with a record index for bulk writes)
+   * @returns {Error} - Error with statusCode 400 and the violations as details
+   */
+  toError(violations) {
+    const summary = violations
+      .map(v => `${v.record !== undefined ? `Record ${v.record}: ` : ''}rule '${v.rule}': ${v.message}`)
+      .join(', ');
+
+    const error = new Error(`Validation failed: ${summary}`);
+    error.statusCode = 400;
+    error.details = violations;
+    return error;
+  }
+}
+
+module.exports = new ValidationRules();
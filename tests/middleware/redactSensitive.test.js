@@ -0,0 +1,67 @@
+const DynamicCrudService = require('../../src/services/DynamicCrudService');
+const dynamicController = require('../../src/controllers/dynamicController');
+const { redactSensitiveResponses } = require('../../src/middleware/redactSensitive');
+
+const jsonSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    salary: { type: 'number', 'x-sensitive': true }
+  }
+};
+
+/**
+ * Run createRecord behind the masking middleware with a fake request and response
+ */
+const createRecord = async (headers = {}) => {
+  const req = {
+    params: { schemaName: 'employee' },
+    body: { name: 'Ada', salary: 5000 },
+    headers,
+    query: {},
+    schemaDefinition: { name: 'employee', jsonSchema },
+    auditContext: {}
+  };
+  const res = {
+    headersSent: false,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    set() { return this; },
+    vary() { return this; }
+  };
+
+  redactSensitiveResponses(req, res, () => {});
+  await dynamicController.createRecord(req, res);
+  return res;
+};
+
+describe('masking sensitive fields on record creation', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(DynamicCrudService, 'createRecord').mockImplementation(async (schemaName, data) => ({
+      _id: '64b7f0c2a1b2c3d4e5f60718',
+      _schemaName: schemaName,
+      ...data
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('masks sensitive values in the 201 response for unprivileged callers', async () => {
+    const res = await createRecord();
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({ name: 'Ada', salary: '***' });
+  });
+
+  test('returns sensitive values to privileged callers', async () => {
+    const res = await createRecord({ 'x-user-role': 'admin' });
+
+    expect(res.statusCode).toBe(201);
+    expect(res.body.data).toMatchObject({ name: 'Ada', salary: 5000 });
+  });
+});
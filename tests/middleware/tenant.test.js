@@ -0,0 +1,30 @@
+const { requirePrivilegedRole } = require('../../src/middleware/tenant');
+
+const run = req => {
+  const res = {
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  const next = jest.fn();
+  requirePrivilegedRole({ headers: {}, ...req }, res, next);
+  return { res, next };
+};
+
+describe('tenant administration guard', () => {
+  test('rejects callers without a role', () => {
+    const { res, next } = run({});
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body).toEqual({ success: false, error: 'Tenant administration requires a privileged role' });
+    expect(next).not.toHaveBeenCalled();
+  });
+
+  test('rejects roles that are not privileged', () => {
+    expect(run({ headers: { 'x-user-role': 'mechanic' } }).res.statusCode).toBe(403);
+  });
+
+  test('lets privileged roles through, from the token or the header', () => {
+    expect(run({ user: { role: 'admin' } }).next).toHaveBeenCalled();
+    expect(run({ headers: { 'x-user-role': 'super_admin' } }).next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,159 @@
+const SchemaDefinition = require('../../src/models/Schema');
+const SchemaService = require('../../src/services/SchemaService');
+const SchemaRegistry = require('../../src/services/SchemaRegistry');
+const EnumSourceService = require('../../src/services/EnumSourceService');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+const tenantContext = require('../../src/utils/tenantContext');
+
+const color = {
+  _id: 'color-id',
+  name: 'color',
+  tenantId: tenantContext.defaultTenant,
+  version: '1.0.0',
+  isActive: true,
+  jsonSchema: { type: 'object', properties: { code: { type: 'string' } } }
+};
+
+const car = {
+  _id: 'car-id',
+  name: 'car',
+  tenantId: tenantContext.defaultTenant,
+  version: '1.0.0',
+  isActive: true,
+  jsonSchema: {
+    type: 'object',
+    properties: { paint: { type: 'string', 'x-enum-source': { schema: 'color', field: 'code' } } }
+  }
+};
+
+describe('revalidating enum sources', () => {
+  let stored;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    stored = [color];
+    jest.spyOn(SchemaDefinition, 'find').mockImplementation(() => ({
+      select: () => ({ lean: async () => stored })
+    }));
+    jest.spyOn(SchemaService, 'getSchemaByName').mockImplementation(async name => stored.find(s => s.name === name) || null);
+    jest.spyOn(CollectionGenerator, 'getDynamicModel').mockImplementation(name => (name === 'color'
+      ? { distinct: async () => ['red'] }
+      : {
+        countDocuments: async () => 1,
+        find: () => ({ select: () => ({ limit: () => ({ lean: async () => [{ _id: 'car-1' }] }) }) })
+      }));
+    SchemaRegistry.schemas.clear();
+    EnumSourceService.dependents.clear();
+    EnumSourceService.options.clear();
+    EnumSourceService.revalidations.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    SchemaRegistry.schemas.clear();
+  });
+
+  test('revalidates a schema created after the dependents were loaded', async () => {
+    SchemaRegistry.set(color);
+    expect(await EnumSourceService.sourceChanged('color')).toEqual([]);
+
+    // Creating a schema puts it into the registry on the writing instance
+    stored = [color, car];
+    SchemaRegistry.set(car);
+    const results = await EnumSourceService.sourceChanged('color');
+
+    expect(results).toEqual([expect.objectContaining({ schemaName: 'car', field: 'paint', invalidRecords: 1, recordIds: ['car-1'] })]);
+  });
+});
+
+describe('checking enum source values', () => {
+  const jsonSchema = {
+    type: 'object',
+    properties: {
+      paint: { type: 'string', 'x-enum-source': { schema: 'color', field: 'code' } },
+      trims: { type: 'array', items: { type: 'string', 'x-enum-source': { schema: 'color', field: 'code' } } }
+    }
+  };
+  let distinct;
+
+  beforeEach(() => {
+    distinct = jest.fn(async () => ['blue', 'red']);
+    jest.spyOn(SchemaService, 'getSchemaByName').mockResolvedValue(color);
+    jest.spyOn(CollectionGenerator, 'getDynamicModel').mockReturnValue({ distinct });
+    EnumSourceService.options.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects values that are not options of the source', async () => {
+    const violations = await EnumSourceService.check(jsonSchema, { paint: 'green', trims: ['red', 'pink', 'teal'] });
+
+    expect(violations).toEqual([
+      { field: '/paint', rule: 'x-enum-source', message: '"green" is not an option of color.code' },
+      { field: '/trims', rule: 'x-enum-source', message: '"pink", "teal" are not options of color.code' }
+    ]);
+  });
+
+  test('keeps values the record already had', async () => {
+    const violations = await EnumSourceService.check(jsonSchema, { paint: 'green', trims: ['red'] }, {
+      previous: { paint: 'green' }
+    });
+
+    expect(violations).toEqual([]);
+  });
+
+  test('reads the options once until the source changes', async () => {
+    await EnumSourceService.check(jsonSchema, { paint: 'red' });
+    await EnumSourceService.check(jsonSchema, { paint: 'blue', trims: ['red'] });
+    expect(distinct).toHaveBeenCalledTimes(1);
+
+    jest.spyOn(EnumSourceService, 'getDependents').mockResolvedValue(new Map([
+      ['color', [{ schemaName: 'car', field: 'paint', isArray: false, source: { schema: 'color', field: 'code' } }]]
+    ]));
+    jest.spyOn(EnumSourceService, 'revalidate').mockResolvedValue({});
+    await EnumSourceService.sourceChanged('color');
+    await EnumSourceService.check(jsonSchema, { paint: 'red' });
+
+    expect(distinct).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('revalidating the records using a source', () => {
+  let Model;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(SchemaService, 'getSchemaByName').mockResolvedValue(color);
+    Model = {
+      distinct: async () => ['red'],
+      countDocuments: jest.fn(async () => 2),
+      find: jest.fn(() => ({ select: () => ({ limit: () => ({ lean: async () => [{ _id: 'car-1' }, { _id: 'car-2' }] }) }) }))
+    };
+    jest.spyOn(CollectionGenerator, 'getDynamicModel').mockReturnValue(Model);
+    EnumSourceService.options.clear();
+    EnumSourceService.revalidations.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('counts the records holding values that are no longer options', async () => {
+    const source = { schema: 'color', field: 'code' };
+    const result = await EnumSourceService.revalidate({ schemaName: 'car', field: 'paint', isArray: false, source });
+
+    expect(Model.countDocuments).toHaveBeenCalledWith({ _schemaName: 'car', paint: { $exists: true, $nin: ['red', null] } });
+    expect(result).toMatchObject({ invalidRecords: 2, recordIds: ['car-1', 'car-2'] });
+    expect(EnumSourceService.revalidations.get(EnumSourceService.revalidationKey('car', 'paint'))).toBe(result);
+  });
+
+  test('matches array fields by element', async () => {
+    const source = { schema: 'color', field: 'code' };
+    await EnumSourceService.revalidate({ schemaName: 'car', field: 'trims', isArray: true, source });
+
+    expect(Model.countDocuments).toHaveBeenCalledWith({ _schemaName: 'car', trims: { $elemMatch: { $nin: ['red', null] } } });
+  });
+});
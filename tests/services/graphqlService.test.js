@@ -0,0 +1,200 @@
+const { graphql, parse, validate, specifiedRules } = require('graphql');
+const GraphQLService = require('../../src/services/GraphQLService');
+const SchemaRegistry = require('../../src/services/SchemaRegistry');
+const DynamicCrudService = require('../../src/services/DynamicCrudService');
+const SchemaService = require('../../src/services/SchemaService');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+const tenantContext = require('../../src/utils/tenantContext');
+
+const definitions = [
+  {
+    name: 'order',
+    version: '1.0.0',
+    jsonSchema: { type: 'object', properties: { number: { type: 'string' } } }
+  },
+  {
+    name: 'order_item',
+    version: '1.0.0',
+    jsonSchema: { type: 'object', properties: { sku: { type: 'string' }, order: { type: 'string', 'x-ref': 'order' } } }
+  }
+];
+
+const errorsOf = (query, variables) => {
+  const schema = GraphQLService.buildSchema(definitions);
+  return validate(schema, parse(query), [...specifiedRules, ...GraphQLService.validationRules(variables)])
+    .map(error => error.message);
+};
+
+describe('GraphQL query limits', () => {
+  test('accepts a list query with its reverse relationships', () => {
+    expect(errorsOf('{ orderList(limit: 20) { records { number orderItemByOrder(limit: 5) { sku } } } }')).toEqual([]);
+  });
+
+  test('rejects reverse relationships fanning out across nested lists', () => {
+    const query = `{
+      orderList(limit: 100) { records { orderItemByOrder(limit: 1000) { order { orderItemByOrder(limit: 1000) { sku } } } } }
+    }`;
+
+    expect(errorsOf(query)).toEqual([expect.stringMatching(/^Query may load \d+ records; the maximum is 25000/)]);
+  });
+
+  test('reads limits passed as variables', () => {
+    const query = 'query ($n: Int) { orderList(limit: 100) { records { orderItemByOrder(limit: $n) { sku } } } }';
+
+    expect(errorsOf(query, { n: 5 })).toEqual([]);
+    expect(errorsOf(query, { n: 1000 })).toHaveLength(1);
+  });
+
+  test('rejects queries nested deeper than the maximum', () => {
+    let selection = 'sku';
+    for (let i = 0; i < 6; i++) {
+      selection = `order { orderItemByOrder(limit: 1) { ${selection} } }`;
+    }
+
+    expect(errorsOf(`{ orderItem(id: "1") { ${selection} } }`)).toEqual([
+      'Query is nested 14 levels deep; the maximum is 10'
+    ]);
+  });
+
+  test('does not count introspection', () => {
+    const query = '{ __schema { types { fields { type { ofType { ofType { ofType { ofType { ofType { ofType { name } } } } } } } } } } }';
+
+    expect(errorsOf(query)).toEqual([]);
+  });
+
+  test('caps related limits by the lists they are nested in', () => {
+    expect(GraphQLService.relatedLimit(5000, 1)).toBe(1000);
+    expect(GraphQLService.relatedLimit(5000, 2)).toBe(100);
+    expect(GraphQLService.relatedLimit(5000, 4)).toBe(1);
+    expect(GraphQLService.relatedLimit(0, 1)).toBe(1);
+  });
+});
+
+describe('GraphQL schema cache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    SchemaRegistry.schemas.clear();
+    GraphQLService.schemas.clear();
+  });
+
+  test('is dropped when a schema is updated on this instance', () => {
+    const order = { ...definitions[0], _id: 'order-id', tenantId: tenantContext.defaultTenant, isActive: true };
+    SchemaRegistry.set(order);
+    GraphQLService.schemas.set(tenantContext.defaultTenant, Promise.resolve(null));
+
+    SchemaRegistry.set({ ...order, version: '1.1.0' });
+
+    expect(GraphQLService.schemas.has(tenantContext.defaultTenant)).toBe(false);
+  });
+});
+
+describe('GraphQL filters on sensitive fields', () => {
+  const employee = {
+    name: 'employee',
+    version: '1.0.0',
+    jsonSchema: { type: 'object', properties: { name: { type: 'string' }, salary: { type: 'number', 'x-sensitive': true } } }
+  };
+  const countDocuments = jest.fn(async () => 3);
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(SchemaService, 'getSchemaByName').mockResolvedValue(employee);
+    jest.spyOn(CollectionGenerator, 'getDynamicModel').mockReturnValue({ countDocuments, schema: { path: () => null } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const count = privileged => graphql({
+    schema: GraphQLService.buildSchema([employee]),
+    source: 'query ($filter: JSON) { employeeCount(filter: $filter) }',
+    variableValues: { filter: { salary: { $gte: 100000 } } },
+    contextValue: GraphQLService.createContext({}, {}, { privileged })
+  });
+
+  test('are rejected for callers without a privileged role', async () => {
+    const result = await count(false);
+
+    expect(result.errors.map(error => error.message)).toEqual(["Cannot filter on 'salary': it is sensitive"]);
+    expect(countDocuments).not.toHaveBeenCalled();
+  });
+
+  test('are allowed for privileged callers', async () => {
+    const result = await count(true);
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.employeeCount).toBe(3);
+  });
+
+  test('pass the privilege on to list queries', async () => {
+    jest.spyOn(DynamicCrudService, 'getRecords').mockResolvedValue({ records: [], pagination: {} });
+
+    await graphql({
+      schema: GraphQLService.buildSchema([employee]),
+      source: '{ employeeList(sort: { salary: -1 }) { records { name } } }',
+      contextValue: GraphQLService.createContext({}, {}, { privileged: false })
+    });
+
+    expect(DynamicCrudService.getRecords).toHaveBeenCalledWith('employee', expect.objectContaining({ privileged: false }));
+  });
+});
+
+describe('GraphQL batching', () => {
+  const orders = [{ _id: 'o1', number: 'A-1' }, { _id: 'o2', number: 'A-2' }];
+  const items = [
+    { _id: 'i1', sku: 'P-1', order: 'o1' },
+    { _id: 'i2', sku: 'P-2', order: 'o1' },
+    { _id: 'i3', sku: 'P-3', order: 'o2' }
+  ];
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(DynamicCrudService, 'getRecordsByIds').mockImplementation(async (schemaName, ids) => (
+      orders.filter(order => ids.includes(order._id))
+    ));
+    jest.spyOn(DynamicCrudService, 'getRecordsReferencing').mockImplementation(async (schemaName, field, ids) => (
+      new Map(ids.map(id => [id, items.filter(item => item[field] === id)]))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const run = source => graphql({
+    schema: GraphQLService.buildSchema(definitions),
+    source,
+    contextValue: GraphQLService.createContext()
+  });
+
+  test('loads the referenced records of a list in one call', async () => {
+    jest.spyOn(DynamicCrudService, 'getRecords').mockResolvedValue({ records: items, pagination: {} });
+
+    const result = await run('{ orderItemList { records { sku order { number } } } }');
+
+    expect(result.errors).toBeUndefined();
+    expect(result.data.orderItemList.records.map(item => item.order.number)).toEqual(['A-1', 'A-1', 'A-2']);
+    expect(DynamicCrudService.getRecordsByIds).toHaveBeenCalledTimes(1);
+    expect(DynamicCrudService.getRecordsByIds).toHaveBeenCalledWith('order', ['o1', 'o2']);
+  });
+
+  test('loads reverse relationships of a list in one call', async () => {
+    jest.spyOn(DynamicCrudService, 'getRecords').mockResolvedValue({ records: orders, pagination: {} });
+
+    const result = await run('{ orderList { records { number orderItemByOrder(limit: 5) { sku } } } }');
+
+    expect(result.data.orderList.records.map(order => order.orderItemByOrder.length)).toEqual([2, 1]);
+    expect(DynamicCrudService.getRecordsReferencing).toHaveBeenCalledTimes(1);
+    expect(DynamicCrudService.getRecordsReferencing).toHaveBeenCalledWith('order_item', 'order', ['o1', 'o2'], { limit: 5 });
+  });
+
+  test('reuses the records a list has loaded', async () => {
+    jest.spyOn(DynamicCrudService, 'getRecords').mockResolvedValue({ records: orders, pagination: {} });
+
+    const result = await run('{ orderList { records { orderItemByOrder(limit: 5) { order { number } } } } }');
+
+    expect(result.data.orderList.records[1].orderItemByOrder[0].order.number).toBe('A-2');
+    expect(DynamicCrudService.getRecordsByIds).not.toHaveBeenCalled();
+  });
+});
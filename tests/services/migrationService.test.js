@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const SchemaDefinition = require('../../src/models/Schema');
+const SchemaMigration = require('../../src/models/SchemaMigration');
+const MigrationBackup = require('../../src/models/MigrationBackup');
+const MigrationService = require('../../src/services/MigrationService');
+const SchemaRegistry = require('../../src/services/SchemaRegistry');
+const SchemaVersionService = require('../../src/services/SchemaVersionService');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+
+describe('planning a migration', () => {
+  const oldJsonSchema = {
+    type: 'object',
+    properties: {
+      title: { type: 'string' },
+      quantity: { type: 'string' },
+      legacyCode: { type: 'string' },
+      meta: { type: 'object' }
+    }
+  };
+
+  test('renames, removes, converts and fills defaults', () => {
+    const { steps, warnings } = MigrationService.buildPlan(oldJsonSchema, {
+      type: 'object',
+      properties: {
+        name: { type: 'string' },
+        quantity: { type: 'integer' },
+        status: { type: 'string', default: 'open' },
+        meta: { type: 'object' }
+      }
+    }, { renames: { title: 'name' } });
+
+    expect(steps.map(({ description, ...step }) => step)).toEqual([
+      { type: 'rename', from: 'title', to: 'name' },
+      { type: 'remove', field: 'legacyCode' },
+      { type: 'convert', field: 'quantity', fromType: 'string', toType: 'integer' },
+      { type: 'setDefault', field: 'status', value: 'open' }
+    ]);
+    expect(warnings).toEqual([]);
+  });
+
+  test('warns about changes it cannot migrate', () => {
+    const { steps, warnings } = MigrationService.buildPlan(oldJsonSchema, {
+      type: 'object',
+      properties: {
+        ...oldJsonSchema.properties,
+        meta: { type: 'null' },
+        owner: { type: 'string' }
+      },
+      required: ['owner']
+    });
+
+    expect(steps).toEqual([]);
+    expect(warnings).toEqual([
+      "Field 'meta' changes from 'object' to 'null', which cannot be converted automatically",
+      "Field 'owner' is required but has no default; existing records without it will fail validation"
+    ]);
+  });
+
+  test('applies the steps to a record and reports conversion errors per step', () => {
+    const { steps } = MigrationService.buildPlan(oldJsonSchema, {
+      type: 'object',
+      properties: { name: { type: 'string' }, quantity: { type: 'integer' }, status: { type: 'string', default: 'open' } }
+    }, { renames: { title: 'name' } });
+
+    const converted = MigrationService.transformDocument({ title: 'Pump', quantity: '3', legacyCode: 'X1' }, steps);
+    expect(converted.document).toEqual({ name: 'Pump', quantity: 3, status: 'open' });
+
+    const failed = MigrationService.transformDocument({ title: 'Valve', quantity: 'many', status: 'closed' }, steps);
+    expect(failed.document).toEqual({ name: 'Valve', quantity: 'many', status: 'closed' });
+    expect(failed.stepResults.find(result => result.field === 'quantity').error).toEqual(expect.any(String));
+    expect(failed.stepResults.find(result => result.field === 'status').applied).toBe(false);
+  });
+});
+
+describe('rolling back a migration', () => {
+  let schema;
+  let migration;
+  let collection;
+
+  const backups = items => ({
+    lean: () => ({
+      cursor: async function* cursor() {
+        yield* items;
+      }
+    })
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    schema = new SchemaDefinition({
+      name: 'part',
+      displayName: 'Part',
+      version: '1.1.0',
+      collectionName: 'dynamic_part',
+      jsonSchema: { type: 'object', properties: { name: { type: 'string' }, quantity: { type: 'integer' } } }
+    });
+    migration = new SchemaMigration({
+      schemaName: 'part',
+      collectionName: 'dynamic_part',
+      status: 'applied',
+      fromJsonSchema: { type: 'object', properties: { title: { type: 'string' }, quantity: { type: 'string' } } },
+      toJsonSchema: schema.jsonSchema
+    });
+
+    collection = { bulkWrite: jest.fn(async () => {}) };
+    mongoose.connection.db = { collection: jest.fn(() => collection) };
+
+    jest.spyOn(SchemaMigration, 'findOne').mockImplementation(filter => (
+      filter._id ? Promise.resolve(migration) : { sort: async () => migration }
+    ));
+    jest.spyOn(SchemaMigration.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(SchemaDefinition, 'findOne').mockResolvedValue(schema);
+    jest.spyOn(SchemaDefinition.prototype, 'save').mockImplementation(async function save() { return this; });
+    jest.spyOn(MigrationBackup, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(SchemaVersionService, 'ensureRevision').mockResolvedValue();
+    jest.spyOn(SchemaVersionService, 'recordRevision').mockResolvedValue({});
+    jest.spyOn(SchemaRegistry, 'set').mockImplementation(() => {});
+    jest.spyOn(CollectionGenerator, 'removeDynamicModel').mockImplementation(() => {});
+    jest.spyOn(CollectionGenerator, 'createDynamicModel').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('restores the backed up values and the previous definition', async () => {
+    const documentId = new mongoose.Types.ObjectId();
+    jest.spyOn(MigrationBackup, 'find').mockReturnValue(backups([
+      { documentId, values: { title: 'Pump', quantity: '3' }, missing: ['name'] }
+    ]));
+
+    const result = await MigrationService.rollbackMigration('part', migration._id);
+
+    expect(collection.bulkWrite).toHaveBeenCalledWith([{
+      updateOne: { filter: { _id: documentId }, update: { $set: { title: 'Pump', quantity: '3' }, $unset: { name: '' } } }
+    }], { ordered: false });
+    expect(schema.jsonSchema).toEqual(migration.fromJsonSchema);
+    expect(result).toMatchObject({ recordsRestored: 1, status: 'rolled_back' });
+    expect(MigrationBackup.deleteMany).toHaveBeenCalledWith({ migrationId: migration._id });
+  });
+
+  test('only rolls back the most recent migration', async () => {
+    const latest = new SchemaMigration({ ...migration.toObject(), _id: new mongoose.Types.ObjectId() });
+    SchemaMigration.findOne.mockImplementation(filter => (
+      filter._id ? Promise.resolve(migration) : { sort: async () => latest }
+    ));
+
+    await expect(MigrationService.rollbackMigration('part', migration._id))
+      .rejects.toThrow('Only the most recent migration can be rolled back');
+    expect(mongoose.connection.db.collection).not.toHaveBeenCalled();
+  });
+
+  test('refuses a migration that was already rolled back', async () => {
+    migration.status = 'rolled_back';
+
+    await expect(MigrationService.rollbackMigration('part', migration._id))
+      .rejects.toThrow('is rolled_back and cannot be rolled back');
+  });
+});
@@ -0,0 +1,79 @@
+const DynamicCrudService = require('../../src/services/DynamicCrudService');
+const SchemaService = require('../../src/services/SchemaService');
+const ReferenceResolver = require('../../src/services/ReferenceResolver');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+
+const jsonSchema = {
+  type: 'object',
+  properties: {
+    job: { type: 'string' },
+    lineNumber: { type: 'integer' },
+    sku: { type: 'string' }
+  },
+  'x-rules': [
+    { name: 'uniqueLinePerJob', unique: ['lineNumber'], scope: 'job', message: 'lineNumber is already used on this job' },
+    { name: 'uniqueSku', unique: 'sku', message: 'sku is already used' }
+  ]
+};
+
+describe('unique x-rules inside a batch', () => {
+  let Model;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    Model = { exists: jest.fn(async () => null), insertMany: jest.fn(async records => records) };
+    jest.spyOn(CollectionGenerator, 'getDynamicModel').mockReturnValue(Model);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('rejects a record repeating an earlier record of the batch', async () => {
+    const batch = [{ job: 'J1', lineNumber: 1 }, { job: 'J2', lineNumber: 1 }];
+
+    await expect(DynamicCrudService.checkRules('job_line', jsonSchema, { job: 'J1', lineNumber: 2 }, { batch }))
+      .resolves.toEqual([]);
+    await expect(DynamicCrudService.checkRules('job_line', jsonSchema, { job: 'J2', lineNumber: 1 }, { batch }))
+      .resolves.toEqual([{ field: '/lineNumber', rule: 'uniqueLinePerJob', message: 'lineNumber is already used on this job' }]);
+  });
+
+  test('still checks the stored records', async () => {
+    Model.exists.mockImplementation(async filter => (filter.sku === 'P-1' ? { _id: 'stored' } : null));
+
+    const violations = await DynamicCrudService.checkRules('job_line', jsonSchema, { sku: 'P-1' }, { batch: [] });
+
+    expect(violations).toEqual([{ field: '/sku', rule: 'uniqueSku', message: 'sku is already used' }]);
+    expect(Model.exists).toHaveBeenCalledWith({ _schemaName: 'job_line', sku: 'P-1' });
+  });
+
+  test('does not constrain records missing a unique or scope field', async () => {
+    const violations = await DynamicCrudService.checkRules('job_line', jsonSchema, { lineNumber: 1 }, {
+      batch: [{ lineNumber: 1 }]
+    });
+
+    expect(violations).toEqual([]);
+  });
+
+  test('reports every repeated record of a bulk create by its index and inserts none', async () => {
+    jest.spyOn(SchemaService, 'getSchemaByName').mockResolvedValue({ name: 'job_line', version: '1.0.0', jsonSchema });
+    jest.spyOn(ReferenceResolver, 'validateReferences').mockResolvedValue({ valid: true, errors: [] });
+
+    const created = DynamicCrudService.bulkCreateRecords('job_line', [
+      { job: 'J1', lineNumber: 1, sku: 'P-1' },
+      { job: 'J1', lineNumber: 2, sku: 'P-1' },
+      { job: 'J1', lineNumber: 1, sku: 'P-2' }
+    ]);
+
+    await expect(created).rejects.toMatchObject({
+      statusCode: 400,
+      details: [
+        { record: 1, field: '/sku', rule: 'uniqueSku', message: 'sku is already used' },
+        { record: 2, field: '/lineNumber', rule: 'uniqueLinePerJob', message: 'lineNumber is already used on this job' }
+      ]
+    });
+    expect(Model.insertMany).not.toHaveBeenCalled();
+  });
+});
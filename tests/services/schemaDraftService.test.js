@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const SchemaDraft = require('../../src/models/SchemaDraft');
+const SchemaDraftService = require('../../src/services/SchemaDraftService');
+const SchemaService = require('../../src/services/SchemaService');
+
+describe('publishing a draft', () => {
+  let draft;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    draft = {
+      _id: new mongoose.Types.ObjectId(),
+      schemaName: 'order',
+      baseVersion: '1.2.0',
+      displayName: 'Order',
+      jsonSchema: { type: 'object', properties: { total: { type: 'number' }, note: { type: 'string' } } },
+      renames: { comment: 'note' },
+      authoredBy: 'alice',
+      status: 'publishing'
+    };
+
+    jest.spyOn(SchemaDraft, 'findOneAndUpdate').mockReturnValue({ lean: async () => draft });
+    jest.spyOn(SchemaDraft, 'exists').mockResolvedValue(null);
+    jest.spyOn(SchemaDraft, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(SchemaDraft, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(SchemaService, 'updateSchema').mockResolvedValue({ name: 'order', version: '1.3.0' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('claims the draft, updates the schema from its base version and deletes it', async () => {
+    const schema = await SchemaDraftService.publishDraft('order', { userId: 'bob' });
+
+    expect(schema.version).toBe('1.3.0');
+    expect(SchemaDraft.findOneAndUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ schemaName: 'order' }),
+      expect.objectContaining({ status: 'publishing' }),
+      { new: true }
+    );
+    expect(SchemaService.updateSchema).toHaveBeenCalledWith('order', expect.objectContaining({ jsonSchema: draft.jsonSchema }), {
+      renames: { comment: 'note' },
+      userId: 'bob',
+      authoredBy: 'alice',
+      force: undefined,
+      expectedVersion: '1.2.0'
+    });
+    expect(SchemaDraft.deleteOne).toHaveBeenCalledWith({ _id: draft._id });
+  });
+
+  test('refuses a draft that another request is publishing', async () => {
+    SchemaDraft.findOneAndUpdate.mockReturnValue({ lean: async () => null });
+    SchemaDraft.exists.mockResolvedValue({ _id: draft._id });
+
+    await expect(SchemaDraftService.publishDraft('order')).rejects.toMatchObject({
+      statusCode: 409,
+      message: "Draft of schema 'order' is already being published"
+    });
+    expect(SchemaService.updateSchema).not.toHaveBeenCalled();
+  });
+
+  test('returns 404 without a draft', async () => {
+    SchemaDraft.findOneAndUpdate.mockReturnValue({ lean: async () => null });
+
+    await expect(SchemaDraftService.publishDraft('order')).rejects.toMatchObject({ statusCode: 404 });
+  });
+
+  test('keeps the draft when the schema moved past its base version', async () => {
+    const conflict = Object.assign(new Error("Schema 'order' was changed by another update"), { statusCode: 409 });
+    SchemaService.updateSchema.mockRejectedValue(conflict);
+
+    await expect(SchemaDraftService.publishDraft('order')).rejects.toBe(conflict);
+    expect(SchemaDraft.deleteOne).not.toHaveBeenCalled();
+    expect(SchemaDraft.updateOne).toHaveBeenCalledWith({ _id: draft._id }, { status: 'draft', publishingAt: null });
+  });
+
+  test('publishes only once when two requests race', async () => {
+    let claimed = false;
+    SchemaDraft.findOneAndUpdate.mockImplementation(() => ({
+      lean: async () => {
+        if (claimed) return null;
+        claimed = true;
+        return draft;
+      }
+    }));
+    SchemaDraft.exists.mockResolvedValue({ _id: draft._id });
+
+    const results = await Promise.allSettled([
+      SchemaDraftService.publishDraft('order'),
+      SchemaDraftService.publishDraft('order')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(SchemaService.updateSchema).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('editing a draft that is being published', () => {
+  beforeEach(() => {
+    jest.spyOn(SchemaService, 'resolveSchema').mockImplementation(async jsonSchema => ({ effective: jsonSchema }));
+    jest.spyOn(SchemaDraft, 'findOne').mockResolvedValue(new SchemaDraft({
+      schemaName: 'order',
+      baseVersion: '1.2.0',
+      jsonSchema: { type: 'object' },
+      status: 'publishing'
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('refuses to save or discard it', async () => {
+    jest.spyOn(SchemaDraft, 'findOneAndDelete').mockReturnValue({ lean: async () => null });
+    jest.spyOn(SchemaDraft, 'exists').mockResolvedValue({ _id: 'draft' });
+
+    const jsonSchema = { type: 'object', properties: { total: { type: 'number' } } };
+
+    await expect(SchemaDraftService.saveDraft({ name: 'order', version: '1.2.0' }, { jsonSchema }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(SchemaDraftService.discardDraft('order')).rejects.toMatchObject({ statusCode: 409 });
+  });
+});
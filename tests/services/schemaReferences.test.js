@@ -0,0 +1,61 @@
+const SchemaDefinition = require('../../src/models/Schema');
+const SchemaService = require('../../src/services/SchemaService');
+
+const schemas = [
+  {
+    name: 'job',
+    jsonSchema: {
+      type: 'object',
+      properties: {
+        category: { type: 'string', 'x-ref': 'category' },
+        tags: { type: 'array', items: { type: 'string', 'x-enum-source': { schema: 'category', field: 'code' } } }
+      }
+    },
+    parents: []
+  },
+  {
+    name: 'service_category',
+    jsonSchema: { type: 'object', properties: { code: { type: 'string' }, rate: { type: 'number' } } },
+    parents: ['category']
+  },
+  {
+    name: 'note',
+    jsonSchema: { type: 'object', properties: { text: { type: 'string' } } },
+    parents: []
+  }
+];
+
+describe('schemas referencing a schema', () => {
+  beforeEach(() => {
+    jest.spyOn(SchemaDefinition, 'find').mockReturnValue({ select: () => ({ lean: async () => schemas }) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('include references, enum sources and inheriting schemas', async () => {
+    const references = await SchemaService.getReferencingSchemas('category');
+
+    expect(references).toEqual([
+      { schema: 'job', field: 'category', referenceType: 'reference', isRequired: false },
+      { schema: 'job', field: 'tags', referenceType: 'enum_source', isRequired: false },
+      { schema: 'service_category', field: null, referenceType: 'inheritance', isRequired: true }
+    ]);
+  });
+
+  test('keep a schema with children or enum source fields from being deleted', async () => {
+    jest.spyOn(SchemaDefinition, 'findOne').mockResolvedValue(new SchemaDefinition({
+      name: 'category',
+      displayName: 'Category',
+      jsonSchema: { type: 'object', properties: { code: { type: 'string' } } }
+    }));
+    jest.spyOn(SchemaService, 'trashSchema').mockResolvedValue();
+
+    await expect(SchemaService.deleteSchema('category')).rejects.toMatchObject({
+      statusCode: 409,
+      details: { referencedBy: expect.arrayContaining([expect.objectContaining({ schema: 'service_category' })]) }
+    });
+    expect(SchemaService.trashSchema).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,65 @@
+const SchemaRegistry = require('../../src/services/SchemaRegistry');
+const OpenApiService = require('../../src/services/OpenApiService');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+const tenantContext = require('../../src/utils/tenantContext');
+
+const definition = version => ({
+  _id: 'schema-id',
+  name: 'invoice',
+  tenantId: tenantContext.defaultTenant,
+  version,
+  isActive: true,
+  jsonSchema: { type: 'object', properties: { number: { type: 'string' } } }
+});
+
+describe('schema registry writes on the writing instance', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(CollectionGenerator, 'removeDynamicModel').mockImplementation(() => {});
+    jest.spyOn(CollectionGenerator, 'createDynamicModel').mockImplementation(() => {});
+    SchemaRegistry.schemas.clear();
+    SchemaRegistry.set(definition('1.0.0'));
+    OpenApiService.documents.set(tenantContext.defaultTenant, Promise.resolve({ openapi: '3.0.3' }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    SchemaRegistry.schemas.clear();
+    OpenApiService.documents.clear();
+  });
+
+  test('an update clears the OpenAPI document', () => {
+    SchemaRegistry.set(definition('1.1.0'));
+
+    expect(OpenApiService.documents.has(tenantContext.defaultTenant)).toBe(false);
+  });
+
+  test('the later change stream event does not rebuild again', async () => {
+    const changed = jest.fn();
+    SchemaRegistry.on('schemaChanged', changed);
+
+    SchemaRegistry.set(definition('1.1.0'));
+    await SchemaRegistry.handleChange({ operationType: 'update', fullDocument: definition('1.1.0') });
+    SchemaRegistry.off('schemaChanged', changed);
+
+    expect(changed).toHaveBeenCalledTimes(1);
+  });
+
+  test('rewriting the same revision keeps the OpenAPI document', () => {
+    SchemaRegistry.set(definition('1.0.0'));
+
+    expect(OpenApiService.documents.has(tenantContext.defaultTenant)).toBe(true);
+  });
+
+  test('a delete clears the OpenAPI document once', () => {
+    const removed = jest.fn();
+    SchemaRegistry.on('schemaRemoved', removed);
+
+    SchemaRegistry.remove('invoice');
+    SchemaRegistry.remove('invoice');
+    SchemaRegistry.off('schemaRemoved', removed);
+
+    expect(removed).toHaveBeenCalledTimes(1);
+    expect(OpenApiService.documents.has(tenantContext.defaultTenant)).toBe(false);
+  });
+});
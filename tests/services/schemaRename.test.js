@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const SchemaDefinition = require('../../src/models/Schema');
+const SchemaRevision = require('../../src/models/SchemaRevision');
+const SchemaMigration = require('../../src/models/SchemaMigration');
+const MigrationBackup = require('../../src/models/MigrationBackup');
+const SchemaDraft = require('../../src/models/SchemaDraft');
+const Sequence = require('../../src/models/Sequence');
+const AuditLog = require('../../src/models/AuditLog');
+const SchemaService = require('../../src/services/SchemaService');
+const MigrationService = require('../../src/services/MigrationService');
+const SchemaRegistry = require('../../src/services/SchemaRegistry');
+const SchemaVersionService = require('../../src/services/SchemaVersionService');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+const tenantContext = require('../../src/utils/tenantContext');
+
+const rawCollection = documents => ({
+  find: () => documents,
+  bulkWrite: jest.fn(async writes => {
+    for (const { updateOne } of writes) {
+      const document = documents.find(d => d._id === updateOne.filter._id);
+      Object.assign(document, updateOne.update.$set);
+    }
+  })
+});
+
+describe('renaming a schema and rolling back a migration', () => {
+  let schema;
+  let migration;
+  let collections;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    schema = new SchemaDefinition({
+      name: 'job',
+      displayName: 'Job',
+      version: '1.1.0',
+      jsonSchema: {
+        type: 'object',
+        properties: { title: { type: 'string' }, parent: { type: 'string', 'x-ref': 'job' } }
+      }
+    });
+    schema.collectionName = 'dynamic_job';
+    jest.spyOn(schema, 'save').mockImplementation(async function() {
+      this.collectionName = tenantContext.collectionName(this.name, this.tenantId);
+      return this;
+    });
+
+    migration = {
+      _id: new mongoose.Types.ObjectId(),
+      tenantId: schema.tenantId,
+      schemaName: 'job',
+      collectionName: 'dynamic_job',
+      status: 'applied',
+      fromJsonSchema: {
+        type: 'object',
+        properties: { name: { type: 'string' }, parent: { type: 'string', 'x-ref': 'job' } }
+      },
+      toJsonSchema: schema.jsonSchema
+    };
+
+    collections = {};
+    mongoose.connection.db = {
+      renameCollection: jest.fn(async () => {}),
+      collection: jest.fn(name => {
+        collections[name] = collections[name] || {
+          updateMany: jest.fn(async () => ({ modifiedCount: 1 })),
+          bulkWrite: jest.fn(async () => {})
+        };
+        return collections[name];
+      })
+    };
+
+    jest.spyOn(SchemaDefinition, 'findOne').mockImplementation(async ({ name }) => (name === schema.name ? schema : null));
+    jest.spyOn(SchemaDefinition, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(SchemaDefinition, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(SchemaMigration, 'updateMany').mockImplementation(async (filter, update) => {
+      if (migration.schemaName === filter.schemaName) Object.assign(migration, update);
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(Sequence, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(SchemaDraft, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.spyOn(AuditLog, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    jest.replaceProperty(SchemaRevision, 'collection', { ...rawCollection([]), updateMany: jest.fn(async () => {}) });
+    jest.replaceProperty(SchemaDraft, 'collection', rawCollection([]));
+    jest.replaceProperty(SchemaMigration, 'collection', rawCollection([migration]));
+
+    jest.spyOn(SchemaRegistry, 'evict').mockImplementation(() => {});
+    jest.spyOn(SchemaRegistry, 'apply').mockImplementation(() => {});
+    jest.spyOn(SchemaRegistry, 'set').mockImplementation(() => {});
+    jest.spyOn(CollectionGenerator, 'createDynamicModel').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('moves the migration to the renamed collection and schema name', async () => {
+    await SchemaService.renameSchema('job', 'work');
+
+    expect(migration.schemaName).toBe('work');
+    expect(migration.collectionName).toBe('dynamic_work');
+    expect(migration.fromJsonSchema.properties.parent['x-ref']).toBe('work');
+    expect(migration.toJsonSchema.properties.parent['x-ref']).toBe('work');
+  });
+
+  test('stops serving the schema on every instance before its collection moves', async () => {
+    await SchemaService.renameSchema('job', 'work');
+
+    const [deactivate] = SchemaDefinition.updateOne.mock.calls;
+    expect(deactivate).toEqual([{ _id: schema._id, isActive: true }, { isActive: false }]);
+    const renamedAt = mongoose.connection.db.renameCollection.mock.invocationCallOrder[0];
+    expect(SchemaDefinition.updateOne.mock.invocationCallOrder[0]).toBeLessThan(renamedAt);
+    expect(SchemaRegistry.evict.mock.invocationCallOrder[0]).toBeLessThan(renamedAt);
+    expect(schema.isActive).toBe(true);
+    expect(schema.isModified('isActive')).toBe(true);
+  });
+
+  test('rejects the rename when the schema is no longer active', async () => {
+    SchemaDefinition.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    await expect(SchemaService.renameSchema('job', 'work')).rejects.toMatchObject({ statusCode: 409 });
+    expect(mongoose.connection.db.renameCollection).not.toHaveBeenCalled();
+  });
+
+  test('moves the collection and records back when the definition cannot be saved', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    schema.save.mockRejectedValue(duplicate);
+
+    await expect(SchemaService.renameSchema('job', 'work')).rejects.toBe(duplicate);
+
+    expect(mongoose.connection.db.renameCollection.mock.calls).toEqual([
+      ['dynamic_job', 'dynamic_work'],
+      ['dynamic_work', 'dynamic_job']
+    ]);
+    expect(collections.dynamic_work.updateMany).toHaveBeenLastCalledWith(
+      { _schemaName: 'work' },
+      { $set: { _schemaName: 'job' } }
+    );
+    expect(SchemaDefinition.updateOne).toHaveBeenLastCalledWith(
+      { _id: schema._id },
+      expect.objectContaining({ name: 'job', collectionName: 'dynamic_job', isActive: true })
+    );
+    expect(SchemaRegistry.apply).toHaveBeenCalledWith(expect.objectContaining({ name: 'job' }));
+    expect(migration.schemaName).toBe('job');
+  });
+
+  test('moves the history back when a later step fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(SchemaService, 'renameReferences')
+      .mockRejectedValueOnce(new Error('write failed'))
+      .mockResolvedValue([]);
+
+    await expect(SchemaService.renameSchema('job', 'work')).rejects.toThrow('write failed');
+
+    expect(SchemaService.renameReferences).toHaveBeenLastCalledWith(expect.objectContaining({ _id: schema._id }), 'work', 'job');
+    expect(migration.schemaName).toBe('job');
+    expect(migration.collectionName).toBe('dynamic_job');
+    expect(mongoose.connection.db.renameCollection).toHaveBeenLastCalledWith('dynamic_work', 'dynamic_job');
+  });
+
+  test('rolls the renamed records and definition back together', async () => {
+    await SchemaService.renameSchema('job', 'work');
+
+    const documentId = new mongoose.Types.ObjectId();
+    const stored = {
+      ...migration,
+      _id: { equals: id => id === stored._id },
+      save: jest.fn(async () => stored)
+    };
+    const query = { then: (resolve, reject) => Promise.resolve(stored).then(resolve, reject), sort: async () => stored };
+    jest.spyOn(SchemaMigration, 'findOne').mockReturnValue(query);
+    jest.spyOn(MigrationBackup, 'find').mockReturnValue({
+      lean: () => ({ cursor: () => [{ documentId, values: { name: 'Fix roof' }, missing: ['title'] }] })
+    });
+    jest.spyOn(MigrationBackup, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(SchemaVersionService, 'classifyChange').mockReturnValue(null);
+    jest.spyOn(SchemaVersionService, 'ensureRevision').mockResolvedValue();
+
+    const result = await MigrationService.rollbackMigration('work', stored._id);
+
+    expect(result.recordsRestored).toBe(1);
+    expect(collections.dynamic_work.bulkWrite).toHaveBeenCalledWith([
+      { updateOne: { filter: { _id: documentId }, update: { $set: { name: 'Fix roof' }, $unset: { title: '' } } } }
+    ], { ordered: false });
+    expect(collections.dynamic_job).toBeUndefined();
+    expect(schema.jsonSchema.properties.name).toEqual({ type: 'string' });
+    expect(schema.jsonSchema.properties.parent['x-ref']).toBe('work');
+  });
+});
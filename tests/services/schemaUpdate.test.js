@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const SchemaDefinition = require('../../src/models/Schema');
+const SchemaService = require('../../src/services/SchemaService');
+const MigrationService = require('../../src/services/MigrationService');
+const SchemaRegistry = require('../../src/services/SchemaRegistry');
+const SchemaVersionService = require('../../src/services/SchemaVersionService');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+
+describe('updating a schema whose records are migrated', () => {
+  let existing;
+  let migration;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    existing = new SchemaDefinition({
+      name: 'order',
+      displayName: 'Order',
+      version: '1.0.0',
+      jsonSchema: { type: 'object', properties: { total: { type: 'number' } } }
+    });
+    migration = { _id: new mongoose.Types.ObjectId() };
+
+    jest.spyOn(SchemaDefinition, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(SchemaDefinition, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(SchemaDefinition, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+    jest.spyOn(SchemaDefinition, 'findOneAndUpdate').mockImplementation(async (filter, update) => (
+      SchemaDefinition.hydrate({ ...existing.toObject(), ...update })
+    ));
+    jest.spyOn(MigrationService, 'migrate').mockResolvedValue(migration);
+    jest.spyOn(MigrationService, 'rollbackMigration').mockResolvedValue({});
+    jest.spyOn(SchemaVersionService, 'ensureRevision').mockResolvedValue();
+    jest.spyOn(SchemaRegistry, 'set').mockImplementation(() => {});
+    jest.spyOn(CollectionGenerator, 'createDynamicModel').mockImplementation(() => {});
+    jest.spyOn(SchemaService, 'syncIndexesQuietly').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const update = () => SchemaService.updateSchema('order', {
+    jsonSchema: { type: 'object', properties: { total: { type: 'number' }, note: { type: 'string' } } }
+  });
+
+  test('rolls back the migration and the definition when the revision cannot be recorded', async () => {
+    jest.spyOn(SchemaVersionService, 'recordRevision').mockRejectedValue(new Error('revision write failed'));
+
+    await expect(update()).rejects.toThrow('revision write failed');
+
+    expect(SchemaDefinition.updateOne).toHaveBeenCalledWith(
+      { name: 'order', version: '1.1.0' },
+      expect.objectContaining({ version: '1.0.0', jsonSchema: existing.jsonSchema })
+    );
+    expect(MigrationService.rollbackMigration).toHaveBeenCalledWith('order', migration._id);
+    expect(SchemaRegistry.set).not.toHaveBeenCalled();
+  });
+
+  test('restores the definition and rolls back a migration that failed part way', async () => {
+    const failure = Object.assign(new Error("Migration failed for schema 'order': write conflict"), { migrationId: migration._id });
+    MigrationService.migrate.mockRejectedValue(failure);
+    jest.spyOn(SchemaVersionService, 'recordRevision').mockResolvedValue({});
+
+    await expect(update()).rejects.toThrow('write conflict');
+
+    expect(SchemaDefinition.updateOne).toHaveBeenCalledWith(
+      { name: 'order', version: '1.1.0' },
+      expect.objectContaining({ version: '1.0.0' })
+    );
+    expect(MigrationService.rollbackMigration).toHaveBeenCalledWith('order', migration._id);
+    expect(SchemaVersionService.recordRevision).not.toHaveBeenCalled();
+  });
+
+  test('does not migrate when the definition cannot be written', async () => {
+    SchemaDefinition.findOneAndUpdate.mockRejectedValue(new Error('definition write failed'));
+
+    await expect(update()).rejects.toThrow('definition write failed');
+
+    expect(MigrationService.migrate).not.toHaveBeenCalled();
+  });
+
+  test('reports the original error when the undo fails too', async () => {
+    jest.spyOn(SchemaVersionService, 'recordRevision').mockRejectedValue(new Error('revision write failed'));
+    MigrationService.rollbackMigration.mockRejectedValue(new Error('rollback failed'));
+
+    await expect(update()).rejects.toThrow('revision write failed');
+  });
+
+  test('keeps the migration when the update succeeds', async () => {
+    jest.spyOn(SchemaVersionService, 'recordRevision').mockResolvedValue({});
+
+    const updated = await update();
+
+    expect(updated.version).toBe('1.1.0');
+    expect(updated.childFailures).toEqual([]);
+    expect(MigrationService.rollbackMigration).not.toHaveBeenCalled();
+  });
+});
+
+describe('updating a schema concurrently', () => {
+  let existing;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    existing = new SchemaDefinition({
+      name: 'order',
+      displayName: 'Order',
+      version: '1.0.0',
+      jsonSchema: { type: 'object', properties: { total: { type: 'number' } } }
+    });
+
+    jest.spyOn(SchemaDefinition, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(SchemaDefinition, 'find').mockReturnValue({ lean: async () => [] });
+    jest.spyOn(MigrationService, 'migrate').mockResolvedValue(null);
+    jest.spyOn(SchemaVersionService, 'ensureRevision').mockResolvedValue();
+    jest.spyOn(SchemaVersionService, 'recordRevision').mockResolvedValue({});
+    jest.spyOn(SchemaRegistry, 'set').mockImplementation(() => {});
+    jest.spyOn(CollectionGenerator, 'createDynamicModel').mockImplementation(() => {});
+    jest.spyOn(SchemaService, 'syncIndexesQuietly').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('only writes the definition if it is still at the version the update was checked against', async () => {
+    jest.spyOn(SchemaDefinition, 'findOneAndUpdate').mockImplementation(async (filter, update) => (
+      SchemaDefinition.hydrate({ ...existing.toObject(), ...update })
+    ));
+
+    await SchemaService.updateSchema('order', { description: 'Customer orders' });
+
+    expect(SchemaDefinition.findOneAndUpdate).toHaveBeenCalledWith(
+      { name: 'order', version: '1.0.0' },
+      expect.objectContaining({ version: '1.0.1' }),
+      expect.anything()
+    );
+  });
+
+  test('rejects the losing update with 409 before migrating any record', async () => {
+    jest.spyOn(SchemaDefinition, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const update = SchemaService.updateSchema('order', {
+      jsonSchema: { type: 'object', properties: { total: { type: 'string' } } }
+    }, { expectedVersion: '1.0.0' });
+
+    await expect(update).rejects.toMatchObject({ statusCode: 409 });
+    expect(MigrationService.migrate).not.toHaveBeenCalled();
+    expect(SchemaVersionService.recordRevision).not.toHaveBeenCalled();
+    expect(SchemaRegistry.set).not.toHaveBeenCalled();
+  });
+});
+
+describe('re-resolving the schemas inheriting from an updated schema', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the children and descendants that could not be updated', async () => {
+    jest.spyOn(SchemaDefinition, 'find').mockReturnValue({
+      lean: async () => [
+        { name: 'invoice', sourceSchema: { 'x-extends': 'document' } },
+        { name: 'receipt', sourceSchema: { 'x-extends': 'document' } }
+      ]
+    });
+    const conflict = Object.assign(new Error('Schema update is not backward compatible'), {
+      statusCode: 409,
+      details: { mode: 'backward' }
+    });
+    jest.spyOn(SchemaService, 'updateSchema')
+      .mockRejectedValueOnce(conflict)
+      .mockResolvedValueOnce({
+        name: 'receipt',
+        childFailures: [{ schema: 'cash_receipt', error: 'Invalid JSON Schema', details: null }]
+      });
+
+    const failures = await SchemaService.reresolveChildren('document');
+
+    expect(failures).toEqual([
+      { schema: 'invoice', error: 'Schema update is not backward compatible', details: { mode: 'backward' } },
+      { schema: 'cash_receipt', error: 'Invalid JSON Schema', details: null }
+    ]);
+  });
+});
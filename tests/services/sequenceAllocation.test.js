@@ -0,0 +1,122 @@
+const DynamicCrudService = require('../../src/services/DynamicCrudService');
+const SchemaService = require('../../src/services/SchemaService');
+const SequenceService = require('../../src/services/SequenceService');
+const ReferenceResolver = require('../../src/services/ReferenceResolver');
+const CollectionGenerator = require('../../src/services/CollectionGenerator');
+const ChangePropagation = require('../../src/services/ChangePropagation');
+const AuditService = require('../../src/services/AuditService');
+const Sequence = require('../../src/models/Sequence');
+
+const schema = {
+  name: 'invoice',
+  version: '1.0.0',
+  jsonSchema: {
+    type: 'object',
+    properties: {
+      invoiceNo: { type: 'string', 'x-generated': { sequence: { prefix: 'INV-', padding: 3 } } },
+      total: { type: 'number', minimum: 0 },
+      discount: { type: 'number' },
+      approvedBy: { type: 'string' }
+    },
+    required: ['invoiceNo', 'total'],
+    'x-rules': [
+      { name: 'discountApproved', when: 'discount > 0', expression: 'approvedBy != null',
+        message: 'A discount needs approvedBy' },
+      { name: 'invoiceNoPrefix', expression: 'invoiceNo != null', message: 'invoiceNo is missing' }
+    ]
+  }
+};
+
+class InvoiceModel {
+  constructor(data) {
+    this.data = data;
+  }
+
+  async save() {
+    return { _id: 'inv-1', toObject: () => ({ _id: 'inv-1', ...this.data }) };
+  }
+
+  static async insertMany(records) {
+    return records.map((record, index) => ({ toObject: () => ({ _id: `inv-${index}`, ...record }) }));
+  }
+}
+InvoiceModel.collection = { name: 'invoices' };
+
+describe('allocating sequence numbers on create', () => {
+  let counter;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    counter = 0;
+    jest.spyOn(Sequence, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      counter += update.$inc.value;
+      return { value: counter };
+    });
+    jest.spyOn(SequenceService, 'allocate');
+    jest.spyOn(SchemaService, 'getSchemaByName').mockResolvedValue(schema);
+    jest.spyOn(ReferenceResolver, 'validateReferences').mockResolvedValue({ valid: true, errors: [] });
+    jest.spyOn(CollectionGenerator, 'getDynamicModel').mockReturnValue(InvoiceModel);
+    jest.spyOn(ChangePropagation, 'trackDependencies').mockResolvedValue();
+    jest.spyOn(AuditService, 'logChange').mockResolvedValue();
+    jest.spyOn(DynamicCrudService, 'revalidateEnumSources').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('allocates a number for a valid record and checks the rules reading it', async () => {
+    const created = await DynamicCrudService.createRecord('invoice', { total: 120 });
+
+    expect(created.invoiceNo).toBe('INV-001');
+    expect(SequenceService.allocate).toHaveBeenCalledTimes(1);
+  });
+
+  test('does not allocate a number for a record that fails validation', async () => {
+    await expect(DynamicCrudService.createRecord('invoice', { total: -1 })).rejects.toThrow('Validation failed');
+
+    expect(SequenceService.allocate).not.toHaveBeenCalled();
+  });
+
+  test('does not allocate a number for a record that breaks a rule', async () => {
+    await expect(DynamicCrudService.createRecord('invoice', { total: 120, discount: 10 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(SequenceService.allocate).not.toHaveBeenCalled();
+  });
+
+  test('does not allocate a number for a record with an invalid reference', async () => {
+    ReferenceResolver.validateReferences.mockResolvedValue({
+      valid: false,
+      errors: [{ field: 'customer', message: 'Referenced record not found' }]
+    });
+
+    await expect(DynamicCrudService.createRecord('invoice', { total: 120 })).rejects.toThrow('Reference validation failed');
+
+    expect(SequenceService.allocate).not.toHaveBeenCalled();
+  });
+
+  test('keeps the numbers of rejected creates for the next record', async () => {
+    await expect(DynamicCrudService.createRecord('invoice', { total: -1 })).rejects.toThrow();
+    const created = await DynamicCrudService.createRecord('invoice', { total: 5 });
+
+    expect(created.invoiceNo).toBe('INV-001');
+  });
+
+  test('allocates one block for a valid batch', async () => {
+    const created = await DynamicCrudService.bulkCreateRecords('invoice', [{ total: 1 }, { total: 2 }, { total: 3 }]);
+
+    expect(created.map(record => record.invoiceNo)).toEqual(['INV-001', 'INV-002', 'INV-003']);
+    expect(SequenceService.allocate).toHaveBeenCalledTimes(1);
+    expect(SequenceService.allocate).toHaveBeenCalledWith('invoice', 'invoiceNo', '', 3);
+  });
+
+  test('does not allocate numbers for a batch with a rejected record', async () => {
+    const batch = DynamicCrudService.bulkCreateRecords('invoice', [{ total: 1 }, { total: 2, discount: 5 }]);
+
+    await expect(batch).rejects.toMatchObject({ statusCode: 400 });
+    expect(SequenceService.allocate).not.toHaveBeenCalled();
+  });
+});
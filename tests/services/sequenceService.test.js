@@ -0,0 +1,78 @@
+const SequenceService = require('../../src/services/SequenceService');
+const Sequence = require('../../src/models/Sequence');
+
+const jsonSchema = {
+  type: 'object',
+  properties: {
+    invoiceNo: { type: 'string', 'x-generated': { sequence: { prefix: 'INV-{YYYY}-', padding: 4, reset: 'yearly' } } },
+    ticketNo: { type: 'integer', 'x-generated': 'sequence()' }
+  }
+};
+
+describe('allocating sequence numbers', () => {
+  let counters;
+
+  beforeEach(() => {
+    // Emulates the atomic $inc: each call sees the increments of the calls before it
+    counters = new Map();
+    jest.spyOn(Sequence, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      await new Promise(resolve => setImmediate(resolve));
+      const key = `${filter.field}:${filter.period}`;
+      counters.set(key, (counters.get(key) || 0) + update.$inc.value);
+      return { value: counters.get(key) };
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('gives concurrent creates distinct numbers', async () => {
+    const date = new Date('2026-03-01T00:00:00Z');
+    const created = await Promise.all(
+      Array.from({ length: 20 }, () => SequenceService.apply('invoice', jsonSchema, [{}], date))
+    );
+
+    const invoiceNumbers = created.map(([record]) => record.invoiceNo);
+    expect(new Set(invoiceNumbers).size).toBe(20);
+    expect(invoiceNumbers.sort()[0]).toBe('INV-2026-0001');
+    expect(created.map(([record]) => record.ticketNo).sort((a, b) => a - b))
+      .toEqual(Array.from({ length: 20 }, (_, i) => i + 1));
+  });
+
+  test('reserves one block for a batch and does not overlap concurrent batches', async () => {
+    const date = new Date('2026-03-01T00:00:00Z');
+    const [first, second] = await Promise.all([
+      SequenceService.apply('invoice', jsonSchema, [{}, {}, {}], date),
+      SequenceService.apply('invoice', jsonSchema, [{}, {}], date)
+    ]);
+
+    const numbers = [...first, ...second].map(record => record.ticketNo).sort((a, b) => a - b);
+    expect(numbers).toEqual([1, 2, 3, 4, 5]);
+    expect(Sequence.findOneAndUpdate).toHaveBeenCalledTimes(4);
+  });
+
+  test('keeps values the records already have and counts yearly sequences per year', async () => {
+    const [kept] = await SequenceService.apply('invoice', jsonSchema, [{ invoiceNo: 'IMPORTED-1' }], new Date('2026-12-31T00:00:00Z'));
+    const [nextYear] = await SequenceService.apply('invoice', jsonSchema, [{}], new Date('2027-01-01T00:00:00Z'));
+
+    expect(kept.invoiceNo).toBe('IMPORTED-1');
+    expect(nextYear.invoiceNo).toBe('INV-2027-0001');
+  });
+
+  test('retries once when two first-time upserts race on the unique index', async () => {
+    Sequence.findOneAndUpdate
+      .mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }))
+      .mockResolvedValueOnce({ value: 2 });
+
+    await expect(SequenceService.allocate('invoice', 'ticketNo', '', 1)).resolves.toBe(2);
+    expect(Sequence.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry other errors', async () => {
+    Sequence.findOneAndUpdate.mockRejectedValueOnce(new Error('connection lost'));
+
+    await expect(SequenceService.allocate('invoice', 'ticketNo', '', 1)).rejects.toThrow('connection lost');
+    expect(Sequence.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,68 @@
+const Tenant = require('../../src/models/Tenant');
+const TenantService = require('../../src/services/TenantService');
+
+describe('provisioned tenant cache', () => {
+  let active;
+
+  beforeEach(() => {
+    active = true;
+    TenantService.confirmed.clear();
+    jest.spyOn(Tenant, 'exists').mockImplementation(async () => (active ? { _id: 'tenant-id' } : null));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('stops confirming a tenant deprovisioned by another instance', async () => {
+    expect(await TenantService.isProvisioned('acme')).toBe(true);
+    expect(await TenantService.isProvisioned('acme')).toBe(true);
+    expect(Tenant.exists).toHaveBeenCalledTimes(1);
+
+    active = false;
+    TenantService.handleChange({
+      operationType: 'update',
+      fullDocument: { _id: 'tenant-id', tenantId: 'acme', status: 'deprovisioning' }
+    });
+
+    expect(await TenantService.isProvisioned('acme')).toBe(false);
+  });
+
+  test('re-checks every tenant after a tenant is deleted', async () => {
+    await TenantService.isProvisioned('acme');
+    await TenantService.isProvisioned('globex');
+
+    active = false;
+    TenantService.handleChange({ operationType: 'delete', documentKey: { _id: 'tenant-id' } });
+
+    expect(await TenantService.isProvisioned('acme')).toBe(false);
+    expect(await TenantService.isProvisioned('globex')).toBe(false);
+  });
+
+  test('keeps confirmations when a tenant stays active', async () => {
+    await TenantService.isProvisioned('acme');
+    TenantService.handleChange({
+      operationType: 'update',
+      fullDocument: { _id: 'tenant-id', tenantId: 'acme', status: 'active' }
+    });
+
+    expect(await TenantService.isProvisioned('acme')).toBe(true);
+    expect(Tenant.exists).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('tenant cache settings', () => {
+  const { env } = process;
+
+  afterEach(() => {
+    process.env = env;
+  });
+
+  test('reads its TTL from TENANT_CACHE_TTL_MS, not the schema cache setting', () => {
+    process.env = { ...env, TENANT_CACHE_TTL_MS: '5000', SCHEMA_CACHE_TTL_MS: '60000' };
+
+    jest.isolateModules(() => {
+      expect(require('../../src/services/TenantService').cacheTtlMs).toBe(5000);
+    });
+  });
+});
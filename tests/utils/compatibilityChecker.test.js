@@ -0,0 +1,78 @@
+const compatibilityChecker = require('../../src/utils/compatibilityChecker');
+
+const customer = (address, lines) => ({
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    address: { type: 'object', ...address },
+    lines: { type: 'array', items: lines }
+  },
+  required: ['name']
+});
+
+const address = {
+  properties: { street: { type: 'string' }, zip: { type: 'string' } },
+  required: ['street']
+};
+
+const line = {
+  type: 'object',
+  properties: { sku: { type: 'string' }, quantity: { type: 'integer' } },
+  required: ['sku']
+};
+
+const issuesOf = (oldSchema, newSchema) => compatibilityChecker.analyze(oldSchema, newSchema)
+  .map(({ code, field, breaks }) => ({ code, field, breaks }));
+
+describe('nested compatibility checks', () => {
+  test('reports a nested property that became required as breaking backward', () => {
+    const next = customer({ ...address, required: ['street', 'zip'] }, line);
+    const issues = issuesOf(customer(address, line), next);
+
+    expect(issues).toEqual([{ code: 'required_added_without_default', field: 'address.zip', breaks: ['backward'] }]);
+    expect(compatibilityChecker.violations(compatibilityChecker.analyze(customer(address, line), next), 'backward')).toHaveLength(1);
+    expect(compatibilityChecker.violations(compatibilityChecker.analyze(customer(address, line), next), 'forward')).toHaveLength(0);
+  });
+
+  test('reports type changes of nested properties and array items', () => {
+    const next = customer(
+      { ...address, properties: { ...address.properties, zip: { type: 'integer' } } },
+      { ...line, properties: { ...line.properties, quantity: { type: 'number' } } }
+    );
+
+    expect(issuesOf(customer(address, line), next)).toEqual([
+      { code: 'type_changed', field: 'address.zip', breaks: ['backward', 'forward'] },
+      { code: 'type_widened', field: 'lines[].quantity', breaks: ['forward'] }
+    ]);
+  });
+
+  test('reports changes of the array item type and constraints', () => {
+    const tags = items => ({ type: 'object', properties: { tags: { type: 'array', items } } });
+
+    expect(issuesOf(tags({ type: 'string' }), tags({ type: 'integer' }))).toEqual([
+      { code: 'type_changed', field: 'tags[]', breaks: ['backward', 'forward'] }
+    ]);
+    expect(issuesOf(tags({ type: 'string', maxLength: 20 }), tags({ type: 'string', maxLength: 10 }))).toEqual([
+      { code: 'maxLength_tightened', field: 'tags[]', breaks: ['backward'] }
+    ]);
+    expect(issuesOf(tags({ type: 'string', 'x-ref': 'tag' }), tags({ type: 'string', 'x-ref': 'label' }))).toEqual([
+      { code: 'ref_changed', field: 'tags[]', breaks: ['backward', 'forward'] }
+    ]);
+  });
+
+  test('reports nested removals and additions against closed objects', () => {
+    const closed = { ...address, additionalProperties: false };
+    const removed = { ...closed, properties: { street: { type: 'string' } } };
+
+    expect(issuesOf(customer(closed, line), customer(removed, line))).toEqual([
+      { code: 'property_removed', field: 'address.zip', breaks: ['backward', 'forward'] }
+    ]);
+    expect(issuesOf(customer(removed, line), customer(closed, line))).toEqual([
+      { code: 'property_added', field: 'address.zip', breaks: ['forward'] }
+    ]);
+  });
+
+  test('reports nothing for unchanged nested schemas', () => {
+    expect(issuesOf(customer(address, line), customer(address, line))).toEqual([]);
+  });
+});
@@ -0,0 +1,28 @@
+const expressionEvaluator = require('../../src/utils/expressionEvaluator');
+
+describe('expression cache', () => {
+  beforeEach(() => {
+    expressionEvaluator.cache.clear();
+  });
+
+  test('keeps at most 500 parsed expressions', () => {
+    for (let i = 0; i < 600; i++) {
+      expect(expressionEvaluator.evaluate(`quantity * ${i}`, { quantity: 2 })).toBe(2 * i);
+    }
+
+    expect(expressionEvaluator.cache.size).toBe(500);
+    expect(expressionEvaluator.cache.has('quantity * 0')).toBe(false);
+    expect(expressionEvaluator.cache.has('quantity * 599')).toBe(true);
+  });
+
+  test('drops the least recently used expression first', () => {
+    for (let i = 0; i < 500; i++) {
+      expressionEvaluator.compile(`price + ${i}`);
+    }
+    expressionEvaluator.compile('price + 0');
+    expressionEvaluator.compile('price + 500');
+
+    expect(expressionEvaluator.cache.has('price + 0')).toBe(true);
+    expect(expressionEvaluator.cache.has('price + 1')).toBe(false);
+  });
+});
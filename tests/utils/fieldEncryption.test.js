@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+
+const jsonSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    iban: { type: 'string', 'x-encrypted': { deterministic: true } }
+  }
+};
+
+describe('encrypting records', () => {
+  let fieldEncryption;
+
+  beforeAll(() => {
+    process.env.ENCRYPTION_KEYS = `k1:${crypto.randomBytes(32).toString('base64')}`;
+    jest.isolateModules(() => {
+      fieldEncryption = require('../../src/utils/fieldEncryption');
+    });
+  });
+
+  afterAll(() => {
+    delete process.env.ENCRYPTION_KEYS;
+  });
+
+  test('encrypts plaintext values', () => {
+    const record = fieldEncryption.encryptRecord(jsonSchema, { name: 'Ada', iban: 'DE89370400440532013000' });
+
+    expect(fieldEncryption.parse(record.iban)).toMatchObject({ keyId: 'k1', deterministic: true });
+    expect(fieldEncryption.decryptValue(record.iban)).toBe('DE89370400440532013000');
+  });
+
+  test('rejects values shaped like ciphertexts instead of storing them verbatim', () => {
+    const forged = fieldEncryption.encryptValue('DE89370400440532013000', { deterministic: true });
+
+    expect(() => fieldEncryption.encryptRecord(jsonSchema, { name: 'Ada', iban: forged }))
+      .toThrow(expect.objectContaining({ statusCode: 400, details: { field: 'iban' } }));
+    expect(() => fieldEncryption.encryptRecord(jsonSchema, { iban: 'enc:v1:k1:d:AAAA' }))
+      .toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+
+  test('keeps the stored ciphertext of an unchanged value on update', () => {
+    const stored = fieldEncryption.encryptRecord(jsonSchema, { iban: 'DE89370400440532013000' });
+    const update = fieldEncryption.encryptRecord(jsonSchema, { iban: 'DE89370400440532013000' }, stored);
+
+    expect(update.iban).toBe(stored.iban);
+  });
+
+  test('rejects x-encrypted below the top-level properties', () => {
+    const nested = {
+      type: 'object',
+      properties: {
+        bank: { type: 'object', properties: { iban: { type: 'string', 'x-encrypted': true } } },
+        phones: { type: 'array', items: { type: 'string', 'x-encrypted': true } },
+        phone: { type: 'string', 'x-encrypted': true }
+      }
+    };
+
+    expect(fieldEncryption.validate(nested).map(error => error.message)).toEqual([
+      "x-encrypted at 'bank.iban' is not supported; only top-level properties can be encrypted",
+      "x-encrypted at 'phones[]' is not supported; only top-level properties can be encrypted"
+    ]);
+  });
+});
+
+describe('validating sensitive fields', () => {
+  test('rejects x-sensitive below the top-level properties', () => {
+    const sensitiveFields = require('../../src/utils/sensitiveFields');
+    const nested = {
+      type: 'object',
+      properties: {
+        bank: { type: 'object', 'x-sensitive': true, properties: { iban: { type: 'string' } } },
+        employee: { type: 'object', properties: { salary: { type: 'number', 'x-sensitive': true } } }
+      },
+      definitions: { account: { type: 'object', properties: { pin: { type: 'string', 'x-sensitive': true } } } }
+    };
+
+    expect(sensitiveFields.validate(nested).map(error => error.message)).toEqual([
+      "x-sensitive at 'employee.salary' is not supported; only top-level properties can be sensitive (a sensitive object is masked as a whole)",
+      "x-sensitive at 'definitions.account.pin' is not supported; only top-level properties can be sensitive (a sensitive object is masked as a whole)"
+    ]);
+  });
+});
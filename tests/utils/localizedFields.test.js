@@ -0,0 +1,65 @@
+// The locale settings are read when the module loads
+const load = env => {
+  const previous = { DEFAULT_LOCALE: process.env.DEFAULT_LOCALE, SUPPORTED_LOCALES: process.env.SUPPORTED_LOCALES };
+  Object.assign(process.env, env);
+  try {
+    let fields;
+    jest.isolateModules(() => {
+      fields = require('../../src/utils/localizedFields');
+    });
+    return fields;
+  } finally {
+    for (const [key, value] of Object.entries(previous)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  }
+};
+
+const localizedFields = load({ DEFAULT_LOCALE: 'en', SUPPORTED_LOCALES: '' });
+
+describe('locale fallback chains', () => {
+  test('follow each requested locale with its parents and end with the default locale', () => {
+    expect(localizedFields.fallbackChain(['de-AT', 'fr'])).toEqual(['de-AT', 'de', 'fr', 'en']);
+    expect(localizedFields.fallbackChain(['zh-Hant-TW'])).toEqual(['zh-Hant-TW', 'zh-Hant', 'zh', 'en']);
+    expect(localizedFields.fallbackChain([])).toEqual(['en']);
+  });
+
+  test('normalize case, drop duplicates and skip invalid tags', () => {
+    expect(localizedFields.fallbackChain(['DE-at', 'de', 'not a locale', 'en'])).toEqual(['de-AT', 'de', 'en']);
+  });
+
+  test('only hold supported locales when SUPPORTED_LOCALES is set', () => {
+    const fields = load({ DEFAULT_LOCALE: 'de', SUPPORTED_LOCALES: 'en, de,ur' });
+
+    expect(fields.fallbackChain(['de-CH', 'fr', 'ur-PK'])).toEqual(['de', 'ur']);
+    expect(fields.fallbackChain(['fr'])).toEqual(['de']);
+  });
+
+  test('build the chain from ?locale=, then Accept-Language, then Content-Language', () => {
+    const chainOf = (query, headers) => localizedFields.fromRequest({ query, headers }).chain;
+
+    expect(chainOf({ locale: 'ur' }, { 'accept-language': 'de' })).toEqual(['ur', 'en']);
+    expect(chainOf({}, { 'accept-language': 'fr;q=0.5, de-AT, *;q=0.1', 'content-language': 'ur' })).toEqual(['de-AT', 'de', 'fr', 'en']);
+    expect(chainOf({}, { 'content-language': 'ur' })).toEqual(['ur', 'en']);
+    expect(localizedFields.fromRequest({ query: { locale: '*' }, headers: {} })).toEqual({ all: true, locale: 'en', chain: ['en'] });
+  });
+
+  test('resolve a translation to the first locale of the chain that has one', () => {
+    const translations = { en: 'Drill', de: 'Bohrmaschine' };
+
+    expect(localizedFields.resolveValue(translations, ['de-AT', 'de', 'en'])).toBe('Bohrmaschine');
+    expect(localizedFields.resolveValue(translations, ['ur', 'en'])).toBe('Drill');
+    expect(localizedFields.resolveValue({ ur: 'ڈرل' }, ['de', 'en'])).toBeNull();
+  });
+
+  test('resolve only the localized fields of a record', () => {
+    const jsonSchema = {
+      type: 'object',
+      properties: { name: { type: 'string', 'x-localized': true }, meta: { type: 'object' } }
+    };
+    const record = { name: { en: 'Drill', de: 'Bohrmaschine' }, meta: { en: 'kept' } };
+
+    expect(localizedFields.resolve(jsonSchema, record, ['de', 'en'])).toEqual({ name: 'Bohrmaschine', meta: { en: 'kept' } });
+  });
+});
@@ -0,0 +1,109 @@
+const schemaInheritance = require('../../src/utils/schemaInheritance');
+const SchemaDefinition = require('../../src/models/Schema');
+const SchemaService = require('../../src/services/SchemaService');
+
+const party = {
+  type: 'object',
+  properties: { name: { type: 'string' }, email: { type: 'string', format: 'email' } },
+  required: ['name'],
+  'x-indexes': [{ fields: { email: 1 }, unique: true }],
+  'x-rules': [{ name: 'hasContact', expression: 'email != null', message: 'email is required' }]
+};
+
+const address = {
+  type: 'object',
+  properties: { street: { type: 'string' }, city: { type: 'string' } },
+  required: ['city']
+};
+
+describe('flattening inherited schemas', () => {
+  test('merges properties, required fields, indexes and rules of every parent', () => {
+    const effective = schemaInheritance.flatten({
+      'x-extends': 'party',
+      allOf: [{ $ref: 'address' }],
+      properties: { vatNumber: { type: 'string' } },
+      required: ['vatNumber']
+    }, { party, address });
+
+    expect(Object.keys(effective.properties)).toEqual(['name', 'email', 'street', 'city', 'vatNumber']);
+    expect(effective.required).toEqual(['name', 'city', 'vatNumber']);
+    expect(effective['x-indexes']).toEqual(party['x-indexes']);
+    expect(effective['x-rules'].map(rule => rule.name)).toEqual(['hasContact']);
+    expect(effective['x-extends']).toBeUndefined();
+    expect(effective.allOf).toBeUndefined();
+  });
+
+  test('lets the schema override inherited fields and rules', () => {
+    const effective = schemaInheritance.flatten({
+      'x-extends': 'party',
+      properties: { email: { type: 'string' } },
+      'x-rules': [{ name: 'hasContact', expression: 'true', message: 'never fails' }]
+    }, { party });
+
+    expect(effective.properties.email).toEqual({ type: 'string' });
+    expect(effective['x-rules']).toEqual([{ name: 'hasContact', expression: 'true', message: 'never fails' }]);
+  });
+
+  test('merges inline allOf entries and keeps local refs', () => {
+    const effective = schemaInheritance.flatten({
+      allOf: [{ $ref: 'party' }, { properties: { notes: { type: 'string' } } }, { $ref: '#/definitions/audit' }]
+    }, { party });
+
+    expect(effective.properties.notes).toEqual({ type: 'string' });
+    expect(effective.allOf).toEqual([{ $ref: '#/definitions/audit' }]);
+  });
+
+  test('rejects a field that two parents declare differently', () => {
+    const jsonSchema = { 'x-extends': ['party', 'address'] };
+    const conflicting = { ...address, properties: { ...address.properties, name: { type: 'integer' } } };
+
+    expect(() => schemaInheritance.flatten(jsonSchema, { party, address: conflicting }))
+      .toThrow("Property 'name' is declared differently by 'party' and 'address'");
+    expect(() => schemaInheritance.flatten({ ...jsonSchema, properties: { name: { type: 'string' } } }, { party, address: conflicting }))
+      .not.toThrow();
+  });
+
+  test('rejects a missing parent', () => {
+    expect(() => schemaInheritance.flatten({ 'x-extends': 'party' }, {})).toThrow("Parent schema 'party' not found");
+  });
+});
+
+describe('resolving inherited schemas', () => {
+  const stored = {
+    party: { name: 'party', jsonSchema: party, parents: [] },
+    customer: { name: 'customer', jsonSchema: { ...party, properties: { ...party.properties, tier: { type: 'string' } } }, parents: ['party'] }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(SchemaDefinition, 'find').mockImplementation(({ name }) => ({
+      lean: async () => name.$in.filter(parent => stored[parent]).map(parent => stored[parent])
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('flattens against the stored parents', async () => {
+    const { effective, source, parents } = await SchemaService.resolveSchema(
+      { 'x-extends': 'customer', properties: { creditLimit: { type: 'number' } } },
+      'key_account'
+    );
+
+    expect(parents).toEqual(['customer']);
+    expect(source).toEqual({ 'x-extends': 'customer', properties: { creditLimit: { type: 'number' } } });
+    expect(Object.keys(effective.properties)).toEqual(['name', 'email', 'tier', 'creditLimit']);
+  });
+
+  test('rejects a schema inheriting from itself or its descendant', async () => {
+    await expect(SchemaService.resolveSchema({ 'x-extends': 'party' }, 'party'))
+      .rejects.toThrow("Schema 'party' cannot inherit from itself");
+    await expect(SchemaService.resolveSchema({ 'x-extends': 'customer' }, 'party'))
+      .rejects.toThrow("Schema 'party' cannot inherit from its own descendant");
+  });
+
+  test('rejects x-extends values that are not schema names', async () => {
+    await expect(SchemaService.resolveSchema({ 'x-extends': { $ref: 'party' } }, 'customer'))
+      .rejects.toThrow('x-extends must be a schema name or a list of schema names');
+  });
+});
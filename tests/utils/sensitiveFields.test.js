@@ -0,0 +1,67 @@
+const sensitiveFields = require('../../src/utils/sensitiveFields');
+const openApiGenerator = require('../../src/utils/openApiGenerator');
+
+const jsonSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    salary: { type: 'number', 'x-sensitive': true },
+    bank: { type: 'object', properties: { iban: { type: 'string' } }, 'x-sensitive': true }
+  }
+};
+
+describe('querying sensitive fields', () => {
+  const rejection = query => {
+    try {
+      sensitiveFields.assertQueryable(jsonSchema, query);
+      return null;
+    } catch (error) {
+      return { message: error.message, statusCode: error.statusCode };
+    }
+  };
+
+  test('allows filters and sorts on other fields', () => {
+    expect(rejection({ filter: { name: 'Ada', $or: [{ name: 'Grace' }] }, sort: { name: 1 } })).toBeNull();
+  });
+
+  test('rejects filters on sensitive fields and their paths', () => {
+    expect(rejection({ filter: { salary: { $gte: 100000 } } })).toEqual({ message: "Cannot filter on 'salary': it is sensitive", statusCode: 403 });
+    expect(rejection({ filter: { 'bank.iban': { $regex: '^DE' } } })).toMatchObject({ statusCode: 403 });
+  });
+
+  test('rejects sensitive fields inside logical operators, as searches build them', () => {
+    expect(rejection({ filter: { $or: [{ name: { $regex: 'a' } }, { salary: { $regex: 'a' } }] } })).toMatchObject({
+      message: "Cannot filter on 'salary': it is sensitive"
+    });
+  });
+
+  test('rejects expressions that can read any field', () => {
+    expect(rejection({ filter: { $expr: { $gt: ['$salary', 100000] } } })).toMatchObject({ statusCode: 403 });
+  });
+
+  test('rejects sorts on sensitive fields', () => {
+    expect(rejection({ sort: { salary: -1 } })).toEqual({ message: "Cannot sort on 'salary': it is sensitive", statusCode: 403 });
+  });
+
+  test('does not restrict schemas without sensitive fields', () => {
+    const plain = { type: 'object', properties: { name: { type: 'string' } } };
+    expect(() => sensitiveFields.assertQueryable(plain, { filter: { $where: 'true' } })).not.toThrow();
+  });
+});
+
+describe('sensitive fields in the OpenAPI document', () => {
+  test('are declared as their type or the mask on records, and as their type on input', () => {
+    const components = openApiGenerator.buildComponents(
+      { name: 'employee', jsonSchema },
+      { names: new Set(['employee']), componentName: 'Employee' }
+    );
+
+    expect(components.Employee.properties.salary).toEqual({
+      description: 'Returned as "***" to callers without a privileged role',
+      oneOf: [{ type: 'number' }, { type: 'string', enum: ['***'] }],
+      'x-sensitive': true
+    });
+    expect(components.Employee.properties.name).toEqual({ type: 'string' });
+    expect(components.EmployeeInput.properties.salary).toEqual({ type: 'number', 'x-sensitive': true });
+  });
+});